@@ -14,6 +14,8 @@ class MarkdownToFieldsFrontEditor extends WireData implements Module, Configurab
     protected const SNAPSHOT_ALLOWED_FRONTEND_EVENT_TYPES = ['manual', 'save', 'external'];
     protected const SNAPSHOT_INTERNAL_EVENT_TYPES = ['pre_restore_backup', 'restore'];
     protected const SNAPSHOT_ALLOWED_COMPARE_MODES = ['current', 'previous'];
+    protected const IMAGE_UPLOAD_MAX_BYTES = 10485760;
+    protected const LINK_AUDIT_MAX_PATHS = 500;
 
     public static function getModuleInfo() {
         return [
@@ -35,6 +37,7 @@ class MarkdownToFieldsFrontEditor extends WireData implements Module, Configurab
             'allowedImageExtensions' => 'jpg,jpeg,png,gif,webp,svg',
             'defaultEmphasisStyle' => 'asterisk',
             'defaultUnorderedListMarker' => '*',
+            'hardWrapWidth' => '',
             'strictSectionReplace' => true,
             'debug' => false,
             'debugShowSections' => false,
@@ -42,6 +45,9 @@ class MarkdownToFieldsFrontEditor extends WireData implements Module, Configurab
             'labelStyle' => 'outside',
             'confirmOnUnsavedClose' => true,
             'autoSnapshotsOnSave' => true,
+            'linkAuditOnSave' => 'warn',
+            'markdownLintOnSave' => 'warn',
+            'markdownLintRules' => ['heading-increment', 'empty-link', 'duplicate-heading', 'trailing-spaces', 'image-alt', 'bare-url'],
         ];
     }
 
@@ -99,7 +105,7 @@ class MarkdownToFieldsFrontEditor extends WireData implements Module, Configurab
         $field = self::createConfigInputfield('InputfieldText');
         $field->name = 'toolbarButtons';
         $field->label = 'Toolbar Buttons';
-        $field->description = 'Comma-separated list of toolbar buttons to show. Use "|" as a separator. Available: bold, italic, strike, code, codeblock, paragraph, h1-h6, ul, ol, blockquote, link, unlink, image, clear, markdown, split, document, outline. Save is always shown at the end.';
+        $field->description = 'Comma-separated list of toolbar buttons to show. Use "|" as a separator. Available: bold, italic, strike, code, codeblock, paragraph, h1-h6, ul, ol, blockquote, callout, hr, link, unlink, linkrefs, image, footnote, table, addrow, delrow, addcol, delcol, alignleft, aligncenter, alignright, clear, markdown, split, document, outline, images, find, lint, normalize. Save is always shown at the end.';
         $field->notes = 'Defaults: bold,italic,strike,paragraph,link,unlink,image,|,h1,h2,h3,h4,h5,h6,|,ul,ol,blockquote,code,codeblock,clear,|,markdown,split,document,outline';
         $field->value = !empty($data['toolbarButtons']) ? $data['toolbarButtons'] : $defaults['toolbarButtons'];
         $field->columnWidth = 100;
@@ -120,7 +126,7 @@ class MarkdownToFieldsFrontEditor extends WireData implements Module, Configurab
         $emphasisStyleField->name = 'defaultEmphasisStyle';
         $emphasisStyleField->label = 'Default Markdown Emphasis Style';
         $emphasisStyleField->description = 'Used for newly created bold and italic formatting from the editor toolbar and shortcuts.';
-        $emphasisStyleField->notes = 'Existing markdown keeps its original style. If content comes from an external editor using both **asterisks** and __underscores__, we preserve it as-authored. This default only applies when the frontend editor creates new markdown.';
+        $emphasisStyleField->notes = 'Existing markdown keeps its original style. If content comes from an external editor using both **asterisks** and __underscores__, we preserve it as-authored. This default only applies when the frontend editor creates new markdown, and only when the document does not already use one style throughout. The normalize toolbar button rewrites existing markdown to this setting.';
         $emphasisStyleField->options = [
             'asterisk' => 'Use asterisks: *italic*, **bold**, ***bold italic***',
             'underscore' => 'Use underscores: _italic_, __bold__, ___bold italic___',
@@ -133,7 +139,7 @@ class MarkdownToFieldsFrontEditor extends WireData implements Module, Configurab
         $unorderedMarkerField->name = 'defaultUnorderedListMarker';
         $unorderedMarkerField->label = 'Default Unordered List Marker';
         $unorderedMarkerField->description = 'Used when the frontend editor creates a new unordered list.';
-        $unorderedMarkerField->notes = 'Existing list markers are preserved as-authored. This only defines the marker used for newly created unordered lists.';
+        $unorderedMarkerField->notes = 'Existing list markers are preserved as-authored. This only defines the marker used for newly created unordered lists. A document whose lists all use one marker keeps using that marker. The normalize toolbar button rewrites existing markdown to this setting.';
         $unorderedMarkerField->options = [
             '*' => 'Use *',
             '-' => 'Use -',
@@ -143,6 +149,15 @@ class MarkdownToFieldsFrontEditor extends WireData implements Module, Configurab
         $unorderedMarkerField->columnWidth = 100;
         $fieldset->add($unorderedMarkerField);
 
+        $hardWrapField = self::createConfigInputfield('InputfieldText');
+        $hardWrapField->name = 'hardWrapWidth';
+        $hardWrapField->label = 'Hard Wrap Width';
+        $hardWrapField->description = 'Column at which an edited hard-wrapped paragraph is rewrapped. Leave empty to keep the width the paragraph already has, or enter 0 to leave changed text on one line.';
+        $hardWrapField->notes = 'Paragraphs written over several lines keep their line breaks while untouched. When one is edited, only the lines around the change are rewrapped, so diffs stay local.';
+        $hardWrapField->value = isset($data['hardWrapWidth']) ? (string)$data['hardWrapWidth'] : $defaults['hardWrapWidth'];
+        $hardWrapField->columnWidth = 100;
+        $fieldset->add($hardWrapField);
+
         $strictReplaceField = self::createConfigInputfield('InputfieldCheckbox');
         $strictReplaceField->name = 'strictSectionReplace';
         $strictReplaceField->label = 'Enable Safe Parent Live Preview Replacement';
@@ -188,6 +203,49 @@ class MarkdownToFieldsFrontEditor extends WireData implements Module, Configurab
         $autoSnapshotsField->columnWidth = 100;
         $fieldset->add($autoSnapshotsField);
 
+        $linkAuditField = self::createConfigInputfield('InputfieldRadios');
+        $linkAuditField->name = 'linkAuditOnSave';
+        $linkAuditField->label = 'Check Links Before Save';
+        $linkAuditField->description = 'Before saving, internal links and #anchors in the changed languages are checked against the site pages and document headings.';
+        $linkAuditField->notes = 'Pages that moved are only reported; they still resolve through the page path history.';
+        $linkAuditField->options = [
+            'warn' => 'Save and list broken links',
+            'block' => 'Do not save while links are broken',
+            'off' => 'Do not check links',
+        ];
+        $linkAuditField->value = !empty($data['linkAuditOnSave']) ? $data['linkAuditOnSave'] : $defaults['linkAuditOnSave'];
+        $linkAuditField->columnWidth = 100;
+        $fieldset->add($linkAuditField);
+
+        $lintModeField = self::createConfigInputfield('InputfieldRadios');
+        $lintModeField->name = 'markdownLintOnSave';
+        $lintModeField->label = 'Lint Markdown Before Save';
+        $lintModeField->description = 'Before saving, the changed languages are checked with the enabled lint rules. Issues are listed next to the editor.';
+        $lintModeField->options = [
+            'warn' => 'Save and list lint issues',
+            'block' => 'Do not save while lint issues remain',
+            'off' => 'Do not lint before save',
+        ];
+        $lintModeField->value = !empty($data['markdownLintOnSave']) ? $data['markdownLintOnSave'] : $defaults['markdownLintOnSave'];
+        $lintModeField->columnWidth = 50;
+        $fieldset->add($lintModeField);
+
+        $lintRulesField = self::createConfigInputfield('InputfieldCheckboxes');
+        $lintRulesField->name = 'markdownLintRules';
+        $lintRulesField->label = 'Markdown Lint Rules';
+        $lintRulesField->notes = 'The lint toolbar button uses the same rules.';
+        $lintRulesField->options = [
+            'heading-increment' => 'Heading level jumps (e.g. H1 followed by H3)',
+            'empty-link' => 'Links without text or target',
+            'duplicate-heading' => 'Duplicate headings in a section',
+            'trailing-spaces' => 'Trailing spaces (two spaces before a line break are allowed)',
+            'image-alt' => 'Images without alt text',
+            'bare-url' => 'Bare URLs outside links',
+        ];
+        $lintRulesField->value = isset($data['markdownLintRules']) && is_array($data['markdownLintRules']) ? $data['markdownLintRules'] : $defaults['markdownLintRules'];
+        $lintRulesField->columnWidth = 50;
+        $fieldset->add($lintRulesField);
+
         return $fieldset;
     }
 
@@ -291,6 +349,7 @@ class MarkdownToFieldsFrontEditor extends WireData implements Module, Configurab
             'toolbarButtons' => $defaults['toolbarButtons'],
             'defaultEmphasisStyle' => $defaults['defaultEmphasisStyle'],
             'defaultUnorderedListMarker' => $defaults['defaultUnorderedListMarker'],
+            'hardWrapWidth' => $defaults['hardWrapWidth'],
             'strictSectionReplace' => $defaults['strictSectionReplace'],
             'debug' => $defaults['debug'],
             'debugShowSections' => $defaults['debugShowSections'],
@@ -577,9 +636,15 @@ class MarkdownToFieldsFrontEditor extends WireData implements Module, Configurab
             'strictSectionReplace' => (bool)($this->strictSectionReplace ?? $defaults['strictSectionReplace']),
             'defaultEmphasisStyle' => (string)($this->defaultEmphasisStyle ?? $defaults['defaultEmphasisStyle']),
             'defaultUnorderedListMarker' => (string)($this->defaultUnorderedListMarker ?? $defaults['defaultUnorderedListMarker']),
+            'hardWrapWidth' => (string)($this->hardWrapWidth ?? $defaults['hardWrapWidth']),
             'labelStyle' => (string)($this->labelStyle ?? $defaults['labelStyle']),
             'confirmOnUnsavedClose' => (bool)($this->confirmOnUnsavedClose ?? $defaults['confirmOnUnsavedClose']),
             'autoSnapshotsOnSave' => (bool)($this->autoSnapshotsOnSave ?? $defaults['autoSnapshotsOnSave']),
+            'linkAuditOnSave' => (string)($this->linkAuditOnSave ?? $defaults['linkAuditOnSave']),
+            'markdownLintOnSave' => (string)($this->markdownLintOnSave ?? $defaults['markdownLintOnSave']),
+            'markdownLintRules' => array_values((array)($this->markdownLintRules ?? $defaults['markdownLintRules'])),
+            'imageUploadExtensions' => $this->getImageUploadExtensions(),
+            'imageUploadMaxBytes' => self::IMAGE_UPLOAD_MAX_BYTES,
         ];
     }
 
@@ -1187,6 +1252,79 @@ class MarkdownToFieldsFrontEditor extends WireData implements Module, Configurab
             exit;
         }
 
+        // Upload image endpoint - stores a new file in the first image source path
+        if ($input->post->text('action') === 'uploadImage') {
+            $user = $this->wire()->user;
+            if(!$user->isLoggedIn() || !$user->hasPermission('page-edit-front')) {
+                $this->sendJsonError('Forbidden', 403);
+            }
+
+            try { $this->wire()->session->CSRF->validate(); }
+            catch(\Exception $e) { $this->sendJsonError('Failed CSRF check', 403); }
+
+            $pageId = (int)$input->post->pageId;
+            if(!$pageId) $this->sendJsonError('Missing pageId', 400);
+
+            $page = $this->wire()->pages->get($pageId);
+            if(!$page->id) $this->sendJsonError('Page not found', 404);
+            if(!$page->editable()) $this->sendJsonError('Page not editable', 403);
+
+            $upload = $_FILES['image'] ?? null;
+            if (!is_array($upload) || !isset($upload['tmp_name']) || is_array($upload['tmp_name'])) {
+                $this->sendJsonError('Missing image file', 400);
+            }
+            if ((int)($upload['error'] ?? UPLOAD_ERR_NO_FILE) !== UPLOAD_ERR_OK) {
+                $this->sendJsonError('Image upload failed', 400);
+            }
+            if ((int)$upload['size'] > self::IMAGE_UPLOAD_MAX_BYTES) {
+                $this->sendJsonError('Image is larger than the upload limit', 413);
+            }
+
+            $filename = $this->sanitizeUploadImageFilename((string)($upload['name'] ?? ''));
+            $ext = strtolower(pathinfo($filename, PATHINFO_EXTENSION));
+            if ($filename === '' || !in_array($ext, $this->getImageUploadExtensions(), true)) {
+                $this->sendJsonError('Unsupported image type', 415);
+            }
+            if (@getimagesize((string)$upload['tmp_name']) === false) {
+                $this->sendJsonError('Uploaded file is not an image', 415);
+            }
+
+            try {
+                $targetDir = $this->getConfiguredImageSourcePaths()[0];
+            } catch (\RuntimeException $e) {
+                $this->sendJsonError($e->getMessage(), 400);
+            }
+            if (!is_dir($targetDir) || !is_writable($targetDir)) {
+                $this->sendJsonError('Image folder is not writable', 500);
+            }
+
+            $requestedFilename = $filename;
+            $filename = $this->resolveAvailableImageFilename($targetDir, $filename);
+            $targetPath = $targetDir . $filename;
+            if (!@move_uploaded_file((string)$upload['tmp_name'], $targetPath)) {
+                $this->sendJsonError('Failed to store uploaded image', 500);
+            }
+            @chmod($targetPath, 0644);
+
+            $resolvedUrl = \ProcessWire\MarkdownHtmlConverter::resolveImageForInsertion(
+                $page,
+                $filename
+            );
+            if ($resolvedUrl === null) {
+                $this->sendJsonError('Failed to process image to page assets', 500);
+            }
+
+            header('Content-Type: application/json');
+            echo json_encode([
+                'status' => 1,
+                'filename' => $filename,
+                'path' => $filename,
+                'url' => $resolvedUrl,
+                'renamed' => $filename !== $requestedFilename,
+            ]);
+            exit;
+        }
+
         // List images endpoint
         if ($input->post->text('action') === 'listImages') {
             $user = $this->wire()->user;
@@ -1298,6 +1436,7 @@ class MarkdownToFieldsFrontEditor extends WireData implements Module, Configurab
                         'path' => $relativeSourcePath,
                         'url' => $url,
                         'size' => $file->getSize(),
+                        'modified' => $file->getMTime(),
                         'fullPath' => $fullFilename,
                     ];
                     
@@ -1333,6 +1472,29 @@ class MarkdownToFieldsFrontEditor extends WireData implements Module, Configurab
             exit;
         }
 
+        // Link audit endpoint - resolves internal link paths before save
+        if ($input->post->text('action') === 'resolveLinks') {
+            $user = $this->wire()->user;
+            if(!$user->isLoggedIn() || !$user->hasPermission('page-edit-front')) {
+                $this->sendJsonError('Forbidden', 403);
+            }
+
+            try { $this->wire()->session->CSRF->validate(); }
+            catch(\Exception $e) { $this->sendJsonError('Failed CSRF check', 403); }
+
+            $paths = json_decode((string)$input->post->paths, true);
+            if (!is_array($paths)) $this->sendJsonError('Missing paths', 400);
+
+            $links = [];
+            foreach (array_slice(array_unique(array_map('strval', $paths)), 0, self::LINK_AUDIT_MAX_PATHS) as $path) {
+                $links[$path] = $this->resolveInternalLinkPath($path);
+            }
+
+            header('Content-Type: application/json');
+            echo json_encode(['status' => 1, 'links' => $links]);
+            exit;
+        }
+
         // Save endpoint
         if($input->get->markdownFrontEditorFragments) {
             // Must be POST
@@ -5143,6 +5305,98 @@ class MarkdownToFieldsFrontEditor extends WireData implements Module, Configurab
         return array_values(array_filter(array_map(static fn($p) => rtrim((string)$p, '/') . '/', $imageSourcePaths)));
     }
 
+    /**
+     * Resolve a site-relative link path for the link audit: existing pages and
+     * files are "ok", paths only found in the page path history are "moved".
+     */
+    protected function resolveInternalLinkPath(string $path): array {
+        $path = '/' . ltrim((string)parse_url($path, PHP_URL_PATH), '/');
+        $config = $this->wire()->config;
+        $rootUrl = rtrim((string)$config->urls->root, '/');
+        $sitePath = ($rootUrl !== '' && strpos($path, $rootUrl . '/') === 0)
+            ? substr($path, strlen($rootUrl))
+            : $path;
+
+        if ($sitePath !== '/' && $this->isLinkableSiteFile($sitePath)) {
+            return ['status' => 'ok'];
+        }
+
+        $pages = $this->wire()->pages;
+        $page = $pages->getByPath($sitePath, ['useLanguages' => true, 'useHistory' => false]);
+        if ($page && $page->id) {
+            return ['status' => 'ok', 'pageId' => (int)$page->id];
+        }
+
+        $moved = $pages->getByPath($sitePath, ['useLanguages' => true, 'useHistory' => true]);
+        if ($moved && $moved->id) {
+            return ['status' => 'moved', 'pageId' => (int)$moved->id, 'url' => (string)$moved->url];
+        }
+
+        return ['status' => 'missing'];
+    }
+
+    /**
+     * Whether a link path names a file under site/assets or site/templates.
+     * Nothing else is looked up, so the link check cannot be used to probe
+     * for other files on the server.
+     */
+    protected function isLinkableSiteFile(string $sitePath): bool {
+        $relative = ltrim(str_replace('\\', '/', rawurldecode($sitePath)), '/');
+        if ($relative === '' || strpos($relative, "\0") !== false) {
+            return false;
+        }
+        if (in_array('..', explode('/', $relative), true)) {
+            return false;
+        }
+
+        $config = $this->wire()->config;
+        $realFile = realpath($config->paths->root . $relative);
+        if ($realFile === false || !is_file($realFile)) {
+            return false;
+        }
+        $realFile = str_replace('\\', '/', $realFile);
+
+        foreach ([$config->paths->assets, $config->paths->templates] as $allowedBase) {
+            $realAllowedBase = is_string($allowedBase) && $allowedBase !== '' ? realpath($allowedBase) : false;
+            if ($realAllowedBase === false) continue;
+            $realAllowedBase = rtrim(str_replace('\\', '/', $realAllowedBase), '/') . '/';
+            if (str_starts_with($realFile, $realAllowedBase)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    protected function getImageUploadExtensions(): array {
+        $configured = (string)($this->allowedImageExtensions ?? self::getDefaultData()['allowedImageExtensions']);
+        $extensions = array_filter(array_map(
+            static fn($ext) => strtolower(trim((string)$ext, " \t."),
+            explode(',', $configured)
+        ));
+        // SVG can carry script, so it is only listed, never uploaded.
+        return array_values(array_diff($extensions, ['svg']));
+    }
+
+    protected function sanitizeUploadImageFilename(string $name): string {
+        $filename = $this->wire()->sanitizer->filename(basename(str_replace('\\', '/', $name)), true);
+        return strtolower(ltrim((string)$filename, '.'));
+    }
+
+    protected function resolveAvailableImageFilename(string $dir, string $filename): string {
+        $dir = rtrim($dir, '/') . '/';
+        if (!file_exists($dir . $filename)) {
+            return $filename;
+        }
+        $name = pathinfo($filename, PATHINFO_FILENAME);
+        $ext = pathinfo($filename, PATHINFO_EXTENSION);
+        $suffix = 1;
+        do {
+            $candidate = $name . '-' . $suffix . ($ext !== '' ? '.' . $ext : '');
+            $suffix++;
+        } while (file_exists($dir . $candidate));
+        return $candidate;
+    }
+
     protected function resolveThumbSourcePath(string $imagePath = ''): string {
         $sources = $this->getConfiguredImageSourcePaths();
         if (empty($sources)) {
@@ -0,0 +1,314 @@
+import { Extension } from "@tiptap/core";
+import { Plugin, PluginKey } from "prosemirror-state";
+import { Decoration, DecorationSet } from "prosemirror-view";
+import { decodeUriComponentOrRaw } from "./markdown-text-utils.js";
+
+/**
+ * WCAG-oriented checks on the edited scope, shown as editor decorations.
+ * Unlike markdown lint they look at what readers get: the alt text of
+ * images, the text of links, the heading outline and table headers.
+ */
+
+const accessibilityCheckPluginKey = new PluginKey("mfeAccessibilityCheck");
+
+const NON_DESCRIPTIVE_LINK_TEXT = new Set([
+  "click",
+  "click here",
+  "continue",
+  "details",
+  "here",
+  "learn more",
+  "link",
+  "more",
+  "read more",
+  "this",
+  "this link",
+]);
+
+const IMAGE_FILE_PATTERN = /\.(avif|bmp|gif|jpe?g|png|svg|tiff?|webp)$/i;
+const CAMERA_FILE_PATTERN = /^(dsc|dscn|img|pxl|photo|screenshot)[\s_-]*\d+/i;
+
+function getFileStem(src) {
+  const name = String(src || "")
+    .split(/[?#]/)[0]
+    .split("/")
+    .pop();
+  return decodeUriComponentOrRaw(name)
+    .replace(/\.[^.]+$/, "")
+    .toLowerCase();
+}
+
+/**
+ * Returns why the alt text of an image is not useful, or "" when it is.
+ */
+export function describeAltTextIssue(alt, src = "") {
+  const value = String(alt || "").trim();
+  if (!value) return "Image has no alt text";
+  if (
+    IMAGE_FILE_PATTERN.test(value) ||
+    CAMERA_FILE_PATTERN.test(value) ||
+    value.toLowerCase() === getFileStem(src)
+  ) {
+    return `Alt text "${value}" looks like a file name`;
+  }
+  return "";
+}
+
+export function isNonDescriptiveLinkText(text) {
+  const value = String(text || "")
+    .toLowerCase()
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "")
+    .replace(/\s+/g, " ");
+  return NON_DESCRIPTIVE_LINK_TEXT.has(value);
+}
+
+function hasHeaderRow(table) {
+  const row = table.firstChild;
+  if (!row) return false;
+  let header = false;
+  row.forEach((cell) => {
+    if (cell.type.name === "tableHeader" && cell.textContent.trim()) {
+      header = true;
+    }
+  });
+  return header;
+}
+
+/**
+ * Returns the level of the last page heading before `element`, the heading
+ * the page template puts the edited scope under, or 0 without one.
+ */
+export function resolveTemplateHeadingLevel(element) {
+  if (!element?.isConnected) return 0;
+  let level = 0;
+  element.ownerDocument
+    .querySelectorAll("h1, h2, h3, h4, h5, h6")
+    .forEach((heading) => {
+      const position = element.compareDocumentPosition(heading);
+      if (position & Node.DOCUMENT_POSITION_PRECEDING) {
+        level = Number(heading.tagName.slice(1));
+      }
+    });
+  return level;
+}
+
+/**
+ * Lists the accessibility issues of an editor document in order. Each has
+ * a `rule`, a `message` and the `from`/`to` range of the node (or, with
+ * `inline`, the link text) it is about. `baseHeadingLevel` is the level of
+ * the page heading the edited scope sits under; `from` and `to` limit the
+ * check to the nodes between them.
+ */
+export function findAccessibilityIssues(
+  doc,
+  { baseHeadingLevel = 0, from = 0, to = doc.content.size } = {},
+) {
+  const issues = [];
+  const links = [];
+  let previousLevel = Number(baseHeadingLevel) || 0;
+  let link = null;
+
+  doc.nodesBetween(from, to, (node, pos) => {
+    if (node.isText) {
+      const mark = node.marks.find((entry) => entry.type.name === "link");
+      if (!mark) {
+        link = null;
+      } else if (link && link.to === pos && link.mark.eq(mark)) {
+        link.to = pos + node.nodeSize;
+      } else {
+        link = { mark, from: pos, to: pos + node.nodeSize };
+        links.push(link);
+      }
+      return undefined;
+    }
+    if (!node.isInline) link = null;
+    const range = { from: pos, to: pos + node.nodeSize, inline: false };
+    if (node.type.name === "heading") {
+      const level = Number(node.attrs.level) || 1;
+      if (previousLevel > 0 && level > previousLevel + 1) {
+        issues.push({
+          ...range,
+          rule: "heading-order",
+          message: `Heading level ${level} skips level ${previousLevel + 1}`,
+        });
+      }
+      previousLevel = level;
+    } else if (node.type.name === "image") {
+      const message = describeAltTextIssue(node.attrs.alt, node.attrs.src);
+      if (message) issues.push({ ...range, rule: "image-alt", message });
+    } else if (node.type.name === "table" && !hasHeaderRow(node)) {
+      issues.push({
+        ...range,
+        rule: "table-header",
+        message: "Table has no header row",
+      });
+    }
+    return undefined;
+  });
+
+  links.forEach(({ from, to }) => {
+    const text = doc.textBetween(from, to);
+    if (!isNonDescriptiveLinkText(text)) return;
+    issues.push({
+      from,
+      to,
+      inline: true,
+      rule: "link-text",
+      message: `Link text "${text.trim()}" does not describe the target`,
+    });
+  });
+  return issues.sort((left, right) => left.from - right.from);
+}
+
+function createDecoration(issue) {
+  const attrs = {
+    class: `mfe-a11y-issue mfe-a11y-issue--${issue.rule}`,
+    title: issue.message,
+    "data-mfe-a11y": issue.rule,
+  };
+  return issue.inline
+    ? Decoration.inline(issue.from, issue.to, attrs)
+    : Decoration.node(issue.from, issue.to, attrs);
+}
+
+function buildDecorations(doc, options) {
+  const decorations = findAccessibilityIssues(doc, options).map(
+    createDecoration,
+  );
+  return decorations.length > 0
+    ? DecorationSet.create(doc, decorations)
+    : DecorationSet.empty;
+}
+
+// The span of top-level blocks a transaction changed, in the new document,
+// or null when it changed nothing.
+function findChangedBlocks(tr) {
+  let from = null;
+  let to = null;
+  tr.mapping.maps.forEach((map, index) => {
+    const rest = tr.mapping.slice(index + 1);
+    map.forEach((_oldStart, _oldEnd, newStart, newEnd) => {
+      const start = rest.map(newStart, -1);
+      const end = rest.map(newEnd, 1);
+      from = from === null ? start : Math.min(from, start);
+      to = to === null ? end : Math.max(to, end);
+    });
+  });
+  if (from === null) return null;
+  return expandToBlocks(tr.doc, from, to);
+}
+
+function expandToBlocks(doc, from, to) {
+  const $from = doc.resolve(Math.min(from, doc.content.size));
+  const $to = doc.resolve(Math.min(to, doc.content.size));
+  return {
+    from: $from.depth > 0 ? $from.before(1) : $from.pos,
+    to: $to.depth > 0 ? $to.after(1) : $to.pos,
+  };
+}
+
+function hasHeadingBetween(doc, from, to) {
+  let found = false;
+  doc.nodesBetween(from, to, (node) => {
+    if (node.type.name === "heading") found = true;
+    return !found && !node.isTextblock;
+  });
+  return found;
+}
+
+// Maps the decorations through `tr` and checks only the blocks it changed.
+// The heading outline runs through the whole document, so an edit that
+// touches a heading before or after checks everything again.
+function updateDecorations(tr, decorations, options) {
+  const changed = findChangedBlocks(tr);
+  if (!changed) return decorations.map(tr.mapping, tr.doc);
+  const inverted = tr.mapping.invert();
+  const before = expandToBlocks(
+    tr.before,
+    inverted.map(changed.from, -1),
+    inverted.map(changed.to, 1),
+  );
+  if (
+    hasHeadingBetween(tr.doc, changed.from, changed.to) ||
+    hasHeadingBetween(tr.before, before.from, before.to)
+  ) {
+    return buildDecorations(tr.doc, options);
+  }
+  const mapped = decorations.map(tr.mapping, tr.doc);
+  const stale = mapped
+    .find(changed.from, changed.to)
+    .filter(
+      (decoration) =>
+        decoration.from >= changed.from && decoration.to <= changed.to,
+    );
+  const fresh = findAccessibilityIssues(tr.doc, {
+    ...options,
+    from: changed.from,
+    to: changed.to,
+  }).map(createDecoration);
+  return mapped.remove(stale).add(tr.doc, fresh);
+}
+
+function readOptions(getOptions) {
+  return typeof getOptions === "function" ? getOptions() || {} : {};
+}
+
+/**
+ * Decorates accessibility issues in the editor. `getOptions()` returns
+ * `{ baseHeadingLevel }`; it is read when the editor state is created and
+ * again by `refreshAccessibilityCheck()` when the editor opens another scope.
+ */
+export function createAccessibilityCheckExtension(getOptions) {
+  return Extension.create({
+    name: "mfeAccessibilityCheck",
+    addCommands() {
+      return {
+        refreshAccessibilityCheck:
+          () =>
+          ({ tr, dispatch }) => {
+            if (dispatch) tr.setMeta(accessibilityCheckPluginKey, "refresh");
+            return true;
+          },
+      };
+    },
+    addProseMirrorPlugins() {
+      return [
+        new Plugin({
+          key: accessibilityCheckPluginKey,
+          state: {
+            init: (_config, state) => {
+              const options = readOptions(getOptions);
+              return {
+                options,
+                decorations: buildDecorations(state.doc, options),
+              };
+            },
+            apply: (tr, value, _oldState, newState) => {
+              if (tr.getMeta(accessibilityCheckPluginKey) === "refresh") {
+                const options = readOptions(getOptions);
+                return {
+                  options,
+                  decorations: buildDecorations(newState.doc, options),
+                };
+              }
+              if (!tr.docChanged) return value;
+              return {
+                options: value.options,
+                decorations: updateDecorations(
+                  tr,
+                  value.decorations,
+                  value.options,
+                ),
+              };
+            },
+          },
+          props: {
+            decorations(state) {
+              return accessibilityCheckPluginKey.getState(state)?.decorations;
+            },
+          },
+        }),
+      ];
+    },
+  });
+}
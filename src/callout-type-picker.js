@@ -0,0 +1,99 @@
+import { createEventRegistry } from "./event-registry.js";
+import { CALLOUT_TYPES } from "./editor-tiptap-extensions.js";
+
+const CALLOUT_TYPE_LABELS = {
+  NOTE: "Note",
+  TIP: "Tip",
+  IMPORTANT: "Important",
+  WARNING: "Warning",
+  CAUTION: "Caution",
+};
+
+export function getActiveCalloutType(editor) {
+  if (!editor?.isActive?.("callout")) return null;
+  return (
+    CALLOUT_TYPES.find((type) => editor.isActive("callout", { type })) || null
+  );
+}
+
+/**
+ * Lets the author wrap the selection in a callout, switch the type of the
+ * callout around the cursor, or turn it back into plain content.
+ */
+export function openCalloutTypePicker({ editor, markUserIntentToken } = {}) {
+  if (!editor?.schema?.nodes?.callout) return;
+
+  const eventRegistry = createEventRegistry();
+  const eventScope = eventRegistry.createScope("callout-type-picker");
+  const activeType = getActiveCalloutType(editor);
+
+  const overlay = document.createElement("div");
+  overlay.className = "mfe-link-picker mfe-callout-picker";
+
+  const dialog = document.createElement("div");
+  dialog.className = "mfe-link-picker__dialog mfe-callout-picker__dialog";
+
+  const header = document.createElement("div");
+  header.className = "mfe-link-picker__header";
+  header.textContent = "Callout";
+
+  const list = document.createElement("div");
+  list.className = "mfe-callout-picker__list";
+
+  function cleanup() {
+    eventScope.disposeAll();
+    overlay.remove();
+  }
+
+  function run(source, command) {
+    if (typeof markUserIntentToken === "function") {
+      markUserIntentToken(source);
+    }
+    command(editor.chain().focus()).run();
+    cleanup();
+  }
+
+  CALLOUT_TYPES.forEach((type) => {
+    const option = document.createElement("button");
+    option.type = "button";
+    option.className = `mfe-callout-picker__option mfe-callout--${type.toLowerCase()}`;
+    if (type === activeType) {
+      option.classList.add("is-active");
+    }
+    option.textContent = CALLOUT_TYPE_LABELS[type];
+    eventScope.register(option, "click", () =>
+      run("callout:set", (chain) => chain.setCallout(type)),
+    );
+    list.appendChild(option);
+  });
+
+  const footer = document.createElement("div");
+  footer.className = "mfe-link-picker__footer";
+
+  if (activeType) {
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className =
+      "mfe-link-picker__button mfe-link-picker__button--secondary";
+    removeButton.textContent = "Remove callout";
+    eventScope.register(removeButton, "click", () =>
+      run("callout:unset", (chain) => chain.unsetCallout()),
+    );
+    footer.appendChild(removeButton);
+  }
+
+  const cancelButton = document.createElement("button");
+  cancelButton.type = "button";
+  cancelButton.className =
+    "mfe-link-picker__button mfe-link-picker__button--secondary";
+  cancelButton.textContent = "Cancel";
+  eventScope.register(cancelButton, "click", () => cleanup());
+  eventScope.register(overlay, "click", (event) => {
+    if (event.target === overlay) cleanup();
+  });
+
+  footer.appendChild(cancelButton);
+  dialog.append(header, list, footer);
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+}
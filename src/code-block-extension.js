@@ -0,0 +1,143 @@
+import { createEventRegistry } from "./event-registry.js";
+
+export function getCodeBlockLanguageOptions(lowlight, currentLanguage) {
+  const languages =
+    typeof lowlight?.listLanguages === "function"
+      ? [...lowlight.listLanguages()].sort()
+      : [];
+  const current = String(currentLanguage || "");
+  if (current && !languages.includes(current)) {
+    languages.unshift(current);
+  }
+  return ["", ...languages];
+}
+
+function renderLanguageOptions(select, options, value) {
+  select.replaceChildren(
+    ...options.map((language) => {
+      const option = document.createElement("option");
+      option.value = language;
+      option.textContent = language || "Plain text";
+      return option;
+    }),
+  );
+  select.value = value;
+}
+
+/**
+ * Code block node view: the highlighted `<pre><code>` plus a language
+ * dropdown that rewrites the `language` attr of the node.
+ */
+function createCodeBlockLanguageView({
+  node: initialNode,
+  editor,
+  getPos,
+  lowlight,
+  languageClassPrefix,
+}) {
+  const eventScope = createEventRegistry().createScope("code-block-language");
+  let node = initialNode;
+  let renderedLanguage = null;
+
+  const dom = document.createElement("div");
+  dom.className = "mfe-code-block";
+
+  const select = document.createElement("select");
+  select.className = "mfe-code-block__language";
+  select.contentEditable = "false";
+  select.setAttribute("aria-label", "Code language");
+
+  const pre = document.createElement("pre");
+  const code = document.createElement("code");
+  pre.appendChild(code);
+  dom.append(select, pre);
+
+  const sync = () => {
+    select.disabled = !editor.isEditable;
+    const language = String(node.attrs.language || "");
+    if (language === renderedLanguage) return;
+    renderedLanguage = language;
+    code.className = language ? `${languageClassPrefix}${language}` : "";
+    renderLanguageOptions(
+      select,
+      getCodeBlockLanguageOptions(lowlight, language),
+      language,
+    );
+  };
+
+  eventScope.register(select, "change", () => {
+    const pos = typeof getPos === "function" ? getPos() : null;
+    if (typeof pos !== "number") return;
+    const language = select.value || null;
+    editor
+      .chain()
+      .command(({ tr }) => {
+        tr.setNodeMarkup(pos, undefined, { ...node.attrs, language });
+        return true;
+      })
+      .run();
+  });
+
+  sync();
+
+  return {
+    dom,
+    contentDOM: code,
+    update(updatedNode) {
+      if (updatedNode.type !== node.type) return false;
+      node = updatedNode;
+      sync();
+      return true;
+    },
+    stopEvent(event) {
+      return select.contains(event.target);
+    },
+    ignoreMutation(mutation) {
+      if (mutation.type === "selection") return false;
+      return !code.contains(mutation.target);
+    },
+    destroy() {
+      eventScope.disposeAll();
+    },
+  };
+}
+
+/**
+ * Extends a code block extension (CodeBlockLowlight in the editors) with the
+ * fence attrs the markdown parser writes and the language dropdown. `fence`
+ * is the opening run (``` or ~~~, any length), `closingFence` the closing
+ * one and `params` the raw info string including extras after the language.
+ */
+export function createMarkdownCodeBlockExtension(CodeBlockBase) {
+  return CodeBlockBase.extend({
+    addAttributes() {
+      return {
+        ...(this.parent?.() || {}),
+        fence: {
+          default: null,
+          rendered: false,
+        },
+        closingFence: {
+          default: null,
+          rendered: false,
+        },
+        params: {
+          default: null,
+          rendered: false,
+        },
+      };
+    },
+
+    addNodeView() {
+      const { lowlight, languageClassPrefix } = this.options;
+      return ({ node, editor, getPos }) =>
+        createCodeBlockLanguageView({
+          node,
+          editor,
+          getPos,
+          lowlight,
+          languageClassPrefix,
+        });
+    },
+  });
+}
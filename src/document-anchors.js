@@ -0,0 +1,109 @@
+import { defaultMarkdownParser } from "prosemirror-markdown";
+import { decodeUriComponentOrRaw } from "./markdown-text-utils.js";
+
+/**
+ * In-document heading anchors: the ids headings get on the rendered page
+ * (an explicit `{#id}` or a slug of the heading text) and the `#id` links
+ * that point at them.
+ */
+
+const EXPLICIT_ID_RE = /\s*\{#([A-Za-z][\w:.-]*)\}\s*$/;
+
+export function slugifyHeading(text) {
+  return String(text || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+    .replace(/\s/g, "-");
+}
+
+function collectInlineText(children = []) {
+  return children
+    .map((child) => {
+      if (child.type === "text" || child.type === "code_inline") {
+        return child.content;
+      }
+      if (child.type === "image") {
+        return collectInlineText(child.children || []);
+      }
+      if (child.type === "softbreak" || child.type === "hardbreak") {
+        return " ";
+      }
+      return "";
+    })
+    .join("");
+}
+
+/**
+ * Lists the headings of a markdown document with the anchor id each one
+ * renders with. Repeated slugs get a `-1`, `-2`… suffix like on GitHub.
+ */
+export function collectDocumentAnchors(markdown) {
+  const tokens = defaultMarkdownParser.tokenizer.parse(
+    String(markdown || ""),
+    {},
+  );
+  const used = new Map();
+  const anchors = [];
+  tokens.forEach((token, index) => {
+    if (token.type !== "heading_open") return;
+    const inline = tokens[index + 1];
+    if (!inline || inline.type !== "inline") return;
+
+    let text = collectInlineText(inline.children || []);
+    const explicit = text.match(EXPLICIT_ID_RE);
+    if (explicit) text = text.slice(0, explicit.index);
+    text = text.trim();
+
+    let id = explicit ? explicit[1] : slugifyHeading(text);
+    if (!id) return;
+    if (!explicit) {
+      const count = used.get(id) || 0;
+      used.set(id, count + 1);
+      if (count > 0) id = `${id}-${count}`;
+    }
+    anchors.push({
+      id,
+      text,
+      level: Number(token.tag.slice(1)) || 1,
+      explicit: Boolean(explicit),
+    });
+  });
+  return anchors;
+}
+
+/**
+ * Lists the `#id` links of a markdown document that match no heading
+ * anchor, as `[{ href, text }]`.
+ */
+export function findUnresolvedAnchorLinks(
+  markdown,
+  anchors = collectDocumentAnchors(markdown),
+) {
+  const ids = new Set(anchors.map((anchor) => anchor.id));
+  const unresolved = [];
+  const tokens = defaultMarkdownParser.tokenizer.parse(
+    String(markdown || ""),
+    {},
+  );
+  tokens.forEach((token) => {
+    if (token.type !== "inline" || !Array.isArray(token.children)) return;
+    let open = null;
+    let text = "";
+    token.children.forEach((child) => {
+      if (child.type === "link_open") {
+        const href = String(child.attrGet("href") || "");
+        open = href.startsWith("#") && href.length > 1 ? href : null;
+        text = "";
+      } else if (child.type === "link_close") {
+        if (open && !ids.has(decodeUriComponentOrRaw(open.slice(1)))) {
+          unresolved.push({ href: open, text: text.trim() });
+        }
+        open = null;
+      } else if (open) {
+        text += collectInlineText([child]);
+      }
+    });
+  });
+  return unresolved;
+}
@@ -2,10 +2,16 @@ import { validateStructuralTransition } from "./structural-validator.js";
 import {
   splitLeadingFrontmatter,
   hasLeadingFrontmatter,
+  detectMarkdownTextFormat,
+  normalizeMarkdownTextFormat,
+  stripMarkdownTextFormat,
+  applyMarkdownTextFormat,
 } from "./markdown-text-utils.js";
+import { detectMarkdownStylePreferences } from "./markdown-style-preferences.js";
 
 const DOC_STATE_PREFIX = "MFE_DOC_STATE";
 let docStateSeq = 0;
+const docStateListeners = new Set();
 
 function normalizeText(value) {
   return typeof value === "string" ? value : "";
@@ -55,6 +61,7 @@ function emitDocStateEvent(type, payload) {
     ...payload,
   };
   pushDocStateLog(event);
+  docStateListeners.forEach((listener) => listener(event));
   if (isDebugMode()) {
     const line = JSON.stringify(event);
     if (typeof console !== "undefined" && typeof console.info === "function") {
@@ -68,6 +75,18 @@ export function emitDocStateLog(type, payload = {}) {
   return emitDocStateEvent(type, payload);
 }
 
+/**
+ * Calls `listener(event)` for every document state event. Returns the
+ * function that removes the listener.
+ */
+export function subscribeDocStateEvents(listener) {
+  if (typeof listener !== "function") return () => {};
+  docStateListeners.add(listener);
+  return () => {
+    docStateListeners.delete(listener);
+  };
+}
+
 function emitHydrateOverwriteBlocked(payload) {
   const message = {
     type: "MFE_HYDRATE_OVERWRITE_BLOCKED",
@@ -201,10 +220,17 @@ export class DocumentState {
     this.currentScope =
       normalizeText(options.currentScope || options.viewScope) ||
       this.payloadMeta.fieldScope;
+    // The original line endings and BOM are kept aside and restored by
+    // recomposeMarkdownForSave; the draft itself is always LF text.
+    this.textFormat = options.textFormat
+      ? normalizeMarkdownTextFormat(options.textFormat)
+      : detectMarkdownTextFormat(options.initialPersistedMarkdown);
     const persistedSplit = splitLeadingFrontmatter(
-      options.initialPersistedMarkdown,
+      stripMarkdownTextFormat(options.initialPersistedMarkdown),
     );
-    const draftInput = normalizeText(options.initialDraftMarkdown);
+    const draftInput = options.initialDraftMarkdown
+      ? stripMarkdownTextFormat(options.initialDraftMarkdown)
+      : "";
     const draftSplit = draftInput
       ? splitLeadingFrontmatter(draftInput)
       : persistedSplit;
@@ -215,6 +241,7 @@ export class DocumentState {
     if (!draftInput) {
       this._draft = this._persisted;
     }
+    this.stylePreferences = detectMarkdownStylePreferences(this._persisted);
     this.flags = {
       unreplayable: false,
     };
@@ -300,7 +327,7 @@ export class DocumentState {
   }
 
   _getDraftIdentityMarkdown() {
-    return this.recomposeMarkdownForSave(this._draft);
+    return this.composeMarkdown(this._draft);
   }
 
   _assertDocumentStateShape(nextBody, context = {}) {
@@ -515,7 +542,20 @@ export class DocumentState {
     this.frontmatterRaw = normalizeText(frontmatterRaw);
   }
 
-  recomposeMarkdownForSave(bodyDraft = this._draft) {
+  getTextFormat() {
+    return { ...this.textFormat };
+  }
+
+  // Emphasis style and bullet marker the persisted body uses consistently
+  // (null when mixed), for formatting the user adds to this document.
+  getStylePreferences() {
+    return { ...this.stylePreferences };
+  }
+
+  /**
+   * Frontmatter plus body as the editors see it: LF line endings, no BOM.
+   */
+  composeMarkdown(bodyDraft = this._draft) {
     const body = normalizeText(bodyDraft);
     if (hasLeadingFrontmatter(body)) return body;
     if (!this.frontmatterRaw) return body;
@@ -523,6 +563,17 @@ export class DocumentState {
     return `${this.frontmatterRaw}${body}`;
   }
 
+  /**
+   * The stored form of composeMarkdown: the line endings and BOM the
+   * document had when it was hydrated.
+   */
+  recomposeMarkdownForSave(bodyDraft = this._draft) {
+    return applyMarkdownTextFormat(
+      this.composeMarkdown(bodyDraft),
+      this.textFormat,
+    );
+  }
+
   acceptStructuralMutation(markdown, context = {}) {
     const trigger = normalizeText(
       context.trigger || "system-structural-mutation",
@@ -569,7 +620,12 @@ export class DocumentState {
 
     const dirtyBefore = this.isDirty();
     const hashBefore = hashStateIdentity(this._getDraftIdentityMarkdown());
-    const hydratedSplit = splitLeadingFrontmatter(markdown);
+    const textFormat = context.textFormat
+      ? normalizeMarkdownTextFormat(context.textFormat)
+      : detectMarkdownTextFormat(markdown, this.textFormat);
+    const hydratedSplit = splitLeadingFrontmatter(
+      stripMarkdownTextFormat(markdown),
+    );
     if (
       !this._assertDocumentStateShape(hydratedSplit.body, {
         reason: normalizeText(context.reason || "hydrateFromServer"),
@@ -578,10 +634,12 @@ export class DocumentState {
     ) {
       return false;
     }
+    this.textFormat = textFormat;
     this.persistedFrontmatterRaw = hydratedSplit.frontmatter;
     this.frontmatterRaw = hydratedSplit.frontmatter;
     this._persisted = hydratedSplit.body;
     this._draft = hydratedSplit.body;
+    this.stylePreferences = detectMarkdownStylePreferences(this._persisted);
     this.flags.unreplayable = false;
     this._recordMutationEvent({
       type: "STATE_HYDRATED",
@@ -1,14 +1,20 @@
 import {
   MarkdownParser,
   MarkdownSerializer,
+  MarkdownSerializerState,
   defaultMarkdownParser,
   defaultMarkdownSerializer,
 } from "prosemirror-markdown";
 import { isHostDevMode } from "./host-env.js";
+import {
+  resolveRewrapWidth,
+  rewrapMarkdownParagraph,
+} from "./markdown-hard-wrap.js";
 import {
   getDefaultBoldDelimiter,
   getDefaultItalicDelimiter,
   getDefaultUnorderedListMarker,
+  getHardWrapWidth,
 } from "./markdown-style-preferences.js";
 import { request } from "./network.js";
 
@@ -289,6 +295,214 @@ function promoteTaskListTokens(tokens) {
   }
 }
 
+const CALLOUT_MARKER_RE = /^\[!(note|tip|important|warning|caution)\]$/i;
+
+function readCalloutMarker(inlineToken) {
+  const children = Array.isArray(inlineToken?.children)
+    ? inlineToken.children
+    : [];
+  let text = "";
+  let index = 0;
+  while (index < children.length && children[index].type === "text") {
+    text += children[index].content;
+    index += 1;
+  }
+  const boundary = children[index];
+  if (boundary && boundary.type !== "softbreak") return null;
+  const match = text.match(CALLOUT_MARKER_RE);
+  if (!match) return null;
+  return { marker: match[1], childCount: boundary ? index + 1 : index };
+}
+
+// GitHub alerts are blockquotes whose first line is exactly `[!TYPE]`. The
+// marker line is stripped from the body and kept on the callout token so the
+// serializer can write it back as authored.
+function promoteCalloutTokens(tokens, env) {
+  if (!env?.mfeCallouts || !Array.isArray(tokens)) return;
+
+  for (let i = 0; i < tokens.length; i += 1) {
+    if (tokens[i].type !== "blockquote_open") continue;
+    const paragraphOpen = tokens[i + 1];
+    const inline = tokens[i + 2];
+    if (paragraphOpen?.type !== "paragraph_open" || inline?.type !== "inline") {
+      continue;
+    }
+    const found = readCalloutMarker(inline);
+    if (!found) continue;
+
+    const closeIndex = findMatchingTokenIndex(
+      tokens,
+      i,
+      "blockquote_open",
+      "blockquote_close",
+    );
+    if (closeIndex <= i) continue;
+
+    let tight = true;
+    let calloutCloseIndex = closeIndex;
+    inline.children.splice(0, found.childCount);
+    if (inline.children.length === 0) {
+      // A marker-only paragraph: the body starts on the next block, either
+      // directly below or after a blank `>` line.
+      const next = tokens[i + 4];
+      if (next?.map && paragraphOpen.map && i + 4 < closeIndex) {
+        tight = next.map[0] === paragraphOpen.map[1];
+      }
+      tokens.splice(i + 1, 3);
+      calloutCloseIndex -= 3;
+    } else {
+      const lineEnd = inline.content.indexOf("\n");
+      inline.content = lineEnd >= 0 ? inline.content.slice(lineEnd + 1) : "";
+    }
+
+    tokens[i].type = "callout_open";
+    tokens[i].meta = {
+      ...(tokens[i].meta || {}),
+      type: found.marker.toUpperCase(),
+      marker: found.marker,
+      tight,
+    };
+    tokens[calloutCloseIndex].type = "callout_close";
+  }
+}
+
+// markdown-it keeps only the opening fence; the closing one may be longer.
+// Any container prefix (`> `, list indent) sits before it on the line.
+function attachFenceClosingMarkup(tokens, src) {
+  if (!Array.isArray(tokens) || tokens.length === 0) return;
+  const lines = String(src || "").split("\n");
+  tokens.forEach((token) => {
+    if (token.type !== "fence" || !Array.isArray(token.map)) return;
+    const [startLine, endLine] = token.map;
+    if (endLine - startLine < 2) return;
+    const markup = String(token.markup || "");
+    const match = String(lines[endLine - 1] || "").match(
+      /^[\s>]*(`{3,}|~{3,})[ \t]*$/,
+    );
+    if (!match || match[1][0] !== markup[0]) return;
+    if (match[1].length < markup.length) return;
+    token.meta = { ...(token.meta || {}), closingFence: match[1] };
+  });
+}
+
+// Syntax variants markdown-it reads but does not keep: the setext underline
+// of a heading, the characters of a thematic break and how an ordered list
+// numbers its items. They are stored on the tokens so an untouched construct
+// is written back the way its author wrote it.
+function attachBlockSyntaxMarkup(tokens, src) {
+  if (!Array.isArray(tokens) || tokens.length === 0) return;
+  const lines = String(src || "").split("\n");
+  tokens.forEach((token, index) => {
+    if (!Array.isArray(token.map)) return;
+    if (token.type === "heading_open" && /^[=-]$/.test(token.markup)) {
+      const match = String(lines[token.map[1] - 1] || "").match(
+        /^[\s>]*(=+|-+)[ \t]*$/,
+      );
+      if (!match) return;
+      token.meta = { ...(token.meta || {}), setextUnderline: match[1] };
+    } else if (token.type === "hr") {
+      const line = String(lines[token.map[0]] || "")
+        .replace(/^[\s>]*/, "")
+        .trimEnd();
+      if (line[0] !== token.markup[0]) return;
+      if (!/^[*_-](?:[ \t]*[*_-]){2,}$/.test(line)) return;
+      token.meta = { ...(token.meta || {}), markup: line };
+    } else if (token.type === "ordered_list_open") {
+      const numbers = [];
+      const indents = [];
+      for (let i = index + 1; i < tokens.length; i += 1) {
+        const item = tokens[i];
+        if (item.level === token.level && item.type === "ordered_list_close") {
+          break;
+        }
+        if (item.level === token.level + 1 && item.type === "list_item_open") {
+          numbers.push(Number(item.info));
+          const line = String(lines[item.map?.[0]] || "");
+          indents.push(line.match(/^(?:[ \t]*>)*([ \t]*)/)[1].length);
+        }
+      }
+      // Numbers are right-aligned only when the author aligned them.
+      const widest = Math.max(...numbers.map((value) => String(value).length));
+      const widestIndent = indents[
+        numbers.findIndex((value) => String(value).length === widest)
+      ];
+      token.meta = {
+        ...(token.meta || {}),
+        delimiter: token.markup === ")" ? ")" : null,
+        repeatNumber:
+          numbers.length > 1 && numbers.every((value) => value === numbers[0]),
+        padNumbers: numbers.some(
+          (value, i) =>
+            String(value).length < widest && indents[i] > widestIndent,
+        ),
+      };
+    }
+  });
+}
+
+// With soft wrap on, a paragraph's soft line breaks are plain spaces in the
+// editor, so it reflows like any other text. The lines as written are kept on
+// the paragraph token; the serializer reuses them while it is untouched and
+// rewraps only the changed lines once it is edited.
+function attachParagraphSoftWrap(tokens, env) {
+  if (!env?.mfeSoftWrap || !Array.isArray(tokens)) return;
+  tokens.forEach((token, index) => {
+    if (token.type !== "paragraph_open") return;
+    const inline = tokens[index + 1];
+    if (inline?.type !== "inline" || !Array.isArray(inline.children)) return;
+    const softBreaks = inline.children.filter(
+      (child) => child.type === "softbreak",
+    );
+    if (softBreaks.length === 0) return;
+    softBreaks.forEach((child) => {
+      child.type = "text";
+      child.content = " ";
+    });
+    token.meta = { ...(token.meta || {}), markdownSource: inline.content };
+  });
+}
+
+const INLINE_IMAGE_TITLE_RE =
+  /!\[(?:\\.|[^\\\]])*\]\(\s*(?:<[^>\n]*>|(?:\\.|[^\s()\\])+)\s+("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\((?:\\.|[^()\\])*\))\s*\)/g;
+
+// markdown-it drops the delimiter of `![alt](src "title")` titles. Remember
+// it on the image token so the title is written back with the same quotes.
+function attachImageTitleQuotes(tokens) {
+  if (!Array.isArray(tokens) || tokens.length === 0) return;
+  tokens.forEach((token) => {
+    if (token.type !== "inline" || !Array.isArray(token.children)) return;
+    const images = token.children.filter(
+      (child) => child.type === "image" && child.attrGet("title"),
+    );
+    if (images.length === 0) return;
+
+    const titles = [];
+    INLINE_IMAGE_TITLE_RE.lastIndex = 0;
+    let match;
+    const content = token.content.replace(
+      /(?<!`)(`+)(?!`)[\s\S]*?(?<!`)\1(?!`)/g,
+      (span) => " ".repeat(span.length),
+    );
+    while ((match = INLINE_IMAGE_TITLE_RE.exec(content))) {
+      titles.push({
+        quote: match[1][0],
+        title: match[1].slice(1, -1).replace(/\\([!-/:-@[-`{-~])/g, "$1"),
+      });
+    }
+
+    let cursor = 0;
+    images.forEach((image) => {
+      const title = image.attrGet("title");
+      const index = titles.findIndex(
+        (entry, entryIndex) => entryIndex >= cursor && entry.title === title,
+      );
+      if (index < 0) return;
+      image.meta = { ...(image.meta || {}), titleQuote: titles[index].quote };
+      cursor = index + 1;
+    });
+  });
+}
+
 function wrapInlineTableCellContent(tokens) {
   if (!Array.isArray(tokens) || tokens.length === 0) return;
 
@@ -375,6 +589,393 @@ function normalizeShortTableDelimiterRows(src) {
   return lines.join("\n");
 }
 
+function splitMarkdownTableRow(line) {
+  const text = String(line || "").trim();
+  const leadingPipe = text.startsWith("|");
+  const trailingPipe =
+    text.length > 1 && text.endsWith("|") && !text.endsWith("\\|");
+  const body = text.slice(
+    leadingPipe ? 1 : 0,
+    trailingPipe ? text.length - 1 : text.length,
+  );
+
+  const cells = [];
+  let current = "";
+  for (let i = 0; i < body.length; i += 1) {
+    const char = body[i];
+    if (char === "\\" && i + 1 < body.length) {
+      current += char + body[i + 1];
+      i += 1;
+      continue;
+    }
+    if (char === "|") {
+      cells.push(current);
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  cells.push(current);
+
+  return { leadingPipe, trailingPipe, cells };
+}
+
+function getTableCellAlignFromToken(tok) {
+  const style = String(tok?.attrGet?.("style") || "");
+  const match = style.match(/text-align:\s*(left|center|right)/);
+  return match ? match[1] : null;
+}
+
+// Attach raw row/delimiter text to top-level table tokens so untouched cells
+// can be written back exactly as they were.
+function attachTableMarkdownSource(tokens, src) {
+  if (!Array.isArray(tokens) || !String(src || "").includes("|")) return;
+  const lines = String(src).split("\n");
+
+  for (let i = 0; i < tokens.length; i += 1) {
+    const tableToken = tokens[i];
+    if (tableToken.type !== "table_open" || tableToken.level !== 0) continue;
+    if (!Array.isArray(tableToken.map)) continue;
+
+    const headerRow = splitMarkdownTableRow(lines[tableToken.map[0]]);
+    const delimiterRow = splitMarkdownTableRow(lines[tableToken.map[0] + 1]);
+    tableToken.meta = {
+      ...(tableToken.meta || {}),
+      leadingPipe: headerRow.leadingPipe,
+      trailingPipe: headerRow.trailingPipe,
+    };
+
+    const closeIndex = findMatchingTokenIndex(
+      tokens,
+      i,
+      "table_open",
+      "table_close",
+    );
+    let rowCells = [];
+    let rawRow = null;
+    for (let j = i + 1; j < closeIndex; j += 1) {
+      const token = tokens[j];
+      if (token.type === "tr_open") {
+        rowCells = [];
+        rawRow = Array.isArray(token.map)
+          ? splitMarkdownTableRow(lines[token.map[0]])
+          : null;
+        continue;
+      }
+      if (token.type === "th_open" || token.type === "td_open") {
+        rowCells.push(token);
+        continue;
+      }
+      if (token.type !== "tr_close") continue;
+
+      rowCells.forEach((cellToken, index) => {
+        const hasRawCells = rawRow?.cells.length === rowCells.length;
+        const hasRawDelimiter =
+          delimiterRow.cells.length === rowCells.length &&
+          cellToken.type === "th_open";
+        cellToken.meta = {
+          ...(cellToken.meta || {}),
+          markdownSource: hasRawCells ? rawRow.cells[index] : null,
+          markdownDelimiter: hasRawDelimiter
+            ? delimiterRow.cells[index]
+            : null,
+        };
+      });
+    }
+    i = closeIndex;
+  }
+}
+
+function fingerprintMarkdownContent(node) {
+  return JSON.stringify(node.content.toJSON());
+}
+
+// Paragraphs keep their source lines only when the schema has room for them
+// (MarkdownSyntaxAttributes); otherwise soft breaks stay line breaks.
+function schemaKeepsParagraphSource(schema) {
+  return Boolean(schema?.nodes?.paragraph?.spec?.attrs?.markdownSource);
+}
+
+function withMarkdownFingerprint(node) {
+  if (node.attrs.markdownSource == null) return node;
+  return node.type.create(
+    { ...node.attrs, markdownFingerprint: fingerprintMarkdownContent(node) },
+    node.content,
+    node.marks,
+  );
+}
+
+// Cells and wrapped paragraphs remember what they looked like when parsed;
+// the serializer only reuses the raw source while the content still matches.
+function withMarkdownFingerprints(node) {
+  if (node.isTextblock) {
+    if (node.type.name !== "paragraph") return node;
+    return withMarkdownFingerprint(node);
+  }
+  if (node.childCount === 0) return node;
+  if (
+    node.type.spec.tableRole &&
+    node.type.spec.tableRole !== "table" &&
+    node.type.spec.tableRole !== "row"
+  ) {
+    return withMarkdownFingerprint(node);
+  }
+
+  let content = node.content;
+  node.forEach((child, _offset, index) => {
+    const next = withMarkdownFingerprints(child);
+    if (next !== child) content = content.replaceChild(index, next);
+  });
+  return content === node.content ? node : node.copy(content);
+}
+
+const FOOTNOTE_DEFINITION_START_RE = /^\[\^([^\]\s]+)\]:(?:[ \t]+|$)/;
+const FOOTNOTE_REFERENCE_RE = /^\[\^([^\]\s]+)\]/;
+
+function registerFootnoteRules(markdownIt) {
+  markdownIt.block.ruler.before(
+    "reference",
+    "mfe_footnote_definition",
+    (state, startLine, endLine, silent) => {
+      if (!state.env?.mfeFootnotes) return false;
+      if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+
+      const start = state.bMarks[startLine] + state.tShift[startLine];
+      const firstLine = state.src.slice(start, state.eMarks[startLine]);
+      const match = firstLine.match(FOOTNOTE_DEFINITION_START_RE);
+      if (!match) return false;
+      if (silent) return true;
+
+      const terminatorRules = state.md.block.ruler.getRules("paragraph");
+      const lines = [firstLine.slice(match[0].length)];
+      let indent = "";
+      let nextLine = startLine + 1;
+
+      for (; nextLine < endLine; nextLine += 1) {
+        if (state.isEmpty(nextLine)) break;
+        const lineIndent = state.sCount[nextLine] - state.blkIndent;
+        if (lineIndent < 4) {
+          const oldParentType = state.parentType;
+          state.parentType = "paragraph";
+          const terminated = terminatorRules.some((rule) =>
+            rule(state, nextLine, endLine, true),
+          );
+          state.parentType = oldParentType;
+          if (terminated) break;
+        }
+        const lineStart = state.bMarks[nextLine];
+        const contentStart = lineStart + state.tShift[nextLine];
+        if (lines.length === 1) {
+          indent = state.src.slice(lineStart, contentStart);
+        }
+        lines.push(state.src.slice(contentStart, state.eMarks[nextLine]));
+      }
+
+      const meta = {
+        label: match[1],
+        tight: startLine > 0 && !state.isEmpty(startLine - 1),
+        indent: lines.length > 1 ? indent : "    ",
+      };
+
+      const openToken = state.push("footnote_definition_open", "div", 1);
+      openToken.meta = meta;
+      openToken.map = [startLine, nextLine];
+
+      const inlineToken = state.push("inline", "", 0);
+      inlineToken.content = lines.join("\n").trim();
+      inlineToken.map = [startLine, nextLine];
+      inlineToken.children = [];
+
+      const closeToken = state.push("footnote_definition_close", "div", -1);
+      closeToken.meta = meta;
+
+      state.line = nextLine;
+      return true;
+    },
+    { alt: ["paragraph", "reference"] },
+  );
+
+  markdownIt.inline.ruler.after("image", "mfe_footnote_ref", (state, silent) => {
+    if (!state.env?.mfeFootnotes) return false;
+    if (state.src.charCodeAt(state.pos) !== 0x5b) return false;
+    const match = state.src.slice(state.pos).match(FOOTNOTE_REFERENCE_RE);
+    if (!match) return false;
+    if (!silent) {
+      const token = state.push("footnote_ref", "", 0);
+      token.meta = { label: match[1] };
+    }
+    state.pos += match[0].length;
+    return true;
+  });
+}
+
+export function normalizeLinkReferenceLabel(label) {
+  return String(label || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase()
+    .toUpperCase();
+}
+
+function fingerprintLinkDefinition(label, href, title) {
+  return JSON.stringify([label || "", href || "", title || ""]);
+}
+
+function findLinkLabelEnd(src, start, max) {
+  for (let pos = start; pos < max; pos += 1) {
+    const char = src[pos];
+    if (char === "\\") {
+      pos += 1;
+      continue;
+    }
+    if (char === "[") return -1;
+    if (char === "]") return pos;
+  }
+  return -1;
+}
+
+function registerLinkReferenceRules(markdownIt) {
+  markdownIt.block.ruler.before(
+    "reference",
+    "mfe_link_definition",
+    (state, startLine, _endLine, silent) => {
+      const references = state.env?.mfeLinkReferences;
+      if (!references) return false;
+      if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+
+      const src = state.src;
+      const start = state.bMarks[startLine] + state.tShift[startLine];
+      const max = state.eMarks[startLine];
+      if (src[start] !== "[" || src[start + 1] === "^") return false;
+
+      const labelEnd = findLinkLabelEnd(src, start + 1, max);
+      if (labelEnd <= start + 1 || src[labelEnd + 1] !== ":") return false;
+      const label = src.slice(start + 1, labelEnd);
+      if (!label.trim()) return false;
+
+      let pos = labelEnd + 2;
+      while (pos < max && (src[pos] === " " || src[pos] === "\t")) pos += 1;
+      const destination = state.md.helpers.parseLinkDestination(src, pos, max);
+      if (!destination.ok) return false;
+      const href = state.md.normalizeLink(destination.str);
+      if (!state.md.validateLink(href)) return false;
+      pos = destination.pos;
+
+      let title = "";
+      const titleStart = pos;
+      while (pos < max && (src[pos] === " " || src[pos] === "\t")) pos += 1;
+      if (pos < max && pos !== titleStart) {
+        const parsedTitle = state.md.helpers.parseLinkTitle(src, pos, max);
+        if (parsedTitle.ok) {
+          title = parsedTitle.str;
+          pos = parsedTitle.pos;
+        }
+      }
+      while (pos < max && (src[pos] === " " || src[pos] === "\t")) pos += 1;
+      if (pos < max) return false;
+      if (silent) return true;
+
+      const key = normalizeLinkReferenceLabel(label);
+      if (!references[key]) {
+        references[key] = { href, title };
+      }
+
+      const token = state.push("link_definition", "", 0);
+      token.block = true;
+      token.map = [startLine, startLine + 1];
+      token.meta = {
+        label,
+        href,
+        title,
+        tight: startLine > 0 && !state.isEmpty(startLine - 1),
+        markdownSource: src.slice(state.bMarks[startLine], max),
+      };
+      state.line = startLine + 1;
+      return true;
+    },
+    { alt: ["reference"] },
+  );
+
+  markdownIt.inline.ruler.before("link", "mfe_reference_link", (state, silent) => {
+    const references = state.env?.mfeLinkReferences;
+    if (!references) return false;
+    const src = state.src;
+    const start = state.pos;
+    if (src[start] !== "[" || src[start + 1] === "^") return false;
+
+    const labelEnd = state.md.helpers.parseLinkLabel(state, start, true);
+    if (labelEnd < 0) return false;
+    const text = src.slice(start + 1, labelEnd);
+
+    let pos = labelEnd + 1;
+    let reference = text;
+    let referenceStyle = "shortcut";
+    if (src[pos] === "(") return false;
+    if (src[pos] === "[") {
+      const referenceEnd = findLinkLabelEnd(src, pos + 1, state.posMax);
+      if (referenceEnd < 0) return false;
+      const raw = src.slice(pos + 1, referenceEnd);
+      referenceStyle = raw.trim() ? "full" : "collapsed";
+      reference = raw.trim() ? raw : text;
+      pos = referenceEnd + 1;
+    }
+
+    const definition = references[normalizeLinkReferenceLabel(reference)];
+    // Full references stay links even when the definition lives outside the
+    // parsed scope; shortcuts without a definition are just bracketed text.
+    if (!definition && referenceStyle !== "full") return false;
+    if (!reference.trim()) return false;
+
+    if (!silent) {
+      const oldMax = state.posMax;
+      state.pos = start + 1;
+      state.posMax = labelEnd;
+
+      const open = state.push("link_open", "a", 1);
+      open.attrs = [["href", definition?.href || ""]];
+      if (definition?.title) open.attrs.push(["title", definition.title]);
+      open.meta = { reference, referenceStyle };
+
+      state.linkLevel += 1;
+      state.md.inline.tokenize(state);
+      state.linkLevel -= 1;
+
+      state.push("link_close", "a", -1);
+      state.posMax = oldMax;
+    }
+
+    state.pos = pos;
+    return true;
+  });
+}
+
+// markdown-it reads `  \n` and `\\\n` into the same hardbreak token. This
+// rule runs first and records which one it was as the token markup.
+function tokenizeMarkedHardBreak(state, silent) {
+  const src = state.src;
+  let pos = state.pos;
+  let markup = "";
+  if (src[pos] === "\\" && src[pos + 1] === "\n" && pos + 1 < state.posMax) {
+    markup = "\\";
+    pos += 1;
+  } else if (src[pos] === "\n") {
+    let start = pos;
+    while (start > 0 && src[start - 1] === " ") start -= 1;
+    if (pos - start < 2 || !/ {2,}$/.test(state.pending)) return false;
+    markup = src.slice(start, pos);
+    if (!silent) state.pending = state.pending.replace(/ +$/, "");
+  } else {
+    return false;
+  }
+  if (!silent) {
+    state.push("hardbreak", "br", 0).markup = markup;
+  }
+  pos += 1;
+  while (pos < state.posMax && /[ \t]/.test(src[pos])) pos += 1;
+  state.pos = pos;
+  return true;
+}
+
 export function createMarkdownParser(schema) {
   // Create a fresh markdown-it instance - DO NOT mutate global state
   const markdownIt = createFreshMarkdownItInstance();
@@ -382,8 +983,14 @@ export function createMarkdownParser(schema) {
   markdownIt.parse = (src, env) => {
     const normalizedSource = normalizeShortTableDelimiterRows(src);
     const tokens = parseTokens(normalizedSource, env);
+    attachTableMarkdownSource(tokens, src);
+    attachFenceClosingMarkup(tokens, normalizedSource);
+    attachBlockSyntaxMarkup(tokens, normalizedSource);
+    attachImageTitleQuotes(tokens);
     wrapInlineTableCellContent(tokens);
     promoteTaskListTokens(tokens);
+    promoteCalloutTokens(tokens, env);
+    attachParagraphSoftWrap(tokens, env);
     return tokens;
   };
 
@@ -443,13 +1050,34 @@ export function createMarkdownParser(schema) {
     );
     markdownIt.__mfeGap = true;
   }
+  if (!markdownIt.__mfeFootnote) {
+    registerFootnoteRules(markdownIt);
+    markdownIt.__mfeFootnote = true;
+  }
+  if (!markdownIt.__mfeLinkReference) {
+    registerLinkReferenceRules(markdownIt);
+    markdownIt.__mfeLinkReference = true;
+  }
+  if (!markdownIt.__mfeHardBreak) {
+    markdownIt.inline.ruler.before(
+      "newline",
+      "mfe_hardbreak",
+      tokenizeMarkedHardBreak,
+    );
+    markdownIt.__mfeHardBreak = true;
+  }
   if (!schema.nodes.image) {
     markdownIt.disable("image");
   }
+  const hasSoftWrap = schemaKeepsParagraphSource(schema);
   const tokens = {
     ...defaultMarkdownParser.tokens,
     blockquote: { block: "blockquote" },
-    paragraph: { block: "paragraph" },
+    paragraph: {
+      block: "paragraph",
+      getAttrs: (tok) =>
+        hasSoftWrap ? { markdownSource: tok.meta?.markdownSource ?? null } : {},
+    },
     list_item: { block: "listItem" },
     bullet_list: {
       block: "bulletList",
@@ -462,7 +1090,18 @@ export function createMarkdownParser(schema) {
     },
     ordered_list: {
       block: "orderedList",
-      getAttrs: defaultMarkdownParser.tokens.ordered_list?.getAttrs,
+      getAttrs: (tok, tokens, i) => {
+        const attrs = defaultMarkdownParser.tokens.ordered_list?.getAttrs
+          ? defaultMarkdownParser.tokens.ordered_list.getAttrs(tok, tokens, i)
+          : {};
+        return {
+          ...attrs,
+          start: attrs.order ?? 1,
+          delimiter: tok.meta?.delimiter ?? null,
+          repeatNumber: Boolean(tok.meta?.repeatNumber),
+          padNumbers: tok.meta?.padNumbers ?? null,
+        };
+      },
     },
     task_list: {
       block: "taskList",
@@ -477,33 +1116,66 @@ export function createMarkdownParser(schema) {
       block: "taskItem",
       getAttrs: (tok) => ({ checked: Boolean(tok?.meta?.checked) }),
     },
-    table: { block: "table" },
+    table: {
+      block: "table",
+      getAttrs: (tok) => ({
+        leadingPipe: tok.meta?.leadingPipe ?? true,
+        trailingPipe: tok.meta?.trailingPipe ?? true,
+      }),
+    },
     thead: { ignore: true },
     tbody: { ignore: true },
     tr: { block: "tableRow" },
-    th: { block: "tableHeader" },
-    td: { block: "tableCell" },
+    th: {
+      block: "tableHeader",
+      getAttrs: (tok) => ({
+        align: getTableCellAlignFromToken(tok),
+        markdownSource: tok.meta?.markdownSource ?? null,
+        markdownDelimiter: tok.meta?.markdownDelimiter ?? null,
+      }),
+    },
+    td: {
+      block: "tableCell",
+      getAttrs: (tok) => ({
+        align: getTableCellAlignFromToken(tok),
+        markdownSource: tok.meta?.markdownSource ?? null,
+      }),
+    },
     heading: {
       block: "heading",
-      getAttrs: defaultMarkdownParser.tokens.heading?.getAttrs,
+      getAttrs: (tok) => ({
+        ...(defaultMarkdownParser.tokens.heading?.getAttrs
+          ? defaultMarkdownParser.tokens.heading.getAttrs(tok)
+          : {}),
+        setextUnderline: tok.meta?.setextUnderline ?? null,
+      }),
     },
     code_block: { block: "codeBlock", noCloseToken: true },
     fence: {
       block: "codeBlock",
       getAttrs: (tok) => {
-        const info = String(tok?.info || "").trim();
+        const info = String(tok?.info || "");
+        const trimmedInfo = info.trim();
         return {
           ...(defaultMarkdownParser.tokens.fence?.getAttrs
             ? defaultMarkdownParser.tokens.fence.getAttrs(tok)
             : {}),
           params: info || null,
-          language: info ? info.split(/\s+/, 1)[0] : null,
+          language: trimmedInfo ? trimmedInfo.split(/\s+/, 1)[0] : null,
+          fence: tok?.markup || null,
+          closingFence: tok?.meta?.closingFence ?? null,
         };
       },
       noCloseToken: true,
     },
-    hr: { node: "horizontalRule" },
-    hardbreak: { node: "hardBreak" },
+    hr: {
+      node: "horizontalRule",
+      getAttrs: (tok) => ({ markup: tok.meta?.markup ?? null }),
+    },
+    hardbreak: {
+      node: "hardBreak",
+      getAttrs: (tok) => ({ markup: tok.markup || null }),
+    },
     softbreak: { node: "hardBreak" },
     em: {
       mark: "italic",
@@ -520,9 +1192,24 @@ export function createMarkdownParser(schema) {
     s: { mark: "strike" },
     link: {
       ...defaultMarkdownParser.tokens.link,
-      getAttrs: defaultMarkdownParser.tokens.link?.getAttrs,
+      getAttrs: (tok) => {
+        const attrs = defaultMarkdownParser.tokens.link.getAttrs(tok);
+        if (!tok.meta?.reference) return attrs;
+        return {
+          ...attrs,
+          reference: tok.meta.reference,
+          referenceStyle: tok.meta.referenceStyle,
+          referenceHref: attrs.href,
+        };
+      },
+    },
+    image: {
+      ...defaultMarkdownParser.tokens.image,
+      getAttrs: (tok) => ({
+        ...defaultMarkdownParser.tokens.image.getAttrs(tok),
+        titleQuote: tok.meta?.titleQuote || null,
+      }),
     },
-    image: defaultMarkdownParser.tokens.image,
   };
 
   tokens.mfe_marker = schema.nodes.mfeMarker
@@ -571,7 +1258,70 @@ export function createMarkdownParser(schema) {
     delete tokens.s;
   }
 
-  return new MarkdownParser(schema, markdownIt, tokens);
+  const hasFootnotes = Boolean(
+    schema.nodes.footnoteReference && schema.nodes.footnoteDefinition,
+  );
+  if (hasFootnotes) {
+    tokens.footnote_definition = {
+      block: "footnoteDefinition",
+      getAttrs: (tok) => ({
+        label: tok.meta?.label || "",
+        tight: Boolean(tok.meta?.tight),
+        indent: tok.meta?.indent ?? "    ",
+      }),
+    };
+    tokens.footnote_ref = {
+      node: "footnoteReference",
+      getAttrs: (tok) => ({ label: tok.meta?.label || "" }),
+    };
+  }
+
+  const hasLinkDefinitions = Boolean(schema.nodes.linkDefinition);
+  if (hasLinkDefinitions) {
+    tokens.link_definition = {
+      node: "linkDefinition",
+      getAttrs: (tok) => ({
+        label: tok.meta?.label || "",
+        href: tok.meta?.href || "",
+        title: tok.meta?.title || "",
+        tight: Boolean(tok.meta?.tight),
+        markdownSource: tok.meta?.markdownSource ?? null,
+        markdownFingerprint: fingerprintLinkDefinition(
+          tok.meta?.label,
+          tok.meta?.href,
+          tok.meta?.title,
+        ),
+      }),
+    };
+  }
+
+  const hasCallouts = Boolean(schema.nodes.callout);
+  if (hasCallouts) {
+    tokens.callout = {
+      block: "callout",
+      getAttrs: (tok) => ({
+        type: tok.meta?.type || "NOTE",
+        marker: tok.meta?.marker ?? null,
+        tight: tok.meta?.tight !== false,
+      }),
+    };
+  }
+
+  const parser = new MarkdownParser(schema, markdownIt, tokens);
+  const parseWithEnv = parser.parse.bind(parser);
+  // The tokenizer is shared, so schema-dependent rules are switched per parse
+  // via env.
+  parser.parse = (text, env = {}) =>
+    withMarkdownFingerprints(
+      parseWithEnv(text, {
+        ...env,
+        mfeFootnotes: hasFootnotes,
+        mfeLinkReferences: hasLinkDefinitions ? {} : null,
+        mfeCallouts: hasCallouts,
+        mfeSoftWrap: hasSoftWrap,
+      }),
+    );
+  return parser;
 }
 
 export function parseMarkdownToDoc(markdown, schema) {
@@ -662,6 +1412,14 @@ function serializeImageSrc(src) {
     .replace(/\s/g, "%20");
 }
 
+// Titles keep the delimiter they were written with: "title", 'title' or
+// (title). New titles use double quotes.
+function serializeImageTitle(title, quote) {
+  if (quote === "'") return `'${title.replace(/'/g, "\\'")}'`;
+  if (quote === "(") return `(${title.replace(/([()])/g, "\\$1")})`;
+  return `"${title.replace(/"/g, '\\"')}"`;
+}
+
 function serializeLinkHref(src) {
   return String(src || "")
     .replace(/\\/g, "\\\\")
@@ -677,46 +1435,112 @@ function escapeTableCellText(value) {
     .trim();
 }
 
+function serializeMarkdownTableCellContent(state, cell) {
+  const parts = [];
+  cell.forEach((child) => {
+    if (!child.isTextblock) {
+      parts.push(child.textContent);
+      return;
+    }
+    const cellState = new MarkdownSerializerState(
+      state.nodes,
+      state.marks,
+      state.options,
+    );
+    cellState.renderInline(child, false);
+    parts.push(cellState.out);
+  });
+  return escapeTableCellText(parts.join("\n"));
+}
+
+function renderMarkdownTableCell(state, cell) {
+  if (!cell) return { text: "", source: null, width: 0 };
+  const source = cell.attrs?.markdownSource ?? null;
+  const untouched =
+    typeof source === "string" &&
+    cell.attrs.markdownFingerprint === fingerprintMarkdownContent(cell);
+  return {
+    text: untouched
+      ? source.trim()
+      : serializeMarkdownTableCellContent(state, cell),
+    source: untouched ? source : null,
+    width: typeof source === "string" ? Math.max(0, source.length - 2) : 0,
+  };
+}
+
 function computeMarkdownTableColumnWidths(rows, columnCount) {
   const widths = Array.from({ length: columnCount }, () => 3);
   rows.forEach((row) => {
     for (let i = 0; i < columnCount; i += 1) {
-      const cell = String(row?.[i] || "");
+      const cell = String(row?.[i]?.text || "");
       widths[i] = Math.max(widths[i], cell.length);
     }
   });
   return widths;
 }
 
-function formatMarkdownTableDataRow(cells, widths) {
-  const padded = cells.map((cell, index) => {
-    const value = String(cell || "");
-    const width = Number(widths?.[index] || 0);
-    return value.padEnd(width, " ");
+function joinMarkdownTableSegments(segments, pipes) {
+  const out = segments.slice();
+  const last = out.length - 1;
+  if (!pipes.leadingPipe) out[0] = out[0].trimStart();
+  if (!pipes.trailingPipe) out[last] = out[last].trimEnd();
+  return `${pipes.leadingPipe ? "|" : ""}${out.join("|")}${
+    pipes.trailingPipe ? "|" : ""
+  }`;
+}
+
+function formatMarkdownTableDataRow(cells, widths, pipes) {
+  const segments = cells.map((cell, index) => {
+    if (cell.source !== null) return cell.source;
+    const width = Math.max(
+      cell.width || Number(widths?.[index] || 0),
+      cell.text.length,
+    );
+    return ` ${cell.text.padEnd(width, " ")} `;
   });
-  return `| ${padded.join(" | ")} |`;
+  return joinMarkdownTableSegments(segments, pipes);
 }
 
-function buildMarkdownTableSeparator(widths, alignments) {
-  const segments = [];
-  for (let i = 0; i < widths.length; i += 1) {
-    const align = String(alignments[i] || "").toLowerCase();
-    const dashCount = Math.max(3, Number(widths[i] || 0));
-    if (align === "left") {
-      segments.push(`:${"-".repeat(Math.max(1, dashCount - 1))}`);
-      continue;
-    }
-    if (align === "right") {
-      segments.push(`${"-".repeat(Math.max(1, dashCount - 1))}:`);
-      continue;
+function buildMarkdownTableDelimiterCell(width, align) {
+  const dashCount = Math.max(3, Number(width || 0));
+  if (align === "left") {
+    return `:${"-".repeat(Math.max(1, dashCount - 1))}`;
+  }
+  if (align === "right") {
+    return `${"-".repeat(Math.max(1, dashCount - 1))}:`;
+  }
+  if (align === "center") {
+    return `:${"-".repeat(Math.max(1, dashCount - 2))}:`;
+  }
+  return "-".repeat(dashCount);
+}
+
+function getMarkdownTableDelimiterAlign(delimiterCell) {
+  const parsed = parseMarkdownTableDelimiterCell(delimiterCell);
+  if (!parsed) return null;
+  if (parsed.left && parsed.right) return "center";
+  if (parsed.left) return "left";
+  if (parsed.right) return "right";
+  return "";
+}
+
+function buildMarkdownTableSeparator(headerCells, widths, pipes) {
+  const segments = widths.map((width, index) => {
+    const cell = headerCells[index];
+    const align = String(
+      cell?.attrs?.align || cell?.attrs?.textAlign || "",
+    ).toLowerCase();
+    const raw = cell?.attrs?.markdownDelimiter ?? null;
+    if (typeof raw === "string" && getMarkdownTableDelimiterAlign(raw) === align) {
+      return raw;
     }
-    if (align === "center") {
-      segments.push(`:${"-".repeat(Math.max(1, dashCount - 2))}:`);
-      continue;
+    if (typeof raw === "string") {
+      const [, lead, body, trail] = raw.match(/^(\s*)(.*?)(\s*)$/);
+      return `${lead}${buildMarkdownTableDelimiterCell(body.length, align)}${trail}`;
     }
-    segments.push("-".repeat(dashCount));
-  }
-  return `| ${segments.join(" | ")} |`;
+    return ` ${buildMarkdownTableDelimiterCell(width, align)} `;
+  });
+  return joinMarkdownTableSegments(segments, pipes);
 }
 
 function writeTextPreservingFootnoteTokens(state, textValue) {
@@ -743,6 +1567,33 @@ function writeTextPreservingFootnoteTokens(state, textValue) {
   }
 }
 
+function getLinkMarkText(mark, parent, index) {
+  let text = "";
+  for (let i = index - 1; i >= 0; i -= 1) {
+    const child = parent.child(i);
+    if (!mark.isInSet(child.marks)) break;
+    text = `${child.text || ""}${text}`;
+  }
+  return text;
+}
+
+// Reference links keep their `[text][ref]` form while the link still points
+// at the definition it was parsed from.
+function getReferenceLinkClose(mark, parent, index) {
+  const reference = mark?.attrs?.reference;
+  if (!reference || mark.attrs.href !== mark.attrs.referenceHref) return "";
+  const style = mark.attrs.referenceStyle;
+  if (style === "collapsed" || style === "shortcut") {
+    const text = parent ? getLinkMarkText(mark, parent, index) : "";
+    if (
+      normalizeLinkReferenceLabel(text) === normalizeLinkReferenceLabel(reference)
+    ) {
+      return style === "collapsed" ? "][]" : "]";
+    }
+  }
+  return `][${reference}]`;
+}
+
 function deepFreeze(value) {
   if (!value || typeof value !== "object") return value;
   Object.getOwnPropertyNames(value).forEach((name) => {
@@ -766,23 +1617,83 @@ function cloneMarkSpecMap(source) {
   return out;
 }
 
+const CODE_FENCE_LINE_RE = /^ {0,3}(`{3,}|~{3,})/;
+
+// The parsed fence is reused unless the content now holds a line that would
+// close it early; then the fence grows one past the longest such run.
+function resolveCodeBlockFences(node, content) {
+  const parsedFence = String(node?.attrs?.fence || "");
+  const fence = /^(`{3,}|~{3,})$/.test(parsedFence) ? parsedFence : "```";
+  const fenceChar = fence[0];
+  let longestRun = 0;
+  content.split("\n").forEach((line) => {
+    const match = line.match(CODE_FENCE_LINE_RE);
+    if (match && match[1][0] === fenceChar) {
+      longestRun = Math.max(longestRun, match[1].length);
+    }
+  });
+  if (longestRun >= fence.length) {
+    const grown = fenceChar.repeat(longestRun + 1);
+    return { opening: grown, closing: grown };
+  }
+  const closingFence = String(node?.attrs?.closingFence || "");
+  const keepsClosing =
+    closingFence.length >= fence.length &&
+    closingFence === fenceChar.repeat(closingFence.length);
+  return { opening: fence, closing: keepsClosing ? closingFence : fence };
+}
+
+// The raw info string is written back while its first word still matches
+// the language; a changed language keeps the extras that followed it.
+function resolveCodeBlockInfo(node) {
+  const language = String(node?.attrs?.language || "").trim();
+  const params = String(node?.attrs?.params || "");
+  const trimmedParams = params.trim();
+  const parsedLanguage = trimmedParams.split(/\s+/, 1)[0] || "";
+  if (parsedLanguage === language) return params;
+  if (!language) return "";
+  return `${language}${trimmedParams.slice(parsedLanguage.length)}`;
+}
+
 const SERIALIZER_NODES_BLUEPRINT = deepFreeze({
   blockquote: defaultMarkdownSerializer.nodes.blockquote,
+  callout(state, node) {
+    const type = String(node.attrs.type || "NOTE").toUpperCase();
+    const marker = String(node.attrs.marker || "");
+    state.wrapBlock("> ", null, node, () => {
+      state.write(`[!${marker.toUpperCase() === type ? marker : type}]`);
+      if (node.attrs.tight) {
+        state.ensureNewLine();
+      } else {
+        state.closeBlock(node);
+      }
+      state.renderContent(node);
+    });
+  },
   codeBlock(state, node) {
-    const language = String(node?.attrs?.language || "").trim();
-    const params = String(node?.attrs?.params || "").trim();
-    const info = language || params;
     const content = String(node?.textContent || "").replace(/[\r\n]+$/, "");
-    state.write(`\`\`\`${info}`);
+    const { opening, closing } = resolveCodeBlockFences(node, content);
+    state.write(`${opening}${resolveCodeBlockInfo(node)}`);
     state.ensureNewLine();
     if (content) {
       state.text(content, false);
       state.ensureNewLine();
     }
-    state.write("```");
+    state.write(closing);
+    state.closeBlock(node);
+  },
+  heading(state, node) {
+    const level = Number(node.attrs.level) || 1;
+    const underline = String(node.attrs.setextUnderline || "");
+    if (!underline || level > 2 || !node.textContent.trim()) {
+      defaultMarkdownSerializer.nodes.heading(state, node);
+      return;
+    }
+    state.renderInline(node, false);
+    state.ensureNewLine();
+    state.write((level === 1 ? "=" : "-").repeat(underline.length));
     state.closeBlock(node);
   },
-  heading: defaultMarkdownSerializer.nodes.heading,
   horizontalRule: defaultMarkdownSerializer.nodes.horizontal_rule,
   bulletList(state, node) {
     const marker =
@@ -790,7 +1701,20 @@ const SERIALIZER_NODES_BLUEPRINT = deepFreeze({
       getDefaultUnorderedListMarker();
     state.renderList(node, "  ", () => `${marker} `);
   },
-  orderedList: defaultMarkdownSerializer.nodes.ordered_list,
+  orderedList(state, node) {
+    const start = Number(node.attrs.start ?? node.attrs.order ?? 1);
+    const delimiter = node.attrs.delimiter === ")" ? ")" : ".";
+    const last = node.attrs.repeatNumber ? start : start + node.childCount - 1;
+    const width = String(last).length;
+    // Lists read from markdown keep their numbers as written; new ones are
+    // right-aligned.
+    const pad = node.attrs.padNumbers ?? true;
+    state.renderList(node, " ".repeat(width + 2), (index) => {
+      const number = String(node.attrs.repeatNumber ? start : start + index);
+      const padding = pad ? " ".repeat(width - number.length) : "";
+      return `${padding}${number}${delimiter} `;
+    });
+  },
   taskList(state, node) {
     const marker =
       String(node?.attrs?.bullet || "").slice(0, 1) ||
@@ -804,61 +1728,74 @@ const SERIALIZER_NODES_BLUEPRINT = deepFreeze({
   listItem: defaultMarkdownSerializer.nodes.list_item,
   table(state, node) {
     const rows = [];
-    const alignments = [];
-
-    for (let i = 0; i < node.childCount; i += 1) {
-      const row = node.child(i);
-      if (row?.type?.name !== "tableRow") continue;
-
+    node.forEach((row) => {
+      if (row?.type?.name !== "tableRow") return;
       const cells = [];
-      for (let j = 0; j < row.childCount; j += 1) {
-        const cell = row.child(j);
-        cells.push(escapeTableCellText(cell?.textContent || ""));
-        if (i === 0) {
-          const align =
-            cell?.attrs?.align ||
-            cell?.attrs?.textAlign ||
-            cell?.attrs?.textalign;
-          alignments.push(align || "");
-        }
-      }
-
+      row.forEach((cell) => cells.push(cell));
       rows.push(cells);
-    }
+    });
 
     if (rows.length === 0) {
       state.closeBlock(node);
       return;
     }
 
-    const columnCount = rows.reduce(
-      (maxCount, row) => Math.max(maxCount, row.length),
-      0,
+    const columnCount = Math.max(
+      1,
+      rows.reduce((maxCount, row) => Math.max(maxCount, row.length), 0),
+    );
+    const renderedRows = rows.map((row) =>
+      Array.from({ length: columnCount }, (_, index) =>
+        renderMarkdownTableCell(state, row[index]),
+      ),
     );
-    const safeColumnCount = Math.max(1, columnCount);
-    const normalizedRows = rows.map((row) => {
-      const normalized = row.slice(0, safeColumnCount);
-      while (normalized.length < safeColumnCount) normalized.push("");
-      return normalized;
-    });
     const columnWidths = computeMarkdownTableColumnWidths(
-      normalizedRows,
-      safeColumnCount,
+      renderedRows,
+      columnCount,
     );
+    const pipes = {
+      leadingPipe: node.attrs?.leadingPipe ?? true,
+      trailingPipe: node.attrs?.trailingPipe ?? true,
+    };
 
-    state.write(formatMarkdownTableDataRow(normalizedRows[0], columnWidths));
+    state.write(formatMarkdownTableDataRow(renderedRows[0], columnWidths, pipes));
     state.ensureNewLine();
-    state.write(buildMarkdownTableSeparator(columnWidths, alignments));
+    state.write(buildMarkdownTableSeparator(rows[0], columnWidths, pipes));
     state.ensureNewLine();
 
-    for (let i = 1; i < normalizedRows.length; i += 1) {
-      state.write(formatMarkdownTableDataRow(normalizedRows[i], columnWidths));
+    for (let i = 1; i < renderedRows.length; i += 1) {
+      state.write(
+        formatMarkdownTableDataRow(renderedRows[i], columnWidths, pipes),
+      );
       state.ensureNewLine();
     }
 
     state.closeBlock(node);
   },
-  paragraph: defaultMarkdownSerializer.nodes.paragraph,
+  paragraph(state, node) {
+    const source = node.attrs?.markdownSource;
+    if (typeof source !== "string") {
+      defaultMarkdownSerializer.nodes.paragraph(state, node);
+      return;
+    }
+    const previousLines = source.split("\n");
+    let lines = previousLines;
+    if (node.attrs.markdownFingerprint !== fingerprintMarkdownContent(node)) {
+      const inlineState = new MarkdownSerializerState(
+        state.nodes,
+        state.marks,
+        state.options,
+      );
+      inlineState.renderInline(node);
+      lines = rewrapMarkdownParagraph(
+        inlineState.out,
+        previousLines,
+        resolveRewrapWidth(getHardWrapWidth(), previousLines, state.delim),
+      );
+    }
+    state.text(lines.join("\n"), false);
+    state.closeBlock(node);
+  },
   image(state, node) {
     const src = getSerializableImageSource(node);
     state.write(
@@ -866,7 +1803,13 @@ const SERIALIZER_NODES_BLUEPRINT = deepFreeze({
         state.esc(node.attrs.alt || "") +
         "](" +
         serializeImageSrc(src) +
-        (node.attrs.title ? ' "' + state.esc(node.attrs.title) + '"' : "") +
+        (node.attrs.title
+          ? " " +
+            serializeImageTitle(
+              state.esc(node.attrs.title),
+              node.attrs.titleQuote,
+            )
+          : "") +
         ")",
     );
   },
@@ -882,19 +1825,87 @@ const SERIALIZER_NODES_BLUEPRINT = deepFreeze({
     state.ensureNewLine();
     state.atBlockStart = true;
   },
-  hardBreak(state) {
-    state.write("\n");
+  footnoteReference(state, node) {
+    state.write(`[^${node.attrs.label || ""}]`);
+  },
+  footnoteDefinition(state, node) {
+    const label = node.attrs.label || "";
+    if (node.attrs.tight && state.closed) {
+      state.flushClose(1);
+    }
+    if (node.childCount === 0) {
+      state.write(`[^${label}]:`);
+      state.closeBlock(node);
+      return;
+    }
+    // The text follows `[^label]: ` on the same line, so it is not at the
+    // start of a line and needs no block syntax escapes.
+    state.wrapBlock(node.attrs.indent ?? "    ", `[^${label}]: `, node, () =>
+      state.renderInline(node, false),
+    );
+  },
+  linkDefinition(state, node) {
+    const { label, href, title } = node.attrs;
+    if (node.attrs.tight && state.closed) {
+      state.flushClose(1);
+    }
+    const source = node.attrs.markdownSource;
+    if (
+      typeof source === "string" &&
+      node.attrs.markdownFingerprint ===
+        fingerprintLinkDefinition(label, href, title)
+    ) {
+      state.write(source.trimStart());
+    } else {
+      const titlePart = title
+        ? ` "${String(title).replace(/"/g, '\\"')}"`
+        : "";
+      state.write(`[${label}]: ${serializeLinkHref(href)}${titlePart}`);
+    }
+    state.closeBlock(node);
+  },
+  hardBreak(state, node, parent, index) {
+    const markup = String(node?.attrs?.markup || "");
+    const isHardBreak = markup === "\\" || /^ {2,}$/.test(markup);
+    if (isHardBreak) {
+      state.write(`${markup}\n`);
+    } else if (
+      parent?.type.name === "paragraph" &&
+      schemaKeepsParagraphSource(node.type.schema)
+    ) {
+      // Paragraph soft breaks parse as spaces there, so a break added to a
+      // paragraph must be a hard one. Other textblocks keep bare newlines.
+      if (index < parent.childCount - 1) state.write("\\\n");
+    } else {
+      state.write("\n");
+    }
   },
   text(state, node) {
     writeTextPreservingFootnoteTokens(state, node?.text || "");
   },
 });
 
+function getBoldDelimiter(mark) {
+  const delimiter = String(mark?.attrs?.delimiter || "");
+  return delimiter === "__" || delimiter === "**"
+    ? delimiter
+    : getDefaultBoldDelimiter();
+}
+
+function getItalicDelimiter(mark) {
+  const delimiter = String(mark?.attrs?.delimiter || "");
+  return delimiter === "_" || delimiter === "*"
+    ? delimiter
+    : getDefaultItalicDelimiter();
+}
+
 const SERIALIZER_MARKS_BLUEPRINT = deepFreeze({
   ...cloneMarkSpecMap(defaultMarkdownSerializer.marks),
   link: {
     open: () => "[",
-    close: (state, mark) => {
+    close: (state, mark, parent, index) => {
+      const referenceClose = getReferenceLinkClose(mark, parent, index);
+      if (referenceClose) return referenceClose;
       const href = serializeLinkHref(mark?.attrs?.href || "");
       const title = String(mark?.attrs?.title || "").trim();
       const titlePart = title ? ` "${state.esc(title)}"` : "";
@@ -902,27 +1913,17 @@ const SERIALIZER_MARKS_BLUEPRINT = deepFreeze({
     },
     mixable: false,
   },
+  // Marks keep the delimiter they carry; the configured style only fills
+  // in for marks without one.
   bold: {
-    open: (_state, mark) =>
-      String(mark?.attrs?.delimiter || "") === "__"
-        ? "__"
-        : getDefaultBoldDelimiter(),
-    close: (_state, mark) =>
-      String(mark?.attrs?.delimiter || "") === "__"
-        ? "__"
-        : getDefaultBoldDelimiter(),
+    open: (_state, mark) => getBoldDelimiter(mark),
+    close: (_state, mark) => getBoldDelimiter(mark),
     mixable: true,
     expelEnclosingWhitespace: true,
   },
   italic: {
-    open: (_state, mark) =>
-      String(mark?.attrs?.delimiter || "") === "_"
-        ? "_"
-        : getDefaultItalicDelimiter(),
-    close: (_state, mark) =>
-      String(mark?.attrs?.delimiter || "") === "_"
-        ? "_"
-        : getDefaultItalicDelimiter(),
+    open: (_state, mark) => getItalicDelimiter(mark),
+    close: (_state, mark) => getItalicDelimiter(mark),
     mixable: true,
     expelEnclosingWhitespace: true,
   },
@@ -1193,6 +2194,13 @@ export function decodeMarkdownBase64(markdownB64) {
   );
 }
 
+// The stored document the page's fields belong to, as the page config
+// carries it: with its own line endings and BOM.
+export function readDocumentConfigMarkdown() {
+  const b64 = window.MarkdownFrontEditorConfig?.documentMarkdownB64 || "";
+  return b64 ? decodeMarkdownBase64(b64) : "";
+}
+
 export function decodeHtmlEntitiesInFences(markdown) {
   const parts = markdown.split(/```/);
   if (parts.length === 1) return markdown;
@@ -7,12 +7,9 @@
 
 import { Editor } from "@tiptap/core";
 import StarterKit from "@tiptap/starter-kit";
-import CodeBlockLowlight from "@tiptap/extension-code-block-lowlight";
 import TaskItem from "@tiptap/extension-task-item";
-import { Table } from "@tiptap/extension-table";
 import TableRow from "@tiptap/extension-table-row";
-import TableHeader from "@tiptap/extension-table-header";
-import TableCell from "@tiptap/extension-table-cell";
+import CodeBlockLowlight from "@tiptap/extension-code-block-lowlight";
 import { common, createLowlight } from "lowlight";
 import { createStatusManager } from "./editor-status.js";
 import {
@@ -26,6 +23,7 @@ import {
   renderMarkdownToHtml,
   parseMarkdownToDoc,
   decodeMarkdownBase64,
+  readDocumentConfigMarkdown,
   trimTrailingLineBreaks,
   getLanguagesConfig,
   fetchTranslations,
@@ -39,13 +37,22 @@ import {
   SuperscriptMark,
   SubscriptMark,
   MarkerAwareItalic,
+  MarkdownSyntaxAttributes,
   createMfeImageExtension,
   MarkerAwareBulletList,
   MarkerAwareTaskList,
   createMfeLinkExtension,
+  MarkdownTable,
+  MarkdownTableHeader,
+  MarkdownTableCell,
   createSnapshotCompareExtension,
+  createDocumentStyleExtension,
 } from "./editor-tiptap-extensions.js";
 import { createDocumentBoundaryExtension } from "./document-boundary-extension.js";
+import {
+  createAccessibilityCheckExtension,
+  resolveTemplateHeadingLevel,
+} from "./accessibility-check-extension.js";
 import {
   readDocumentBoundaryProjection,
   writeDocumentBoundaryProjection,
@@ -63,6 +70,33 @@ import {
   stripMfeMarkers,
 } from "./editor-shared-helpers.js";
 import { Marker, GapSentinel } from "./marker-extension.js";
+import { FootnoteReference, FootnoteDefinition } from "./footnote-extension.js";
+import { LinkDefinition } from "./link-reference-extension.js";
+import { createMarkdownCodeBlockExtension } from "./code-block-extension.js";
+import { SmartPasteExtension } from "./smart-paste-extension.js";
+import { getMarkdownStylePreferences } from "./markdown-style-preferences.js";
+import { createImageUploadExtension } from "./image-upload.js";
+import { openImageUsageReport } from "./image-usage-report.js";
+import {
+  LINK_AUDIT_MODES,
+  auditDocumentLinks,
+  findLinkRange,
+  isBlockingLinkIssue,
+  openLinkAuditPanel,
+} from "./link-audit.js";
+import { findMatchRange, openFindReplacePanel } from "./find-replace.js";
+import {
+  MARKDOWN_LINT_MODES,
+  createMarkdownLinter,
+  filterLintIssuesToChangedLines,
+  findLintIssueRange,
+  openMarkdownLintPanel,
+  resolveMarkdownLintRules,
+} from "./markdown-lint.js";
+import {
+  normalizeMarkdown,
+  openMarkdownNormalizePanel,
+} from "./markdown-normalize.js";
 import {
   buildContentIndex,
   getFieldsIndex,
@@ -157,6 +191,7 @@ import {
   listDocumentStates,
   emitStatesSavedBatch,
   emitDocStateLog,
+  subscribeDocStateEvents,
 } from "./document-state.js";
 import {
   buildDisplayDiffTrace,
@@ -194,6 +229,9 @@ import {
 import { applyScopedEdit, buildOutboundPayload } from "./mutation-plan.js";
 import {
   normalizeLineEndingsToLf,
+  detectMarkdownTextFormat,
+  stripMarkdownTextFormat,
+  applyOutboundMarkdownTextFormat,
   splitLeadingFrontmatter,
   hasLeadingFrontmatter,
   hasBareCarriageReturn,
@@ -238,8 +276,15 @@ import {
   toggleSplit as toggleSplitHelper,
   openImagePicker as openImagePickerHelper,
   createToolbar as createToolbarHelper,
+  getToolbarConfigButtons,
   setupKeyboardShortcuts as setupKeyboardShortcutsHelper,
 } from "./fullscreen-chrome-controls.js";
+import { createToolbarButtons } from "./editor-toolbar.js";
+import {
+  createSlashCommandExtension,
+  getSlashCommandItems,
+} from "./slash-command-menu.js";
+import { createSelectionBubbleMenuExtension } from "./selection-bubble-menu.js";
 import {
   getActiveHierarchy as getActiveHierarchyHelper,
   buildSessionScopeLens as buildSessionScopeLensHelper,
@@ -264,6 +309,8 @@ import {
   resolveContentIdForScopeMeta as resolveContentIdForScopeMetaHelper,
 } from "./fullscreen-scope-lens.js";
 
+const MarkdownCodeBlock = createMarkdownCodeBlockExtension(CodeBlockLowlight);
+
 let activeEditor = null;
 let primaryEditor = null;
 let secondaryEditor = null;
@@ -305,6 +352,14 @@ let snapshotCompareEditor = null;
 let primaryPaneEl = null;
 let rawEditorSurfaceEl = null;
 let rawEditorInstance = null;
+let findReplacePanel = null;
+let markdownLintPanel = null;
+let markdownLintStates = [];
+let markdownLintChangedOnly = false;
+let markdownLintFrame = 0;
+let unsubscribeMarkdownLint = null;
+let markdownNormalizePanel = null;
+const markdownLinter = createMarkdownLinter();
 let saveStatusEl = null;
 let refreshToolbarState = null;
 let fullscreenPaneMode = "edit";
@@ -931,6 +986,9 @@ function ingestDocumentStateMarkdown(state, markdown, context = {}) {
   const hydrated = state.hydrateFromServer(normalizedMarkdown, {
     reason: `${source}:ingest`,
     trigger,
+    textFormat:
+      context.textFormat ||
+      detectMarkdownTextFormat(rawIncomingMarkdown, state.getTextFormat()),
   });
   const frontmatterRaw =
     typeof state.getFrontmatterRaw === "function"
@@ -1330,9 +1388,7 @@ function getCurrentRawMarkdownFromState() {
   const primaryState = getPrimaryDocumentState();
   if (!primaryState) return "";
   if (isDocumentScopeActive()) {
-    return String(
-      primaryState.recomposeMarkdownForSave(primaryState.getDraft()) || "",
-    );
+    return String(primaryState.composeMarkdown(primaryState.getDraft()) || "");
   }
   return getPrimaryDisplayMarkdownFromState();
 }
@@ -1958,19 +2014,24 @@ function createSnapshotCompareEditorInstance(
       }),
       MarkerAwareBold,
       MarkerAwareItalic,
+      MarkdownSyntaxAttributes,
       MarkerAwareBulletList,
       MarkerAwareTaskList,
       TaskItem.configure({ nested: true }),
-      Table.configure({ resizable: false }),
+      MarkdownTable.configure({ resizable: false }),
       TableRow,
-      TableHeader,
-      TableCell,
+      MarkdownTableHeader,
+      MarkdownTableCell,
       UnderlineMark,
       SuperscriptMark,
       SubscriptMark,
       Marker,
       GapSentinel,
-      CodeBlockLowlight.configure({
+      FootnoteReference,
+      FootnoteDefinition,
+      LinkDefinition,
+      Callout,
+      MarkdownCodeBlock.configure({
         lowlight,
       }),
       createMfeLinkExtension(),
@@ -4045,6 +4106,21 @@ function listStatesForActiveSession(sessionId = "") {
   );
 }
 
+function getMarkdownLintConfig() {
+  const cfg = window.MarkdownFrontEditorConfig || {};
+  const mode = String(cfg.markdownLintOnSave || "warn");
+  return {
+    mode: MARKDOWN_LINT_MODES.includes(mode) ? mode : "warn",
+    rules: resolveMarkdownLintRules(cfg.markdownLintRules),
+  };
+}
+
+function getLinkAuditMode() {
+  const cfg = window.MarkdownFrontEditorConfig || {};
+  const mode = String(cfg.linkAuditOnSave || "warn");
+  return LINK_AUDIT_MODES.includes(mode) ? mode : "warn";
+}
+
 function shouldConfirmUnsavedClose() {
   const cfg = window.MarkdownFrontEditorConfig || {};
   return cfg.confirmOnUnsavedClose !== false;
@@ -4094,6 +4170,42 @@ async function keepPendingChangesBeforeSwitch() {
   return true;
 }
 
+function createToolbarButtonsForEditor(editor) {
+  return createToolbarButtons({
+    getEditor: () => editor,
+    getCurrentLanguage: () =>
+      String(activeDocumentState?.lang || getLanguagesConfig().current || ""),
+    getDocumentMarkdown: getActiveDocumentMarkdown,
+    markUserIntentToken,
+  });
+}
+
+function getActiveDocumentMarkdown() {
+  return activeDocumentState
+    ? String(activeDocumentState.getDraft() || "")
+    : null;
+}
+
+function getSlashCommandItemsForEditor(editor, query) {
+  return getSlashCommandItems({
+    buttons: createToolbarButtonsForEditor(editor),
+    configButtons: getToolbarConfigButtons(),
+    editor,
+    query,
+  });
+}
+
+// Style of the document an editor shows, for the formatting added in it: the
+// primary editor shows the active state, the split view's secondary editor
+// the state of its own language.
+function getDocumentStylePreferencesForEditor(editor) {
+  const state =
+    editor && editor === secondaryEditor && secondaryLang
+      ? resolveDocumentStateForActiveField(secondaryLang)
+      : activeDocumentState;
+  return state?.getStylePreferences() || null;
+}
+
 function createEditorInstance(element, fieldType, fieldName) {
   const restrictToSingleBlock = shouldWarnForExtraContent(fieldType, fieldName);
   const starterKitOptions = {
@@ -4109,7 +4221,9 @@ function createEditorInstance(element, fieldType, fieldName) {
   const SingleBlockEnterToastExtension = createSingleBlockEnterToastExtension(
     (message, options) => statusManager.setError(message, options),
   );
-  const ImageExtension = createMfeImageExtension(getImageBaseUrl);
+  const ImageExtension = createMfeImageExtension(getImageBaseUrl, {
+    markUserIntentToken,
+  });
   const LinkExtension = createMfeLinkExtension();
   const DocumentBoundaryExtension = createDocumentBoundaryExtension(
     () => editorViewMode,
@@ -4120,26 +4234,50 @@ function createEditorInstance(element, fieldType, fieldName) {
       StarterKit.configure(starterKitOptions),
       MarkerAwareBold,
       MarkerAwareItalic,
+      MarkdownSyntaxAttributes,
       MarkerAwareBulletList,
       MarkerAwareTaskList,
       TaskItem.configure({ nested: true }),
-      Table.configure({ resizable: false }),
+      MarkdownTable.configure({ resizable: false }),
       TableRow,
-      TableHeader,
-      TableCell,
+      MarkdownTableHeader,
+      MarkdownTableCell,
       ...(restrictToSingleBlock ? [SingleBlockDocumentExtension] : []),
       UnderlineMark,
       SuperscriptMark,
       SubscriptMark,
       Marker,
       GapSentinel,
-      CodeBlockLowlight.configure({
+      FootnoteReference,
+      FootnoteDefinition,
+      LinkDefinition,
+      Callout,
+      MarkdownCodeBlock.configure({
         lowlight,
       }),
       LinkExtension,
       ImageExtension,
       InlineHtmlLabelExtension,
+      createDocumentStyleExtension(() =>
+        getDocumentStylePreferencesForEditor(editor),
+      ),
+      createAccessibilityCheckExtension(() => ({
+        baseHeadingLevel: isDocumentScopeActive()
+          ? 0
+          : resolveTemplateHeadingLevel(activeTarget),
+      })),
       DocumentBoundaryExtension,
+      createImageUploadExtension({ markUserIntentToken }),
+      SmartPasteExtension,
+      createSlashCommandExtension({
+        getItems: (query, slashEditor) =>
+          getSlashCommandItemsForEditor(slashEditor, query),
+        markUserIntentToken,
+      }),
+      createSelectionBubbleMenuExtension({
+        getButtons: createToolbarButtonsForEditor,
+        getConfigButtons: getToolbarConfigButtons,
+      }),
       ...(restrictToSingleBlock ? [SingleBlockEnterToastExtension] : []),
       HeadingSingleLineExtension,
       createTransactionGuardExtension({
@@ -4397,7 +4535,7 @@ function createEditorInstance(element, fieldType, fieldName) {
   return editor;
 }
 
-function saveAllEditorsNow() {
+function saveAllEditorsNow(options = {}) {
   if (isReadOnlySyntheticSectionScope() && !isRawSurfaceActive()) {
     debugWarn(
       "[mfe:save] blocked read-only synthetic section scope",
@@ -4703,6 +4841,62 @@ function saveAllEditorsNow() {
     return pendingSavePromise;
   }
 
+  const markdownLintMode = getMarkdownLintConfig().mode;
+  if (markdownLintMode !== "off" && !options.lintDone) {
+    const proceed = lintBeforeSave(saveCandidates, {
+      blocking: markdownLintMode === "block",
+    });
+    return proceed
+      ? saveAllEditorsNow({ ...options, lintDone: true })
+      : Promise.resolve(false);
+  }
+
+  const linkAuditMode = getLinkAuditMode();
+  if (linkAuditMode !== "off" && !options.linkAuditDone) {
+    // Pending before the audit round-trip, so a second save request joins
+    // this one instead of starting another audit.
+    const clearPendingLinkAudit = () => {
+      if (pendingSavePromise !== auditRun) return;
+      traceStateMutation({
+        reason: "saveAllEditors:clearPendingLinkAudit",
+        trigger: "save-commit",
+        mutate: () => {
+          pendingSavePromise = null;
+        },
+      });
+    };
+    const auditRun = auditLinksBeforeSave(saveCandidates, {
+      blocking: linkAuditMode === "block",
+      currentLang,
+    })
+      .then(async (audit) => {
+        if (!audit.proceed) return false;
+        clearPendingLinkAudit();
+        const saved = await saveAllEditorsNow({
+          ...options,
+          linkAuditDone: true,
+        });
+        if (audit.issues.length > 0) {
+          openLinkAuditPanel({
+            issues: audit.issues,
+            saved: Boolean(saved),
+            currentLang,
+            onJump: jumpToMarkdownLink,
+          });
+        }
+        return saved;
+      })
+      .finally(clearPendingLinkAudit);
+    traceStateMutation({
+      reason: "saveAllEditors:setPendingLinkAudit",
+      trigger: "save-commit",
+      mutate: () => {
+        pendingSavePromise = auditRun;
+      },
+    });
+    return auditRun;
+  }
+
   traceStateMutation({
     reason: "saveAllEditors:processing",
     trigger: "save-commit",
@@ -4914,7 +5108,7 @@ function saveAllEditorsNow() {
       let finalCanonicalMarkdown = "";
       let finalCanonicalBody = stateDraftMarkdown;
       let saveMode = "structural-mutation";
-      const canonicalBefore = state.recomposeMarkdownForSave(
+      const canonicalBefore = state.composeMarkdown(
         state.getPersistedMarkdown(),
       );
       const splitBefore = splitLeadingFrontmatter(canonicalBefore);
@@ -5435,7 +5629,7 @@ function saveAllEditorsNow() {
             pipelineInvariant.error || "[mfe] save-pipeline invariant failure",
           );
         }
-        const preSavePersistedMarkdown = state.recomposeMarkdownForSave(
+        const preSavePersistedMarkdown = state.composeMarkdown(
           state.getPersistedMarkdown(),
         );
         const preSavePersistedSplit = splitLeadingFrontmatter(
@@ -5453,7 +5647,11 @@ function saveAllEditorsNow() {
           state.payloadMeta.pageId || "0",
           saveMdName,
           state.lang,
-          outboundMarkdownForSave,
+          applyOutboundMarkdownTextFormat(
+            outboundMarkdownForSave,
+            state.getTextFormat(),
+            isDocumentSaveScope ? "document" : saveScope,
+          ),
           isDocumentSaveScope ? "document" : saveScope,
           saveMdSection,
           saveMdSubsection,
@@ -5492,9 +5690,35 @@ function saveAllEditorsNow() {
             scopeKind: saveScope,
           },
         );
-        const persistedSplit = splitLeadingFrontmatter(
+        const persistedPlainMarkdown = stripMarkdownTextFormat(
           persistedMarkdownReadback,
         );
+        // The readback must carry the document's own line endings and BOM;
+        // a backend that folds or mixes them is reported, not hidden.
+        const textFormatReadback = persistedMarkdownReadback
+          ? classifyReadbackMismatch(
+              persistedPlainMarkdown,
+              persistedMarkdownReadback,
+              state.getTextFormat(),
+            )
+          : null;
+        if (textFormatReadback && textFormatReadback.className !== "exact") {
+          emitDocStateLog("SAVE_READBACK_TEXT_FORMAT_DRIFT", {
+            stateId: state.id,
+            language: state.lang,
+            originKey: state.originKey,
+            currentScope: saveScope,
+            reason: "saveAllEditors:readbackTextFormat",
+            trigger: "save-commit",
+            expected: state.getTextFormat(),
+            persisted: detectMarkdownTextFormat(persistedMarkdownReadback),
+          });
+          debugWarn("[mfe:save] backend changed line endings or BOM", {
+            stateId: state.id,
+            language: state.lang,
+          });
+        }
+        const persistedSplit = splitLeadingFrontmatter(persistedPlainMarkdown);
         const readbackScopeMeta = {
           scopeKind: saveScope,
           section: saveMdSection,
@@ -6229,6 +6453,395 @@ function saveAllEditorsNow() {
   return pendingSavePromise;
 }
 
+// Checks the links of the states about to be saved. Resolves to
+// { proceed, issues }: blocking mode with broken links shows them and stops
+// the save, otherwise the caller lists `issues` once the save is done. A
+// failing check never stops the save.
+function auditLinksBeforeSave(saveCandidates, { blocking, currentLang }) {
+  const drafts = saveCandidates.map((state) => ({
+    lang: normalizeLangValue(state.lang),
+    markdown: String(state.getDraft() || ""),
+  }));
+  return auditDocumentLinks({ drafts, baseUrl: window.location.href })
+    .then((issues) => {
+      const blockingCount = issues.filter(isBlockingLinkIssue).length;
+      if (!blocking || blockingCount === 0) return { proceed: true, issues };
+      statusManager.setError(`Not saved: ${blockingCount} broken link(s)`);
+      openLinkAuditPanel({
+        issues,
+        blocking: true,
+        currentLang,
+        onJump: jumpToMarkdownLink,
+      });
+      return { proceed: false, issues };
+    })
+    .catch((error) => {
+      debugWarn("[mfe:save] link audit failed", error?.message || error);
+      return { proceed: true, issues: [] };
+    });
+}
+
+function isLensScopeOpen(scope) {
+  if (!scope) return isDocumentScopeActive();
+  return (
+    normalizeScopeKind(activeFieldScope || "field") === scope.kind &&
+    String(activeFieldName || "") === scope.name &&
+    (!activeFieldSection ||
+      scope.kind === "section" ||
+      activeFieldSection === scope.section)
+  );
+}
+
+// Opens the scope of a structural marker ({ kind, section, subsection, name })
+// through the session scope lens, or the document view without one, and
+// calls `onOpen` once the open has finished and the primary editor shows it.
+function openLensScopeThen(scope, onOpen) {
+  const isOpen = () => isLensScopeOpen(scope) || isDocumentScopeActive();
+  if (isOpen()) {
+    onOpen();
+    return;
+  }
+  const lensNode = scope
+    ? resolveLensNodeForBreadcrumb({
+        type: scope.kind,
+        section: scope.section,
+        subsection: scope.subsection,
+        name: scope.name,
+      })
+    : null;
+  const opened = lensNode
+    ? openFullscreenEditorForElement(buildVirtualTargetFromLensNode(lensNode))
+    : openDocumentOutlineView();
+  opened.then(() => {
+    if (primaryEditor && isOpen()) onOpen();
+  });
+}
+
+function jumpToMarkdownLink(link) {
+  openLensScopeThen(link.scope, () => {
+    if (!primaryEditor || isRawSurfaceActive()) return;
+    const range = findLinkRange(
+      primaryEditor.state.doc,
+      link.href,
+      isDocumentScopeActive() ? link.index : link.scopeIndex,
+    );
+    if (!range) return;
+    primaryEditor
+      .chain()
+      .focus()
+      .setTextSelection(range)
+      .scrollIntoView()
+      .run();
+  });
+}
+
+// Reseeds the visible surface after the primary draft changed outside the
+// editor, the same way the editor is seeded when a scope opens.
+function reseedPrimarySurfaceFromState(reason) {
+  const state = getPrimaryDocumentState();
+  if (!state) return;
+  if (isRawSurfaceActive()) {
+    syncRawTextareaFromCanonical({ preserveSelection: true });
+    return;
+  }
+  if (!primaryEditor || isReadOnlySyntheticSectionScope()) return;
+  const applyScopeMeta = captureExplicitApplyScopeMeta(reason);
+  const canonicalSession = setCanonicalMutationSessionForState(
+    state.id,
+    String(state.getDraft() || ""),
+    buildCanonicalSessionScopeMeta({
+      scopeKind: applyScopeMeta.scopeKind || activeFieldScope || "field",
+      section: applyScopeMeta.section || activeFieldSection || "",
+      subsection: applyScopeMeta.subsection || activeFieldSubsection || "",
+      name: applyScopeMeta.name || activeFieldName || "",
+    }),
+  );
+  activeDisplayMarkdown = getPrimaryDisplayMarkdownFromState();
+  setPrimaryEditorMarkdown(
+    canonicalSession
+      ? String(canonicalSession.projection?.displayText || "")
+      : activeDisplayMarkdown,
+  );
+  if (canonicalSession) {
+    syncCanonicalProjectionRuntimeForEditor(
+      state.id,
+      primaryEditor,
+      String(getMarkdownFromEditor(primaryEditor) || ""),
+    );
+    performCanonicalSeedNormalizationHandshake(state.id, primaryEditor);
+  }
+}
+
+// Stores a find/replace result as a draft edit of `lang` (the current
+// language by default); saveAllEditors saves it with the other drafts.
+function applyFindReplaceDraft(nextDraft, lang = "") {
+  const currentLang = normalizeLangValue(getLanguagesConfig().current);
+  const targetLang = normalizeLangValue(lang || currentLang);
+  const state =
+    targetLang === currentLang
+      ? getPrimaryDocumentState()
+      : getStateForLanguage(targetLang);
+  if (!state || pendingSavePromise) return false;
+  const reason = "findReplace:apply";
+  let changed = false;
+  traceStateMutation({
+    reason,
+    trigger: "user-edit",
+    mutate: () => {
+      changed = state.setDraft(nextDraft, {
+        reason,
+        trigger: "user-command",
+      });
+    },
+  });
+  if (!changed) return false;
+  if (targetLang === currentLang) {
+    reseedPrimarySurfaceFromState(reason);
+  } else if (
+    secondaryEditor &&
+    normalizeLangValue(secondaryLang) === targetLang
+  ) {
+    setSecondaryLanguage(secondaryLang);
+  }
+  if (activeFieldId) {
+    statusManager.markDirty(activeFieldId);
+  }
+  return true;
+}
+
+function jumpToFindMatch(match) {
+  openLensScopeThen(match.scope, () => {
+    const index = isDocumentScopeActive() ? match.index : match.scopeIndex;
+    if (isRawSurfaceActive()) {
+      const raw = getRawEditorValue();
+      let at = -1;
+      for (let seen = 0; seen <= index; seen += 1) {
+        at = raw.indexOf(match.text, at + 1);
+        if (at < 0) return;
+      }
+      rawEditorInstance?.setSelection(at, at + match.text.length, {
+        scrollIntoView: true,
+      });
+      rawEditorInstance?.focus();
+      return;
+    }
+    if (!primaryEditor) return;
+    const { schema } = primaryEditor;
+    const range = findMatchRange(primaryEditor.state.doc, match, {
+      markdown: String(getPrimaryDocumentState()?.getDraft() || ""),
+      parse: (markdown) => parseMarkdownToDoc(markdown, schema),
+      documentScope: isDocumentScopeActive(),
+    });
+    if (!range) return;
+    primaryEditor
+      .chain()
+      .focus()
+      .setTextSelection(range)
+      .scrollIntoView()
+      .run();
+  });
+}
+
+// Searches the whole draft of the current language, not only the scope in
+// the editor, or every language of the session. The selected text, if any,
+// is the initial query.
+function openFindReplaceForDocument() {
+  findReplacePanel?.close();
+  let initialQuery = "";
+  if (isRichSurfaceActive() && primaryEditor) {
+    const { from, to } = primaryEditor.state.selection;
+    initialQuery = primaryEditor.state.doc.textBetween(from, to, "\n");
+  } else if (isRawSurfaceActive() && rawEditorInstance) {
+    const { from, to } = rawEditorInstance.getSelection();
+    initialQuery = getRawEditorValue().slice(from, to);
+  }
+  const currentLang = normalizeLangValue(getLanguagesConfig().current);
+  findReplacePanel = openFindReplacePanel({
+    getMarkdown: () => String(getPrimaryDocumentState()?.getDraft() || ""),
+    applyMarkdown: (next) => applyFindReplaceDraft(next),
+    onJump: jumpToFindMatch,
+    currentLang,
+    getLanguageDrafts: () =>
+      listStatesForActiveSession().map((state) => ({
+        lang: normalizeLangValue(state.lang),
+        markdown: String(state.getDraft() || ""),
+      })),
+    hydrateLanguages: () => hydrateTranslationsForActiveScope("findReplace"),
+    applyLanguageMarkdown: (lang, next) => applyFindReplaceDraft(next, lang),
+    onClose: () => {
+      findReplacePanel = null;
+    },
+    initialQuery: initialQuery.includes("\n") ? "" : initialQuery,
+  });
+}
+
+// `changedOnly` keeps the issues on lines the draft changed since the
+// last save.
+function lintDocumentStates(states, { changedOnly = false } = {}) {
+  const { rules } = getMarkdownLintConfig();
+  return states.flatMap((state) => {
+    const draft = String(state.getDraft() || "");
+    const issues = markdownLinter.lint(draft, { rules });
+    return (
+      changedOnly
+        ? filterLintIssuesToChangedLines(
+            issues,
+            String(state.getPersistedMarkdown() || ""),
+            draft,
+          )
+        : issues
+    ).map((issue) => ({ ...issue, lang: normalizeLangValue(state.lang) }));
+  });
+}
+
+// Lists the lint issues of `states` next to the editor and re-lints them
+// after every draft update while the panel is open.
+function showMarkdownLintPanel(
+  states,
+  { blocking = false, changedOnly = false } = {},
+) {
+  markdownLintStates = states;
+  markdownLintChangedOnly = changedOnly;
+  const issues = lintDocumentStates(states, { changedOnly });
+  if (markdownLintPanel) {
+    markdownLintPanel.update(issues, { blocking });
+    return issues;
+  }
+  markdownLintPanel = openMarkdownLintPanel({
+    issues,
+    blocking,
+    currentLang: normalizeLangValue(getLanguagesConfig().current),
+    onJump: jumpToLintIssue,
+    onClose: () => {
+      unsubscribeMarkdownLint?.();
+      unsubscribeMarkdownLint = null;
+      if (markdownLintFrame) window.cancelAnimationFrame(markdownLintFrame);
+      markdownLintFrame = 0;
+      markdownLintStates = [];
+      markdownLintChangedOnly = false;
+      markdownLintPanel = null;
+    },
+  });
+  unsubscribeMarkdownLint = subscribeDocStateEvents((event) => {
+    if (event.type !== "STATE_UPDATED" || markdownLintFrame) return;
+    if (!markdownLintStates.some((state) => state.id === event.stateId)) {
+      return;
+    }
+    markdownLintFrame = window.requestAnimationFrame(() => {
+      markdownLintFrame = 0;
+      markdownLintPanel?.update(
+        lintDocumentStates(markdownLintStates, {
+          changedOnly: markdownLintChangedOnly,
+        }),
+      );
+    });
+  });
+  return issues;
+}
+
+function openMarkdownLintForDocument() {
+  const state = getPrimaryDocumentState();
+  if (!state) return;
+  showMarkdownLintPanel([state]);
+}
+
+// Lints the lines changed in the states about to be saved. Returns false
+// when blocking mode found issues; warn mode lists them and saves.
+function lintBeforeSave(saveCandidates, { blocking }) {
+  const issues = lintDocumentStates(saveCandidates, { changedOnly: true });
+  if (issues.length === 0) return true;
+  if (blocking) {
+    statusManager.setError(`Not saved: ${issues.length} lint issue(s)`);
+  }
+  showMarkdownLintPanel(saveCandidates, { blocking, changedOnly: true });
+  return !blocking;
+}
+
+function jumpToLintIssue(issue) {
+  openLensScopeThen(issue.scope, () => {
+    if (isRawSurfaceActive()) {
+      const raw = getRawEditorValue();
+      const line = isDocumentScopeActive() ? issue.line : issue.scopeLine;
+      let from = 0;
+      for (let seen = 1; seen < line; seen += 1) {
+        from = raw.indexOf("\n", from) + 1;
+        if (from <= 0) return;
+      }
+      const end = raw.indexOf("\n", from);
+      rawEditorInstance?.setSelection(from, end < 0 ? raw.length : end, {
+        scrollIntoView: true,
+      });
+      rawEditorInstance?.focus();
+      return;
+    }
+    if (!primaryEditor) return;
+    const range = findLintIssueRange(
+      primaryEditor.state.doc,
+      isDocumentScopeActive() ? issue.blockIndex : issue.scopeBlockIndex,
+      issue.needle,
+    );
+    if (!range) return;
+    primaryEditor
+      .chain()
+      .focus()
+      .setTextSelection(range)
+      .scrollIntoView()
+      .run();
+  });
+}
+
+function readMarkdownNormalizeSource() {
+  return isRawSurfaceActive()
+    ? getRawEditorValue()
+    : getPrimaryDisplayMarkdownFromState();
+}
+
+// Previews the draft of the scope in the editor (the whole document in
+// document view) normalized to the configured style. Apply replaces it as
+// one edit of the visible surface, so a single undo reverts it.
+function openMarkdownNormalizeForScope() {
+  markdownNormalizePanel?.close();
+  if (!primaryEditor || isReadOnlySyntheticSectionScope()) return;
+  const before = readMarkdownNormalizeSource();
+  markdownNormalizePanel = openMarkdownNormalizePanel({
+    before,
+    after: normalizeMarkdown(
+      before,
+      primaryEditor.schema,
+      getMarkdownStylePreferences(),
+    ),
+    onApply: (after) => applyNormalizedMarkdown(before, after),
+    onClose: () => {
+      markdownNormalizePanel = null;
+    },
+  });
+}
+
+function applyNormalizedMarkdown(before, after) {
+  if (!primaryEditor || pendingSavePromise) return false;
+  if (readMarkdownNormalizeSource() !== before) {
+    statusManager.setError("Draft changed since the preview; normalize again");
+    return false;
+  }
+  if (isRawSurfaceActive()) {
+    rawEditorInstance?.replaceValue(after);
+    return true;
+  }
+  const doc = parseMarkdownToDoc(
+    preparePrimaryEditorMarkdown(after, "normalize:apply"),
+    primaryEditor.schema,
+  );
+  markUserIntentToken("normalize");
+  primaryEditor.view.dispatch(
+    primaryEditor.state.tr.replaceWith(
+      0,
+      primaryEditor.state.doc.content.size,
+      doc.content,
+    ),
+  );
+  return true;
+}
+
 function saveAllEditors() {
   if (transitionInFlight || fullscreenTransitionQueue.length > 0) {
     emitDocStateLog("MFE_SAVE_QUEUED_FOR_TRANSITION", {
@@ -6576,8 +7189,9 @@ function toggleOutlineView() {
   applyEditorViewMode(enable ? "document" : "scoped");
 }
 
+// Resolves once the document view has been opened, or the open stopped.
 function openDocumentFromBreadcrumbPath() {
-  if (!activeTarget) return;
+  if (!activeTarget) return Promise.resolve();
   const pageId = activeTarget.getAttribute("data-page") || "0";
   const canonicalState = getCanonicalMarkdownState();
   const canonicalMarkdown = String(canonicalState?.markdown || "");
@@ -6587,19 +7201,35 @@ function openDocumentFromBreadcrumbPath() {
     markdown,
     originKey: String(activeOriginFieldKey || activeOriginKey || ""),
   });
-  openFullscreenEditorForElement(virtual);
+  return openFullscreenEditorForElement(virtual);
 }
 
 function openDocumentOutlineView() {
   outlinePersistForSession = true;
   applyEditorViewMode("document");
-  if (isDocumentScopeActive()) return;
+  if (isDocumentScopeActive()) return Promise.resolve();
   scopedModeTarget = activeTarget || null;
   scopedModeMarkdown = primaryEditor
     ? getMarkdownFromEditor(primaryEditor)
     : "";
-  openDocumentFromBreadcrumbPath();
+  const opened = openDocumentFromBreadcrumbPath();
   afterNextPaint(() => applyEditorViewMode("document"));
+  return opened;
+}
+
+// Reads every language draft of the document session; other languages are
+// hydrated first, which leaves drafts with unsaved edits untouched.
+function openImageUsageReportForDocument() {
+  if (!isDocumentScopeActive()) return;
+  openImageUsageReport({
+    getDrafts: () =>
+      hydrateTranslationsForActiveScope("imageUsage").then(() =>
+        listStatesForActiveSession().map((state) => ({
+          lang: normalizeLangValue(state.lang),
+          markdown: String(state.getDraft() || ""),
+        })),
+      ),
+  });
 }
 
 function normalizeLangValue(value) {
@@ -7640,6 +8270,9 @@ function cleanupEditorOnly() {
   rawEditorSurfaceEl = null;
   rawEditorInstance?.destroy?.();
   rawEditorInstance = null;
+  findReplacePanel?.close();
+  markdownLintPanel?.close();
+  markdownNormalizePanel?.close();
   splitPane = null;
   splitRegion = null;
   splitHandle = null;
@@ -7728,6 +8361,7 @@ function openImagePicker(initialData = null, imagePos = null) {
     resolveDocumentStateForActiveField,
     getMarkdownFromEditor,
     applyMarkdownToStateForReferenceScope,
+    readScopeSliceForScopeMeta,
     normalizeComparableMarkdown,
     getDocumentConfigMarkdownRaw,
     getActiveScopedHtmlKey,
@@ -7760,9 +8394,21 @@ function createToolbar() {
     "ul",
     "ol",
     "blockquote",
+    "callout",
+    "hr",
     "link",
     "unlink",
     "image",
+    "linkrefs",
+    "footnote",
+    "table",
+    "addrow",
+    "delrow",
+    "addcol",
+    "delcol",
+    "alignleft",
+    "aligncenter",
+    "alignright",
     "clear",
     "split",
     "document",
@@ -7772,6 +8418,7 @@ function createToolbar() {
     getActiveEditor: () => (isRichSurfaceActive() ? activeEditor : null),
     getCurrentLanguage: () =>
       String(activeDocumentState?.lang || getLanguagesConfig().current || ""),
+    getDocumentMarkdown: getActiveDocumentMarkdown,
     markUserIntentToken,
     saveAllEditors,
     toggleMarkdownView: () => {
@@ -7790,10 +8437,15 @@ function createToolbar() {
     isDocumentScopeActive,
     isOutlineViewActive,
     toggleOutlineView,
+    openImageUsageReport: openImageUsageReportForDocument,
+    openFindReplace: openFindReplaceForDocument,
+    openMarkdownLint: openMarkdownLintForDocument,
+    openMarkdownNormalize: openMarkdownNormalizeForScope,
     isButtonDisabled: (key) => {
       if (isRawSurfaceActive() && rawBlockedKeys.has(String(key || ""))) {
         return true;
       }
+      if (key === "images" && !isDocumentScopeActive()) return true;
       if (fullscreenPaneMode !== "history") return false;
       return String(key || "") !== "history";
     },
@@ -7826,7 +8478,10 @@ function setupKeyboardShortcuts() {
     isEditingShortcutEnabled: () => fullscreenPaneMode !== "history",
     getCurrentLanguage: () =>
       String(activeDocumentState?.lang || getLanguagesConfig().current || ""),
+    getDocumentMarkdown: getActiveDocumentMarkdown,
+    markUserIntentToken,
     saveAllEditors,
+    openFindReplace: openFindReplaceForDocument,
   });
 }
 
@@ -8908,8 +9563,7 @@ function getDocumentConfigMarkdown() {
 }
 
 function getDocumentConfigMarkdownRaw() {
-  const b64 = window.MarkdownFrontEditorConfig?.documentMarkdownB64 || "";
-  return normalizeCanonicalMarkdownForIngress(decodeMaybeB64(b64), {
+  return normalizeCanonicalMarkdownForIngress(readDocumentConfigMarkdown(), {
     enforceDocumentBodyLeadingBreakPolicy: true,
   });
 }
@@ -8918,6 +9572,12 @@ function getDocumentSourceMarkdown() {
   return getDocumentConfigMarkdownRaw();
 }
 
+// getDocumentConfigMarkdownRaw folds line endings; this reads the ones the
+// stored document actually uses.
+function getDocumentConfigTextFormat() {
+  return detectMarkdownTextFormat(readDocumentConfigMarkdown());
+}
+
 function refreshEditorDecorations(editor) {
   if (!editor?.view?.dispatch || !editor?.state?.tr) return;
   const tr = editor.state.tr.setMeta("mfe-document-mode-refresh", Date.now());
@@ -8933,17 +9593,24 @@ function updateDocumentModeBodyClass() {
   setDocumentModeShellOpen(isOutlineViewActive());
 }
 
-function setPrimaryEditorMarkdown(markdown) {
-  if (!primaryEditor) return;
+function preparePrimaryEditorMarkdown(markdown, source) {
   const text = enforceBodyOnlyEditorInput(
     typeof markdown === "string" ? markdown : "",
     {
-      source: "setPrimaryEditorMarkdown",
+      source,
       lang: getLanguagesConfig().current,
       scope: activeFieldScope || "field",
     },
   );
-  const sanitizedText = sanitizeEditorMarkdownForScope(text, activeFieldScope);
+  return sanitizeEditorMarkdownForScope(text, activeFieldScope);
+}
+
+function setPrimaryEditorMarkdown(markdown) {
+  if (!primaryEditor) return;
+  const sanitizedText = preparePrimaryEditorMarkdown(
+    markdown,
+    "setPrimaryEditorMarkdown",
+  );
   const selection = primaryEditor.state.selection;
   runWithoutDirtyTracking(() => {
     try {
@@ -8991,9 +9658,7 @@ function getCanonicalMarkdownState() {
   const currentLang = normalizeLangValue(getLanguagesConfig().current);
   const currentState = getStateForLanguage(currentLang) || activeDocumentState;
   const documentDraft = currentState
-    ? String(
-        currentState.recomposeMarkdownForSave(currentState.getDraft()) || "",
-      )
+    ? String(currentState.composeMarkdown(currentState.getDraft()) || "")
     : "";
   const configDocument = getDocumentConfigMarkdownRaw();
   const scopedDraftEntries = [];
@@ -9285,6 +9950,10 @@ function applyActivePayloadState(payload, options) {
             lang: currentLang,
             source: ingestSource,
             trigger: "system-rehydrate",
+            textFormat: detectMarkdownTextFormat(
+              canonicalMarkdownRaw,
+              getDocumentConfigTextFormat(),
+            ),
           },
         );
       }
@@ -9800,6 +10469,7 @@ function replaceActiveEditorNow(payload) {
     const doc = parseMarkdownToDoc(cleanContent || "", primaryEditor.schema);
     primaryEditor.commands.setContent(doc.toJSON(), false);
   });
+  primaryEditor.commands.refreshAccessibilityCheck();
   if (!syntheticSectionPreviewHtml && activeDocumentState) {
     const canonicalStateId = String(activeDocumentState.id || "");
     const seededBuffer = String(getMarkdownFromEditor(primaryEditor) || "");
@@ -9889,12 +10559,14 @@ function resolveHostImageSrc(host, src) {
   return `${normalizedBase}${value.replace(/^\/+/, "")}`;
 }
 
+// Resolves once the editor for `target` is open, or the open stopped
+// (no payload, or the pending changes were not kept).
 function openFullscreenEditorForElement(target) {
   normalizeFieldHostIdentity(document);
   const payloadMeta = getPayloadFromElement(target);
-  if (!payloadMeta) return;
+  if (!payloadMeta) return Promise.resolve();
 
-  void withLock("fullscreen:open-target", async () => {
+  return withLock("fullscreen:open-target", async () => {
     const requestedOriginKey = resolveRequestedOriginKeyPure(payloadMeta, {
       fallbackFieldId: buildPayloadFieldId(payloadMeta),
     });
@@ -9965,8 +10637,6 @@ function openFullscreenEditorForElement(target) {
   }).catch((error) => {
     debugWarn("[mfe] fullscreen open lock failed", String(error || ""));
   });
-
-  return true;
 }
 
 function recompileMountGraph() {
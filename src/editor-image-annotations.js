@@ -48,7 +48,9 @@ function getImageMatchKey(src) {
 }
 
 function extractMarkdownImageSrc(markdown) {
-  const m = (markdown || "").match(/!\[[^\]]*\]\(([^)\s]+)(?:\s+"[^"]*")?\)/);
+  const m = (markdown || "").match(
+    /!\[[^\]]*\]\(([^)\s]+)(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\)/,
+  );
   return m?.[1] || "";
 }
 
@@ -1,12 +1,9 @@
 import { Editor, Extension } from "@tiptap/core";
 import StarterKit from "@tiptap/starter-kit";
-import CodeBlockLowlight from "@tiptap/extension-code-block-lowlight";
 import TaskList from "@tiptap/extension-task-list";
 import TaskItem from "@tiptap/extension-task-item";
-import { Table } from "@tiptap/extension-table";
 import TableRow from "@tiptap/extension-table-row";
-import TableHeader from "@tiptap/extension-table-header";
-import TableCell from "@tiptap/extension-table-cell";
+import CodeBlockLowlight from "@tiptap/extension-code-block-lowlight";
 import { common, createLowlight } from "lowlight";
 import { NodeSelection } from "prosemirror-state";
 import {
@@ -14,6 +11,7 @@ import {
   countSignificantTopLevelBlocks,
   parseMarkdownToDoc,
   decodeMarkdownBase64,
+  readDocumentConfigMarkdown,
   decodeHtmlEntitiesInFences,
   trimTrailingLineBreaks,
   getLanguagesConfig,
@@ -26,8 +24,14 @@ import {
   SuperscriptMark,
   SubscriptMark,
   MarkerAwareItalic,
+  MarkdownSyntaxAttributes,
   createMfeImageExtension,
   createMfeLinkExtension,
+  MarkdownTable,
+  MarkdownTableHeader,
+  MarkdownTableCell,
+  Callout,
+  createDocumentStyleExtension,
 } from "./editor-tiptap-extensions.js";
 import {
   getMetaAttr,
@@ -40,8 +44,18 @@ import {
   getMarkdownFromEditor,
 } from "./editor-shared-helpers.js";
 import { Marker, GapSentinel } from "./marker-extension.js";
+import { FootnoteReference, FootnoteDefinition } from "./footnote-extension.js";
+import { LinkDefinition } from "./link-reference-extension.js";
+import { createMarkdownCodeBlockExtension } from "./code-block-extension.js";
+import { SmartPasteExtension } from "./smart-paste-extension.js";
+import { createImageUploadExtension } from "./image-upload.js";
+import {
+  createAccessibilityCheckExtension,
+  resolveTemplateHeadingLevel,
+} from "./accessibility-check-extension.js";
 import { createToolbarButtons } from "./editor-toolbar.js";
 import { renderToolbarButtons } from "./editor-toolbar-renderer.js";
+import { createSelectionBubbleMenuExtension } from "./selection-bubble-menu.js";
 import {
   openFullscreenForTarget,
   openInlineForTarget,
@@ -55,6 +69,12 @@ import {
 import { createOverlayEngine } from "./overlay-engine.js";
 import { resolveDblclickAction } from "./scope-resolver.js";
 import { scopedHtmlKeyFromMeta } from "./sync-by-key.js";
+import {
+  applyOutboundMarkdownTextFormat,
+  detectMarkdownTextFormat,
+  splitLeadingFrontmatter,
+} from "./markdown-text-utils.js";
+import { detectMarkdownStylePreferences } from "./markdown-style-preferences.js";
 import {
   createScope,
   createView,
@@ -71,6 +91,7 @@ import {
   getFieldsIndex,
 } from "./content-index.js";
 import { createImagePicker } from "./image-picker.js";
+import { collectImageAltTexts } from "./image-gallery.js";
 import {
   registerStatusEl,
   markDirty,
@@ -101,6 +122,8 @@ import { createInlineStateAdapter } from "./inline-state-adapter.js";
 import { getDocumentState } from "./document-state.js";
 import { createTransactionGuardExtension } from "./transaction-guard-extension.js";
 
+const MarkdownCodeBlock = createMarkdownCodeBlockExtension(CodeBlockLowlight);
+
 let activeEditor = null;
 let activeTarget = null;
 let activeFieldName = null;
@@ -784,8 +807,11 @@ function createEditorInstance(host, fieldType, fieldName) {
   const lowlight = createLowlight(common);
   const SingleBlockEnterToastExtension =
     createSingleBlockEnterToastExtension(setError);
-  const ImageExtension = createMfeImageExtension(getImageBaseUrl);
+  const ImageExtension = createMfeImageExtension(getImageBaseUrl, {
+    markUserIntentToken: markInlineIntentToken,
+  });
   const LinkExtension = createMfeLinkExtension();
+  const documentStyle = getDocumentStylePreferences();
 
   const editor = new Editor({
     element: host,
@@ -793,24 +819,42 @@ function createEditorInstance(host, fieldType, fieldName) {
       StarterKit.configure(starterKitOptions),
       MarkerAwareBold,
       MarkerAwareItalic,
+      MarkdownSyntaxAttributes,
       TaskList,
       TaskItem.configure({ nested: true }),
-      Table.configure({ resizable: false }),
+      MarkdownTable.configure({ resizable: false }),
       TableRow,
-      TableHeader,
-      TableCell,
+      MarkdownTableHeader,
+      MarkdownTableCell,
       ...(restrictToSingleBlock ? [SingleBlockDocumentExtension] : []),
       UnderlineMark,
       SuperscriptMark,
       SubscriptMark,
       Marker,
       GapSentinel,
-      CodeBlockLowlight.configure({
+      FootnoteReference,
+      FootnoteDefinition,
+      LinkDefinition,
+      Callout,
+      MarkdownCodeBlock.configure({
         lowlight,
       }),
       LinkExtension,
       ImageExtension,
       InlineHtmlLabelExtension,
+      createDocumentStyleExtension(() => documentStyle),
+      createAccessibilityCheckExtension(() => ({
+        baseHeadingLevel: resolveTemplateHeadingLevel(host),
+      })),
+      createImageUploadExtension({
+        markUserIntentToken: markInlineIntentToken,
+      }),
+      SmartPasteExtension,
+      createSelectionBubbleMenuExtension({
+        getButtons: (bubbleEditor) =>
+          createToolbarButtons({ getEditor: () => bubbleEditor }),
+        getConfigButtons: getInlineToolbarConfigButtons,
+      }),
       ...(restrictToSingleBlock ? [SingleBlockEnterToastExtension] : []),
       HeadingSingleLineExtension,
       EscapeKeyExtension,
@@ -961,6 +1005,18 @@ function saveAllDrafts({ showStatus = true } = {}) {
     });
 }
 
+// Line endings and BOM of the stored document, which fields are saved into.
+function getDocumentTextFormat() {
+  return detectMarkdownTextFormat(readDocumentConfigMarkdown());
+}
+
+// Emphasis style and bullet marker the document body uses throughout.
+function getDocumentStylePreferences() {
+  return detectMarkdownStylePreferences(
+    splitLeadingFrontmatter(readDocumentConfigMarkdown()).body,
+  );
+}
+
 function saveBatch(pageId, fields) {
   const fieldsByKey = new Map();
   fields.forEach((field) => {
@@ -968,6 +1024,7 @@ function saveBatch(pageId, fields) {
     fieldsByKey.set(field.key, field);
   });
   const { current } = getLanguagesConfig();
+  const textFormat = getDocumentTextFormat();
   return fields.reduce(
     (chain, field) =>
       chain
@@ -976,7 +1033,11 @@ function saveBatch(pageId, fields) {
             pageId,
             field.scope === "document" ? "document" : field.name,
             current,
-            field.markdown,
+            applyOutboundMarkdownTextFormat(
+              field.markdown,
+              textFormat,
+              field.scope || "field",
+            ),
             field.scope || "field",
             field.section || "",
             field.subsection || "",
@@ -1100,6 +1161,7 @@ function openImagePickerInline(initialData = null, imagePos = null) {
 
   createImagePicker({
     initialData,
+    imageAltTexts: collectImageAltTexts(activeEditor.state.doc),
     onSelect: (imageData) => {
       // imageData is { filename, url, alt }
       if (!activeEditor) return;
@@ -1175,6 +1237,13 @@ if (window.mfeOpenImagePicker) {
   window.mfeOpenImagePicker = openImagePickerInline;
 }
 
+function getInlineToolbarConfigButtons() {
+  return (
+    window.MarkdownFrontEditorConfig?.toolbarButtons ||
+    "bold,italic,strike,paragraph,link,unlink,image,|,h1,h2,h3,h4,h5,h6,|,ul,ol,blockquote,|,code,codeblock,clear,|,split"
+  );
+}
+
 function createInlineToolbar() {
   if (toolbarEl) {
     return;
@@ -1196,9 +1265,7 @@ function createInlineToolbar() {
     isOutlineView: null,
   });
 
-  const configButtons =
-    window.MarkdownFrontEditorConfig?.toolbarButtons ||
-    "bold,italic,strike,paragraph,link,unlink,image,|,h1,h2,h3,h4,h5,h6,|,ul,ol,blockquote,|,code,codeblock,clear,|,split";
+  const configButtons = getInlineToolbarConfigButtons();
 
   const { statusEl } = renderToolbarButtons({
     toolbar,
@@ -98,6 +98,23 @@ export function getImageBaseUrl() {
   return base.endsWith("/") ? base : `${base}/`;
 }
 
+export function resolveEditorPageId() {
+  const editablePage = document
+    .querySelector(".fe-editable[data-page]")
+    ?.getAttribute("data-page");
+  if (editablePage && editablePage !== "0") return editablePage;
+
+  const anyPageAttr = document
+    .querySelector("[data-page]")
+    ?.getAttribute("data-page");
+  if (anyPageAttr && anyPageAttr !== "0") return anyPageAttr;
+
+  const cfgPage = String(getHostConfig().pageId || "0");
+  if (cfgPage !== "0") return cfgPage;
+
+  return "0";
+}
+
 export function setOriginalBlockCount(
   editor,
   fieldType,
@@ -1,10 +1,25 @@
-import { Extension, Mark } from "@tiptap/core";
+import {
+  Extension,
+  Mark,
+  Node,
+  markInputRule,
+  wrappingInputRule,
+} from "@tiptap/core";
 import Image from "@tiptap/extension-image";
-import Bold from "@tiptap/extension-bold";
+import Bold, {
+  starInputRegex as boldStarInputRegex,
+  underscoreInputRegex as boldUnderscoreInputRegex,
+} from "@tiptap/extension-bold";
 import BulletList from "@tiptap/extension-bullet-list";
-import Italic from "@tiptap/extension-italic";
+import Italic, {
+  starInputRegex as italicStarInputRegex,
+  underscoreInputRegex as italicUnderscoreInputRegex,
+} from "@tiptap/extension-italic";
 import Link from "@tiptap/extension-link";
 import TaskList from "@tiptap/extension-task-list";
+import { Table } from "@tiptap/extension-table";
+import TableCell from "@tiptap/extension-table-cell";
+import TableHeader from "@tiptap/extension-table-header";
 import { Plugin } from "prosemirror-state";
 import { Decoration, DecorationSet } from "prosemirror-view";
 import { inlineHtmlTags } from "./editor-core.js";
@@ -13,6 +28,7 @@ import {
   getDefaultBoldDelimiter,
   getDefaultItalicDelimiter,
   getDefaultUnorderedListMarker,
+  getEditorDocumentStylePreferences,
 } from "./markdown-style-preferences.js";
 
 function updateNearestNodeAttrsForSelection(
@@ -294,13 +310,17 @@ export const MarkerAwareBold = Bold.extend({
         () =>
         ({ commands }) =>
           commands.setMark(this.name, {
-            delimiter: getDefaultBoldDelimiter(),
+            delimiter: getDefaultBoldDelimiter(
+              getEditorDocumentStylePreferences(this.editor),
+            ),
           }),
       toggleBold:
         () =>
         ({ commands }) =>
           commands.toggleMark(this.name, {
-            delimiter: getDefaultBoldDelimiter(),
+            delimiter: getDefaultBoldDelimiter(
+              getEditorDocumentStylePreferences(this.editor),
+            ),
           }),
       unsetBold:
         () =>
@@ -308,6 +328,21 @@ export const MarkerAwareBold = Bold.extend({
           commands.unsetMark(this.name),
     };
   },
+  // Typed `**text**` and `__text__` both follow the document's style, like
+  // the toolbar; the schema default only knows the host config.
+  addInputRules() {
+    return [boldStarInputRegex, boldUnderscoreInputRegex].map((find) =>
+      markInputRule({
+        find,
+        type: this.type,
+        getAttributes: () => ({
+          delimiter: getDefaultBoldDelimiter(
+            getEditorDocumentStylePreferences(this.editor),
+          ),
+        }),
+      }),
+    );
+  },
 });
 
 export const MarkerAwareItalic = Italic.extend({
@@ -326,13 +361,17 @@ export const MarkerAwareItalic = Italic.extend({
         () =>
         ({ commands }) =>
           commands.setMark(this.name, {
-            delimiter: getDefaultItalicDelimiter(),
+            delimiter: getDefaultItalicDelimiter(
+              getEditorDocumentStylePreferences(this.editor),
+            ),
           }),
       toggleItalic:
         () =>
         ({ commands }) =>
           commands.toggleMark(this.name, {
-            delimiter: getDefaultItalicDelimiter(),
+            delimiter: getDefaultItalicDelimiter(
+              getEditorDocumentStylePreferences(this.editor),
+            ),
           }),
       unsetItalic:
         () =>
@@ -340,6 +379,19 @@ export const MarkerAwareItalic = Italic.extend({
           commands.unsetMark(this.name),
     };
   },
+  addInputRules() {
+    return [italicStarInputRegex, italicUnderscoreInputRegex].map((find) =>
+      markInputRule({
+        find,
+        type: this.type,
+        getAttributes: () => ({
+          delimiter: getDefaultItalicDelimiter(
+            getEditorDocumentStylePreferences(this.editor),
+          ),
+        }),
+      }),
+    );
+  },
 });
 
 export const MarkerAwareBulletList = BulletList.extend({
@@ -369,13 +421,28 @@ export const MarkerAwareBulletList = BulletList.extend({
                 tr,
                 this.name,
                 {
-                  bullet: getDefaultUnorderedListMarker(),
+                  bullet: getDefaultUnorderedListMarker(
+                    getEditorDocumentStylePreferences(this.editor),
+                  ),
                 },
               );
             })
             .run(),
     };
   },
+  addInputRules() {
+    return [
+      wrappingInputRule({
+        find: /^\s*([-+*])\s$/,
+        type: this.type,
+        getAttributes: () => ({
+          bullet: getDefaultUnorderedListMarker(
+            getEditorDocumentStylePreferences(this.editor),
+          ),
+        }),
+      }),
+    ];
+  },
 });
 
 export const MarkerAwareTaskList = TaskList.extend({
@@ -401,7 +468,9 @@ export const MarkerAwareTaskList = TaskList.extend({
                 tr,
                 this.name,
                 {
-                  bullet: getDefaultUnorderedListMarker(),
+                  bullet: getDefaultUnorderedListMarker(
+                    getEditorDocumentStylePreferences(this.editor),
+                  ),
                 },
               );
             })
@@ -410,6 +479,245 @@ export const MarkerAwareTaskList = TaskList.extend({
   },
 });
 
+/**
+ * Lets the toolbar, input rules and paste of one editor follow the style of
+ * the document it shows. `getPreferences()` returns that document's
+ * `{ emphasisStyle, unorderedListMarker }`; null fields use the defaults.
+ */
+export function createDocumentStyleExtension(getPreferences) {
+  return Extension.create({
+    name: "mfeDocumentStyle",
+    addStorage() {
+      return { getPreferences };
+    },
+  });
+}
+
+// Markdown syntax variants of StarterKit nodes (setext headings, `)` list
+// delimiters, repeated list numbers, thematic break and hard break markup).
+// The parser fills them and only the serializer reads them.
+export const MarkdownSyntaxAttributes = Extension.create({
+  name: "markdownSyntaxAttributes",
+  addGlobalAttributes() {
+    const sourceOnly = (defaultValue = null) => ({
+      default: defaultValue,
+      rendered: false,
+    });
+    return [
+      {
+        types: ["heading"],
+        attributes: { setextUnderline: sourceOnly() },
+      },
+      {
+        types: ["orderedList"],
+        attributes: {
+          delimiter: sourceOnly(),
+          repeatNumber: sourceOnly(false),
+          padNumbers: sourceOnly(),
+        },
+      },
+      {
+        types: ["horizontalRule", "hardBreak"],
+        attributes: { markup: sourceOnly() },
+      },
+      {
+        // Lines of a hard-wrapped paragraph, see the paragraph serializer.
+        types: ["paragraph"],
+        attributes: {
+          markdownSource: { ...sourceOnly(), keepOnSplit: false },
+          markdownFingerprint: { ...sourceOnly(), keepOnSplit: false },
+        },
+      },
+    ];
+  },
+});
+
+const TABLE_COLUMN_ALIGNMENTS = new Set(["left", "center", "right"]);
+
+// Source attrs are written by the markdown parser and only read back by the
+// table serializer; they never reach the rendered HTML.
+const markdownTableCellAttributes = {
+  align: {
+    default: null,
+    parseHTML: (element) => {
+      const align = String(element.style?.textAlign || "").toLowerCase();
+      return TABLE_COLUMN_ALIGNMENTS.has(align) ? align : null;
+    },
+    renderHTML: (attributes) =>
+      attributes.align ? { style: `text-align: ${attributes.align}` } : {},
+  },
+  markdownSource: {
+    default: null,
+    rendered: false,
+  },
+  markdownFingerprint: {
+    default: null,
+    rendered: false,
+  },
+};
+
+export const MarkdownTableCell = TableCell.extend({
+  addAttributes() {
+    return {
+      ...(this.parent?.() || {}),
+      ...markdownTableCellAttributes,
+    };
+  },
+});
+
+export const MarkdownTableHeader = TableHeader.extend({
+  addAttributes() {
+    return {
+      ...(this.parent?.() || {}),
+      ...markdownTableCellAttributes,
+      markdownDelimiter: {
+        default: null,
+        rendered: false,
+      },
+    };
+  },
+});
+
+function findSelectionTableCell(selection) {
+  const $from = selection?.$from;
+  if (!$from) return null;
+  for (let depth = $from.depth; depth > 1; depth -= 1) {
+    const role = $from.node(depth).type.spec.tableRole;
+    if (role !== "cell" && role !== "header_cell") continue;
+    return {
+      table: $from.node(depth - 2),
+      tablePos: $from.before(depth - 2),
+      columnIndex: $from.index(depth - 1),
+    };
+  }
+  return null;
+}
+
+export const MarkdownTable = Table.extend({
+  addAttributes() {
+    return {
+      ...(this.parent?.() || {}),
+      leadingPipe: {
+        default: true,
+        rendered: false,
+      },
+      trailingPipe: {
+        default: true,
+        rendered: false,
+      },
+    };
+  },
+  addCommands() {
+    return {
+      ...(this.parent?.() || {}),
+      setTableColumnAlignment:
+        (align) =>
+        ({ state, tr, dispatch }) => {
+          const target = findSelectionTableCell(state.selection);
+          if (!target) return false;
+          const nextAlign = TABLE_COLUMN_ALIGNMENTS.has(align) ? align : null;
+          if (!dispatch) return true;
+
+          target.table.forEach((row, rowOffset) => {
+            row.forEach((cell, cellOffset, index) => {
+              if (index !== target.columnIndex) return;
+              const cellPos = target.tablePos + 1 + rowOffset + 1 + cellOffset;
+              tr.setNodeMarkup(cellPos, undefined, {
+                ...cell.attrs,
+                align: nextAlign,
+              });
+            });
+          });
+          return true;
+        },
+    };
+  },
+});
+
+export const CALLOUT_TYPES = ["NOTE", "TIP", "IMPORTANT", "WARNING", "CAUTION"];
+
+export function normalizeCalloutType(type) {
+  const normalized = String(type || "").trim().toUpperCase();
+  return CALLOUT_TYPES.includes(normalized) ? normalized : null;
+}
+
+function findSelectionCallout(selection) {
+  const $from = selection?.$from;
+  if (!$from) return null;
+  for (let depth = $from.depth; depth > 0; depth -= 1) {
+    const node = $from.node(depth);
+    if (node.type.name !== "callout") continue;
+    return { node, pos: $from.before(depth) };
+  }
+  return null;
+}
+
+// GitHub alert blockquotes (`> [!NOTE]`). `marker` keeps the type as it was
+// written so a lowercase `[!note]` survives a save; `tight` records whether
+// the body starts right below the marker line or after a blank `>` line.
+export const Callout = Node.create({
+  name: "callout",
+  group: "block",
+  content: "block+",
+  defining: true,
+
+  addAttributes() {
+    return {
+      type: {
+        default: "NOTE",
+        parseHTML: (element) =>
+          normalizeCalloutType(element.getAttribute("data-callout")) || "NOTE",
+        renderHTML: (attributes) => ({ "data-callout": attributes.type }),
+      },
+      marker: {
+        default: null,
+        rendered: false,
+      },
+      tight: {
+        default: true,
+        rendered: false,
+      },
+    };
+  },
+
+  parseHTML() {
+    return [{ tag: "div[data-callout]" }];
+  },
+
+  renderHTML({ node, HTMLAttributes }) {
+    const type = String(node.attrs.type || "NOTE").toLowerCase();
+    return [
+      "div",
+      { ...HTMLAttributes, class: `mfe-callout mfe-callout--${type}` },
+      0,
+    ];
+  },
+
+  addCommands() {
+    return {
+      setCallout:
+        (type) =>
+        ({ state, tr, dispatch, commands }) => {
+          const nextType = normalizeCalloutType(type);
+          if (!nextType) return false;
+          const current = findSelectionCallout(state.selection);
+          if (!current) return commands.wrapIn(this.name, { type: nextType });
+          if (dispatch) {
+            tr.setNodeMarkup(current.pos, undefined, {
+              ...current.node.attrs,
+              type: nextType,
+            });
+          }
+          return true;
+        },
+      unsetCallout:
+        () =>
+        ({ commands }) =>
+          commands.lift(this.name),
+    };
+  },
+});
+
 const precompiledInlineHtmlRegexes = inlineHtmlTags.map(
   (tag) => new RegExp(`<\\s*\\/?\\s*${tag}\\b[^>]*>`, "gi"),
 );
@@ -1001,6 +1309,20 @@ export function createMfeLinkExtension() {
           renderHTML: (attributes) =>
             attributes.pageLang ? { "data-pw-lang": attributes.pageLang } : {},
         },
+        // Reference links (`[text][ref]`) keep their label, form and the
+        // href they resolved to so the serializer can write them back.
+        reference: {
+          default: null,
+          rendered: false,
+        },
+        referenceStyle: {
+          default: null,
+          rendered: false,
+        },
+        referenceHref: {
+          default: null,
+          rendered: false,
+        },
       };
     },
   }).configure({
@@ -1009,7 +1331,10 @@ export function createMfeLinkExtension() {
   });
 }
 
-export function createMfeImageExtension(resolveImageBaseUrl) {
+export function createMfeImageExtension(
+  resolveImageBaseUrl,
+  { markUserIntentToken } = {},
+) {
   return Image.extend({
     addAttributes() {
       return {
@@ -1031,10 +1356,14 @@ export function createMfeImageExtension(resolveImageBaseUrl) {
         originalFilename: {
           default: null,
         },
+        titleQuote: {
+          default: null,
+          rendered: false,
+        },
       };
     },
     addNodeView() {
-      return ({ node, HTMLAttributes, getPos, decorations }) => {
+      return ({ node, HTMLAttributes, getPos, decorations, editor }) => {
         const resolveImageSrc = (src) => {
           if (!src) return "";
           if (src.match(/^(https?:|\/|\?|\/\/)/)) return src;
@@ -1081,9 +1410,96 @@ export function createMfeImageExtension(resolveImageBaseUrl) {
         label.classList.add("mfe-tiptap-image-label");
         label.innerText = "edit";
 
-        container.append(img, label);
+        // Figure caption (markdown title) and alt text, editable in place.
+        const caption = document.createElement("span");
+        caption.className = "mfe-tiptap-image-caption";
+        caption.contentEditable = "false";
+
+        let currentNode = node;
+        const commitAttribute = (attrName, value) => {
+          const nextValue = String(value || "").trim() || null;
+          if ((currentNode.attrs[attrName] || null) === nextValue) return;
+          if (!editor?.isEditable || typeof getPos !== "function") return;
+          const pos = getPos();
+          const target =
+            typeof pos === "number" ? editor.state.doc.nodeAt(pos) : null;
+          if (!target || target.type.name !== "image") return;
+          if (typeof markUserIntentToken === "function") {
+            markUserIntentToken(`image:${attrName}`);
+          }
+          editor.view.dispatch(
+            editor.state.tr.setNodeMarkup(pos, undefined, {
+              ...target.attrs,
+              [attrName]: nextValue,
+            }),
+          );
+        };
+
+        const createCaptionInput = (className, placeholder, attrName) => {
+          const input = document.createElement("input");
+          input.type = "text";
+          input.className = className;
+          input.placeholder = placeholder;
+          input.setAttribute("aria-label", placeholder);
+          input.onkeydown = (event) => {
+            if (event.key === "Enter") {
+              event.preventDefault();
+              commitAttribute(attrName, input.value);
+              editor?.commands?.focus?.();
+            } else if (event.key === "Escape") {
+              event.preventDefault();
+              input.value = currentNode.attrs[attrName] || "";
+              editor?.commands?.focus?.();
+            }
+          };
+          input.onfocus = () => {
+            input.readOnly = !editor?.isEditable;
+          };
+          input.onchange = () => commitAttribute(attrName, input.value);
+          return input;
+        };
+
+        const captionInput = createCaptionInput(
+          "mfe-tiptap-image-caption-input",
+          "Caption",
+          "title",
+        );
+        const altInput = createCaptionInput(
+          "mfe-tiptap-image-alt-input",
+          "Alt text",
+          "alt",
+        );
+        caption.append(captionInput, altInput);
+
+        const syncCaption = (imageNode) => {
+          const readOnly = !editor?.isEditable;
+          [
+            [captionInput, imageNode.attrs.title],
+            [altInput, imageNode.attrs.alt],
+          ].forEach(([input, value]) => {
+            input.readOnly = readOnly;
+            if (input.ownerDocument?.activeElement !== input) {
+              input.value = value || "";
+            }
+          });
+          container.classList.toggle(
+            "has-caption",
+            Boolean(imageNode.attrs.title),
+          );
+          if (imageNode.attrs.title) {
+            container.setAttribute("role", "figure");
+            container.setAttribute("aria-label", imageNode.attrs.title);
+          } else {
+            container.removeAttribute("role");
+            container.removeAttribute("aria-label");
+          }
+        };
+        syncCaption(node);
+
+        container.append(img, label, caption);
 
         container.ondblclick = (e) => {
+          if (caption.contains(e.target)) return;
           e.preventDefault();
           e.stopPropagation();
           if (window.mfeOpenImagePicker) {
@@ -1094,8 +1510,11 @@ export function createMfeImageExtension(resolveImageBaseUrl) {
 
         return {
           dom: container,
+          stopEvent: (event) => caption.contains(event.target),
+          ignoreMutation: (mutation) => caption.contains(mutation.target),
           update: (updatedNode, updatedDecorations) => {
             if (updatedNode.type.name !== "image") return false;
+            currentNode = updatedNode;
             applyImageDecorationClasses(container, updatedDecorations);
             const src = resolveImageSrc(updatedNode.attrs.src);
             if (src) {
@@ -1109,6 +1528,7 @@ export function createMfeImageExtension(resolveImageBaseUrl) {
             } else {
               img.removeAttribute("title");
             }
+            syncCaption(updatedNode);
             return true;
           },
         };
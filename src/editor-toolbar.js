@@ -1,12 +1,17 @@
 import {
   toggleListWithFieldConstraints,
   clearFormattingWithFieldConstraints,
+  insertTableWithFieldConstraints,
+  insertHorizontalRuleWithFieldConstraints,
 } from "./field-constraints-toolbar.js";
 import { applyPickedLinkToEditor } from "./page-link-picker.js";
+import { openLinkDefinitionsPanel } from "./link-definitions-panel.js";
+import { openCalloutTypePicker } from "./callout-type-picker.js";
 
 export function createToolbarButtons({
   getEditor,
   getCurrentLanguage,
+  getDocumentMarkdown,
   markUserIntentToken,
   onSave,
   onToggleMarkdownView,
@@ -20,6 +25,10 @@ export function createToolbarButtons({
   isDocumentView,
   onToggleOutlineView,
   isOutlineView,
+  onOpenImageUsage,
+  onOpenFindReplace,
+  onOpenMarkdownLint,
+  onOpenMarkdownNormalize,
 }) {
   const getActiveEditor = () =>
     typeof getEditor === "function" ? getEditor() : null;
@@ -36,6 +45,26 @@ export function createToolbarButtons({
     return editor.isActive(mark, attrs);
   };
 
+  // Inline atoms (footnote references) never surround the cursor, so they
+  // are active when selected or right before the cursor.
+  const isActiveNode = (name) => {
+    const editor = getActiveEditor();
+    if (!editor) return false;
+    const { selection } = editor.state;
+    if (selection.empty && selection.$from.nodeBefore?.type.name === name) {
+      return true;
+    }
+    return editor.isActive(name);
+  };
+
+  const isActiveColumnAlignment = (align) =>
+    isActiveMark("tableHeader", { align }) ||
+    isActiveMark("tableCell", { align });
+
+  const tableIcon = (paths) => `
+        <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none" />${paths}</svg>
+      `;
+
   return [
     {
       key: "bold",
@@ -192,6 +221,28 @@ export function createToolbarButtons({
       isActive: () => isActiveMark("blockquote"),
       title: "Blockquote",
     },
+    {
+      key: "callout",
+      label: `
+        <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="icon icon-tabler icons-tabler-outline icon-tabler-info-square-rounded"><path stroke="none" d="M0 0h24v24H0z" fill="none" /><path d="M12 9h.01" /><path d="M11 12h1v4h1" /><path d="M12 3c7.2 0 9 1.8 9 9s-1.8 9 -9 9s-9 -1.8 -9 -9s1.8 -9 9 -9z" /></svg>
+      `,
+      action: withEditor((editor) =>
+        openCalloutTypePicker({ editor, markUserIntentToken }),
+      ),
+      isActive: () => isActiveMark("callout"),
+      title: "Callout",
+    },
+    {
+      key: "hr",
+      label: `
+        <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="icon icon-tabler icons-tabler-outline icon-tabler-separator"><path stroke="none" d="M0 0h24v24H0z" fill="none" /><path d="M3 12l0 .01" /><path d="M7 12l10 0" /><path d="M21 12l0 .01" /></svg>
+      `,
+      action: withEditor((editor) =>
+        insertHorizontalRuleWithFieldConstraints(editor),
+      ),
+      isActive: () => false,
+      title: "Horizontal rule",
+    },
     {
       key: "link",
       label: `
@@ -205,6 +256,7 @@ export function createToolbarButtons({
             typeof getCurrentLanguage === "function"
               ? getCurrentLanguage()
               : "",
+          getDocumentMarkdown,
           markUserIntentToken,
         }),
       ),
@@ -222,6 +274,17 @@ export function createToolbarButtons({
       isActive: () => false,
       title: "Remove link",
     },
+    {
+      key: "linkrefs",
+      label: `
+        <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="icon icon-tabler icons-tabler-outline icon-tabler-list-details"><path stroke="none" d="M0 0h24v24H0z" fill="none" /><path d="M13 5h8" /><path d="M13 9h5" /><path d="M13 15h8" /><path d="M13 19h5" /><path d="M3 4m0 1a1 1 0 0 1 1 -1h4a1 1 0 0 1 1 1v4a1 1 0 0 1 -1 1h-4a1 1 0 0 1 -1 -1z" /><path d="M3 14m0 1a1 1 0 0 1 1 -1h4a1 1 0 0 1 1 1v4a1 1 0 0 1 -1 1h-4a1 1 0 0 1 -1 -1z" /></svg>
+      `,
+      action: withEditor((editor) =>
+        openLinkDefinitionsPanel({ editor, markUserIntentToken }),
+      ),
+      isActive: () => false,
+      title: "Link references",
+    },
     {
       key: "image",
       label: `
@@ -239,6 +302,101 @@ export function createToolbarButtons({
       isActive: () => false,
       title: "Insert image",
     },
+    {
+      key: "footnote",
+      label: `
+        <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="icon icon-tabler icons-tabler-outline icon-tabler-superscript"><path stroke="none" d="M0 0h24v24H0z" fill="none" /><path d="M5 7l8 10m-8 0l8 -10" /><path d="M21 11h-4l3.5 -4a1.73 1.73 0 0 0 -3.5 -2" /></svg>
+      `,
+      action: withEditor((editor) =>
+        editor.chain().focus().insertFootnote().run(),
+      ),
+      isActive: () => isActiveNode("footnoteReference"),
+      title: "Insert footnote",
+    },
+    {
+      key: "table",
+      label: tableIcon(
+        '<path d="M3 5a2 2 0 0 1 2 -2h14a2 2 0 0 1 2 2v14a2 2 0 0 1 -2 2h-14a2 2 0 0 1 -2 -2v-14z" /><path d="M3 10h18" /><path d="M10 3v18" />',
+      ),
+      action: withEditor((editor) => insertTableWithFieldConstraints(editor)),
+      isActive: () => isActiveMark("table"),
+      title: "Insert table",
+    },
+    {
+      key: "addrow",
+      label: tableIcon(
+        '<path d="M20 6v4a1 1 0 0 1 -1 1h-14a1 1 0 0 1 -1 -1v-4a1 1 0 0 1 1 -1h14a1 1 0 0 1 1 1z" /><path d="M12 15l0 4" /><path d="M14 17l-4 0" />',
+      ),
+      action: withEditor((editor) =>
+        editor.chain().focus().addRowAfter().run(),
+      ),
+      isActive: () => false,
+      title: "Add table row below",
+    },
+    {
+      key: "delrow",
+      label: tableIcon(
+        '<path d="M20 6v4a1 1 0 0 1 -1 1h-14a1 1 0 0 1 -1 -1v-4a1 1 0 0 1 1 -1h14a1 1 0 0 1 1 1z" /><path d="M10 16l4 4" /><path d="M10 20l4 -4" />',
+      ),
+      action: withEditor((editor) => editor.chain().focus().deleteRow().run()),
+      isActive: () => false,
+      title: "Remove table row",
+    },
+    {
+      key: "addcol",
+      label: tableIcon(
+        '<path d="M6 4h4a1 1 0 0 1 1 1v14a1 1 0 0 1 -1 1h-4a1 1 0 0 1 -1 -1v-14a1 1 0 0 1 1 -1z" /><path d="M15 12l4 0" /><path d="M17 10l0 4" />',
+      ),
+      action: withEditor((editor) =>
+        editor.chain().focus().addColumnAfter().run(),
+      ),
+      isActive: () => false,
+      title: "Add table column to the right",
+    },
+    {
+      key: "delcol",
+      label: tableIcon(
+        '<path d="M6 4h4a1 1 0 0 1 1 1v14a1 1 0 0 1 -1 1h-4a1 1 0 0 1 -1 -1v-14a1 1 0 0 1 1 -1z" /><path d="M16 10l4 4" /><path d="M16 14l4 -4" />',
+      ),
+      action: withEditor((editor) =>
+        editor.chain().focus().deleteColumn().run(),
+      ),
+      isActive: () => false,
+      title: "Remove table column",
+    },
+    {
+      key: "alignleft",
+      label: tableIcon(
+        '<path d="M4 6l16 0" /><path d="M4 12l10 0" /><path d="M4 18l14 0" />',
+      ),
+      action: withEditor((editor) =>
+        editor.chain().focus().setTableColumnAlignment("left").run(),
+      ),
+      isActive: () => isActiveColumnAlignment("left"),
+      title: "Align table column left",
+    },
+    {
+      key: "aligncenter",
+      label: tableIcon(
+        '<path d="M4 6l16 0" /><path d="M8 12l8 0" /><path d="M6 18l12 0" />',
+      ),
+      action: withEditor((editor) =>
+        editor.chain().focus().setTableColumnAlignment("center").run(),
+      ),
+      isActive: () => isActiveColumnAlignment("center"),
+      title: "Center table column",
+    },
+    {
+      key: "alignright",
+      label: tableIcon(
+        '<path d="M4 6l16 0" /><path d="M10 12l10 0" /><path d="M6 18l14 0" />',
+      ),
+      action: withEditor((editor) =>
+        editor.chain().focus().setTableColumnAlignment("right").run(),
+      ),
+      isActive: () => isActiveColumnAlignment("right"),
+      title: "Align table column right",
+    },
     {
       key: "clear",
       label: `
@@ -343,6 +501,58 @@ export function createToolbarButtons({
       title: "Toggle outline view",
       alt: "View outline",
     },
+    {
+      key: "images",
+      label: `
+        <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="icon icon-tabler icons-tabler-outline icon-tabler-photo-search"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M15 8h.01" /><path d="M11.5 21h-5.5a3 3 0 0 1 -3 -3v-12a3 3 0 0 1 3 -3h12a3 3 0 0 1 3 3v5.5" /><path d="M18 18m-3 0a3 3 0 1 0 6 0a3 3 0 1 0 -6 0" /><path d="M20.2 20.2l1.8 1.8" /><path d="M3 16l5 -5c.928 -.893 2.072 -.893 3 0l2 2" /></svg>
+      `,
+      action: () => {
+        if (typeof onOpenImageUsage === "function") {
+          onOpenImageUsage();
+        }
+      },
+      isActive: () => false,
+      title: "Image usage report",
+    },
+    {
+      key: "find",
+      label: `
+        <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="icon icon-tabler icons-tabler-outline icon-tabler-replace"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M3 3m0 1a1 1 0 0 1 1 -1h4a1 1 0 0 1 1 1v4a1 1 0 0 1 -1 1h-4a1 1 0 0 1 -1 -1z" /><path d="M15 15m0 1a1 1 0 0 1 1 -1h4a1 1 0 0 1 1 1v4a1 1 0 0 1 -1 1h-4a1 1 0 0 1 -1 -1z" /><path d="M21 11v-3a2 2 0 0 0 -2 -2h-6l3 3m0 -6l-3 3" /><path d="M3 13v3a2 2 0 0 0 2 2h6l-3 -3m0 6l3 -3" /></svg>
+      `,
+      action: () => {
+        if (typeof onOpenFindReplace === "function") {
+          onOpenFindReplace();
+        }
+      },
+      isActive: () => false,
+      title: "Find and replace (Ctrl+Shift+F)",
+    },
+    {
+      key: "lint",
+      label: `
+        <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="icon icon-tabler icons-tabler-outline icon-tabler-list-check"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M3.5 5.5l1.5 1.5l2.5 -2.5" /><path d="M3.5 11.5l1.5 1.5l2.5 -2.5" /><path d="M3.5 17.5l1.5 1.5l2.5 -2.5" /><path d="M11 6l9 0" /><path d="M11 12l9 0" /><path d="M11 18l9 0" /></svg>
+      `,
+      action: () => {
+        if (typeof onOpenMarkdownLint === "function") {
+          onOpenMarkdownLint();
+        }
+      },
+      isActive: () => false,
+      title: "Markdown lint",
+    },
+    {
+      key: "normalize",
+      label: `
+        <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="icon icon-tabler icons-tabler-outline icon-tabler-wand"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M6 21l15 -15l-3 -3l-15 15l3 3" /><path d="M15 6l3 3" /><path d="M9 3a2 2 0 0 0 2 2a2 2 0 0 0 -2 2a2 2 0 0 0 -2 -2a2 2 0 0 0 2 -2" /><path d="M19 13a2 2 0 0 0 2 2a2 2 0 0 0 -2 2a2 2 0 0 0 -2 -2a2 2 0 0 0 2 -2" /></svg>
+      `,
+      action: () => {
+        if (typeof onOpenMarkdownNormalize === "function") {
+          onOpenMarkdownNormalize();
+        }
+      },
+      isActive: () => false,
+      title: "Normalize markdown",
+    },
     {
       key: "save",
       label: `
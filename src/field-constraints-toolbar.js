@@ -1,4 +1,4 @@
-function isSingleBlockField(editor) {
+export function isSingleBlockField(editor) {
   return Boolean(
     editor?.view?.dom?.getAttribute("data-extra-warning") === "true",
   );
@@ -84,3 +84,48 @@ export function clearFormattingWithFieldConstraints(editor) {
     editor.chain().focus().unsetAllMarks().run();
   }
 }
+
+export function canInsertTableWithFieldConstraints(editor) {
+  if (!editor) return false;
+  // A table always spans several lines, which single-line fields cannot hold.
+  if (isSingleBlockField(editor)) return false;
+  return editor.can().insertTable({ rows: 3, cols: 3, withHeaderRow: true });
+}
+
+export function insertTableWithFieldConstraints(editor) {
+  if (!canInsertTableWithFieldConstraints(editor)) return false;
+  return editor
+    .chain()
+    .focus()
+    .insertTable({ rows: 3, cols: 3, withHeaderRow: true })
+    .run();
+}
+
+export function canInsertHorizontalRuleWithFieldConstraints(editor) {
+  if (!editor) return false;
+  // The rule would replace the only block a single-line field can hold.
+  if (isSingleBlockField(editor)) return false;
+  return editor.can().setHorizontalRule();
+}
+
+export function insertHorizontalRuleWithFieldConstraints(editor) {
+  if (!canInsertHorizontalRuleWithFieldConstraints(editor)) return false;
+  return editor.chain().focus().setHorizontalRule().run();
+}
+
+export function canFormatSelectionWithFieldConstraints(editor, markName) {
+  const markType = editor?.schema?.marks?.[markName];
+  if (!markType) return false;
+  const { from, to, empty } = editor.state.selection;
+  if (empty) return false;
+  // Code blocks and other mark-free nodes cannot take inline formatting.
+  let allowed = false;
+  editor.state.doc.nodesBetween(from, to, (node, _pos, parent) => {
+    if (allowed) return false;
+    if (node.isInline && parent?.type.allowsMarkType(markType)) {
+      allowed = true;
+    }
+    return !allowed;
+  });
+  return allowed;
+}
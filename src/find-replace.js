@@ -0,0 +1,597 @@
+import { createEventRegistry } from "./event-registry.js";
+import {
+  projectCanonicalSlice,
+  resolveCanonicalScopeSlice,
+} from "./canonical-scope-session.js";
+import { applyScopedEdit } from "./mutation-plan.js";
+import { createScopeSession } from "./scope-session.js";
+import { parseStructuralDocument } from "./structural-document.js";
+import { formatScopeLabel } from "./image-usage-report.js";
+
+/**
+ * Find and replace over a canonical document draft. Structural marker lines
+ * are never searched, and replacements go through the document-scope
+ * mutation plan, which rejects any change to them.
+ */
+
+const EXCERPT_CONTEXT = 30;
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Builds the search expression for `query`. Returns null for an empty query
+ * and throws for an invalid regular expression.
+ */
+export function buildFindPattern(
+  query,
+  { matchCase = false, wholeWord = false, regex = false } = {},
+) {
+  const value = String(query || "");
+  if (!value) return null;
+  let source = regex ? value : escapeRegExp(value);
+  if (wholeWord)
+    source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+  return new RegExp(source, `gu${matchCase ? "" : "i"}`);
+}
+
+// The marker scope ({ kind, section, subsection, name }) of a protected span.
+export function toScope(span) {
+  if (!span) return null;
+  return {
+    kind: span.markerKind,
+    section: span.markerSection || "",
+    subsection:
+      span.markerKind === "section" ? "" : span.markerSubsection || "",
+    name: span.markerName,
+  };
+}
+
+/**
+ * Splits a document into the editable runs between marker lines. Each run
+ * has its `start`/`end` in the draft, the marker span it belongs to and the
+ * marker characters `removed` before it in the projected display text.
+ */
+export function collectEditableRuns(markdown) {
+  const scopeSlice = resolveCanonicalScopeSlice(markdown, {
+    scopeKind: "document",
+  });
+  const text = scopeSlice.canonicalDoc;
+  const runs = [];
+  let cursor = 0;
+  let removed = 0;
+  let span = null;
+  scopeSlice.protectedSpans.forEach((next) => {
+    runs.push({ start: cursor, end: next.startCu, removed, span });
+    removed += next.endCu - next.startCu;
+    cursor = next.endCu;
+    span = next;
+  });
+  runs.push({ start: cursor, end: text.length, removed, span });
+  return { text, scopeSlice, runs };
+}
+
+/**
+ * Lists the matches of `query` in a markdown document, in document order.
+ * `start`/`end` are offsets in the draft, `index` counts matches with the
+ * same text in the document and `scopeIndex` within the marker scope.
+ */
+export function findInMarkdown(markdown, query, options = {}) {
+  const pattern = buildFindPattern(query, options);
+  if (!pattern) return [];
+  const { text, runs } = collectEditableRuns(markdown);
+  const documentCounts = new Map();
+  const matches = [];
+  runs.forEach((run, runIndex) => {
+    const scopeCounts = new Map();
+    const slice = text.slice(run.start, run.end);
+    pattern.lastIndex = 0;
+    let found;
+    while ((found = pattern.exec(slice))) {
+      if (found[0] === "") {
+        pattern.lastIndex += 1;
+        continue;
+      }
+      const start = run.start + found.index;
+      const end = start + found[0].length;
+      const index = documentCounts.get(found[0]) || 0;
+      const scopeIndex = scopeCounts.get(found[0]) || 0;
+      documentCounts.set(found[0], index + 1);
+      scopeCounts.set(found[0], scopeIndex + 1);
+      const lineStart = text.lastIndexOf("\n", start - 1) + 1;
+      const lineEnd = text.indexOf("\n", end);
+      matches.push({
+        id: `${start}:${end}`,
+        start,
+        end,
+        displayStart: start - run.removed,
+        text: found[0],
+        groups: Array.from(found),
+        namedGroups: found.groups || null,
+        runIndex,
+        index,
+        scopeIndex,
+        scope: toScope(run.span),
+        scopeLabel: formatScopeLabel(toScope(run.span)),
+        line: text.slice(0, start).split("\n").length,
+        before: text.slice(Math.max(lineStart, start - EXCERPT_CONTEXT), start),
+        after: text.slice(
+          end,
+          Math.min(lineEnd < 0 ? text.length : lineEnd, end + EXCERPT_CONTEXT),
+        ),
+      });
+    }
+  });
+  return matches;
+}
+
+/**
+ * Groups matches by the marker scope they are in, keeping document order.
+ */
+export function groupMatchesByScope(matches = []) {
+  const groups = [];
+  matches.forEach((match) => {
+    const last = groups[groups.length - 1];
+    if (last && last.runIndex === match.runIndex) {
+      last.matches.push(match);
+      return;
+    }
+    groups.push({
+      runIndex: match.runIndex,
+      scope: match.scope,
+      scopeLabel: match.scopeLabel,
+      matches: [match],
+    });
+  });
+  return groups;
+}
+
+/**
+ * Expands `$&`, `$1`…`$99`, `$<name>` and `$$` in a replacement template,
+ * the way `String.prototype.replace` does for regular expressions.
+ */
+export function expandReplacement(template, match) {
+  const groups = Array.isArray(match?.groups) ? match.groups : [match?.text];
+  return String(template || "").replace(
+    /\$(\$|&|\d{1,2}|<([^>]*)>)/g,
+    (token, key, name) => {
+      if (key === "$") return "$";
+      if (key === "&") return groups[0] || "";
+      if (name !== undefined) {
+        return match?.namedGroups ? match.namedGroups[name] || "" : token;
+      }
+      const number = Number(key);
+      if (number > 0 && number < groups.length) return groups[number] || "";
+      return token;
+    },
+  );
+}
+
+/**
+ * Replaces `matches` (from `findInMarkdown` on the same markdown) and returns
+ * the new document. With `regex`, the replacement may use `$1`-style groups.
+ * Throws when the edit would change a structural marker.
+ */
+export function replaceMatchesInMarkdown(
+  markdown,
+  matches,
+  replacement,
+  { regex = false } = {},
+) {
+  const { scopeSlice } = collectEditableRuns(markdown);
+  let display = projectCanonicalSlice(scopeSlice).displayText;
+  matches
+    .slice()
+    .sort((left, right) => right.displayStart - left.displayStart)
+    .forEach((match) => {
+      const value = regex
+        ? expandReplacement(replacement, match)
+        : String(replacement || "");
+      display = `${display.slice(0, match.displayStart)}${value}${display.slice(match.displayStart + match.text.length)}`;
+    });
+
+  const result = applyScopedEdit({
+    session: createScopeSession({
+      stateId: "find-replace",
+      openedFrom: "find-replace",
+      scopeMeta: { scopeKind: "document" },
+    }),
+    structuralDocument: parseStructuralDocument(scopeSlice.canonicalDoc),
+    editorContent: display,
+  });
+  if (!result?.ok) {
+    throw new Error(String(result?.reason || "[mfe] find-replace failed"));
+  }
+  return result.canonicalBody;
+}
+
+// Calls `visit(range)` for each occurrence of `text` in the editor's
+// textblocks, in document order, until it returns true.
+function scanTextOccurrences(doc, text, visit) {
+  const needle = String(text || "");
+  if (!needle) return;
+  let done = false;
+  doc.descendants((node, pos) => {
+    if (done) return false;
+    if (!node.isTextblock) return undefined;
+    let content = "";
+    const offsets = [];
+    node.forEach((child, childOffset) => {
+      const piece = child.isText ? child.text : "\uFFFC";
+      for (let offset = 0; offset < piece.length; offset += 1) {
+        offsets.push(pos + 1 + childOffset + (child.isText ? offset : 0));
+      }
+      content += piece;
+    });
+    let at = content.indexOf(needle);
+    while (at >= 0 && !done) {
+      const last = at + needle.length - 1;
+      done = visit({ from: offsets[at], to: offsets[last] + 1 }) === true;
+      at = content.indexOf(needle, at + needle.length);
+    }
+    return false;
+  });
+}
+
+/**
+ * Returns the document range of the `index`-th occurrence of `text` in the
+ * editor's textblocks, or null.
+ */
+export function findTextRange(doc, text, index = 0) {
+  let seen = 0;
+  let range = null;
+  scanTextOccurrences(doc, text, (next) => {
+    if (seen === index) range = next;
+    seen += 1;
+    return range !== null;
+  });
+  return range;
+}
+
+/**
+ * Resolves a match from `findInMarkdown(markdown, …)` to a range in the
+ * editor document `doc`. Matches are counted in the markdown, where link
+ * targets and other markup hide text the editor does not show, so the
+ * occurrence is counted again in what `parse` renders from the markdown
+ * before the match: its scope's run, or the display text of the whole
+ * document with `documentScope`. Markup inside the match is dropped too.
+ */
+export function findMatchRange(
+  doc,
+  match,
+  { markdown, parse, documentScope = false },
+) {
+  const { text, scopeSlice, runs } = collectEditableRuns(markdown);
+  const prefix = documentScope
+    ? projectCanonicalSlice(scopeSlice).displayText.slice(0, match.displayStart)
+    : text.slice(runs[match.runIndex]?.start ?? 0, match.start);
+  const needle = parse(match.text).textContent || match.text;
+  let index = 0;
+  scanTextOccurrences(parse(prefix), needle, () => {
+    index += 1;
+  });
+  return findTextRange(doc, needle, index);
+}
+
+function createOption(label, className) {
+  const wrapper = document.createElement("label");
+  wrapper.className = "mfe-find-replace__option";
+  const input = document.createElement("input");
+  input.type = "checkbox";
+  input.className = className;
+  wrapper.append(input, document.createTextNode(label));
+  return { wrapper, input };
+}
+
+function createTextInput(placeholder, className) {
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = `mfe-find-replace__input ${className}`;
+  input.placeholder = placeholder;
+  input.setAttribute("aria-label", placeholder);
+  return input;
+}
+
+function formatMatchCount(count) {
+  return `${count} ${count === 1 ? "match" : "matches"}`;
+}
+
+/**
+ * Opens the find and replace panel. `getMarkdown()` returns the current
+ * canonical draft, `applyMarkdown(next)` stores a replaced draft and
+ * `onJump(match)` shows a match in the editor.
+ *
+ * With `getLanguageDrafts()` (`[{ lang, markdown }]`) the panel offers an
+ * "All languages" search: `hydrateLanguages()` loads the other languages
+ * once, matches are previewed per language and replacements in languages
+ * other than `currentLang` go to `applyLanguageMarkdown(lang, next)`.
+ */
+export function openFindReplacePanel({
+  getMarkdown,
+  applyMarkdown,
+  onJump = null,
+  onClose = null,
+  initialQuery = "",
+  currentLang = "",
+  getLanguageDrafts = null,
+  hydrateLanguages = null,
+  applyLanguageMarkdown = null,
+} = {}) {
+  if (typeof getMarkdown !== "function") return null;
+
+  const eventRegistry = createEventRegistry();
+  const eventScope = eventRegistry.createScope("find-replace");
+
+  const panel = document.createElement("div");
+  panel.className = "mfe-find-replace";
+  panel.setAttribute("role", "dialog");
+  panel.setAttribute("aria-label", "Find and replace");
+
+  const header = document.createElement("div");
+  header.className = "mfe-find-replace__header";
+  const title = document.createElement("span");
+  title.textContent = "Find and replace";
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.className = "mfe-find-replace__close";
+  closeButton.textContent = "×";
+  closeButton.title = "Close";
+  header.append(title, closeButton);
+
+  const findInput = createTextInput("Find", "mfe-find-replace__find");
+  findInput.value = String(initialQuery || "");
+  const replaceInput = createTextInput(
+    "Replace with",
+    "mfe-find-replace__replace",
+  );
+
+  const options = document.createElement("div");
+  options.className = "mfe-find-replace__options";
+  const matchCase = createOption("Match case", "mfe-find-replace__match-case");
+  const wholeWord = createOption("Whole word", "mfe-find-replace__whole-word");
+  const regex = createOption("Regex", "mfe-find-replace__regex");
+  const allLanguages = createOption(
+    "All languages",
+    "mfe-find-replace__all-languages",
+  );
+  options.append(matchCase.wrapper, wholeWord.wrapper, regex.wrapper);
+  if (typeof getLanguageDrafts === "function") {
+    options.appendChild(allLanguages.wrapper);
+  }
+
+  const summary = document.createElement("div");
+  summary.className = "mfe-find-replace__summary";
+  const results = document.createElement("div");
+  results.className = "mfe-find-replace__results";
+
+  const footer = document.createElement("div");
+  footer.className = "mfe-find-replace__footer";
+  const replaceAllButton = document.createElement("button");
+  replaceAllButton.type = "button";
+  replaceAllButton.className =
+    "mfe-link-picker__button mfe-find-replace__replace-all";
+  replaceAllButton.textContent = "Replace all";
+  footer.appendChild(replaceAllButton);
+
+  let languagesReady = false;
+  let searched = [];
+
+  const readOptions = () => ({
+    matchCase: matchCase.input.checked,
+    wholeWord: wholeWord.input.checked,
+    regex: regex.input.checked,
+  });
+
+  const isAllLanguages = () =>
+    allLanguages.input.checked && typeof getLanguageDrafts === "function";
+
+  const canReplace = (lang) =>
+    lang === currentLang || !isAllLanguages()
+      ? typeof applyMarkdown === "function"
+      : typeof applyLanguageMarkdown === "function";
+
+  function readSources() {
+    const current = { lang: currentLang, markdown: getMarkdown() };
+    if (!isAllLanguages()) return [current];
+    return [
+      current,
+      ...(getLanguageDrafts() || []).filter(
+        (draft) => draft.lang !== currentLang,
+      ),
+    ];
+  }
+
+  function renderMatch(match, lang) {
+    const item = document.createElement("li");
+    item.className = "mfe-find-replace__match";
+
+    const excerpt = document.createElement("button");
+    excerpt.type = "button";
+    excerpt.className = "mfe-find-replace__excerpt";
+    excerpt.title = `Line ${match.line}`;
+    const mark = document.createElement("mark");
+    mark.textContent = match.text;
+    excerpt.append(document.createTextNode(match.before), mark);
+    if (replaceInput.value) {
+      mark.classList.add("is-replaced");
+      const preview = document.createElement("ins");
+      preview.textContent = regex.input.checked
+        ? expandReplacement(replaceInput.value, match)
+        : replaceInput.value;
+      excerpt.appendChild(preview);
+    }
+    excerpt.appendChild(document.createTextNode(match.after));
+    if (typeof onJump === "function" && lang === currentLang) {
+      eventScope.register(excerpt, "click", () => onJump(match));
+    } else {
+      excerpt.disabled = true;
+    }
+    item.appendChild(excerpt);
+
+    if (canReplace(lang)) {
+      const replaceButton = document.createElement("button");
+      replaceButton.type = "button";
+      replaceButton.className =
+        "mfe-link-picker__button mfe-link-picker__button--secondary mfe-find-replace__replace-one";
+      replaceButton.textContent = "Replace";
+      eventScope.register(replaceButton, "click", () =>
+        replace([{ lang, matches: [match] }]),
+      );
+      item.appendChild(replaceButton);
+    }
+    return item;
+  }
+
+  function renderGroups(container, matches, lang) {
+    groupMatchesByScope(matches).forEach((group) => {
+      const section = document.createElement("section");
+      section.className = "mfe-find-replace__group";
+      const heading = document.createElement("div");
+      heading.className = "mfe-find-replace__group-label";
+      heading.textContent = group.scopeLabel;
+      const list = document.createElement("ul");
+      list.className = "mfe-find-replace__list";
+      group.matches.forEach((match) =>
+        list.appendChild(renderMatch(match, lang)),
+      );
+      section.append(heading, list);
+      container.appendChild(section);
+    });
+  }
+
+  function refresh(message = "") {
+    results.replaceChildren();
+    searched = [];
+    if (isAllLanguages() && !languagesReady) {
+      summary.textContent = "Loading languages...";
+      replaceAllButton.disabled = true;
+      return;
+    }
+    try {
+      searched = readSources().map(({ lang, markdown }) => ({
+        lang,
+        matches: findInMarkdown(markdown, findInput.value, readOptions()),
+      }));
+    } catch (_error) {
+      summary.textContent = "Invalid regular expression";
+      replaceAllButton.disabled = true;
+      return;
+    }
+    const total = searched.reduce(
+      (count, entry) => count + entry.matches.length,
+      0,
+    );
+    const languageCount = searched.filter(
+      (entry) => entry.matches.length > 0,
+    ).length;
+    summary.textContent =
+      message ||
+      (!findInput.value
+        ? ""
+        : isAllLanguages()
+          ? `${formatMatchCount(total)} in ${languageCount} ${languageCount === 1 ? "language" : "languages"}`
+          : formatMatchCount(total));
+    replaceAllButton.disabled = !searched.some(
+      (entry) => entry.matches.length > 0 && canReplace(entry.lang),
+    );
+
+    if (!isAllLanguages()) {
+      renderGroups(results, searched[0]?.matches || [], currentLang);
+      return;
+    }
+    searched.forEach(({ lang, matches }) => {
+      const section = document.createElement("section");
+      section.className = "mfe-find-replace__language";
+      section.dataset.lang = lang;
+      const heading = document.createElement("div");
+      heading.className = "mfe-find-replace__language-label";
+      heading.textContent = `${String(lang).toUpperCase()} · ${formatMatchCount(matches.length)}`;
+      section.appendChild(heading);
+      renderGroups(section, matches, lang);
+      results.appendChild(section);
+    });
+  }
+
+  // Replaces `[{ lang, matches }]`, each language in its own draft.
+  function replace(selections) {
+    const sources = readSources();
+    const failed = [];
+    selections.forEach(({ lang, matches }) => {
+      const source = sources.find((entry) => entry.lang === lang);
+      if (!source || matches.length === 0 || !canReplace(lang)) return;
+      let next;
+      try {
+        next = replaceMatchesInMarkdown(
+          source.markdown,
+          matches,
+          replaceInput.value,
+          { regex: regex.input.checked },
+        );
+      } catch (error) {
+        failed.push(
+          `${isAllLanguages() ? `${String(lang).toUpperCase()}: ` : ""}${error?.message || error}`,
+        );
+        return;
+      }
+      if (next === source.markdown) return;
+      if (lang === currentLang || !isAllLanguages()) {
+        applyMarkdown(next);
+      } else {
+        applyLanguageMarkdown(lang, next);
+      }
+    });
+    refresh(failed.length > 0 ? `Not replaced: ${failed.join("; ")}` : "");
+  }
+
+  function cleanup() {
+    eventScope.disposeAll();
+    panel.remove();
+    if (typeof onClose === "function") onClose();
+  }
+
+  eventScope.register(findInput, "input", () => refresh());
+  eventScope.register(replaceInput, "input", () => refresh());
+  [matchCase.input, wholeWord.input, regex.input].forEach((input) => {
+    eventScope.register(input, "change", () => refresh());
+  });
+  eventScope.register(allLanguages.input, "change", () => {
+    refresh();
+    if (!isAllLanguages() || languagesReady) return;
+    Promise.resolve(
+      typeof hydrateLanguages === "function" ? hydrateLanguages() : null,
+    )
+      .catch(() => null)
+      .then(() => {
+        languagesReady = true;
+        refresh();
+      });
+  });
+  eventScope.register(findInput, "keydown", (event) => {
+    const first = searched.find((entry) => entry.lang === currentLang)
+      ?.matches[0];
+    if (event.key !== "Enter" || !first) return;
+    event.preventDefault();
+    if (typeof onJump === "function") onJump(first);
+  });
+  eventScope.register(replaceAllButton, "click", () => replace(searched));
+  eventScope.register(closeButton, "click", () => cleanup());
+  eventScope.register(panel, "keydown", (event) => {
+    if (event.key === "Escape") cleanup();
+  });
+
+  panel.append(
+    header,
+    findInput,
+    replaceInput,
+    options,
+    summary,
+    results,
+    footer,
+  );
+  document.body.appendChild(panel);
+  refresh();
+  findInput.focus();
+  findInput.select();
+  return { close: cleanup, refresh };
+}
@@ -0,0 +1,185 @@
+import { Node } from "@tiptap/core";
+import { TextSelection } from "prosemirror-state";
+
+function collectFootnoteLabels(doc) {
+  const labels = new Set();
+  doc.descendants((node) => {
+    const name = node.type.name;
+    if (name === "footnoteReference" || name === "footnoteDefinition") {
+      labels.add(String(node.attrs.label || ""));
+    }
+  });
+  return labels;
+}
+
+export function getNextFootnoteLabel(doc) {
+  const labels = collectFootnoteLabels(doc);
+  let next = 1;
+  labels.forEach((label) => {
+    if (/^\d+$/.test(label)) {
+      next = Math.max(next, Number(label) + 1);
+    }
+  });
+  while (labels.has(String(next))) next += 1;
+  return String(next);
+}
+
+function findFootnoteDefinitionInsertPos(doc) {
+  let insertPos = -1;
+  doc.forEach((node, offset) => {
+    if (node.type.name === "footnoteDefinition") {
+      insertPos = offset + node.nodeSize;
+    }
+  });
+  return insertPos;
+}
+
+export const FootnoteReference = Node.create({
+  name: "footnoteReference",
+  group: "inline",
+  inline: true,
+  atom: true,
+  selectable: true,
+  draggable: false,
+
+  addAttributes() {
+    return {
+      label: {
+        default: "",
+      },
+    };
+  },
+
+  parseHTML() {
+    return [
+      {
+        tag: "sup[data-footnote-ref]",
+        getAttrs: (node) => {
+          if (!(node instanceof HTMLElement)) return false;
+          return {
+            label: node.getAttribute("data-footnote-ref") || "",
+          };
+        },
+      },
+    ];
+  },
+
+  renderHTML({ node }) {
+    const label = String(node.attrs.label || "");
+    return [
+      "sup",
+      {
+        "data-footnote-ref": label,
+        class: "mfe-footnote-ref",
+        contenteditable: "false",
+      },
+      label,
+    ];
+  },
+
+  renderText({ node }) {
+    return `[^${node.attrs.label || ""}]`;
+  },
+});
+
+export const FootnoteDefinition = Node.create({
+  name: "footnoteDefinition",
+  group: "block",
+  content: "inline*",
+  defining: true,
+
+  addAttributes() {
+    return {
+      label: {
+        default: "",
+      },
+      // Markdown layout only: no blank line before the definition, and the
+      // indentation used for continuation lines.
+      tight: {
+        default: false,
+        rendered: false,
+      },
+      indent: {
+        default: "    ",
+        rendered: false,
+      },
+    };
+  },
+
+  parseHTML() {
+    return [
+      {
+        tag: "div[data-footnote-definition]",
+        getAttrs: (node) => {
+          if (!(node instanceof HTMLElement)) return false;
+          return {
+            label: node.getAttribute("data-footnote-definition") || "",
+          };
+        },
+      },
+    ];
+  },
+
+  renderHTML({ node }) {
+    return [
+      "div",
+      {
+        "data-footnote-definition": String(node.attrs.label || ""),
+        class: "mfe-footnote-definition",
+      },
+      0,
+    ];
+  },
+
+  addCommands() {
+    return {
+      insertFootnote:
+        () =>
+        ({ state, tr, dispatch }) => {
+          const referenceType = state.schema.nodes.footnoteReference;
+          const definitionType = state.schema.nodes.footnoteDefinition;
+          if (!referenceType || !definitionType) return false;
+
+          const { $from, $to } = state.selection;
+          if (
+            !$from.parent.canReplaceWith(
+              $from.index(),
+              $to.index(),
+              referenceType,
+            )
+          ) {
+            return false;
+          }
+
+          const lastDefinitionEnd = findFootnoteDefinitionInsertPos(state.doc);
+          const definitionPos =
+            lastDefinitionEnd >= 0 ? lastDefinitionEnd : state.doc.content.size;
+          const definitionIndex = state.doc.resolve(definitionPos).index(0);
+          if (
+            !state.doc.canReplaceWith(
+              definitionIndex,
+              definitionIndex,
+              definitionType,
+            )
+          ) {
+            return false;
+          }
+
+          if (!dispatch) return true;
+
+          const label = getNextFootnoteLabel(state.doc);
+          tr.replaceSelectionWith(referenceType.create({ label }), false);
+          const mappedDefinitionPos = tr.mapping.map(definitionPos);
+          tr.insert(
+            mappedDefinitionPos,
+            definitionType.create({ label, tight: lastDefinitionEnd >= 0 }),
+          );
+          tr.setSelection(
+            TextSelection.create(tr.doc, mappedDefinitionPos + 1),
+          );
+          tr.scrollIntoView();
+          return true;
+        },
+    };
+  },
+});
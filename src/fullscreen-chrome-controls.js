@@ -2,6 +2,13 @@ import { NodeSelection } from "prosemirror-state";
 import { createToolbarButtons } from "./editor-toolbar.js";
 import { renderToolbarButtons } from "./editor-toolbar-renderer.js";
 import { createImagePicker } from "./image-picker.js";
+import { collectImageAltTexts } from "./image-gallery.js";
+import {
+  findImageOccurrencePos,
+  findMarkdownImageAlt,
+  getImageOccurrence,
+  replaceMarkdownImageAlt,
+} from "./image-alt-translations.js";
 import { applyPickedLinkToEditor } from "./page-link-picker.js";
 
 /**
@@ -403,6 +410,86 @@ export function toggleSplit({
   }
 }
 
+function resolvePickedImagePos(editor, imagePos) {
+  if (typeof imagePos === "number") {
+    const node = editor.state.doc.nodeAt(imagePos);
+    if (node?.type.name === "image") return imagePos;
+  }
+  const { selection } = editor.state;
+  return selection.node?.type.name === "image" ? selection.from : null;
+}
+
+/**
+ * Finds the picked image in the other language versions of the scope. The
+ * language shown in the other split pane is read from its editor, the rest
+ * from their DocumentState drafts.
+ */
+function collectLanguageAltTargets({
+  editor,
+  imagePos,
+  getPrimaryEditor,
+  getSecondaryEditor,
+  getSecondaryLang,
+  normalizeLangValue,
+  getLanguagesConfig,
+  captureExplicitApplyScopeMeta,
+  readScopeSliceForScopeMeta,
+}) {
+  const secondaryEditor = getSecondaryEditor();
+  if (!secondaryEditor || typeof readScopeSliceForScopeMeta !== "function") {
+    return [];
+  }
+  const pos = resolvePickedImagePos(editor, imagePos);
+  const occurrence =
+    pos === null ? null : getImageOccurrence(editor.state.doc, pos);
+  if (!occurrence) return [];
+
+  const { langs, current } = getLanguagesConfig();
+  const primaryLang = normalizeLangValue(current);
+  const secondaryLang = normalizeLangValue(getSecondaryLang());
+  const editorByLang = new Map([
+    [primaryLang, getPrimaryEditor()],
+    [secondaryLang, secondaryEditor],
+  ]);
+  const activeLang = editor === secondaryEditor ? secondaryLang : primaryLang;
+  const applyScopeMeta = captureExplicitApplyScopeMeta(
+    "openImagePicker:languageAlts",
+  );
+
+  return langs
+    .map((language) => ({
+      lang: normalizeLangValue(language?.name),
+      label: String(language?.title || language?.name || ""),
+    }))
+    .filter(({ lang }) => lang && lang !== activeLang)
+    .map(({ lang, label }) => {
+      const targetEditor = editorByLang.get(lang) || null;
+      let alt = null;
+      if (targetEditor) {
+        const targetPos = findImageOccurrencePos(
+          targetEditor.state.doc,
+          occurrence,
+        );
+        if (targetPos !== null) {
+          alt = String(
+            targetEditor.state.doc.nodeAt(targetPos).attrs.alt || "",
+          );
+        }
+      } else {
+        alt = findMarkdownImageAlt(
+          readScopeSliceForScopeMeta(
+            lang,
+            applyScopeMeta,
+            "openImagePicker:languageAlts",
+          ),
+          occurrence,
+        );
+      }
+      return { lang, label, alt, editor: targetEditor, occurrence };
+    })
+    .filter((target) => target.alt !== null);
+}
+
 /**
  * Opens the image picker and applies the selected image change to the active editor.
  * Does not own fullscreen save authority outside the explicit editor mutation callbacks it invokes.
@@ -425,6 +512,7 @@ export function openImagePicker({
   resolveDocumentStateForActiveField,
   getMarkdownFromEditor,
   applyMarkdownToStateForReferenceScope,
+  readScopeSliceForScopeMeta,
   normalizeComparableMarkdown,
   getDocumentConfigMarkdownRaw,
   getActiveScopedHtmlKey,
@@ -434,8 +522,93 @@ export function openImagePicker({
   const editor = getActiveEditor() || getPrimaryEditor();
   if (!editor) return;
 
+  const languageAltTargets = collectLanguageAltTargets({
+    editor,
+    imagePos,
+    getPrimaryEditor,
+    getSecondaryEditor,
+    getSecondaryLang,
+    normalizeLangValue,
+    getLanguagesConfig,
+    captureExplicitApplyScopeMeta,
+    readScopeSliceForScopeMeta,
+  });
+
+  // Writes changed alt texts into the other languages of the same scope.
+  const applyLanguageAlts = (altByLanguage = {}) => {
+    const changed = languageAltTargets.filter(
+      (target) =>
+        typeof altByLanguage[target.lang] === "string" &&
+        altByLanguage[target.lang] !== target.alt,
+    );
+    if (changed.length === 0) return;
+    const reason = "openImagePicker:onSelect:languageAlts";
+    traceStateMutation({
+      reason,
+      trigger: "user-edit",
+      mutate: () => {
+        const applyScopeMeta = captureExplicitApplyScopeMeta(reason);
+        const applyOptions = {
+          trigger: "user-command",
+          applyScopeMeta,
+          requireExplicitScope: true,
+        };
+        changed.forEach((target) => {
+          const alt = altByLanguage[target.lang];
+          const state = resolveDocumentStateForActiveField(target.lang);
+          if (!state) return;
+          if (target.editor) {
+            const pos = findImageOccurrencePos(
+              target.editor.state.doc,
+              target.occurrence,
+            );
+            if (pos === null) return;
+            const node = target.editor.state.doc.nodeAt(pos);
+            markUserIntentToken("image-picker:language-alt");
+            target.editor.view.dispatch(
+              target.editor.state.tr.setNodeMarkup(pos, undefined, {
+                ...node.attrs,
+                alt,
+              }),
+            );
+            applyMarkdownToStateForReferenceScope(
+              state,
+              getMarkdownFromEditor(target.editor),
+              applyScopeMeta.scopeKind,
+              reason,
+              applyOptions,
+            );
+            return;
+          }
+          const markdown = replaceMarkdownImageAlt(
+            readScopeSliceForScopeMeta(target.lang, applyScopeMeta, reason),
+            target.occurrence,
+            alt,
+          );
+          if (markdown === null) return;
+          applyMarkdownToStateForReferenceScope(
+            state,
+            markdown,
+            applyScopeMeta.scopeKind,
+            reason,
+            applyOptions,
+          );
+        });
+        if (activeFieldId) {
+          statusManager.markDirty(activeFieldId);
+        }
+      },
+    });
+  };
+
   createImagePicker({
     initialData,
+    imageAltTexts: collectImageAltTexts(editor.state.doc),
+    languageAlts: languageAltTargets.map(({ lang, label, alt }) => ({
+      lang,
+      label,
+      alt,
+    })),
     onSelect: (imageData) => {
       const activeEditor = getActiveEditor() || getPrimaryEditor();
       if (!activeEditor) return;
@@ -545,6 +718,9 @@ export function openImagePicker({
           );
         }
       }
+      if (imageData.altByLanguage) {
+        applyLanguageAlts(imageData.altByLanguage);
+      }
     },
     onClose: () => {
       afterNextPaint(() => editor.view.focus());
@@ -552,6 +728,38 @@ export function openImagePicker({
   });
 }
 
+/**
+ * Resolves the fullscreen toolbar config string, including the view toggles
+ * that are always present. The slash command menu reads the same string.
+ */
+export function getToolbarConfigButtons() {
+  const baseConfigButtons =
+    window.MarkdownFrontEditorConfig?.toolbarButtons ||
+    "bold,italic,strike,paragraph,link,unlink,image,|,h1,h2,h3,h4,h5,h6,|,ul,ol,blockquote,|,code,codeblock,clear,|,markdown,split,document,outline";
+  const normalizedConfigButtons = String(baseConfigButtons || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      if (entry === "markers") return "outline";
+      if (entry === "rich" || entry === "raw") return "markdown";
+      return entry;
+    });
+  if (!normalizedConfigButtons.includes("markdown")) {
+    normalizedConfigButtons.push("markdown");
+  }
+  if (!normalizedConfigButtons.includes("document")) {
+    normalizedConfigButtons.push("document");
+  }
+  if (!normalizedConfigButtons.includes("outline")) {
+    normalizedConfigButtons.push("outline");
+  }
+  if (!normalizedConfigButtons.includes("history")) {
+    normalizedConfigButtons.push("history");
+  }
+  return normalizedConfigButtons.join(",");
+}
+
 /**
  * Builds the fullscreen toolbar and wires view-toggle controls to the active editors.
  * Does not own fullscreen lifecycle or canonical save routing.
@@ -559,6 +767,7 @@ export function openImagePicker({
 export function createToolbar({
   getActiveEditor,
   getCurrentLanguage,
+  getDocumentMarkdown,
   markUserIntentToken,
   saveAllEditors,
   toggleMarkdownView,
@@ -573,6 +782,10 @@ export function createToolbar({
   isDocumentScopeActive,
   isOutlineViewActive,
   toggleOutlineView,
+  openImageUsageReport,
+  openFindReplace,
+  openMarkdownLint,
+  openMarkdownNormalize,
   isButtonDisabled,
   setRefreshToolbarState,
   setSaveStatusEl,
@@ -586,6 +799,7 @@ export function createToolbar({
   const buttons = createToolbarButtons({
     getEditor: getActiveEditor,
     getCurrentLanguage,
+    getDocumentMarkdown,
     markUserIntentToken,
     onSave: saveAllEditors,
     onToggleMarkdownView: toggleMarkdownView,
@@ -605,33 +819,13 @@ export function createToolbar({
     isDocumentView: () => isDocumentScopeActive() && isOutlineViewActive(),
     onToggleOutlineView: toggleOutlineView,
     isOutlineView: () => isOutlineViewActive(),
+    onOpenImageUsage: openImageUsageReport,
+    onOpenFindReplace: openFindReplace,
+    onOpenMarkdownLint: openMarkdownLint,
+    onOpenMarkdownNormalize: openMarkdownNormalize,
   });
 
-  const baseConfigButtons =
-    window.MarkdownFrontEditorConfig?.toolbarButtons ||
-    "bold,italic,strike,paragraph,link,unlink,image,|,h1,h2,h3,h4,h5,h6,|,ul,ol,blockquote,|,code,codeblock,clear,|,markdown,split,document,outline";
-  const normalizedConfigButtons = String(baseConfigButtons || "")
-    .split(",")
-    .map((entry) => entry.trim())
-    .filter(Boolean)
-    .map((entry) => {
-      if (entry === "markers") return "outline";
-      if (entry === "rich" || entry === "raw") return "markdown";
-      return entry;
-    });
-  if (!normalizedConfigButtons.includes("markdown")) {
-    normalizedConfigButtons.push("markdown");
-  }
-  if (!normalizedConfigButtons.includes("document")) {
-    normalizedConfigButtons.push("document");
-  }
-  if (!normalizedConfigButtons.includes("outline")) {
-    normalizedConfigButtons.push("outline");
-  }
-  if (!normalizedConfigButtons.includes("history")) {
-    normalizedConfigButtons.push("history");
-  }
-  const configButtons = normalizedConfigButtons.join(",");
+  const configButtons = getToolbarConfigButtons();
   const { statusEl, refreshButtons } = renderToolbarButtons({
     toolbar,
     buttons,
@@ -659,7 +853,10 @@ export function setupKeyboardShortcuts({
   getActiveEditor,
   isEditingShortcutEnabled,
   getCurrentLanguage,
+  getDocumentMarkdown,
+  markUserIntentToken,
   saveAllEditors,
+  openFindReplace,
 }) {
   const disposeFullscreenKeydown = getDisposeFullscreenKeydown();
   if (disposeFullscreenKeydown) {
@@ -680,6 +877,16 @@ export function setupKeyboardShortcuts({
     ) {
       return;
     }
+    if (
+      (event.ctrlKey || event.metaKey) &&
+      event.shiftKey &&
+      event.key.toLowerCase() === "f" &&
+      typeof openFindReplace === "function"
+    ) {
+      event.preventDefault();
+      openFindReplace();
+      return;
+    }
     const activeEditor = getActiveEditor();
     if (!activeEditor) return;
 
@@ -700,6 +907,7 @@ export function setupKeyboardShortcuts({
               typeof getCurrentLanguage === "function"
                 ? getCurrentLanguage()
                 : "",
+            getDocumentMarkdown,
             markUserIntentToken,
           });
           return;
@@ -0,0 +1,108 @@
+/**
+ * Locates "the same image" across language versions of a scope: the n-th
+ * image with the same source, counted in document order.
+ */
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})/;
+const INLINE_IMAGE_RE =
+  /!\[((?:\\.|[^\\\]])*)\]\(\s*(<[^>\n]*>|[^\s)]+)(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/g;
+
+function getImageNodeSource(node) {
+  return String(node.attrs.originalFilename || node.attrs.src || "");
+}
+
+function normalizeMarkdownSource(src) {
+  const value = String(src || "");
+  return value.startsWith("<") && value.endsWith(">")
+    ? value.slice(1, -1)
+    : value;
+}
+
+export function getImageOccurrence(doc, pos) {
+  const node = doc.nodeAt(pos);
+  if (!node || node.type.name !== "image") return null;
+  const src = getImageNodeSource(node);
+  let index = 0;
+  doc.nodesBetween(0, pos, (child, childPos) => {
+    if (
+      childPos < pos &&
+      child.type.name === "image" &&
+      getImageNodeSource(child) === src
+    ) {
+      index += 1;
+    }
+  });
+  return { src, index };
+}
+
+export function findImageOccurrencePos(doc, occurrence) {
+  if (!occurrence) return null;
+  let seen = 0;
+  let found = null;
+  doc.descendants((node, pos) => {
+    if (found !== null) return false;
+    if (node.type.name !== "image") return undefined;
+    if (getImageNodeSource(node) !== occurrence.src) return undefined;
+    if (seen === occurrence.index) found = pos;
+    seen += 1;
+    return undefined;
+  });
+  return found;
+}
+
+// Inline `![alt](src "title")` images outside fenced code blocks.
+function findMarkdownImageMatches(markdown) {
+  const matches = [];
+  let offset = 0;
+  let fence = "";
+  String(markdown || "")
+    .split("\n")
+    .forEach((line) => {
+      const fenceMatch = line.match(FENCE_RE);
+      if (fence) {
+        if (fenceMatch && fenceMatch[1][0] === fence[0]) {
+          if (fenceMatch[1].length >= fence.length) fence = "";
+        }
+      } else if (fenceMatch) {
+        fence = fenceMatch[1];
+      } else {
+        INLINE_IMAGE_RE.lastIndex = 0;
+        let match;
+        while ((match = INLINE_IMAGE_RE.exec(line))) {
+          matches.push({
+            altStart: offset + match.index + 2,
+            altEnd: offset + match.index + 2 + match[1].length,
+            alt: match[1].replace(/\\([!-/:-@[-`{-~])/g, "$1"),
+            src: normalizeMarkdownSource(match[2]),
+          });
+        }
+      }
+      offset += line.length + 1;
+    });
+  return matches;
+}
+
+function findMarkdownImageOccurrence(markdown, occurrence) {
+  if (!occurrence) return null;
+  return (
+    findMarkdownImageMatches(markdown).filter(
+      (match) => match.src === occurrence.src,
+    )[occurrence.index] || null
+  );
+}
+
+export function findMarkdownImageAlt(markdown, occurrence) {
+  const match = findMarkdownImageOccurrence(markdown, occurrence);
+  return match ? match.alt : null;
+}
+
+/**
+ * Rewrites only the alt text of the matching image; returns null when the
+ * image is not in the markdown.
+ */
+export function replaceMarkdownImageAlt(markdown, occurrence, alt) {
+  const match = findMarkdownImageOccurrence(markdown, occurrence);
+  if (!match) return null;
+  const escaped = String(alt || "").replace(/([\\[\]])/g, "\\$1");
+  return `${markdown.slice(0, match.altStart)}${escaped}${markdown.slice(match.altEnd)}`;
+}
@@ -0,0 +1,165 @@
+/**
+ * Image gallery view model for the image picker: search, filters, sorting
+ * and the masonry layout used to render only the items near the viewport.
+ */
+
+const SQUARE_TOLERANCE = 0.05;
+
+export const IMAGE_SIZE_FILTERS = [
+  { value: "small", label: "Small (< 200 KB)", max: 200 * 1024 },
+  { value: "medium", label: "Medium (< 1 MB)", max: 1024 * 1024 },
+  { value: "large", label: "Large (1 MB +)", max: Infinity },
+];
+
+export const IMAGE_SORT_OPTIONS = [
+  { value: "name", label: "Name" },
+  { value: "date", label: "Newest first" },
+  { value: "size", label: "Largest first" },
+];
+
+export function getGalleryImageKey(image) {
+  return String(image?.path || image?.filename || "");
+}
+
+export function getImageOrientation(image) {
+  const width = Number(image?.width);
+  const height = Number(image?.height);
+  if (!(width > 0) || !(height > 0)) return "";
+  const ratio = width / height;
+  if (Math.abs(ratio - 1) <= SQUARE_TOLERANCE) return "square";
+  return ratio > 1 ? "landscape" : "portrait";
+}
+
+export function getImageExtension(image) {
+  const name = String(image?.filename || image?.path || "");
+  const dot = name.lastIndexOf(".");
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : "";
+}
+
+export function getImageSizeFilter(image) {
+  const size = Number(image?.size);
+  if (!(size >= 0)) return "";
+  return IMAGE_SIZE_FILTERS.find((filter) => size < filter.max)?.value || "";
+}
+
+/**
+ * Collects the alt texts images have in an editor document, keyed by the
+ * image path as written in markdown, so the gallery can be searched by them.
+ */
+export function collectImageAltTexts(doc) {
+  const altTexts = new Map();
+  doc?.descendants?.((node) => {
+    if (node.type.name !== "image") return;
+    const key = String(node.attrs.originalFilename || node.attrs.src || "");
+    const alt = String(node.attrs.alt || "").trim();
+    if (!key || !alt) return;
+    const list = altTexts.get(key) || [];
+    if (!list.includes(alt)) list.push(alt);
+    altTexts.set(key, list);
+  });
+  return altTexts;
+}
+
+function getAltTexts(altTexts, image) {
+  if (!altTexts) return [];
+  return [
+    ...(altTexts.get(getGalleryImageKey(image)) || []),
+    ...(image.path !== image.filename
+      ? altTexts.get(String(image.filename || "")) || []
+      : []),
+  ];
+}
+
+export function filterGalleryImages(
+  images,
+  {
+    query = "",
+    orientation = "",
+    size = "",
+    extension = "",
+    altTexts = null,
+  } = {},
+) {
+  const terms = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+  return images.filter((image) => {
+    if (orientation && getImageOrientation(image) !== orientation) {
+      return false;
+    }
+    if (size && getImageSizeFilter(image) !== size) return false;
+    if (extension && getImageExtension(image) !== extension) return false;
+    if (terms.length === 0) return true;
+    const haystack = [
+      getGalleryImageKey(image),
+      ...getAltTexts(altTexts, image),
+    ]
+      .join(" ")
+      .toLowerCase();
+    return terms.every((term) => haystack.includes(term));
+  });
+}
+
+const compareNames = (a, b) =>
+  getGalleryImageKey(a).localeCompare(getGalleryImageKey(b), undefined, {
+    numeric: true,
+    sensitivity: "base",
+  });
+
+export function sortGalleryImages(images, sort = "name") {
+  const sorted = [...images];
+  if (sort === "date") {
+    sorted.sort(
+      (a, b) =>
+        (Number(b.modified) || 0) - (Number(a.modified) || 0) ||
+        compareNames(a, b),
+    );
+  } else if (sort === "size") {
+    sorted.sort(
+      (a, b) =>
+        (Number(b.size) || 0) - (Number(a.size) || 0) || compareNames(a, b),
+    );
+  } else {
+    sorted.sort(compareNames);
+  }
+  return sorted;
+}
+
+/**
+ * Places images into the shortest of `columns` columns, sized from their
+ * known dimensions. Returns absolute positions and the total height.
+ */
+export function layoutMasonry(images, { width, columns = 2, gap = 16 }) {
+  const columnCount = Math.max(1, Math.floor(columns));
+  const columnWidth = Math.max(
+    0,
+    (width - gap * (columnCount - 1)) / columnCount,
+  );
+  const columnHeights = new Array(columnCount).fill(0);
+  const positions = images.map((image) => {
+    const ratio =
+      image.width > 0 && image.height > 0 ? image.height / image.width : 2 / 3;
+    const column = columnHeights.indexOf(Math.min(...columnHeights));
+    const top = columnHeights[column];
+    const height = columnWidth * ratio;
+    columnHeights[column] = top + height + gap;
+    return {
+      top,
+      left: column * (columnWidth + gap),
+      width: columnWidth,
+      height,
+    };
+  });
+  return {
+    positions,
+    height: Math.max(0, Math.max(...columnHeights) - gap),
+  };
+}
+
+export function findVisibleIndexes(positions, top, bottom) {
+  const indexes = [];
+  positions.forEach((position, index) => {
+    if (position.top <= bottom && position.top + position.height >= top) {
+      indexes.push(index);
+    }
+  });
+  return indexes;
+}
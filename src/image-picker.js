@@ -1,18 +1,81 @@
 import { fetchCsrfToken, getSaveUrl } from "./editor-core.js";
-import { getImageBaseUrl } from "./editor-shared-helpers.js";
+import {
+  getImageBaseUrl,
+  resolveEditorPageId,
+} from "./editor-shared-helpers.js";
 import { openWindow, closeTopWindow } from "./window-manager.js";
 import { request, assertOk, getDataOrThrow } from "./network.js";
 import { createEventRegistry } from "./event-registry.js";
+import {
+  buildImageAltText,
+  getImageUploadConfig,
+  uploadImageFile,
+  validateImageUploadFile,
+} from "./image-upload.js";
+import {
+  IMAGE_SIZE_FILTERS,
+  IMAGE_SORT_OPTIONS,
+  filterGalleryImages,
+  findVisibleIndexes,
+  getGalleryImageKey,
+  getImageExtension,
+  layoutMasonry,
+  sortGalleryImages,
+} from "./image-gallery.js";
+
+const GALLERY_GAP = 16;
+const GALLERY_OVERSCAN = 600;
+
+/**
+ * Loads the images of the configured image folders from `listImages`.
+ */
+export function fetchImageList() {
+  const pageId = resolveEditorPageId();
+  const saveUrl = getSaveUrl();
+
+  return fetchCsrfToken()
+    .then((csrf) => {
+      const formData = new FormData();
+      formData.append("action", "listImages");
+      formData.append("pageId", pageId);
+      if (csrf) formData.append(csrf.name, csrf.value);
+
+      return request(saveUrl, {
+        method: "POST",
+        headers: undefined,
+        body: formData,
+        parse: "json",
+      });
+    })
+    .then((result) => {
+      const data = getDataOrThrow(assertOk(result));
+      if (!data.status) {
+        throw new Error(data.message || "Failed to load images");
+      }
+      return data.images || [];
+    });
+}
 
 /**
  * Image Picker Overlay - Revamped UI
  *
  * Displays a fullscreen, minimal split-view layout for selecting images.
- * Left: Sidebar with preview and metadata.
- * Right: Remote URL field and masonry image gallery.
+ * Left: Sidebar with preview, metadata and the upload zone.
+ * Right: Remote URL field and masonry image gallery. The gallery can be
+ * searched, filtered and sorted, and only renders the items near the
+ * viewport. `imageAltTexts` (path -> alt texts) makes alt text searchable.
+ * `languageAlts` (`[{ lang, label, alt }]`) adds alt inputs for other
+ * languages; their values are passed to onSelect as `altByLanguage`.
  */
 
-export function createImagePicker({ onSelect, onClose, initialData = null }) {
+export function createImagePicker({
+  onSelect,
+  onClose,
+  initialData = null,
+  uploadImage = uploadImageFile,
+  imageAltTexts = null,
+  languageAlts = null,
+}) {
   const pickerEventRegistry = createEventRegistry();
   const pickerEventScope = pickerEventRegistry.createScope("image-picker");
   let selectedImage = initialData
@@ -32,23 +95,6 @@ export function createImagePicker({ onSelect, onClose, initialData = null }) {
 
   const isRemote = selectedImage?.url.startsWith("http");
 
-  function resolvePageId() {
-    const editablePage = document
-      .querySelector(".fe-editable[data-page]")
-      ?.getAttribute("data-page");
-    if (editablePage && editablePage !== "0") return editablePage;
-
-    const anyPageAttr = document
-      .querySelector("[data-page]")
-      ?.getAttribute("data-page");
-    if (anyPageAttr && anyPageAttr !== "0") return anyPageAttr;
-
-    const cfgPage = String(window.MarkdownFrontEditorConfig?.pageId || "0");
-    if (cfgPage !== "0") return cfgPage;
-
-    return "0";
-  }
-
   // Create the main container that will be passed to openWindow
   const container = document.createElement("div");
   container.className = "mfe-image-picker-container";
@@ -82,6 +128,23 @@ export function createImagePicker({ onSelect, onClose, initialData = null }) {
     <input type="text" id="mfe-picker-alt-input" value="${escapeHtml(initialData?.alt || "")}" placeholder="Describe the image...">
   `;
 
+  const languageAltInputs = [];
+  if (Array.isArray(languageAlts) && languageAlts.length > 0) {
+    languageAlts.forEach(({ lang, label, alt }) => {
+      const languageLabel = document.createElement("label");
+      languageLabel.className = "mfe-picker-language-alt";
+      languageLabel.textContent = `Alt name (${label || lang}):`;
+      const input = document.createElement("input");
+      input.type = "text";
+      input.className = "mfe-picker-language-alt-input";
+      input.dataset.lang = lang;
+      input.value = alt || "";
+      languageLabel.appendChild(input);
+      altGroup.appendChild(languageLabel);
+      languageAltInputs.push(input);
+    });
+  }
+
   const addBtn = document.createElement("button");
   addBtn.type = "button";
   addBtn.className = "mfe-picker-insert-btn";
@@ -89,7 +152,20 @@ export function createImagePicker({ onSelect, onClose, initialData = null }) {
   addBtn.disabled = !selectedImage;
 
   metadata.append(filenameLabel, altGroup, addBtn);
-  sidebar.append(previewArea, metadata);
+
+  const uploadConfig = getImageUploadConfig();
+  const uploadZone = document.createElement("div");
+  uploadZone.className = "mfe-picker-upload-zone";
+  uploadZone.innerHTML = `
+    <label>Upload images</label>
+    <div class="mfe-picker-upload-drop" tabindex="0" role="button">
+      Drop images here or <span class="mfe-picker-upload-browse">browse</span>
+    </div>
+    <input type="file" class="mfe-picker-upload-input" multiple hidden accept="${escapeHtml(uploadConfig.extensions.map((ext) => `.${ext}`).join(","))}">
+    <ul class="mfe-picker-upload-list"></ul>
+  `;
+
+  sidebar.append(previewArea, metadata, uploadZone);
 
   // --- RIGHT COLUMN: GALLERY PANE ---
   const galleryPane = document.createElement("div");
@@ -109,6 +185,26 @@ export function createImagePicker({ onSelect, onClose, initialData = null }) {
   gallerySection.className = "mfe-picker-gallery-section";
   gallerySection.innerHTML = `
     <label>Pick from the gallery</label>
+    <div class="mfe-picker-gallery-toolbar">
+      <input type="search" class="mfe-picker-gallery-search" placeholder="Search by name or alt text" aria-label="Search images">
+      <select class="mfe-picker-gallery-filter" data-filter="orientation" aria-label="Orientation">
+        <option value="">Any orientation</option>
+        <option value="landscape">Landscape</option>
+        <option value="portrait">Portrait</option>
+        <option value="square">Square</option>
+      </select>
+      <select class="mfe-picker-gallery-filter" data-filter="size" aria-label="File size">
+        <option value="">Any size</option>
+        ${IMAGE_SIZE_FILTERS.map((filter) => `<option value="${filter.value}">${filter.label}</option>`).join("")}
+      </select>
+      <select class="mfe-picker-gallery-filter" data-filter="extension" aria-label="File type">
+        <option value="">Any type</option>
+      </select>
+      <select class="mfe-picker-gallery-sort" aria-label="Sort by">
+        ${IMAGE_SORT_OPTIONS.map((option) => `<option value="${option.value}">${option.label}</option>`).join("")}
+      </select>
+      <span class="mfe-picker-gallery-count"></span>
+    </div>
     <div class="mfe-picker-gallery-grid">
       <div class="mfe-picker-loading">Loading images...</div>
     </div>
@@ -136,6 +232,28 @@ export function createImagePicker({ onSelect, onClose, initialData = null }) {
 
   // --- LOGIC ---
 
+  const grid = gallerySection.querySelector(".mfe-picker-gallery-grid");
+  const searchInput = gallerySection.querySelector(
+    ".mfe-picker-gallery-search",
+  );
+  const sortSelect = gallerySection.querySelector(".mfe-picker-gallery-sort");
+  const filterSelects = Array.from(
+    gallerySection.querySelectorAll(".mfe-picker-gallery-filter"),
+  );
+  const extensionSelect = gallerySection.querySelector(
+    '[data-filter="extension"]',
+  );
+  const countLabel = gallerySection.querySelector(".mfe-picker-gallery-count");
+
+  let allImages = [];
+  let viewImages = [];
+  let galleryLayout = null;
+  let renderFrame = null;
+  // Item elements are built lazily and kept so thumbs survive scrolling.
+  const galleryItems = new Map();
+  const mountedItems = new Map();
+  const queuedThumbs = [];
+
   function updatePreview(url) {
     if (url) {
       placeholder.innerHTML = `<img src="${escapeHtml(resolveImageUrl(url))}" alt="">`;
@@ -153,10 +271,7 @@ export function createImagePicker({ onSelect, onClose, initialData = null }) {
       updatePreview(url);
       filenameLabel.textContent = "";
       addBtn.disabled = false;
-      // Deselect gallery items
-      gallerySection
-        .querySelectorAll(".mfe-gallery-item")
-        .forEach((i) => i.classList.remove("is-selected"));
+      markSelectedItem(null);
     } else {
       selectedImage = null;
       updatePreview(null);
@@ -174,7 +289,7 @@ export function createImagePicker({ onSelect, onClose, initialData = null }) {
     let pwUrl = null;
 
     if (selectedImage.filename && !selectedImage.url.startsWith("http")) {
-      const pageId = resolvePageId();
+      const pageId = resolveEditorPageId();
       const saveUrl = getSaveUrl();
 
       try {
@@ -212,139 +327,367 @@ export function createImagePicker({ onSelect, onClose, initialData = null }) {
       return;
     }
 
-    onSelect({
+    const selection = {
       filename: relativePath,
       url: displayUrl,
       alt: altInput.value,
-    });
+    };
+    if (languageAltInputs.length > 0) {
+      selection.altByLanguage = Object.fromEntries(
+        languageAltInputs.map((input) => [input.dataset.lang, input.value]),
+      );
+    }
+    onSelect(selection);
 
     closeTopWindow();
   };
 
-  function loadImages() {
-    const pageId = resolvePageId();
-    const grid = gallerySection.querySelector(".mfe-picker-gallery-grid");
-    const saveUrl = getSaveUrl();
+  // Upload zone
+  const uploadDrop = uploadZone.querySelector(".mfe-picker-upload-drop");
+  const uploadInput = uploadZone.querySelector(".mfe-picker-upload-input");
+  const uploadList = uploadZone.querySelector(".mfe-picker-upload-list");
+
+  function addUploadStatus(file) {
+    const entry = document.createElement("li");
+    entry.className = "mfe-picker-upload-item";
+    entry.textContent = file.name;
+    uploadList.appendChild(entry);
+    return (text, state = "") => {
+      entry.textContent = `${file.name}: ${text}`;
+      entry.classList.toggle("is-error", state === "error");
+      entry.classList.toggle("is-done", state === "done");
+    };
+  }
 
-    return fetchCsrfToken()
-      .then((csrf) => {
-        const formData = new FormData();
-        formData.append("action", "listImages");
-        formData.append("pageId", pageId);
-        if (csrf) formData.append(csrf.name, csrf.value);
+  function selectUploadedImage(result) {
+    const altInput = sidebar.querySelector("#mfe-picker-alt-input");
+    const key = result.path || result.filename;
+    const image = allImages.find((entry) => getGalleryImageKey(entry) === key);
+    if (image) {
+      if (!viewImages.includes(image)) resetGalleryFilters();
+      selectGalleryImage(image, getGalleryItem(image));
+      revealGalleryImage(image);
+    } else {
+      selectGalleryImage({
+        filename: result.filename,
+        path: result.path || result.filename,
+        url: result.url,
+      });
+    }
+    if (altInput && !altInput.value.trim()) {
+      altInput.value = buildImageAltText(result.filename);
+    }
+  }
 
-        return request(saveUrl, {
-          method: "POST",
-          headers: undefined,
-          body: formData,
-          parse: "json",
+  // Files go up one at a time so collision renames stay predictable.
+  async function uploadFiles(files) {
+    let lastUploaded = null;
+    for (const file of files) {
+      const setStatus = addUploadStatus(file);
+      const problem = validateImageUploadFile(file, uploadConfig);
+      if (problem) {
+        setStatus(problem, "error");
+        continue;
+      }
+      setStatus("uploading...");
+      try {
+        const result = await uploadImage(file, {
+          onProgress: (ratio) =>
+            setStatus(`uploading... ${Math.round(ratio * 100)}%`),
         });
-      })
-      .then((result) => {
-        const data = getDataOrThrow(assertOk(result));
-        if (!data.status)
-          throw new Error(data.message || "Failed to load images");
-        renderImages(data.images || []);
-      })
+        setStatus(
+          result.renamed
+            ? `uploaded as ${result.filename} (name already taken)`
+            : "uploaded",
+          "done",
+        );
+        lastUploaded = result;
+      } catch (err) {
+        setStatus(err?.message || "upload failed", "error");
+      }
+    }
+    if (!lastUploaded) return;
+    await loadImages();
+    selectUploadedImage(lastUploaded);
+  }
+
+  pickerEventScope.register(uploadDrop, "click", () => uploadInput.click());
+  pickerEventScope.register(uploadDrop, "keydown", (e) => {
+    if (e.key !== "Enter" && e.key !== " ") return;
+    e.preventDefault();
+    uploadInput.click();
+  });
+  pickerEventScope.register(uploadInput, "change", () => {
+    const files = Array.from(uploadInput.files || []);
+    uploadInput.value = "";
+    if (files.length > 0) uploadFiles(files);
+  });
+  pickerEventScope.register(uploadDrop, "dragover", (e) => {
+    e.preventDefault();
+    uploadDrop.classList.add("is-dragover");
+  });
+  pickerEventScope.register(uploadDrop, "dragleave", () => {
+    uploadDrop.classList.remove("is-dragover");
+  });
+  pickerEventScope.register(uploadDrop, "drop", (e) => {
+    e.preventDefault();
+    uploadDrop.classList.remove("is-dragover");
+    const files = Array.from(e.dataTransfer?.files || []);
+    if (files.length > 0) uploadFiles(files);
+  });
+
+  function loadImages() {
+    return fetchImageList()
+      .then((images) => renderImages(images))
       .catch((err) => {
-        grid.innerHTML = `<div class="mfe-picker-error">Error: ${err.message}</div>`;
+        showGalleryMessage("mfe-picker-error", `Error: ${err.message}`);
       });
   }
 
+  function selectGalleryImage(image, item = null) {
+    selectedImage = {
+      filename: image.filename,
+      path: image.path || image.filename,
+      url: image.url,
+    };
+
+    markSelectedItem(item);
+
+    updatePreview(image.url);
+    filenameLabel.textContent = `image: ${image.path || image.filename}`;
+    remoteInput.value = ""; // Clear remote input on gallery selection
+    addBtn.disabled = false;
+  }
+
+  function isSelectedImage(image) {
+    return (
+      !!selectedImage &&
+      (selectedImage.path === image.path ||
+        selectedImage.filename === image.filename)
+    );
+  }
+
+  function markSelectedItem(item) {
+    galleryItems.forEach((entry) =>
+      entry.classList.toggle("is-selected", entry === item),
+    );
+  }
+
+  function showGalleryMessage(className, text) {
+    mountedItems.clear();
+    galleryLayout = null;
+    grid.style.height = "";
+    grid.innerHTML = "";
+    const message = document.createElement("div");
+    message.className = className;
+    message.textContent = text;
+    grid.appendChild(message);
+  }
+
   function renderImages(images) {
-    const grid = gallerySection.querySelector(".mfe-picker-gallery-grid");
-    if (images.length === 0) {
-      grid.innerHTML = '<div class="mfe-picker-empty">No images found.</div>';
+    allImages = images;
+    galleryItems.clear();
+    queuedThumbs.length = 0;
+
+    const extensions = [...new Set(images.map(getImageExtension))]
+      .filter(Boolean)
+      .sort();
+    const currentExtension = extensionSelect.value;
+    extensionSelect.innerHTML = '<option value="">Any type</option>';
+    extensions.forEach((extension) => {
+      const option = document.createElement("option");
+      option.value = extension;
+      option.textContent = extension.toUpperCase();
+      extensionSelect.appendChild(option);
+    });
+    extensionSelect.value = extensions.includes(currentExtension)
+      ? currentExtension
+      : "";
+
+    applyGalleryView();
+  }
+
+  function getGalleryFilters() {
+    const filters = { query: searchInput.value, altTexts: imageAltTexts };
+    filterSelects.forEach((select) => {
+      filters[select.dataset.filter] = select.value;
+    });
+    return filters;
+  }
+
+  function resetGalleryFilters() {
+    searchInput.value = "";
+    filterSelects.forEach((select) => {
+      select.value = "";
+    });
+    applyGalleryView();
+  }
+
+  function applyGalleryView() {
+    viewImages = sortGalleryImages(
+      filterGalleryImages(allImages, getGalleryFilters()),
+      sortSelect.value,
+    );
+    countLabel.textContent =
+      viewImages.length === allImages.length
+        ? `${allImages.length} images`
+        : `${viewImages.length} of ${allImages.length} images`;
+
+    if (allImages.length === 0) {
+      showGalleryMessage("mfe-picker-empty", "No images found.");
+      return;
+    }
+    if (viewImages.length === 0) {
+      showGalleryMessage("mfe-picker-empty", "No images match the filters.");
       return;
     }
+    layoutGallery();
+  }
 
-    grid.innerHTML = "";
-    const pendingThumbs = [];
-    const requestThumbs = [];
-
-    images.forEach((image) => {
-      const item = document.createElement("div");
-      item.className = "mfe-gallery-item";
-      if (
-        selectedImage &&
-        (selectedImage.path === image.path ||
-          selectedImage.filename === image.filename)
-      ) {
-        item.classList.add("is-selected");
-      }
+  function layoutGallery() {
+    if (!galleryLayout) grid.innerHTML = "";
+    const columns =
+      parseInt(
+        getComputedStyle(grid).getPropertyValue("--mfe-gallery-columns"),
+        10,
+      ) || 2;
+    galleryLayout = layoutMasonry(viewImages, {
+      width: grid.clientWidth,
+      columns,
+      gap: GALLERY_GAP,
+    });
+    grid.style.height = `${galleryLayout.height}px`;
+    renderVisibleItems();
+  }
 
-      // Create aspect ratio wrapper for stable layout during image load
-      const wrapper = document.createElement("div");
-      wrapper.className = "mfe-gallery-item-wrapper";
-
-      // Calculate padding-top based on aspect ratio if dimensions available
-      if (image.width && image.height) {
-        const aspectRatioPct = (image.height / image.width) * 100;
-        wrapper.style.paddingTop = aspectRatioPct + "%";
-      } else {
-        // Fallback if dimensions unavailable
-        wrapper.style.paddingTop = "66.67%";
-      }
+  function scheduleVisibleRender() {
+    if (renderFrame !== null) return;
+    renderFrame = window.requestAnimationFrame(() => {
+      renderFrame = null;
+      if (galleryLayout) renderVisibleItems();
+    });
+  }
+
+  // Keeps only the items within GALLERY_OVERSCAN of the viewport in the DOM.
+  function renderVisibleItems(forcedIndex = -1) {
+    const gridTop = grid.getBoundingClientRect().top;
+    const visible = findVisibleIndexes(
+      galleryLayout.positions,
+      -gridTop - GALLERY_OVERSCAN,
+      window.innerHeight - gridTop + GALLERY_OVERSCAN,
+    );
+    if (forcedIndex >= 0 && !visible.includes(forcedIndex)) {
+      visible.push(forcedIndex);
+    }
 
-      const img = document.createElement("img");
-      if (image.thumbUrl) {
-        // Cached thumb exists - use it
-        img.src = image.thumbUrl;
-      } else if (image.thumbPending) {
-        // Has hash but thumb missing - show placeholder, wait for SSE
-        img.style.backgroundColor = "#e8e8e8";
-        img.dataset.thumbName = image.thumbName;
-        img.dataset.imagePath = image.fullPath || image.path;
-        img.dataset.hash = image.hash || "";
-        img.dataset.relativePath = image.path || "";
-        pendingThumbs.push(img);
-      } else if (image.requestThumb) {
-        // No hash yet - show placeholder, generate thumb in background
-        img.style.backgroundColor = "#e8e8e8";
-        img.dataset.imagePath = image.fullPath || image.path;
-        img.dataset.hash = "";
-        img.dataset.relativePath = image.path || "";
-        requestThumbs.push(img);
-      } else {
-        // Use full URL directly (only for SVG or unsupported formats)
-        img.src = image.url;
+    const visibleKeys = new Set();
+    visible.forEach((index) => {
+      const image = viewImages[index];
+      const key = getGalleryImageKey(image);
+      const position = galleryLayout.positions[index];
+      const item = getGalleryItem(image);
+      item.style.top = `${position.top}px`;
+      item.style.left = `${position.left}px`;
+      item.style.width = `${position.width}px`;
+      visibleKeys.add(key);
+      if (!mountedItems.has(key)) {
+        mountedItems.set(key, item);
+        grid.appendChild(item);
       }
-      img.alt = image.filename;
-      img.loading = "lazy";
+    });
+    mountedItems.forEach((item, key) => {
+      if (visibleKeys.has(key)) return;
+      item.remove();
+      mountedItems.delete(key);
+    });
 
-      wrapper.appendChild(img);
-      item.appendChild(wrapper);
+    if (queuedThumbs.length > 0) {
+      generateThumbs(queuedThumbs.splice(0));
+    }
+  }
 
-      item.onclick = () => {
-        selectedImage = {
-          filename: image.filename,
-          path: image.path || image.filename,
-          url: image.url,
-        };
+  function revealGalleryImage(image) {
+    const index = viewImages.indexOf(image);
+    if (index < 0 || !galleryLayout) return;
+    renderVisibleItems(index);
+    getGalleryItem(image).scrollIntoView?.({ block: "nearest" });
+  }
 
-        gallerySection
-          .querySelectorAll(".mfe-gallery-item")
-          .forEach((i) => i.classList.remove("is-selected"));
-        item.classList.add("is-selected");
+  function getGalleryItem(image) {
+    const key = getGalleryImageKey(image);
+    const existing = galleryItems.get(key);
+    if (existing) return existing;
 
-        updatePreview(image.url);
-        filenameLabel.textContent = `image: ${image.path || image.filename}`;
-        remoteInput.value = ""; // Clear remote input on gallery selection
-        addBtn.disabled = false;
-      };
+    const item = document.createElement("div");
+    item.className = "mfe-gallery-item";
+    if (isSelectedImage(image)) {
+      item.classList.add("is-selected");
+    }
 
-      grid.appendChild(item);
-    });
+    // Create aspect ratio wrapper for stable layout during image load
+    const wrapper = document.createElement("div");
+    wrapper.className = "mfe-gallery-item-wrapper";
+
+    // Calculate padding-top based on aspect ratio if dimensions available
+    if (image.width && image.height) {
+      const aspectRatioPct = (image.height / image.width) * 100;
+      wrapper.style.paddingTop = aspectRatioPct + "%";
+    } else {
+      // Fallback if dimensions unavailable
+      wrapper.style.paddingTop = "66.67%";
+    }
 
-    if (pendingThumbs.length > 0 || requestThumbs.length > 0) {
-      generateThumbs([...pendingThumbs, ...requestThumbs]);
+    const img = document.createElement("img");
+    if (image.thumbUrl) {
+      // Cached thumb exists - use it
+      img.src = image.thumbUrl;
+    } else if (image.thumbPending) {
+      // Has hash but thumb missing - show placeholder, wait for SSE
+      img.style.backgroundColor = "#e8e8e8";
+      img.dataset.thumbName = image.thumbName;
+      img.dataset.imagePath = image.fullPath || image.path;
+      img.dataset.hash = image.hash || "";
+      img.dataset.relativePath = image.path || "";
+      queuedThumbs.push(img);
+    } else if (image.requestThumb) {
+      // No hash yet - show placeholder, generate thumb in background
+      img.style.backgroundColor = "#e8e8e8";
+      img.dataset.imagePath = image.fullPath || image.path;
+      img.dataset.hash = "";
+      img.dataset.relativePath = image.path || "";
+      queuedThumbs.push(img);
+    } else {
+      // Use full URL directly (only for SVG or unsupported formats)
+      img.src = image.url;
     }
+    img.alt = image.filename;
+    img.loading = "lazy";
+
+    wrapper.appendChild(img);
+    item.appendChild(wrapper);
+
+    item.onclick = () => selectGalleryImage(image, item);
+
+    galleryItems.set(key, item);
+    return item;
   }
 
+  pickerEventScope.register(searchInput, "input", () => applyGalleryView());
+  pickerEventScope.register(sortSelect, "change", () => applyGalleryView());
+  filterSelects.forEach((select) =>
+    pickerEventScope.register(select, "change", () => applyGalleryView()),
+  );
+  // The pane scrolls on wide screens, the whole container on narrow ones.
+  pickerEventScope.register(galleryPane, "scroll", scheduleVisibleRender);
+  pickerEventScope.register(container, "scroll", scheduleVisibleRender);
+  pickerEventScope.register(window, "resize", () => {
+    if (galleryLayout) layoutGallery();
+  });
+
   function generateThumbs(pendingImgs) {
     const saveUrl = getSaveUrl();
     const debug = !!window.MarkdownFrontEditorConfig?.debug;
-    const pageId = resolvePageId();
+    const pageId = resolveEditorPageId();
 
     function buildActionUrl(action, extraParams = {}) {
       const [base, query = ""] = String(saveUrl).split("?");
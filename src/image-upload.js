@@ -0,0 +1,288 @@
+import { Extension } from "@tiptap/core";
+import { Plugin, PluginKey } from "prosemirror-state";
+import { Decoration, DecorationSet } from "prosemirror-view";
+import { fetchCsrfToken, getSaveUrl } from "./editor-core.js";
+import { resolveEditorPageId } from "./editor-shared-helpers.js";
+import { showWindowToast, TOAST_KINDS } from "./window-manager.js";
+
+const imageUploadPluginKey = new PluginKey("mfeImageUpload");
+
+const DEFAULT_UPLOAD_EXTENSIONS = ["jpg", "jpeg", "png", "gif", "webp"];
+const DEFAULT_UPLOAD_MAX_BYTES = 10 * 1024 * 1024;
+
+export function getImageUploadConfig() {
+  const cfg = window.MarkdownFrontEditorConfig || {};
+  const extensions = Array.isArray(cfg.imageUploadExtensions)
+    ? cfg.imageUploadExtensions.map((ext) => String(ext).toLowerCase())
+    : DEFAULT_UPLOAD_EXTENSIONS;
+  const maxBytes = Number(cfg.imageUploadMaxBytes);
+  return {
+    extensions,
+    maxBytes: maxBytes > 0 ? maxBytes : DEFAULT_UPLOAD_MAX_BYTES,
+  };
+}
+
+function getFileExtension(file) {
+  const name = String(file?.name || "");
+  const dot = name.lastIndexOf(".");
+  if (dot > 0) return name.slice(dot + 1).toLowerCase();
+  // Pasted screenshots may come without a usable name.
+  const subtype = String(file?.type || "").split("/")[1] || "";
+  return subtype === "jpeg" ? "jpg" : subtype.toLowerCase();
+}
+
+export function isImageFile(file) {
+  return String(file?.type || "").startsWith("image/");
+}
+
+export function getImageFilesFromDataTransfer(dataTransfer) {
+  return Array.from(dataTransfer?.files || []).filter(isImageFile);
+}
+
+/**
+ * Returns the reason a file cannot be uploaded, or "" when it can.
+ */
+export function validateImageUploadFile(file, config = getImageUploadConfig()) {
+  const extension = getFileExtension(file);
+  if (!isImageFile(file) || !config.extensions.includes(extension)) {
+    return "Not a supported image type.";
+  }
+  if (Number(file.size) > config.maxBytes) {
+    const limit = Math.round(config.maxBytes / (1024 * 1024));
+    return `Larger than ${limit} MB.`;
+  }
+  return "";
+}
+
+export function buildImageAltText(filename) {
+  return String(filename || "")
+    .replace(/\.[a-z0-9]+$/i, "")
+    .replace(/[-_]+/g, " ")
+    .trim();
+}
+
+/**
+ * Posts one file to the `uploadImage` save-endpoint action. Uses XHR rather
+ * than `request()` because fetch cannot report upload progress.
+ * Resolves with `{ filename, path, url }`.
+ */
+export function uploadImageFile(file, { onProgress } = {}) {
+  return fetchCsrfToken().then(
+    (csrf) =>
+      new Promise((resolve, reject) => {
+        const formData = new FormData();
+        formData.append("action", "uploadImage");
+        formData.append("pageId", resolveEditorPageId());
+        formData.append("image", file, file.name || "image");
+        if (csrf) formData.append(csrf.name, csrf.value);
+
+        const xhr = new XMLHttpRequest();
+        xhr.open("POST", getSaveUrl());
+        xhr.responseType = "json";
+        if (typeof onProgress === "function") {
+          xhr.upload.onprogress = (event) => {
+            if (event.lengthComputable && event.total > 0) {
+              onProgress(event.loaded / event.total);
+            }
+          };
+        }
+        xhr.onerror = () => reject(new Error("Network request failed."));
+        xhr.onload = () => {
+          const data = xhr.response;
+          if (xhr.status >= 200 && xhr.status < 300 && data?.status === 1) {
+            resolve(data);
+            return;
+          }
+          reject(
+            new Error(
+              data?.error || `Request failed (${xhr.status || "unknown"}).`,
+            ),
+          );
+        };
+        xhr.send(formData);
+      }),
+  );
+}
+
+function createPlaceholderElement(file) {
+  const element = document.createElement("span");
+  element.className = "mfe-image-upload-placeholder";
+  element.setAttribute("contenteditable", "false");
+  element.title = file?.name || "";
+  element.textContent = "Uploading image...";
+  return element;
+}
+
+function updatePlaceholderProgress(element, ratio) {
+  const percent = Math.max(0, Math.min(100, Math.round(ratio * 100)));
+  element.style.setProperty("--mfe-upload-progress", `${percent}%`);
+  element.textContent = `Uploading image... ${percent}%`;
+}
+
+function findPlaceholderPos(state, id) {
+  const decorations = imageUploadPluginKey.getState(state);
+  const found = decorations?.find(
+    undefined,
+    undefined,
+    (spec) => spec.id === id,
+  );
+  return found?.length ? found[0].from : null;
+}
+
+function canInsertImageAt(state, pos) {
+  if (!state.schema.nodes.image) return false;
+  const $pos = state.doc.resolve(pos);
+  return !$pos.parent.type.spec.code;
+}
+
+/**
+ * Uploads image files dropped or pasted into the editor and inserts
+ * `![alt](file)` where they landed. A placeholder widget tracks the position
+ * and upload progress; failures are reported through the window toast.
+ * `upload(file, { onProgress })` defaults to uploadImageFile.
+ */
+export function createImageUploadExtension({
+  markUserIntentToken,
+  upload = uploadImageFile,
+} = {}) {
+  return Extension.create({
+    name: "imageUpload",
+
+    addProseMirrorPlugins() {
+      const startUpload = (view, file, pos) => {
+        const id = {};
+        const element = createPlaceholderElement(file);
+        view.dispatch(
+          view.state.tr.setMeta(imageUploadPluginKey, {
+            add: { id, pos, element },
+          }),
+        );
+
+        const removePlaceholder = () => {
+          if (view.isDestroyed) return;
+          view.dispatch(
+            view.state.tr.setMeta(imageUploadPluginKey, { remove: { id } }),
+          );
+        };
+
+        return Promise.resolve()
+          .then(() =>
+            upload(file, {
+              onProgress: (ratio) => updatePlaceholderProgress(element, ratio),
+            }),
+          )
+          .then((result) => {
+            if (view.isDestroyed) return;
+            const insertPos = findPlaceholderPos(view.state, id);
+            // The placeholder went away with the text around it.
+            if (insertPos === null) return;
+            const imageNode = view.state.schema.nodes.image.create({
+              src: result.url,
+              alt: buildImageAltText(file.name || result.filename),
+              originalFilename: result.path || result.filename,
+            });
+            if (typeof markUserIntentToken === "function") {
+              markUserIntentToken("image-upload:insert");
+            }
+            view.dispatch(
+              view.state.tr
+                .replaceWith(insertPos, insertPos, imageNode)
+                .setMeta(imageUploadPluginKey, { remove: { id } }),
+            );
+          })
+          .catch((error) => {
+            removePlaceholder();
+            showWindowToast(
+              `Image upload failed: ${error?.message || "unknown error"}`,
+              TOAST_KINDS.alert,
+            );
+          });
+      };
+
+      const uploadFiles = (view, files, pos) => {
+        const config = getImageUploadConfig();
+        const accepted = [];
+        files.forEach((file) => {
+          const problem = validateImageUploadFile(file, config);
+          if (problem) {
+            showWindowToast(
+              `${file.name || "Image"}: ${problem}`,
+              TOAST_KINDS.alert,
+            );
+            return;
+          }
+          accepted.push(file);
+        });
+        accepted.forEach((file) => startUpload(view, file, pos));
+        return true;
+      };
+
+      return [
+        new Plugin({
+          key: imageUploadPluginKey,
+          state: {
+            init: () => DecorationSet.empty,
+            apply(tr, decorations) {
+              let next = decorations.map(tr.mapping, tr.doc);
+              const meta = tr.getMeta(imageUploadPluginKey);
+              if (meta?.add) {
+                const widget = Decoration.widget(
+                  meta.add.pos,
+                  meta.add.element,
+                  { id: meta.add.id },
+                );
+                next = next.add(tr.doc, [widget]);
+              }
+              if (meta?.remove) {
+                next = next.remove(
+                  next.find(
+                    undefined,
+                    undefined,
+                    (spec) => spec.id === meta.remove.id,
+                  ),
+                );
+              }
+              return next;
+            },
+          },
+          props: {
+            decorations(state) {
+              return imageUploadPluginKey.getState(state);
+            },
+            handleDrop(view, event, _slice, moved) {
+              if (moved || !view.editable) return false;
+              const files = getImageFilesFromDataTransfer(event.dataTransfer);
+              if (files.length === 0) return false;
+              const coords = view.posAtCoords({
+                left: event.clientX,
+                top: event.clientY,
+              });
+              const pos = coords ? coords.pos : view.state.selection.from;
+              if (!canInsertImageAt(view.state, pos)) return false;
+              return uploadFiles(view, files, pos);
+            },
+            handlePaste(view, event) {
+              if (!view.editable) return false;
+              const files = getImageFilesFromDataTransfer(event.clipboardData);
+              if (files.length === 0) return false;
+              // Word and some browsers add a rendered image of copied text.
+              if (String(event.clipboardData.getData("text/plain") || "")) {
+                return false;
+              }
+              if (!canInsertImageAt(view.state, view.state.selection.from)) {
+                return false;
+              }
+              if (!view.state.selection.empty) {
+                if (typeof markUserIntentToken === "function") {
+                  markUserIntentToken("image-upload:replace-selection");
+                }
+                view.dispatch(view.state.tr.deleteSelection());
+              }
+              return uploadFiles(view, files, view.state.selection.from);
+            },
+          },
+        }),
+      ];
+    },
+  });
+}
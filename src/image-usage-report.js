@@ -0,0 +1,269 @@
+import { defaultMarkdownParser } from "prosemirror-markdown";
+import { createEventRegistry } from "./event-registry.js";
+import { parseStructuralDocument } from "./structural-document.js";
+import { fetchImageList } from "./image-picker.js";
+import { decodeUriComponentOrRaw } from "./markdown-text-utils.js";
+
+const EXTERNAL_SOURCE_RE = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+
+function countLines(text, end) {
+  return text.slice(0, end).split("\n").length - 1;
+}
+
+// "section / subsection / field" label of a structural marker, or
+// "document" for content before the first marker.
+export function formatScopeLabel(marker) {
+  if (!marker) return "document";
+  if (marker.kind === "section") return marker.name;
+  if (marker.kind === "subsection") {
+    return [marker.section, marker.name].filter(Boolean).join(" / ");
+  }
+  return [marker.section, marker.subsection, marker.name]
+    .filter(Boolean)
+    .join(" / ");
+}
+
+function collectImageTokens(tokens, line, found) {
+  tokens.forEach((token) => {
+    const tokenLine = Array.isArray(token.map) ? token.map[0] : line;
+    if (token.type === "image") {
+      found.push({
+        src: String(token.attrGet("src") || ""),
+        alt: String(token.content || ""),
+        line: tokenLine,
+      });
+    }
+    if (Array.isArray(token.children)) {
+      collectImageTokens(token.children, tokenLine, found);
+    }
+  });
+}
+
+/**
+ * Lists the markdown images of a document body with the marker scope
+ * (section / subsection / field) each one appears in.
+ */
+export function collectMarkdownImageReferences(markdown) {
+  const text = String(markdown || "");
+  const found = [];
+  collectImageTokens(defaultMarkdownParser.tokenizer.parse(text, {}), 0, found);
+  const markers = parseStructuralDocument(text).markers.map((marker) => ({
+    marker,
+    line: countLines(text, marker.lineStart),
+  }));
+  return found
+    .filter((image) => image.src)
+    .map((image) => {
+      let scopeMarker = null;
+      markers.forEach(({ marker, line }) => {
+        if (line <= image.line) scopeMarker = marker;
+      });
+      return {
+        src: image.src,
+        alt: image.alt,
+        scope: formatScopeLabel(scopeMarker),
+      };
+    });
+}
+
+function findFolderImage(images, src) {
+  const path = decodeUriComponentOrRaw(src).replace(/^\.\//, "");
+  return (
+    images.find((image) => image.path === path || image.url === src) ||
+    images.find((image) => image.filename === path) ||
+    null
+  );
+}
+
+/**
+ * Combines the image references of every language draft with the
+ * `listImages` folder listing. Relative sources that match no folder image
+ * are reported as missing; absolute URLs are listed as external.
+ */
+export function buildImageUsageReport({ drafts = [], images = [] } = {}) {
+  const bySource = new Map();
+  drafts.forEach(({ lang, markdown }) => {
+    collectMarkdownImageReferences(markdown).forEach((reference) => {
+      let entry = bySource.get(reference.src);
+      if (!entry) {
+        const image = findFolderImage(images, reference.src);
+        const external =
+          !image &&
+          (EXTERNAL_SOURCE_RE.test(reference.src) ||
+            reference.src.startsWith("/"));
+        entry = {
+          src: reference.src,
+          image,
+          status: image ? "found" : external ? "external" : "missing",
+          usages: [],
+        };
+        bySource.set(reference.src, entry);
+      }
+      const duplicate = entry.usages.some(
+        (usage) => usage.lang === lang && usage.scope === reference.scope,
+      );
+      if (!duplicate) {
+        entry.usages.push({ lang, scope: reference.scope, alt: reference.alt });
+      }
+    });
+  });
+
+  const references = Array.from(bySource.values()).sort((a, b) =>
+    a.src.localeCompare(b.src),
+  );
+  const used = new Set(references.map((entry) => entry.image).filter(Boolean));
+  return {
+    references,
+    missing: references.filter((entry) => entry.status === "missing"),
+    unused: images.filter((image) => !used.has(image)),
+  };
+}
+
+function createSection(title, count) {
+  const section = document.createElement("section");
+  section.className = "mfe-image-usage__section";
+  const heading = document.createElement("h3");
+  heading.className = "mfe-image-usage__heading";
+  heading.textContent = `${title} (${count})`;
+  section.appendChild(heading);
+  return section;
+}
+
+function createEmpty(text) {
+  const empty = document.createElement("div");
+  empty.className = "mfe-image-usage__empty";
+  empty.textContent = text;
+  return empty;
+}
+
+function renderReference(entry) {
+  const item = document.createElement("li");
+  item.className = `mfe-image-usage__item is-${entry.status}`;
+
+  const source = document.createElement("div");
+  source.className = "mfe-image-usage__source";
+  source.textContent = entry.src;
+  if (entry.status !== "found") {
+    const badge = document.createElement("span");
+    badge.className = "mfe-image-usage__badge";
+    badge.textContent = entry.status === "missing" ? "missing" : "external";
+    source.appendChild(badge);
+  }
+
+  const usages = document.createElement("ul");
+  usages.className = "mfe-image-usage__usages";
+  entry.usages.forEach((usage) => {
+    const usageItem = document.createElement("li");
+    usageItem.textContent = `${usage.lang ? `${usage.lang.toUpperCase()}: ` : ""}${usage.scope}`;
+    if (usage.alt) usageItem.title = `alt: ${usage.alt}`;
+    usages.appendChild(usageItem);
+  });
+
+  item.append(source, usages);
+  return item;
+}
+
+function renderReport(body, report) {
+  body.replaceChildren();
+
+  const referenced = createSection(
+    "Referenced images",
+    report.references.length,
+  );
+  if (report.references.length === 0) {
+    referenced.appendChild(createEmpty("No images in this document."));
+  } else {
+    const list = document.createElement("ul");
+    list.className = "mfe-image-usage__list";
+    report.references.forEach((entry) =>
+      list.appendChild(renderReference(entry)),
+    );
+    referenced.appendChild(list);
+  }
+
+  const unused = createSection("Unused folder images", report.unused.length);
+  if (report.unused.length === 0) {
+    unused.appendChild(createEmpty("Every folder image is used."));
+  } else {
+    const list = document.createElement("ul");
+    list.className = "mfe-image-usage__list";
+    report.unused.forEach((image) => {
+      const item = document.createElement("li");
+      item.className = "mfe-image-usage__item is-unused";
+      item.textContent = image.path || image.filename;
+      list.appendChild(item);
+    });
+    unused.appendChild(list);
+  }
+
+  body.append(referenced, unused);
+}
+
+/**
+ * Opens the image usage report. `getDrafts()` resolves to the canonical
+ * document drafts as `[{ lang, markdown }]`; `loadImages()` to the
+ * `listImages` folder listing.
+ */
+export function openImageUsageReport({
+  getDrafts,
+  loadImages = fetchImageList,
+} = {}) {
+  if (typeof getDrafts !== "function") return Promise.resolve(null);
+
+  const eventRegistry = createEventRegistry();
+  const eventScope = eventRegistry.createScope("image-usage-report");
+
+  const overlay = document.createElement("div");
+  overlay.className = "mfe-link-picker mfe-image-usage";
+
+  const dialog = document.createElement("div");
+  dialog.className = "mfe-link-picker__dialog mfe-image-usage__dialog";
+
+  const header = document.createElement("div");
+  header.className = "mfe-link-picker__header";
+  header.textContent = "Image usage";
+
+  const body = document.createElement("div");
+  body.className = "mfe-image-usage__body";
+  body.appendChild(createEmpty("Loading images..."));
+
+  const footer = document.createElement("div");
+  footer.className = "mfe-link-picker__footer";
+
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.className = "mfe-link-picker__button";
+  closeButton.textContent = "Close";
+
+  function cleanup() {
+    eventScope.disposeAll();
+    overlay.remove();
+  }
+
+  eventScope.register(closeButton, "click", () => cleanup());
+  eventScope.register(overlay, "click", (event) => {
+    if (event.target === overlay) cleanup();
+  });
+  eventScope.register(overlay, "keydown", (event) => {
+    if (event.key === "Escape") cleanup();
+  });
+
+  footer.appendChild(closeButton);
+  dialog.append(header, body, footer);
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+  closeButton.focus();
+
+  return Promise.all([getDrafts(), loadImages()])
+    .then(([drafts, images]) => {
+      const report = buildImageUsageReport({ drafts, images });
+      renderReport(body, report);
+      return report;
+    })
+    .catch((error) => {
+      body.replaceChildren(
+        createEmpty(`Could not build the report: ${error?.message || error}`),
+      );
+      return null;
+    });
+}
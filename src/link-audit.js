@@ -0,0 +1,324 @@
+import { defaultMarkdownParser } from "prosemirror-markdown";
+import { fetchCsrfToken, getSaveUrl } from "./editor-core.js";
+import { resolveEditorPageId } from "./editor-shared-helpers.js";
+import { request, assertOk, getDataOrThrow } from "./network.js";
+import { createEventRegistry } from "./event-registry.js";
+import { parseStructuralDocument } from "./structural-document.js";
+import { formatScopeLabel } from "./image-usage-report.js";
+import { collectDocumentAnchors } from "./document-anchors.js";
+import { decodeUriComponentOrRaw } from "./markdown-text-utils.js";
+
+/**
+ * Save-time link audit: finds `#anchor` links without a heading and internal
+ * links whose page no longer exists (or moved) in the drafts being saved.
+ */
+
+export const LINK_AUDIT_MODES = ["warn", "block", "off"];
+
+const ISSUE_LABELS = {
+  "missing-anchor": "Heading not found",
+  "missing-page": "Page not found",
+  moved: "Page moved",
+};
+
+function countLines(text, end) {
+  return text.slice(0, end).split("\n").length - 1;
+}
+
+function collectLinkTokens(tokens, found) {
+  tokens.forEach((token) => {
+    if (token.type !== "inline" || !Array.isArray(token.children)) return;
+    const line = Array.isArray(token.map) ? token.map[0] : 0;
+    let open = null;
+    token.children.forEach((child) => {
+      if (child.type === "link_open") {
+        open = { href: String(child.attrGet("href") || ""), text: "", line };
+      } else if (child.type === "link_close") {
+        if (open) found.push(open);
+        open = null;
+      } else if (
+        open &&
+        (child.type === "text" || child.type === "code_inline")
+      ) {
+        open.text += child.content;
+      }
+    });
+  });
+}
+
+/**
+ * Lists the links of a markdown document in order. `index` counts the links
+ * with the same href in the whole document, `scopeIndex` within the marker
+ * scope (`scope`) the link sits in.
+ */
+export function collectMarkdownLinks(markdown) {
+  const text = String(markdown || "");
+  const found = [];
+  collectLinkTokens(defaultMarkdownParser.tokenizer.parse(text, {}), found);
+  const markers = parseStructuralDocument(text).markers.map((marker) => ({
+    marker,
+    line: countLines(text, marker.lineStart),
+  }));
+
+  const documentCounts = new Map();
+  const scopeCounts = new Map();
+  return found.map((link) => {
+    let scopeMarker = null;
+    markers.forEach(({ marker, line }) => {
+      if (line <= link.line) scopeMarker = marker;
+    });
+    const scopeKey = `${scopeMarker ? scopeMarker.index : -1}\u0000${link.href}`;
+    const index = documentCounts.get(link.href) || 0;
+    const scopeIndex = scopeCounts.get(scopeKey) || 0;
+    documentCounts.set(link.href, index + 1);
+    scopeCounts.set(scopeKey, scopeIndex + 1);
+    return {
+      href: link.href,
+      text: link.text.trim(),
+      index,
+      scopeIndex,
+      scope: scopeMarker
+        ? {
+            kind: scopeMarker.kind,
+            section: scopeMarker.section || "",
+            subsection: scopeMarker.subsection || "",
+            name: scopeMarker.name,
+          }
+        : null,
+      scopeLabel: formatScopeLabel(scopeMarker),
+    };
+  });
+}
+
+/**
+ * Sorts a link into `anchor` (`#id` on this page), `internal` (a path on
+ * this site, resolved against `baseUrl`) or `external`.
+ */
+export function classifyLinkHref(href, baseUrl) {
+  const value = String(href || "").trim();
+  if (value.startsWith("#")) {
+    return value.length > 1 ? { kind: "anchor", id: value.slice(1) } : null;
+  }
+  if (!value || value.startsWith("?")) return null;
+  let url;
+  try {
+    url = new URL(value, baseUrl);
+  } catch (_error) {
+    return null;
+  }
+  const base = new URL(baseUrl);
+  if (!/^https?:$/.test(url.protocol) || url.origin !== base.origin) {
+    return { kind: "external" };
+  }
+  return { kind: "internal", path: url.pathname };
+}
+
+/**
+ * Posts internal link paths to the `resolveLinks` endpoint. Resolves to
+ * `{ [path]: { status: "ok" | "moved" | "missing", url? } }`.
+ */
+export function fetchLinkResolutions(paths) {
+  return fetchCsrfToken()
+    .then((csrf) => {
+      const formData = new FormData();
+      formData.append("action", "resolveLinks");
+      formData.append("pageId", resolveEditorPageId());
+      formData.append("paths", JSON.stringify(paths));
+      if (csrf) formData.append(csrf.name, csrf.value);
+
+      return request(getSaveUrl(), {
+        method: "POST",
+        headers: undefined,
+        body: formData,
+        parse: "json",
+      });
+    })
+    .then((result) => {
+      const data = getDataOrThrow(assertOk(result));
+      if (!data.status) {
+        throw new Error(data.message || "Failed to check links");
+      }
+      return data.links || {};
+    });
+}
+
+/**
+ * Audits the links of `drafts` (`[{ lang, markdown }]`). Resolves to the
+ * issues found, each a collected link with `lang`, `reason` and, for moved
+ * pages, the page's current `url`.
+ */
+export async function auditDocumentLinks({
+  drafts = [],
+  baseUrl,
+  resolvePaths = fetchLinkResolutions,
+} = {}) {
+  const issues = [];
+  const pending = [];
+  drafts.forEach(({ lang, markdown }) => {
+    const anchorIds = new Set(
+      collectDocumentAnchors(markdown).map((anchor) => anchor.id),
+    );
+    collectMarkdownLinks(markdown).forEach((link) => {
+      const target = classifyLinkHref(link.href, baseUrl);
+      if (!target) return;
+      if (target.kind === "anchor") {
+        if (!anchorIds.has(decodeUriComponentOrRaw(target.id))) {
+          issues.push({ ...link, lang, reason: "missing-anchor" });
+        }
+      } else if (target.kind === "internal") {
+        pending.push({ link: { ...link, lang }, path: target.path });
+      }
+    });
+  });
+
+  if (pending.length > 0) {
+    const paths = Array.from(new Set(pending.map((entry) => entry.path)));
+    const resolved = (await resolvePaths(paths)) || {};
+    pending.forEach(({ link, path }) => {
+      const status = resolved[path]?.status;
+      if (status === "missing") {
+        issues.push({ ...link, reason: "missing-page" });
+      } else if (status === "moved") {
+        issues.push({
+          ...link,
+          reason: "moved",
+          url: resolved[path].url || "",
+        });
+      }
+    });
+  }
+  return issues;
+}
+
+// Moved pages still resolve through the page path history.
+export function isBlockingLinkIssue(issue) {
+  return issue?.reason === "missing-anchor" || issue?.reason === "missing-page";
+}
+
+/**
+ * Returns the document range of the `index`-th link with `href`, counting
+ * adjacent text with the same link as one link.
+ */
+export function findLinkRange(doc, href, index) {
+  const ranges = [];
+  let last = null;
+  doc.descendants((node, pos) => {
+    if (ranges.length > index + 1) return false;
+    if (!node.isText) {
+      if (node.isBlock) last = null;
+      return undefined;
+    }
+    const mark = node.marks.find((entry) => entry.type.name === "link");
+    if (!mark || mark.attrs.href !== href) {
+      last = null;
+    } else if (last && last.to === pos && last.mark.eq(mark)) {
+      last.to = pos + node.nodeSize;
+    } else {
+      last = { mark, from: pos, to: pos + node.nodeSize };
+      ranges.push(last);
+    }
+    return undefined;
+  });
+  const range = ranges[index];
+  return range ? { from: range.from, to: range.to } : null;
+}
+
+function describeIssue(issue) {
+  const label = ISSUE_LABELS[issue.reason] || issue.reason;
+  return issue.reason === "moved" && issue.url
+    ? `${label}: now ${issue.url}`
+    : label;
+}
+
+/**
+ * Shows the link audit result. `blocking` explains that the save was
+ * stopped and `saved` whether the save went through; `onJump(issue)` is
+ * offered for links of `currentLang`.
+ */
+export function openLinkAuditPanel({
+  issues = [],
+  blocking = false,
+  saved = true,
+  currentLang = "",
+  onJump = null,
+} = {}) {
+  const eventRegistry = createEventRegistry();
+  const eventScope = eventRegistry.createScope("link-audit");
+
+  const overlay = document.createElement("div");
+  overlay.className = "mfe-link-picker mfe-link-audit";
+
+  const dialog = document.createElement("div");
+  dialog.className = "mfe-link-picker__dialog mfe-link-audit__dialog";
+
+  const header = document.createElement("div");
+  header.className = "mfe-link-picker__header";
+  header.textContent = blocking
+    ? "Not saved: fix the broken links first"
+    : saved
+      ? "Saved with broken links"
+      : "Broken links";
+
+  const body = document.createElement("div");
+  body.className = "mfe-link-audit__body";
+  const list = document.createElement("ul");
+  list.className = "mfe-link-audit__list";
+
+  const footer = document.createElement("div");
+  footer.className = "mfe-link-picker__footer";
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.className = "mfe-link-picker__button";
+  closeButton.textContent = "Close";
+
+  function cleanup() {
+    eventScope.disposeAll();
+    overlay.remove();
+  }
+
+  issues.forEach((issue) => {
+    const item = document.createElement("li");
+    item.className = `mfe-link-audit__item is-${issue.reason}`;
+
+    const href = document.createElement("div");
+    href.className = "mfe-link-audit__href";
+    href.textContent = issue.text
+      ? `${issue.href} (${issue.text})`
+      : issue.href;
+
+    const detail = document.createElement("div");
+    detail.className = "mfe-link-audit__detail";
+    detail.textContent = `${describeIssue(issue)} · ${issue.lang ? `${String(issue.lang).toUpperCase()}: ` : ""}${issue.scopeLabel}`;
+
+    item.append(href, detail);
+    if (typeof onJump === "function" && issue.lang === currentLang) {
+      const jumpButton = document.createElement("button");
+      jumpButton.type = "button";
+      jumpButton.className =
+        "mfe-link-picker__button mfe-link-picker__button--secondary mfe-link-audit__jump";
+      jumpButton.textContent = "Jump to link";
+      eventScope.register(jumpButton, "click", () => {
+        cleanup();
+        onJump(issue);
+      });
+      item.appendChild(jumpButton);
+    }
+    list.appendChild(item);
+  });
+
+  eventScope.register(closeButton, "click", () => cleanup());
+  eventScope.register(overlay, "click", (event) => {
+    if (event.target === overlay) cleanup();
+  });
+  eventScope.register(overlay, "keydown", (event) => {
+    if (event.key === "Escape") cleanup();
+  });
+
+  body.appendChild(list);
+  footer.appendChild(closeButton);
+  dialog.append(header, body, footer);
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+  closeButton.focus();
+  return { close: cleanup };
+}
@@ -0,0 +1,202 @@
+import { createEventRegistry } from "./event-registry.js";
+import { normalizeLinkReferenceLabel } from "./editor-core.js";
+import {
+  collectLinkDefinitions,
+  collectLinkReferenceLabels,
+} from "./link-reference-extension.js";
+
+function createInput(className, value, placeholder) {
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = `mfe-link-definitions__input ${className}`;
+  input.value = value;
+  input.placeholder = placeholder;
+  return input;
+}
+
+export function buildLinkDefinitionRows(doc) {
+  const rows = collectLinkDefinitions(doc).map((definition) => ({
+    originalLabel: definition.label,
+    label: definition.label,
+    href: definition.href,
+    title: definition.title,
+  }));
+  const defined = new Set(
+    rows.map((row) => normalizeLinkReferenceLabel(row.label)),
+  );
+  collectLinkReferenceLabels(doc).forEach((label, key) => {
+    if (defined.has(key)) return;
+    rows.push({ originalLabel: "", label, href: "", title: "" });
+  });
+  return rows;
+}
+
+export function validateLinkDefinitionRows(rows) {
+  const seen = new Set();
+  for (const row of rows) {
+    if (row.removed) continue;
+    const label = String(row.label || "").trim();
+    const href = String(row.href || "").trim();
+    if (!href && !row.originalLabel) continue;
+    if (!label) return "Every definition needs a label.";
+    if (!href) return `Definition "${label}" needs a URL.`;
+    const key = normalizeLinkReferenceLabel(label);
+    if (seen.has(key)) return `Label "${label}" is defined twice.`;
+    seen.add(key);
+  }
+  return "";
+}
+
+export function applyLinkDefinitionRows(editor, rows) {
+  let chain = editor.chain().focus();
+  let changed = false;
+
+  rows.forEach((row) => {
+    if (row.removed && row.originalLabel) {
+      chain = chain.removeLinkDefinition(row.originalLabel);
+      changed = true;
+    }
+  });
+  rows.forEach((row) => {
+    if (row.removed) return;
+    const label = String(row.label || "").trim();
+    const href = String(row.href || "").trim();
+    if (!label || !href) return;
+    chain = chain.upsertLinkDefinition(row.originalLabel || null, {
+      label,
+      href,
+      title: row.title,
+    });
+    changed = true;
+  });
+
+  return changed ? chain.run() : false;
+}
+
+/**
+ * Lists the link reference definitions of the editor's current scope, plus
+ * references that have no definition yet, and applies edits as one change.
+ */
+export function openLinkDefinitionsPanel({ editor, markUserIntentToken } = {}) {
+  if (!editor?.schema?.nodes?.linkDefinition) return;
+
+  const eventRegistry = createEventRegistry();
+  const eventScope = eventRegistry.createScope("link-definitions-panel");
+  const rows = buildLinkDefinitionRows(editor.state.doc);
+
+  const overlay = document.createElement("div");
+  overlay.className = "mfe-link-picker mfe-link-definitions";
+
+  const dialog = document.createElement("div");
+  dialog.className = "mfe-link-picker__dialog mfe-link-definitions__dialog";
+
+  const header = document.createElement("div");
+  header.className = "mfe-link-picker__header";
+  header.textContent = "Link references";
+
+  const body = document.createElement("div");
+  body.className = "mfe-link-definitions__body";
+
+  const list = document.createElement("div");
+  list.className = "mfe-link-definitions__list";
+
+  const errorEl = document.createElement("div");
+  errorEl.className = "mfe-link-definitions__error";
+
+  const renderRows = () => {
+    list.replaceChildren();
+    const visibleRows = rows.filter((row) => !row.removed);
+    if (visibleRows.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "mfe-link-definitions__empty";
+      empty.textContent = "No link references in this scope.";
+      list.appendChild(empty);
+      return;
+    }
+
+    visibleRows.forEach((row) => {
+      const rowEl = document.createElement("div");
+      rowEl.className = "mfe-link-definitions__row";
+      if (!row.originalLabel && !row.href) {
+        rowEl.classList.add("mfe-link-definitions__row--missing");
+      }
+
+      const labelInput = createInput("is-label", row.label, "label");
+      const hrefInput = createInput("is-href", row.href, "https://…");
+      const titleInput = createInput("is-title", row.title, "title");
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.className =
+        "mfe-link-picker__button mfe-link-picker__button--secondary";
+      removeButton.textContent = "Remove";
+
+      eventScope.register(labelInput, "input", () => {
+        row.label = labelInput.value;
+      });
+      eventScope.register(hrefInput, "input", () => {
+        row.href = hrefInput.value;
+      });
+      eventScope.register(titleInput, "input", () => {
+        row.title = titleInput.value;
+      });
+      eventScope.register(removeButton, "click", () => {
+        row.removed = true;
+        renderRows();
+      });
+
+      rowEl.append(labelInput, hrefInput, titleInput, removeButton);
+      list.appendChild(rowEl);
+    });
+  };
+
+  const footer = document.createElement("div");
+  footer.className = "mfe-link-picker__footer";
+
+  const addButton = document.createElement("button");
+  addButton.type = "button";
+  addButton.className =
+    "mfe-link-picker__button mfe-link-picker__button--secondary mfe-link-definitions__add";
+  addButton.textContent = "Add definition";
+
+  const cancelButton = document.createElement("button");
+  cancelButton.type = "button";
+  cancelButton.className =
+    "mfe-link-picker__button mfe-link-picker__button--secondary";
+  cancelButton.textContent = "Cancel";
+
+  const applyButton = document.createElement("button");
+  applyButton.type = "button";
+  applyButton.className = "mfe-link-picker__button";
+  applyButton.textContent = "Apply";
+
+  function cleanup() {
+    eventScope.disposeAll();
+    overlay.remove();
+  }
+
+  eventScope.register(addButton, "click", () => {
+    rows.push({ originalLabel: "", label: "", href: "", title: "" });
+    renderRows();
+  });
+  eventScope.register(cancelButton, "click", () => cleanup());
+  eventScope.register(overlay, "click", (event) => {
+    if (event.target === overlay) cleanup();
+  });
+  eventScope.register(applyButton, "click", () => {
+    const error = validateLinkDefinitionRows(rows);
+    errorEl.textContent = error;
+    if (error) return;
+    if (typeof markUserIntentToken === "function") {
+      markUserIntentToken("link-definitions:apply");
+    }
+    applyLinkDefinitionRows(editor, rows);
+    cleanup();
+  });
+
+  renderRows();
+  footer.append(addButton, cancelButton, applyButton);
+  body.append(list, errorEl);
+  dialog.append(header, body, footer);
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+}
@@ -0,0 +1,203 @@
+import { Node } from "@tiptap/core";
+import { normalizeLinkReferenceLabel } from "./editor-core.js";
+
+export function collectLinkDefinitions(doc) {
+  const definitions = [];
+  doc.descendants((node, pos) => {
+    if (node.type.name !== "linkDefinition") return;
+    definitions.push({
+      pos,
+      label: String(node.attrs.label || ""),
+      href: String(node.attrs.href || ""),
+      title: String(node.attrs.title || ""),
+    });
+  });
+  return definitions;
+}
+
+export function collectLinkReferenceLabels(doc) {
+  const labels = new Map();
+  doc.descendants((node) => {
+    if (!node.isText) return;
+    node.marks.forEach((mark) => {
+      const reference = mark.type.name === "link" ? mark.attrs.reference : "";
+      if (!reference) return;
+      const key = normalizeLinkReferenceLabel(reference);
+      if (!labels.has(key)) labels.set(key, reference);
+    });
+  });
+  return labels;
+}
+
+function findLinkDefinition(doc, label) {
+  const key = normalizeLinkReferenceLabel(label);
+  return (
+    collectLinkDefinitions(doc).find(
+      (definition) => normalizeLinkReferenceLabel(definition.label) === key,
+    ) || null
+  );
+}
+
+function updateReferenceLinkMarks(tr, previousLabel, attrs) {
+  const linkType = tr.doc.type.schema.marks.link;
+  if (!linkType) return;
+  const key = normalizeLinkReferenceLabel(previousLabel);
+  tr.doc.descendants((node, pos) => {
+    if (!node.isText) return;
+    const mark = node.marks.find(
+      (candidate) =>
+        candidate.type === linkType &&
+        candidate.attrs.reference &&
+        normalizeLinkReferenceLabel(candidate.attrs.reference) === key,
+    );
+    if (!mark) return;
+    tr.addMark(
+      pos,
+      pos + node.nodeSize,
+      linkType.create({
+        ...mark.attrs,
+        reference:
+          attrs.label === undefined ? mark.attrs.reference : attrs.label,
+        href: attrs.href,
+        referenceHref: attrs.href,
+        title: attrs.title || null,
+      }),
+    );
+  });
+}
+
+export const LinkDefinition = Node.create({
+  name: "linkDefinition",
+  group: "block",
+  atom: true,
+  selectable: true,
+  draggable: false,
+
+  addAttributes() {
+    return {
+      label: {
+        default: "",
+      },
+      href: {
+        default: "",
+      },
+      title: {
+        default: "",
+      },
+      tight: {
+        default: false,
+        rendered: false,
+      },
+      markdownSource: {
+        default: null,
+        rendered: false,
+      },
+      markdownFingerprint: {
+        default: null,
+        rendered: false,
+      },
+    };
+  },
+
+  parseHTML() {
+    return [
+      {
+        tag: "div[data-link-definition]",
+        getAttrs: (node) => {
+          if (!(node instanceof HTMLElement)) return false;
+          return {
+            label: node.getAttribute("data-link-definition") || "",
+            href: node.getAttribute("data-href") || "",
+            title: node.getAttribute("data-title") || "",
+          };
+        },
+      },
+    ];
+  },
+
+  renderHTML({ node }) {
+    const { label, href, title } = node.attrs;
+    return [
+      "div",
+      {
+        "data-link-definition": label,
+        "data-href": href,
+        "data-title": title,
+        class: "mfe-link-definition",
+        contenteditable: "false",
+      },
+      `[${label}]: ${href}${title ? ` "${title}"` : ""}`,
+    ];
+  },
+
+  addCommands() {
+    return {
+      upsertLinkDefinition:
+        (previousLabel, attrs) =>
+        ({ state, tr, dispatch }) => {
+          const label = String(attrs?.label || "").trim();
+          const href = String(attrs?.href || "").trim();
+          const title = String(attrs?.title || "").trim();
+          if (!label || !href) return false;
+
+          const existing = previousLabel
+            ? findLinkDefinition(state.doc, previousLabel)
+            : null;
+          const duplicate = findLinkDefinition(state.doc, label);
+          if (duplicate && duplicate.pos !== existing?.pos) return false;
+
+          if (existing) {
+            if (!dispatch) return true;
+            const node = state.doc.nodeAt(existing.pos);
+            tr.setNodeMarkup(existing.pos, undefined, {
+              ...node.attrs,
+              label,
+              href,
+              title,
+            });
+            updateReferenceLinkMarks(tr, existing.label, {
+              label,
+              href,
+              title,
+            });
+            return true;
+          }
+
+          const definitions = collectLinkDefinitions(state.doc);
+          const last = definitions[definitions.length - 1];
+          const insertPos = last
+            ? last.pos + state.doc.nodeAt(last.pos).nodeSize
+            : state.doc.content.size;
+          const $insert = state.doc.resolve(insertPos);
+          const definitionType = state.schema.nodes.linkDefinition;
+          if (
+            !$insert.parent.canReplaceWith(
+              $insert.index(),
+              $insert.index(),
+              definitionType,
+            )
+          ) {
+            return false;
+          }
+          if (!dispatch) return true;
+
+          tr.insert(
+            insertPos,
+            definitionType.create({ label, href, title, tight: Boolean(last) }),
+          );
+          updateReferenceLinkMarks(tr, label, { href, title });
+          return true;
+        },
+      removeLinkDefinition:
+        (label) =>
+        ({ state, tr, dispatch }) => {
+          const existing = findLinkDefinition(state.doc, label);
+          if (!existing) return false;
+          if (!dispatch) return true;
+          const node = state.doc.nodeAt(existing.pos);
+          tr.delete(existing.pos, existing.pos + node.nodeSize);
+          return true;
+        },
+    };
+  },
+});
@@ -0,0 +1,148 @@
+/**
+ * Line layout for hard-wrapped paragraphs. The parser shows their soft line
+ * breaks as spaces and keeps the source lines; once such a paragraph is
+ * edited, the lines before and after the change are kept and only the
+ * changed words are wrapped again, so the diff stays local.
+ */
+
+// Words that would start a block (list item, heading, quote, fence, setext
+// underline...) when they begin a line, or make one on their own.
+const BLOCK_START_WORD_RE =
+  /^(?:[-+*]|#{1,6}|\d{1,9}[.)]|[-=_*]+|[>|<].*|`{3,}.*|~{3,}.*)$/;
+
+// Words are separated by single spaces; wider runs and the two spaces of a
+// hard break stay inside a word so joining with " " gives the text back.
+function splitWords(line) {
+  const text = String(line || "").trimStart();
+  return text ? text.split(/(?<=\S) (?=\S)/) : [];
+}
+
+// A single trailing space before a soft break is not part of the text.
+function normalizeWord(word) {
+  return word.replace(/(?<! ) $/, "");
+}
+
+function lineMatchesWords(lineWords, words, at) {
+  if (at < 0 || at + lineWords.length > words.length) return false;
+  return lineWords.every((word, index) => {
+    const next = words[at + index];
+    if (next.forced && index < lineWords.length - 1) return false;
+    return normalizeWord(word) === normalizeWord(next.word);
+  });
+}
+
+function layoutWords(words, width) {
+  const lines = [];
+  let line = "";
+  words.forEach(({ word, forced }) => {
+    if (!line) {
+      line = word;
+    } else if (
+      width > 0 &&
+      line.length + 1 + word.length > width &&
+      !BLOCK_START_WORD_RE.test(word) &&
+      !BLOCK_START_WORD_RE.test(line)
+    ) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = `${line} ${word}`;
+    }
+    if (forced) {
+      lines.push(line);
+      line = "";
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Column to rewrap an edited paragraph at: the configured width less the
+ * list or quote indent in front of its lines, or with no setting the
+ * longest line the paragraph had. 0 keeps changed text on one line.
+ */
+export function resolveRewrapWidth(configured, previousLines, indent = "") {
+  if (configured === null || configured === undefined) {
+    return Math.max(0, ...previousLines.map((line) => line.length));
+  }
+  const width = Number(configured) || 0;
+  return width > 0 ? Math.max(1, width - String(indent).length) : 0;
+}
+
+/**
+ * Lays out the serialized inline text of an edited paragraph. `text` has
+ * "\n" only after hard breaks; `previousLines` are the source lines the
+ * paragraph was parsed from. Unchanged leading and trailing lines are
+ * returned as they were and the words in between are wrapped at `width`.
+ */
+export function rewrapMarkdownParagraph(text, previousLines, width) {
+  const segments = String(text || "").split("\n");
+  const words = [];
+  segments.forEach((segment, segmentIndex) => {
+    const segmentWords = splitWords(segment);
+    segmentWords.forEach((word, index) => {
+      words.push({
+        word,
+        forced:
+          segmentIndex < segments.length - 1 &&
+          index === segmentWords.length - 1,
+      });
+    });
+  });
+  if (words.length === 0) return [];
+
+  const previous = previousLines.map((line) => ({
+    line,
+    words: splitWords(line),
+  }));
+  let head = 0;
+  let start = 0;
+  while (
+    head < previous.length &&
+    lineMatchesWords(previous[head].words, words, start)
+  ) {
+    start += previous[head].words.length;
+    head += 1;
+  }
+  let tail = previous.length;
+  let end = words.length;
+  while (tail > head) {
+    const lineWords = previous[tail - 1].words;
+    if (end - lineWords.length < start) break;
+    if (!lineMatchesWords(lineWords, words, end - lineWords.length)) break;
+    end -= lineWords.length;
+    tail -= 1;
+  }
+  // A changed line may not start with a word that would open a block.
+  while (
+    head > 0 &&
+    start < end &&
+    BLOCK_START_WORD_RE.test(words[start].word)
+  ) {
+    head -= 1;
+    start -= previous[head].words.length;
+  }
+
+  // Pull unchanged lines up into a short last line while they fit, so an
+  // edit does not leave a widow in front of them.
+  const middle = layoutWords(words.slice(start, end), width);
+  while (
+    width > 0 &&
+    middle.length > 0 &&
+    tail < previous.length &&
+    !words[end - 1].forced
+  ) {
+    const merged = `${middle[middle.length - 1]} ${previous[tail].line.trimStart()}`;
+    if (merged.length > width) break;
+    middle[middle.length - 1] = merged;
+    end += previous[tail].words.length;
+    tail += 1;
+  }
+
+  return [
+    ...previous.slice(0, head).map((entry) => entry.line),
+    ...middle,
+    ...previous.slice(tail).map((entry) => entry.line),
+  ];
+}
@@ -0,0 +1,411 @@
+import { defaultMarkdownParser } from "prosemirror-markdown";
+import { createEventRegistry } from "./event-registry.js";
+import { collectEditableRuns, findTextRange, toScope } from "./find-replace.js";
+import { formatScopeLabel } from "./image-usage-report.js";
+import { diffMarkdownLines } from "./markdown-normalize.js";
+
+/**
+ * Markdown lint over a canonical document draft. Rules run on the editable
+ * runs between marker lines, so markers are never reported, and issues
+ * carry the marker scope they belong to.
+ */
+
+export const MARKDOWN_LINT_MODES = ["warn", "block", "off"];
+
+export const MARKDOWN_LINT_RULES = [
+  { id: "heading-increment", label: "Heading level jumps" },
+  { id: "empty-link", label: "Empty links" },
+  { id: "duplicate-heading", label: "Duplicate headings in a section" },
+  { id: "trailing-spaces", label: "Trailing spaces" },
+  { id: "image-alt", label: "Images without alt text" },
+  { id: "bare-url", label: "Bare URLs" },
+];
+
+const BARE_URL_PATTERN = /https?:\/\/[^\s<>]*[^\s<>.,;:!?'")\]]/g;
+
+/**
+ * Returns the enabled rule ids from a site config value (an array or a
+ * comma list). Without a value every rule is enabled.
+ */
+export function resolveMarkdownLintRules(value) {
+  const ids = MARKDOWN_LINT_RULES.map((rule) => rule.id);
+  if (value === undefined || value === null) return ids;
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  const wanted = new Set(list.map((entry) => String(entry).trim()));
+  return ids.filter((id) => wanted.has(id));
+}
+
+function inlineText(token) {
+  return (token?.children || [])
+    .filter((child) => child.type === "text" || child.type === "code_inline")
+    .map((child) => child.content)
+    .join("")
+    .trim();
+}
+
+function collectInlineIssues(token, issues) {
+  let line = Array.isArray(token.map) ? token.map[0] : 0;
+  let link = null;
+  (token.children || []).forEach((child) => {
+    if (child.type === "softbreak" || child.type === "hardbreak") {
+      line += 1;
+    } else if (child.type === "link_open") {
+      link = { href: String(child.attrGet("href") || ""), text: "", line };
+    } else if (child.type === "link_close") {
+      if (link && (!link.href || link.href === "#")) {
+        issues.push({
+          rule: "empty-link",
+          message: `Link "${link.text.trim()}" has no target`,
+          line: link.line,
+          needle: link.text.trim(),
+        });
+      } else if (link && !link.text.trim() && !link.hasImage) {
+        issues.push({
+          rule: "empty-link",
+          message: `Link to ${link.href} has no text`,
+          line: link.line,
+          needle: "",
+        });
+      }
+      link = null;
+    } else if (child.type === "image") {
+      if (link) link.hasImage = true;
+      if (!String(child.content || "").trim()) {
+        issues.push({
+          rule: "image-alt",
+          message: `Image ${child.attrGet("src") || ""} has no alt text`,
+          line,
+          needle: "",
+        });
+      }
+    } else if (child.type === "text" || child.type === "code_inline") {
+      if (link) {
+        link.text += child.content;
+      } else if (child.type === "text") {
+        (child.content.match(BARE_URL_PATTERN) || []).forEach((url) => {
+          issues.push({
+            rule: "bare-url",
+            message: `Bare URL ${url}`,
+            line,
+            needle: url,
+          });
+        });
+      }
+    }
+  });
+}
+
+function collectTrailingSpaces(text, codeLines, issues) {
+  const lines = text.split("\n");
+  lines.forEach((value, line) => {
+    if (codeLines.has(line)) return;
+    const trailing = value.match(/[ \t]+$/);
+    if (!trailing) return;
+    // Two spaces before a following line are a hard line break.
+    const next = lines[line + 1];
+    if (trailing[0] === "  " && value.trim() && next && next.trim()) return;
+    issues.push({
+      rule: "trailing-spaces",
+      message: value.trim() ? "Trailing spaces" : "Whitespace-only line",
+      line,
+      needle: "",
+    });
+  });
+}
+
+// Parses one editable run: its top-level block line ranges, its headings
+// and the issues that do not depend on the rest of the document.
+function analyzeRun(text) {
+  const tokens = defaultMarkdownParser.tokenizer.parse(text, {});
+  const blocks = [];
+  const headings = [];
+  const issues = [];
+  const codeLines = new Set();
+  tokens.forEach((token, tokenIndex) => {
+    if (token.level === 0 && token.nesting >= 0 && Array.isArray(token.map)) {
+      blocks.push(token.map);
+    }
+    if (
+      (token.type === "fence" || token.type === "code_block") &&
+      Array.isArray(token.map)
+    ) {
+      for (let line = token.map[0]; line < token.map[1]; line += 1) {
+        codeLines.add(line);
+      }
+    }
+    if (token.type === "heading_open") {
+      headings.push({
+        level: Number(token.tag.slice(1)),
+        text: inlineText(tokens[tokenIndex + 1]),
+        line: Array.isArray(token.map) ? token.map[0] : 0,
+      });
+    }
+    if (token.type === "inline") collectInlineIssues(token, issues);
+  });
+  collectTrailingSpaces(text, codeLines, issues);
+  return { blocks, headings, issues };
+}
+
+function findBlockIndex(blocks, line) {
+  let found = 0;
+  blocks.forEach(([start], index) => {
+    if (start <= line) found = index;
+  });
+  return found;
+}
+
+/**
+ * Creates a linter that keeps the parse of every editable run, so linting
+ * the draft again after an edit only parses the runs that changed.
+ *
+ * `lint(markdown, { rules })` returns the issues in document order. `line`
+ * is the document line, `scopeLine` the line within the marker scope, and
+ * `blockIndex`/`scopeBlockIndex` the top-level block the issue is in.
+ */
+export function createMarkdownLinter() {
+  let cache = new Map();
+
+  function lint(markdown, { rules } = {}) {
+    const enabled = new Set(resolveMarkdownLintRules(rules));
+    const { text, runs } = collectEditableRuns(markdown);
+    const nextCache = new Map();
+    const issues = [];
+    let lineOffset = 0;
+    let lineCursor = 0;
+    let blockOffset = 0;
+    let previousLevel = 0;
+    let sectionHeadings = new Set();
+
+    runs.forEach((run, runIndex) => {
+      const slice = text.slice(run.start, run.end);
+      const analysis =
+        nextCache.get(slice) || cache.get(slice) || analyzeRun(slice);
+      nextCache.set(slice, analysis);
+      lineOffset += text.slice(lineCursor, run.start).split("\n").length - 1;
+      lineCursor = run.start;
+
+      // Heading levels and duplicates are checked per section.
+      if (!run.span || run.span.markerKind === "section") {
+        previousLevel = 0;
+        sectionHeadings = new Set();
+      }
+      const found = analysis.issues.slice();
+      analysis.headings.forEach((heading) => {
+        if (previousLevel > 0 && heading.level > previousLevel + 1) {
+          found.push({
+            rule: "heading-increment",
+            message: `Heading level ${heading.level} follows level ${previousLevel}`,
+            line: heading.line,
+            needle: heading.text,
+          });
+        }
+        previousLevel = heading.level;
+        const key = heading.text.toLowerCase();
+        if (key && sectionHeadings.has(key)) {
+          found.push({
+            rule: "duplicate-heading",
+            message: `Duplicate heading "${heading.text}"`,
+            line: heading.line,
+            needle: heading.text,
+          });
+        }
+        sectionHeadings.add(key);
+      });
+
+      const scope = toScope(run.span);
+      // Runs start at the end of their marker line.
+      const firstScopeLine = run.span && slice.startsWith("\n") ? 1 : 0;
+      found
+        .filter((issue) => enabled.has(issue.rule))
+        .sort((left, right) => left.line - right.line)
+        .forEach((issue) => {
+          const scopeBlockIndex = findBlockIndex(analysis.blocks, issue.line);
+          issues.push({
+            ...issue,
+            line: lineOffset + issue.line + 1,
+            scopeLine: issue.line - firstScopeLine + 1,
+            runIndex,
+            scope,
+            scopeLabel: formatScopeLabel(scope),
+            blockIndex: blockOffset + scopeBlockIndex,
+            scopeBlockIndex,
+          });
+        });
+      blockOffset += analysis.blocks.length;
+    });
+    cache = nextCache;
+    return issues;
+  }
+
+  return { lint };
+}
+
+export function lintMarkdown(markdown, options = {}) {
+  return createMarkdownLinter().lint(markdown, options);
+}
+
+/**
+ * Keeps the issues on lines of `markdown` that are not in `baseline`, so a
+ * save reports what the edit brought in rather than every older issue.
+ */
+export function filterLintIssuesToChangedLines(issues, baseline, markdown) {
+  const changed = new Set();
+  let line = 0;
+  diffMarkdownLines(baseline, markdown).forEach((op) => {
+    if (op.type === "remove") return;
+    line += 1;
+    if (op.type === "add") changed.add(line);
+  });
+  return issues.filter((issue) => changed.has(issue.line));
+}
+
+/**
+ * Returns the editor range of an issue: `needle` inside the `blockIndex`-th
+ * top-level block, or the start of that block's text.
+ */
+export function findLintIssueRange(doc, blockIndex, needle = "") {
+  if (!(blockIndex >= 0 && blockIndex < doc.childCount)) return null;
+  let start = 0;
+  for (let index = 0; index < blockIndex; index += 1) {
+    start += doc.child(index).nodeSize;
+  }
+  const end = start + doc.child(blockIndex).nodeSize;
+  if (needle) {
+    for (let index = 0; ; index += 1) {
+      const range = findTextRange(doc, needle, index);
+      if (!range || range.from > end) break;
+      if (range.from >= start && range.to <= end) return range;
+    }
+  }
+  let textStart = null;
+  doc.nodesBetween(start, end, (node, pos) => {
+    if (textStart !== null) return false;
+    if (!node.isTextblock) return undefined;
+    textStart = pos + 1;
+    return false;
+  });
+  const from = textStart === null ? start : textStart;
+  return { from, to: from };
+}
+
+function formatIssueCount(count) {
+  return `${count} ${count === 1 ? "issue" : "issues"}`;
+}
+
+/**
+ * Opens the lint panel next to the editor. `blocking` explains that the
+ * save was stopped; `onJump(issue)` is offered for issues of `currentLang`.
+ * `update(issues, { blocking })` shows a new lint result in the open panel.
+ */
+export function openMarkdownLintPanel({
+  issues = [],
+  blocking = false,
+  currentLang = "",
+  onJump = null,
+  onClose = null,
+} = {}) {
+  const eventRegistry = createEventRegistry();
+  const eventScope = eventRegistry.createScope("markdown-lint");
+  const itemScope = eventRegistry.createScope("markdown-lint-items");
+  const ruleLabels = new Map(
+    MARKDOWN_LINT_RULES.map((rule) => [rule.id, rule.label]),
+  );
+
+  const panel = document.createElement("div");
+  panel.className = "mfe-find-replace mfe-lint-panel";
+  panel.setAttribute("role", "dialog");
+  panel.setAttribute("aria-label", "Markdown lint");
+
+  const header = document.createElement("div");
+  header.className = "mfe-find-replace__header";
+  const title = document.createElement("span");
+  title.textContent = "Markdown lint";
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.className = "mfe-find-replace__close";
+  closeButton.textContent = "×";
+  closeButton.title = "Close";
+  header.append(title, closeButton);
+
+  const summary = document.createElement("div");
+  summary.className = "mfe-find-replace__summary mfe-lint-panel__summary";
+  const results = document.createElement("div");
+  results.className = "mfe-find-replace__results";
+
+  let isBlocking = blocking;
+
+  function renderIssue(issue) {
+    const item = document.createElement("li");
+    item.className = `mfe-lint-panel__item is-${issue.rule}`;
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "mfe-lint-panel__issue";
+    button.title = ruleLabels.get(issue.rule) || issue.rule;
+    const message = document.createElement("span");
+    message.className = "mfe-lint-panel__message";
+    message.textContent = issue.message;
+    const line = document.createElement("span");
+    line.className = "mfe-lint-panel__line";
+    line.textContent = `Line ${issue.line}`;
+    button.append(message, line);
+    const lang = issue.lang === undefined ? currentLang : issue.lang;
+    if (typeof onJump === "function" && lang === currentLang) {
+      itemScope.register(button, "click", () => onJump(issue));
+    } else {
+      button.disabled = true;
+    }
+    item.appendChild(button);
+    return item;
+  }
+
+  function update(nextIssues = [], { blocking: nextBlocking } = {}) {
+    if (nextBlocking !== undefined) isBlocking = nextBlocking;
+    itemScope.disposeAll();
+    results.replaceChildren();
+    summary.textContent =
+      nextIssues.length === 0
+        ? "No issues found"
+        : isBlocking
+          ? `Not saved: fix ${formatIssueCount(nextIssues.length)} first`
+          : formatIssueCount(nextIssues.length);
+    panel.classList.toggle("is-blocking", isBlocking && nextIssues.length > 0);
+
+    let list = null;
+    let groupKey = null;
+    nextIssues.forEach((issue) => {
+      const key = `${issue.lang || ""}\u0000${issue.runIndex}`;
+      if (key !== groupKey) {
+        groupKey = key;
+        const section = document.createElement("section");
+        section.className = "mfe-find-replace__group";
+        const heading = document.createElement("div");
+        heading.className = "mfe-find-replace__group-label";
+        heading.textContent = issue.lang
+          ? `${String(issue.lang).toUpperCase()}: ${issue.scopeLabel}`
+          : issue.scopeLabel;
+        list = document.createElement("ul");
+        list.className = "mfe-find-replace__list";
+        section.append(heading, list);
+        results.appendChild(section);
+      }
+      list.appendChild(renderIssue(issue));
+    });
+  }
+
+  function cleanup() {
+    itemScope.disposeAll();
+    eventScope.disposeAll();
+    panel.remove();
+    if (typeof onClose === "function") onClose();
+  }
+
+  eventScope.register(closeButton, "click", () => cleanup());
+  eventScope.register(panel, "keydown", (event) => {
+    if (event.key === "Escape") cleanup();
+  });
+
+  panel.append(header, summary, results);
+  document.body.appendChild(panel);
+  update(issues);
+  return { close: cleanup, update };
+}
@@ -0,0 +1,352 @@
+import { Editor } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import { Fragment } from "prosemirror-model";
+import {
+  parseMarkdownToDoc,
+  serializeMarkdownDoc,
+  trimTrailingLineBreaks,
+} from "./editor-core.js";
+import { createEventRegistry } from "./event-registry.js";
+import { createSnapshotCompareExtension } from "./editor-tiptap-extensions.js";
+import { splitLeadingFrontmatter } from "./markdown-text-utils.js";
+
+/**
+ * Opt-in cleanup of a markdown body: bold, italic and bullet markers are
+ * rewritten to the configured style, adjacent lists of the same kind are
+ * merged and the serializer drops excess blank lines and trailing spaces.
+ * Everything else is written back the way the editor preserves it.
+ */
+
+const MERGEABLE_LISTS = new Set(["bulletList", "taskList"]);
+// Largest LCS table the line diff builds; longer changed ranges are shown
+// as one block replace so a big document cannot stall the page.
+const MAX_LINE_DIFF_CELLS = 250000;
+
+function normalizeMark(mark, { emphasisStyle }) {
+  const underscore = emphasisStyle === "underscore";
+  if (mark.type.name === "bold") {
+    return mark.type.create({
+      ...mark.attrs,
+      delimiter: underscore ? "__" : "**",
+    });
+  }
+  if (mark.type.name === "italic") {
+    return mark.type.create({
+      ...mark.attrs,
+      delimiter: underscore ? "_" : "*",
+    });
+  }
+  return mark;
+}
+
+function normalizeNode(node, preferences) {
+  if (node.isText) {
+    return node.mark(
+      node.marks.map((mark) => normalizeMark(mark, preferences)),
+    );
+  }
+  const children = [];
+  node.forEach((child) => {
+    const next = normalizeNode(child, preferences);
+    const previous = children[children.length - 1];
+    if (
+      previous &&
+      MERGEABLE_LISTS.has(next.type.name) &&
+      previous.type === next.type
+    ) {
+      children[children.length - 1] = previous.copy(
+        previous.content.append(next.content),
+      );
+      return;
+    }
+    children.push(next);
+  });
+  const attrs = MERGEABLE_LISTS.has(node.type.name)
+    ? { ...node.attrs, bullet: preferences.unorderedListMarker }
+    : node.attrs;
+  return node.type.create(attrs, Fragment.fromArray(children), node.marks);
+}
+
+/**
+ * Returns a copy of an editor document with `emphasisStyle` ("asterisk" or
+ * "underscore") and `unorderedListMarker` applied to every bold, italic and
+ * bullet or task list, and adjacent lists of the same kind merged.
+ */
+export function normalizeMarkdownDoc(doc, preferences = {}) {
+  return normalizeNode(doc, {
+    emphasisStyle: preferences.emphasisStyle || "asterisk",
+    unorderedListMarker: preferences.unorderedListMarker || "*",
+  });
+}
+
+/**
+ * Normalizes a markdown body with `schema`. Leading frontmatter and the
+ * line breaks after it are kept as is, and so is a final line break.
+ */
+export function normalizeMarkdown(markdown, schema, preferences = {}) {
+  const { frontmatter, body } = splitLeadingFrontmatter(String(markdown || ""));
+  if (!body.trim()) return `${frontmatter}${body}`;
+  const doc = normalizeMarkdownDoc(
+    parseMarkdownToDoc(body, schema),
+    preferences,
+  );
+  const leading = body.match(/^\n*/)[0];
+  const trailing = body.endsWith("\n") ? "\n" : "";
+  const serialized = trimTrailingLineBreaks(serializeMarkdownDoc(doc));
+  return `${frontmatter}${leading}${serialized}${trailing}`;
+}
+
+/**
+ * Line diff of two texts as `common`, `remove` and `add` operations in
+ * order, removals before additions. Only the lines between the common
+ * head and tail are compared, and those as a whole when there are too many.
+ */
+export function diffMarkdownLines(before, after) {
+  const beforeLines = String(before || "").split("\n");
+  const afterLines = String(after || "").split("\n");
+  let head = 0;
+  while (
+    head < beforeLines.length &&
+    head < afterLines.length &&
+    beforeLines[head] === afterLines[head]
+  ) {
+    head += 1;
+  }
+  let tail = 0;
+  while (
+    tail < beforeLines.length - head &&
+    tail < afterLines.length - head &&
+    beforeLines[beforeLines.length - 1 - tail] ===
+      afterLines[afterLines.length - 1 - tail]
+  ) {
+    tail += 1;
+  }
+  const removed = beforeLines.slice(head, beforeLines.length - tail);
+  const added = afterLines.slice(head, afterLines.length - tail);
+  const ops = beforeLines
+    .slice(0, head)
+    .map((line) => ({ type: "common", line }));
+  const commonTail = beforeLines
+    .slice(beforeLines.length - tail)
+    .map((line) => ({ type: "common", line }));
+  if ((removed.length + 1) * (added.length + 1) > MAX_LINE_DIFF_CELLS) {
+    return [
+      ...ops,
+      ...removed.map((line) => ({ type: "remove", line })),
+      ...added.map((line) => ({ type: "add", line })),
+      ...commonTail,
+    ];
+  }
+
+  const dp = Array.from({ length: removed.length + 1 }, () =>
+    Array(added.length + 1).fill(0),
+  );
+  for (let i = removed.length - 1; i >= 0; i -= 1) {
+    for (let j = added.length - 1; j >= 0; j -= 1) {
+      dp[i][j] =
+        removed[i] === added[j]
+          ? dp[i + 1][j + 1] + 1
+          : Math.max(dp[i + 1][j], dp[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < removed.length || j < added.length) {
+    if (i < removed.length && j < added.length && removed[i] === added[j]) {
+      ops.push({ type: "common", line: removed[i] });
+      i += 1;
+      j += 1;
+    } else if (
+      j >= added.length ||
+      (i < removed.length && dp[i + 1][j] >= dp[i][j + 1])
+    ) {
+      ops.push({ type: "remove", line: removed[i] });
+      i += 1;
+    } else {
+      ops.push({ type: "add", line: added[j] });
+      j += 1;
+    }
+  }
+  return [...ops, ...commonTail];
+}
+
+/**
+ * Builds the documents the snapshot compare decorations diff for a
+ * preview: one paragraph per line of `after`, and a base document whose
+ * paragraphs hold the matching line of `before`. Lines only in `before`
+ * become code blocks, which the compare shows as removed (blank ones as ¶).
+ */
+export function buildNormalizePreviewDocs(before, after, schema) {
+  const paragraph = (line) =>
+    schema.nodes.paragraph.create(null, line ? schema.text(line) : null);
+  const nodes = [];
+  const baseNodes = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    added.forEach((line, index) => {
+      nodes.push(paragraph(line));
+      baseNodes.push(paragraph(removed[index] || ""));
+    });
+    const extra = removed.slice(added.length);
+    if (extra.length > 0) {
+      baseNodes.push(
+        schema.nodes.codeBlock.create(
+          null,
+          schema.text(extra.map((line) => line || "¶").join("\n")),
+        ),
+      );
+    }
+    removed = [];
+    added = [];
+  };
+  diffMarkdownLines(before, after).forEach((op) => {
+    if (op.type === "remove") {
+      removed.push(op.line);
+    } else if (op.type === "add") {
+      added.push(op.line);
+    } else {
+      flush();
+      nodes.push(paragraph(op.line));
+      baseNodes.push(paragraph(op.line));
+    }
+  });
+  flush();
+  if (nodes.length === 0) nodes.push(paragraph(""));
+  return {
+    doc: schema.nodes.doc.create(null, nodes),
+    baseDoc: schema.nodes.doc.create(null, baseNodes),
+  };
+}
+
+// A line replaced by another counts once.
+function countChangedLines(before, after) {
+  let count = 0;
+  let removed = 0;
+  let added = 0;
+  [...diffMarkdownLines(before, after), { type: "common" }].forEach((op) => {
+    if (op.type === "remove") {
+      removed += 1;
+    } else if (op.type === "add") {
+      added += 1;
+    } else {
+      count += Math.max(removed, added);
+      removed = 0;
+      added = 0;
+    }
+  });
+  return count;
+}
+
+/**
+ * Read-only editor showing `after` line by line, with the changes from
+ * `before` decorated the way snapshot compare shows them.
+ */
+export function createMarkdownNormalizePreview(element, before, after) {
+  const compareState = { baseDoc: null };
+  const editor = new Editor({
+    element,
+    extensions: [
+      StarterKit,
+      createSnapshotCompareExtension(() => compareState),
+    ],
+    content: "",
+    editable: false,
+    editorProps: {
+      attributes: {
+        class:
+          "mfe-editor mfe-snapshot-compare-editor mfe-normalize-panel__preview",
+        spellcheck: "false",
+      },
+    },
+  });
+  const { doc, baseDoc } = buildNormalizePreviewDocs(
+    before,
+    after,
+    editor.schema,
+  );
+  compareState.baseDoc = baseDoc;
+  editor.commands.setContent(doc.toJSON(), false);
+  editor.view.dispatch(
+    editor.state.tr.setMeta("mfe-snapshot-compare-refresh", Date.now()),
+  );
+  return editor;
+}
+
+/**
+ * Shows `after` as a diff against `before` with Apply and Cancel. Nothing
+ * changes until Apply calls `onApply(after)`.
+ */
+export function openMarkdownNormalizePanel({
+  before = "",
+  after = "",
+  onApply = null,
+  onClose = null,
+} = {}) {
+  const eventRegistry = createEventRegistry();
+  const eventScope = eventRegistry.createScope("markdown-normalize");
+
+  const panel = document.createElement("div");
+  panel.className = "mfe-find-replace mfe-normalize-panel";
+  panel.setAttribute("role", "dialog");
+  panel.setAttribute("aria-label", "Normalize markdown");
+
+  const header = document.createElement("div");
+  header.className = "mfe-find-replace__header";
+  const title = document.createElement("span");
+  title.textContent = "Normalize markdown";
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.className = "mfe-find-replace__close";
+  closeButton.textContent = "×";
+  closeButton.title = "Close";
+  header.append(title, closeButton);
+
+  const changed = countChangedLines(before, after);
+  const summary = document.createElement("div");
+  summary.className = "mfe-find-replace__summary";
+  summary.textContent =
+    changed === 0
+      ? "Already normalized"
+      : `${changed} line${changed === 1 ? "" : "s"} change`;
+  const results = document.createElement("div");
+  results.className = "mfe-find-replace__results";
+
+  const footer = document.createElement("div");
+  footer.className = "mfe-find-replace__footer mfe-normalize-panel__footer";
+  const cancelButton = document.createElement("button");
+  cancelButton.type = "button";
+  cancelButton.className =
+    "mfe-link-picker__button mfe-link-picker__button--secondary";
+  cancelButton.textContent = "Cancel";
+  const applyButton = document.createElement("button");
+  applyButton.type = "button";
+  applyButton.className = "mfe-link-picker__button mfe-normalize-panel__apply";
+  applyButton.textContent = "Apply";
+  applyButton.disabled = changed === 0;
+  footer.append(cancelButton, applyButton);
+
+  panel.append(header, summary, results, footer);
+  document.body.appendChild(panel);
+  const preview = createMarkdownNormalizePreview(results, before, after);
+
+  function cleanup() {
+    eventScope.disposeAll();
+    preview.destroy();
+    panel.remove();
+    if (typeof onClose === "function") onClose();
+  }
+
+  eventScope.register(closeButton, "click", () => cleanup());
+  eventScope.register(cancelButton, "click", () => cleanup());
+  eventScope.register(applyButton, "click", () => {
+    if (typeof onApply === "function") onApply(after);
+    cleanup();
+  });
+  eventScope.register(panel, "keydown", (event) => {
+    if (event.key === "Escape") cleanup();
+  });
+
+  return { close: cleanup };
+}
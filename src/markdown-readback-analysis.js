@@ -2,6 +2,9 @@ import { parseMarkdownToDoc } from "./editor-core.js";
 import {
   computeChangedRanges,
   escapeMarkdownPreview,
+  applyMarkdownTextFormat,
+  normalizeMarkdownTextFormat,
+  stripMarkdownTextFormat,
 } from "./markdown-text-utils.js";
 
 function normalizeForReadbackClassification(value) {
@@ -151,12 +154,28 @@ function hasListTopologyDrift(leftText, rightText) {
   return false;
 }
 
-function classifyReadbackMismatch(sent, persisted) {
+// With the document's text format, `sent` may be the LF editing form: an LF
+// document without BOM matches in any form, any other must come back with
+// exactly its own line endings and BOM.
+function matchesSentTextFormat(sentText, persistedText, textFormat) {
+  const format = normalizeMarkdownTextFormat(textFormat);
+  const sentPlain = stripMarkdownTextFormat(sentText);
+  if (format.lineEnding === "\n" && !format.bom) {
+    return sentPlain === stripMarkdownTextFormat(persistedText);
+  }
+  return applyMarkdownTextFormat(sentPlain, format) === persistedText;
+}
+
+function classifyReadbackMismatch(sent, persisted, textFormat = null) {
   const sentText = String(sent || "");
   const persistedText = String(persisted || "");
   const rawDiff = buildFirstDiffSample(sentText, persistedText);
 
-  if (sentText === persistedText) {
+  if (
+    textFormat
+      ? matchesSentTextFormat(sentText, persistedText, textFormat)
+      : sentText === persistedText
+  ) {
     return {
       className: "exact",
       firstDiffOffset: -1,
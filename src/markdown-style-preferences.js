@@ -1,3 +1,5 @@
+import { defaultMarkdownParser } from "prosemirror-markdown";
+
 const CONFIG_KEY = "MarkdownFrontEditorConfig";
 
 export const DEFAULT_EMPHASIS_STYLE = "asterisk";
@@ -23,28 +25,83 @@ export function normalizeUnorderedListMarker(value) {
     : DEFAULT_UNORDERED_LIST_MARKER;
 }
 
-export function getMarkdownStylePreferences() {
+function collectMarkupStyle(tokens, styles) {
+  tokens.forEach((token) => {
+    if (token.type === "strong_open" || token.type === "em_open") {
+      styles.emphasis.add(token.markup[0] === "_" ? "underscore" : "asterisk");
+    } else if (token.type === "bullet_list_open") {
+      styles.listMarker.add(token.markup);
+    }
+    if (Array.isArray(token.children)) {
+      collectMarkupStyle(token.children, styles);
+    }
+  });
+}
+
+/**
+ * Reads the emphasis style and bullet marker a markdown body uses. A style is
+ * only reported when every occurrence agrees; mixed or absent ones are null.
+ */
+export function detectMarkdownStylePreferences(markdown) {
+  const styles = { emphasis: new Set(), listMarker: new Set() };
+  const text = String(markdown || "");
+  if (text.trim()) {
+    collectMarkupStyle(defaultMarkdownParser.tokenizer.parse(text, {}), styles);
+  }
+  const [emphasisStyle] = styles.emphasis;
+  const [unorderedListMarker] = styles.listMarker;
+  return {
+    emphasisStyle: styles.emphasis.size === 1 ? emphasisStyle : null,
+    unorderedListMarker:
+      styles.listMarker.size === 1 ? unorderedListMarker : null,
+  };
+}
+
+// Style of the document an editor shows, as reported by its
+// mfeDocumentStyle extension, or null when it has none.
+export function getEditorDocumentStylePreferences(editor) {
+  const getPreferences = editor?.storage?.mfeDocumentStyle?.getPreferences;
+  return typeof getPreferences === "function" ? getPreferences() || null : null;
+}
+
+/**
+ * Style for new markdown: the fields `documentPreferences` sets (the style
+ * the edited document already uses) override the host config defaults.
+ */
+export function getMarkdownStylePreferences(documentPreferences = null) {
   const cfg = readHostConfigOptional();
   return {
-    emphasisStyle: normalizeEmphasisStyle(cfg?.defaultEmphasisStyle),
+    emphasisStyle: normalizeEmphasisStyle(
+      documentPreferences?.emphasisStyle || cfg?.defaultEmphasisStyle,
+    ),
     unorderedListMarker: normalizeUnorderedListMarker(
-      cfg?.defaultUnorderedListMarker,
+      documentPreferences?.unorderedListMarker ||
+        cfg?.defaultUnorderedListMarker,
     ),
   };
 }
 
-export function getDefaultBoldDelimiter() {
-  return getMarkdownStylePreferences().emphasisStyle === "underscore"
+export function getDefaultBoldDelimiter(documentPreferences = null) {
+  return getMarkdownStylePreferences(documentPreferences).emphasisStyle ===
+    "underscore"
     ? "__"
     : "**";
 }
 
-export function getDefaultItalicDelimiter() {
-  return getMarkdownStylePreferences().emphasisStyle === "underscore"
+export function getDefaultItalicDelimiter(documentPreferences = null) {
+  return getMarkdownStylePreferences(documentPreferences).emphasisStyle ===
+    "underscore"
     ? "_"
     : "*";
 }
 
-export function getDefaultUnorderedListMarker() {
-  return getMarkdownStylePreferences().unorderedListMarker;
+export function getDefaultUnorderedListMarker(documentPreferences = null) {
+  return getMarkdownStylePreferences(documentPreferences).unorderedListMarker;
+}
+
+// Column edited hard-wrapped paragraphs are rewrapped at; null (no setting)
+// keeps the width the paragraph had and 0 turns rewrapping off.
+export function getHardWrapWidth() {
+  const value = String(readHostConfigOptional()?.hardWrapWidth ?? "").trim();
+  return /^\d+$/.test(value) ? Number(value) : null;
 }
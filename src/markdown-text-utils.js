@@ -5,6 +5,59 @@ function normalizeLineEndingsToLf(value) {
   return String(value || "").replace(/\r\n|\r/g, "\n");
 }
 
+const LF_TEXT_FORMAT = Object.freeze({ lineEnding: "\n", bom: false });
+
+/**
+ * Reads the line-ending style and byte order mark of a stored markdown file.
+ * Text without a carriage return or BOM carries no signal, so `fallback` is
+ * returned for it.
+ */
+function detectMarkdownTextFormat(value, fallback = LF_TEXT_FORMAT) {
+  const text = String(value || "");
+  const bom = text.startsWith("\uFEFF");
+  if (!bom && !text.includes("\r")) {
+    return normalizeMarkdownTextFormat(fallback);
+  }
+  const crlfCount = (text.match(/\r\n/g) || []).length;
+  const lfCount = (text.match(/(?:^|[^\r])\n/g) || []).length;
+  return {
+    lineEnding: crlfCount > 0 && crlfCount >= lfCount ? "\r\n" : "\n",
+    bom,
+  };
+}
+
+function normalizeMarkdownTextFormat(format) {
+  return {
+    lineEnding: format?.lineEnding === "\r\n" ? "\r\n" : "\n",
+    bom: Boolean(format?.bom),
+  };
+}
+
+// Editors work on LF text without a BOM; this is the inverse of
+// applyMarkdownTextFormat.
+function stripMarkdownTextFormat(value) {
+  return normalizeLineEndingsToLf(value).replace(/^\uFEFF/, "");
+}
+
+function applyMarkdownTextFormat(value, format) {
+  const { lineEnding, bom } = normalizeMarkdownTextFormat(format);
+  const text = stripMarkdownTextFormat(value);
+  const withLineEndings =
+    lineEnding === "\n" ? text : text.replace(/\n/g, lineEnding);
+  return bom && withLineEndings ? `\uFEFF${withLineEndings}` : withLineEndings;
+}
+
+// Scoped saves send a fragment the backend splices into the stored file, so
+// it gets the file's line endings but never the BOM, which only belongs at
+// the start of the document.
+function applyOutboundMarkdownTextFormat(value, format, scopeKind) {
+  if (scopeKind === "document") return applyMarkdownTextFormat(value, format);
+  return applyMarkdownTextFormat(value, {
+    lineEnding: normalizeMarkdownTextFormat(format).lineEnding,
+    bom: false,
+  });
+}
+
 function splitLeadingFrontmatter(markdown) {
   const text = typeof markdown === "string" ? markdown : "";
   const match = text.match(LEADING_FRONTMATTER_RE);
@@ -57,6 +110,17 @@ function buildNewlineDiagnostics(value) {
   };
 }
 
+// Percent-decodes a URL part written in markdown. Text with a malformed
+// escape is not URL-encoded, so it is returned as written.
+function decodeUriComponentOrRaw(value) {
+  const text = String(value || "");
+  try {
+    return decodeURIComponent(text);
+  } catch (_error) {
+    return text;
+  }
+}
+
 function escapeMarkdownPreview(value) {
   return String(value || "")
     .replace(/\r\n/g, "\\r\\n")
@@ -99,12 +163,18 @@ function computeChangedRanges(beforeText, afterText) {
 
 export {
   normalizeLineEndingsToLf,
+  detectMarkdownTextFormat,
+  normalizeMarkdownTextFormat,
+  stripMarkdownTextFormat,
+  applyMarkdownTextFormat,
+  applyOutboundMarkdownTextFormat,
   splitLeadingFrontmatter,
   hasLeadingFrontmatter,
   hasBareCarriageReturn,
   countLeadingLineBreakUnits,
   countTrailingLineBreakUnits,
   buildNewlineDiagnostics,
+  decodeUriComponentOrRaw,
   escapeMarkdownPreview,
   computeChangedRanges,
 };
@@ -1,5 +1,9 @@
 import { getHostConfig } from "./host-env.js";
 import { createEventRegistry } from "./event-registry.js";
+import {
+  collectDocumentAnchors,
+  findUnresolvedAnchorLinks,
+} from "./document-anchors.js";
 
 function parseAnchorHtml(markup) {
   const container = document.createElement("div");
@@ -45,12 +49,97 @@ function buildPickerUrl({ adminUrl, pageId, language, href, cfg }) {
   return url.toString();
 }
 
-export function openPageLinkPicker({ currentHref = "", language = "" } = {}) {
+function createAnchorPanel({ markdown, currentHref, eventScope, onPick }) {
+  const panel = document.createElement("div");
+  panel.className = "mfe-link-picker__anchors";
+
+  const anchors = collectDocumentAnchors(markdown);
+  const unresolved = findUnresolvedAnchorLinks(markdown, anchors);
+  const currentId = currentHref.startsWith("#") ? currentHref.slice(1) : "";
+  let selectedId = anchors.some((anchor) => anchor.id === currentId)
+    ? currentId
+    : "";
+
+  if (unresolved.length > 0) {
+    const warning = document.createElement("div");
+    warning.className = "mfe-link-picker__anchor-warning";
+    warning.textContent = "Links to missing headings:";
+    const list = document.createElement("ul");
+    unresolved.forEach((link) => {
+      const item = document.createElement("li");
+      item.textContent = link.text ? `${link.href} (${link.text})` : link.href;
+      list.appendChild(item);
+    });
+    warning.appendChild(list);
+    panel.appendChild(warning);
+  }
+
+  if (anchors.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "mfe-link-picker__anchor-empty";
+    empty.textContent = "No headings in this document.";
+    panel.appendChild(empty);
+    return { element: panel, getSelectedId: () => "" };
+  }
+
+  const list = document.createElement("ul");
+  list.className = "mfe-link-picker__anchor-list";
+  anchors.forEach((anchor) => {
+    const item = document.createElement("li");
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "mfe-link-picker__anchor";
+    button.dataset.anchor = anchor.id;
+    button.style.paddingLeft = `${12 + (anchor.level - 1) * 16}px`;
+    button.classList.toggle("is-selected", anchor.id === selectedId);
+
+    const text = document.createElement("span");
+    text.className = "mfe-link-picker__anchor-text";
+    text.textContent = anchor.text;
+    const id = document.createElement("span");
+    id.className = "mfe-link-picker__anchor-id";
+    id.textContent = `#${anchor.id}`;
+
+    button.append(text, id);
+    item.appendChild(button);
+    list.appendChild(item);
+  });
+  panel.appendChild(list);
+
+  const findButton = (target) => target?.closest?.(".mfe-link-picker__anchor");
+  eventScope.register(list, "click", (event) => {
+    const button = findButton(event.target);
+    if (!button) return;
+    selectedId = button.dataset.anchor;
+    list.querySelectorAll(".mfe-link-picker__anchor").forEach((entry) => {
+      entry.classList.toggle("is-selected", entry === button);
+    });
+  });
+  eventScope.register(list, "dblclick", (event) => {
+    const button = findButton(event.target);
+    if (button) onPick(button.dataset.anchor);
+  });
+
+  return { element: panel, getSelectedId: () => selectedId };
+}
+
+/**
+ * Opens the link picker. With `documentMarkdown` (the canonical markdown of
+ * the current language) it adds an "In this document" tab that links to
+ * heading anchors.
+ */
+export function openPageLinkPicker({
+  currentHref = "",
+  language = "",
+  documentMarkdown = null,
+} = {}) {
   const cfg = getHostConfig();
   const adminUrl = String(cfg.adminUrl || "").trim();
   const pageId = String(cfg.pageId || "0");
+  const canPickPage = Boolean(adminUrl && pageId && pageId !== "0");
+  const canPickAnchor = typeof documentMarkdown === "string";
 
-  if (!adminUrl || !pageId || pageId === "0") {
+  if (!canPickPage && !canPickAnchor) {
     return Promise.resolve(null);
   }
 
@@ -72,13 +161,18 @@ export function openPageLinkPicker({ currentHref = "", language = "" } = {}) {
 
     const iframe = document.createElement("iframe");
     iframe.className = "mfe-link-picker__frame";
-    iframe.src = buildPickerUrl({
-      adminUrl,
-      pageId,
-      language: language || cfg.currentLanguage || "",
-      href: currentHref,
-      cfg,
-    });
+    const anchorPanel = canPickAnchor
+      ? createAnchorPanel({
+          markdown: documentMarkdown,
+          currentHref: String(currentHref || ""),
+          eventScope,
+          onPick: (id) => cleanup({ href: `#${id}`, pageId: "", pageLang: "" }),
+        })
+      : null;
+    let activeTab =
+      !canPickPage || (anchorPanel && String(currentHref).startsWith("#"))
+        ? "anchors"
+        : "pages";
 
     const footer = document.createElement("div");
     footer.className = "mfe-link-picker__footer";
@@ -101,6 +195,10 @@ export function openPageLinkPicker({ currentHref = "", language = "" } = {}) {
     }
 
     function readResult() {
+      if (activeTab === "anchors") {
+        const id = anchorPanel?.getSelectedId() || "";
+        return id ? { href: `#${id}`, pageId: "", pageLang: "" } : null;
+      }
       const iframeDocument = iframe.contentWindow?.document;
       if (!iframeDocument) return null;
 
@@ -143,10 +241,51 @@ export function openPageLinkPicker({ currentHref = "", language = "" } = {}) {
       });
     });
 
+    const tabs = document.createElement("div");
+    tabs.className = "mfe-link-picker__tabs";
+    const tabButtons = [];
+    function showTab(name) {
+      activeTab = name;
+      if (name === "pages" && !iframe.src) {
+        iframe.src = buildPickerUrl({
+          adminUrl,
+          pageId,
+          language: language || cfg.currentLanguage || "",
+          href: currentHref,
+          cfg,
+        });
+      }
+      iframe.hidden = name !== "pages";
+      if (anchorPanel) anchorPanel.element.hidden = name !== "anchors";
+      tabButtons.forEach((button) => {
+        const selected = button.dataset.tab === name;
+        button.classList.toggle("is-active", selected);
+        button.setAttribute("aria-selected", selected ? "true" : "false");
+      });
+    }
+    [
+      ["pages", "Pages", canPickPage],
+      ["anchors", "In this document", Boolean(anchorPanel)],
+    ].forEach(([name, label, available]) => {
+      if (!available) return;
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "mfe-link-picker__tab";
+      button.dataset.tab = name;
+      button.setAttribute("role", "tab");
+      button.textContent = label;
+      eventScope.register(button, "click", () => showTab(name));
+      tabButtons.push(button);
+      tabs.appendChild(button);
+    });
+
     footer.appendChild(cancelButton);
     footer.appendChild(insertButton);
-    body.appendChild(iframe);
+    if (canPickPage) body.appendChild(iframe);
+    if (anchorPanel) body.appendChild(anchorPanel.element);
+    showTab(activeTab);
     dialog.appendChild(header);
+    if (tabButtons.length > 1) dialog.appendChild(tabs);
     dialog.appendChild(body);
     dialog.appendChild(footer);
     overlay.appendChild(dialog);
@@ -162,6 +301,10 @@ export async function applyPickedLinkToEditor(editor, options = {}) {
   const picked = await openPageLinkPicker({
     currentHref: previousHref,
     language: options.language || previousAttrs.pageLang || "",
+    documentMarkdown:
+      typeof options.getDocumentMarkdown === "function"
+        ? options.getDocumentMarkdown()
+        : null,
   });
 
   if (picked === null) {
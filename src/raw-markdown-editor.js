@@ -257,12 +257,13 @@ export function createRawMarkdownEditor({
         to: view.state.selection.main.to,
       };
     },
-    setSelection(from = 0, to = 0) {
+    setSelection(from = 0, to = 0, { scrollIntoView = false } = {}) {
       const length = view.state.doc.length;
       const safeFrom = Math.max(0, Math.min(Number(from || 0), length));
       const safeTo = Math.max(0, Math.min(Number(to || 0), length));
       view.dispatch({
         selection: { anchor: safeFrom, head: safeTo },
+        scrollIntoView,
       });
     },
     setValue(nextValue = "") {
@@ -278,5 +279,18 @@ export function createRawMarkdownEditor({
       });
       suppressChange = false;
     },
+    // Unlike setValue, a user edit: one undo step that reaches onChange.
+    replaceValue(nextValue = "") {
+      const valueString = String(nextValue || "");
+      if (valueString === view.state.doc.toString()) return;
+      view.dispatch({
+        changes: {
+          from: 0,
+          to: view.state.doc.length,
+          insert: valueString,
+        },
+        userEvent: "input.replace",
+      });
+    },
   };
 }
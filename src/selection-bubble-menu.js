@@ -0,0 +1,149 @@
+import { Extension } from "@tiptap/core";
+import { Plugin, PluginKey, TextSelection } from "prosemirror-state";
+import { renderToolbarButtons } from "./editor-toolbar-renderer.js";
+import { canFormatSelectionWithFieldConstraints } from "./field-constraints-toolbar.js";
+
+const selectionBubbleMenuPluginKey = new PluginKey("mfeSelectionBubbleMenu");
+
+// Toolbar keys offered next to the selection, with the mark each one applies.
+const BUBBLE_MENU_MARKS = {
+  bold: "bold",
+  italic: "italic",
+  strike: "strike",
+  code: "code",
+  link: "link",
+  unlink: null,
+};
+
+export const BUBBLE_MENU_KEYS = Object.keys(BUBBLE_MENU_MARKS);
+
+/**
+ * Picks the bubble menu buttons out of the toolbar definitions, keeping the
+ * toolbar config order and dropping keys the config leaves out.
+ */
+export function getBubbleMenuButtons({ buttons, configButtons }) {
+  const buttonMap = new Map(buttons.map((button) => [button.key, button]));
+  const keys = new Set(
+    String(configButtons || "")
+      .split(",")
+      .map((key) => key.trim())
+      .filter((key) => BUBBLE_MENU_KEYS.includes(key) && buttonMap.has(key)),
+  );
+  return Array.from(keys).map((key) => buttonMap.get(key));
+}
+
+export function isBubbleMenuButtonDisabled(editor, key) {
+  if (key === "unlink") return !editor?.isActive?.("link");
+  return !canFormatSelectionWithFieldConstraints(
+    editor,
+    BUBBLE_MENU_MARKS[key],
+  );
+}
+
+export function shouldShowSelectionBubbleMenu(view) {
+  if (!view?.editable || !view.hasFocus()) return false;
+  const { selection } = view.state;
+  if (!(selection instanceof TextSelection) || selection.empty) return false;
+  return view.state.doc.textBetween(selection.from, selection.to).trim() !== "";
+}
+
+function positionBubbleMenu(view, element) {
+  const { from, to } = view.state.selection;
+  let start = null;
+  let end = null;
+  try {
+    start = view.coordsAtPos(from);
+    end = view.coordsAtPos(to);
+  } catch (_error) {
+    return;
+  }
+  const top = Math.min(start.top, end.top);
+  const left =
+    start.top === end.top ? (start.left + end.right) / 2 : start.left;
+  const height = element.offsetHeight || 0;
+  element.style.left = `${Math.round(left)}px`;
+  element.style.top = `${Math.round(Math.max(8, top - height - 8))}px`;
+}
+
+/**
+ * Shows bold/italic/strike/code/link/unlink next to a text selection.
+ * `getButtons(editor)` returns the toolbar definitions from
+ * createToolbarButtons and `getConfigButtons()` the toolbar config string.
+ */
+export function createSelectionBubbleMenuExtension({
+  getButtons,
+  getConfigButtons,
+} = {}) {
+  return Extension.create({
+    name: "selectionBubbleMenu",
+
+    addProseMirrorPlugins() {
+      const editor = this.editor;
+      let element = null;
+
+      const hide = () => {
+        if (element) element.hidden = true;
+      };
+
+      // Buttons are rendered on first use so their isActive checks only run
+      // once the editor view exists.
+      const ensureElement = () => {
+        if (element) return element;
+        const buttons = getBubbleMenuButtons({
+          buttons: typeof getButtons === "function" ? getButtons(editor) : [],
+          configButtons:
+            typeof getConfigButtons === "function" ? getConfigButtons() : "",
+        });
+        if (buttons.length === 0) return null;
+        element = document.createElement("div");
+        element.className = "mfe-toolbar mfe-bubble-menu";
+        element.hidden = true;
+        renderToolbarButtons({
+          toolbar: element,
+          buttons,
+          configButtons: buttons.map((button) => button.key).join(","),
+          getEditor: () => editor,
+          isButtonDisabled: (key) => isBubbleMenuButtonDisabled(editor, key),
+        });
+        document.body.appendChild(element);
+        return element;
+      };
+
+      const update = (view) => {
+        if (!shouldShowSelectionBubbleMenu(view)) {
+          hide();
+          return;
+        }
+        const menu = ensureElement();
+        if (!menu) return;
+        menu.hidden = false;
+        positionBubbleMenu(view, menu);
+      };
+
+      return [
+        new Plugin({
+          key: selectionBubbleMenuPluginKey,
+          view: () => ({
+            update,
+            destroy: () => {
+              element?.remove();
+              element = null;
+            },
+          }),
+          props: {
+            handleDOMEvents: {
+              blur: () => {
+                hide();
+                return false;
+              },
+              focus: (view) => {
+                update(view);
+                return false;
+              },
+            },
+          },
+        }),
+      ];
+    },
+  });
+}
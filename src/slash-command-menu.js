@@ -0,0 +1,268 @@
+import { Extension } from "@tiptap/core";
+import { Plugin, PluginKey } from "prosemirror-state";
+import { createEventRegistry } from "./event-registry.js";
+import {
+  canInsertHorizontalRuleWithFieldConstraints,
+  canInsertTableWithFieldConstraints,
+} from "./field-constraints-toolbar.js";
+
+const slashCommandPluginKey = new PluginKey("mfeSlashCommand");
+const SLASH_TRIGGER_RE = /(?:^|\s)(\/([\w-]*))$/;
+
+function canRunCommand(editor, name, ...args) {
+  const can = editor?.can?.();
+  if (typeof can?.[name] !== "function") return false;
+  return Boolean(can[name](...args));
+}
+
+const headingCheck = (level) => (editor) =>
+  canRunCommand(editor, "toggleHeading", { level });
+
+// Block toolbar actions the menu offers, each with the check that tells
+// whether the current field (and its schema constraints) can take it.
+const SLASH_COMMAND_CHECKS = {
+  paragraph: (editor) => canRunCommand(editor, "setParagraph"),
+  h1: headingCheck(1),
+  h2: headingCheck(2),
+  h3: headingCheck(3),
+  h4: headingCheck(4),
+  h5: headingCheck(5),
+  h6: headingCheck(6),
+  ul: (editor) => canRunCommand(editor, "toggleBulletList"),
+  ol: (editor) => canRunCommand(editor, "toggleOrderedList"),
+  blockquote: (editor) => canRunCommand(editor, "toggleBlockquote"),
+  callout: (editor) => canRunCommand(editor, "setCallout", "NOTE"),
+  codeblock: (editor) => canRunCommand(editor, "toggleCodeBlock"),
+  table: (editor) => canInsertTableWithFieldConstraints(editor),
+  image: (editor) => Boolean(editor?.schema?.nodes?.image),
+  hr: (editor) => canInsertHorizontalRuleWithFieldConstraints(editor),
+  footnote: (editor) => canRunCommand(editor, "insertFootnote"),
+};
+
+export const SLASH_COMMAND_KEYS = Object.keys(SLASH_COMMAND_CHECKS);
+
+/**
+ * Returns the `/query` typed right before the cursor, or null when the
+ * cursor is not in a slash trigger.
+ */
+export function findSlashCommandTrigger(state) {
+  const { selection } = state;
+  if (!selection?.empty) return null;
+  const { $from } = selection;
+  if (!$from.parent.isTextblock || $from.parent.type.spec.code) return null;
+  const textBefore = $from.parent.textBetween(
+    0,
+    $from.parentOffset,
+    null,
+    "\ufffc",
+  );
+  const match = textBefore.match(SLASH_TRIGGER_RE);
+  if (!match) return null;
+  return {
+    from: $from.pos - match[1].length,
+    to: $from.pos,
+    query: match[2],
+  };
+}
+
+/**
+ * Lists the slash menu entries: toolbar buttons that are block actions,
+ * in toolbar config order, matching the query and allowed in this editor.
+ */
+export function getSlashCommandItems({
+  buttons,
+  configButtons,
+  editor,
+  query = "",
+}) {
+  const buttonMap = new Map(buttons.map((button) => [button.key, button]));
+  const needle = String(query || "")
+    .trim()
+    .toLowerCase();
+  const keys = new Set(
+    String(configButtons || "")
+      .split(",")
+      .map((key) => key.trim())
+      .filter((key) => SLASH_COMMAND_CHECKS[key] && buttonMap.has(key)),
+  );
+
+  return Array.from(keys)
+    .map((key) => buttonMap.get(key))
+    .filter(
+      (button) =>
+        !needle ||
+        button.key.includes(needle) ||
+        String(button.title || "")
+          .toLowerCase()
+          .includes(needle),
+    )
+    .filter((button) => SLASH_COMMAND_CHECKS[button.key](editor));
+}
+
+export function runSlashCommand(editor, trigger, item) {
+  if (!editor || !trigger || !item) return false;
+  editor
+    .chain()
+    .focus()
+    .deleteRange({ from: trigger.from, to: trigger.to })
+    .run();
+  item.action();
+  return true;
+}
+
+function positionMenu(view, element, pos) {
+  let coords = null;
+  try {
+    coords = view.coordsAtPos(pos);
+  } catch (_error) {
+    return;
+  }
+  element.style.left = `${Math.round(coords.left)}px`;
+  element.style.top = `${Math.round(coords.bottom + 4)}px`;
+}
+
+/**
+ * Opens a filterable block menu when `/` is typed. `getItems(query, editor)`
+ * supplies the entries, usually through getSlashCommandItems.
+ */
+export function createSlashCommandExtension({
+  getItems,
+  markUserIntentToken,
+} = {}) {
+  return Extension.create({
+    name: "slashCommand",
+    // Runs ahead of the keymaps so Enter/arrows drive the open menu.
+    priority: 1000,
+
+    addProseMirrorPlugins() {
+      const editor = this.editor;
+      const eventScope =
+        createEventRegistry().createScope("slash-command-menu");
+      let menu = null;
+      let dismissedFrom = null;
+
+      const close = () => {
+        if (!menu) return;
+        eventScope.disposeAll();
+        menu.element.remove();
+        menu = null;
+      };
+
+      const select = (item) => {
+        if (!menu) return;
+        const { trigger } = menu;
+        close();
+        if (typeof markUserIntentToken === "function") {
+          markUserIntentToken(`slash:${item.key}`);
+        }
+        runSlashCommand(editor, trigger, item);
+      };
+
+      const renderOptions = () => {
+        menu.element.replaceChildren();
+        menu.items.forEach((item, index) => {
+          const option = document.createElement("button");
+          option.type = "button";
+          option.className = "mfe-slash-menu__option";
+          option.setAttribute("role", "option");
+          option.setAttribute(
+            "aria-selected",
+            index === menu.index ? "true" : "false",
+          );
+          if (index === menu.index) option.classList.add("is-selected");
+
+          const icon = document.createElement("span");
+          icon.className = "mfe-slash-menu__icon";
+          icon.innerHTML = item.label;
+          const title = document.createElement("span");
+          title.className = "mfe-slash-menu__title";
+          title.textContent = item.title;
+
+          option.dataset.index = String(index);
+          option.append(icon, title);
+          menu.element.appendChild(option);
+        });
+      };
+
+      const refresh = (view) => {
+        const trigger = view.editable
+          ? findSlashCommandTrigger(view.state)
+          : null;
+        if (!trigger) dismissedFrom = null;
+        if (!trigger || trigger.from === dismissedFrom) {
+          close();
+          return;
+        }
+        const items =
+          typeof getItems === "function"
+            ? getItems(trigger.query, editor) || []
+            : [];
+        if (items.length === 0) {
+          close();
+          return;
+        }
+        if (!menu) {
+          const element = document.createElement("div");
+          element.className = "mfe-slash-menu";
+          element.setAttribute("role", "listbox");
+          eventScope.register(element, "mousedown", (event) => {
+            // Keep focus in the editor while picking with the mouse.
+            event.preventDefault();
+            const option = event.target.closest(".mfe-slash-menu__option");
+            const item = option
+              ? menu?.items[Number(option.dataset.index)]
+              : null;
+            if (item) select(item);
+          });
+          document.body.appendChild(element);
+          menu = { element, items, index: 0, trigger };
+        } else if (menu.trigger.query !== trigger.query) {
+          menu.index = 0;
+        }
+        menu.items = items;
+        menu.trigger = trigger;
+        menu.index = Math.min(menu.index, items.length - 1);
+        renderOptions();
+        positionMenu(view, menu.element, trigger.from);
+      };
+
+      return [
+        new Plugin({
+          key: slashCommandPluginKey,
+          view: () => ({
+            update: (view) => refresh(view),
+            destroy: () => close(),
+          }),
+          props: {
+            handleKeyDown: (view, event) => {
+              if (!menu) return false;
+              if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+                const step = event.key === "ArrowDown" ? 1 : -1;
+                const count = menu.items.length;
+                menu.index = (menu.index + step + count) % count;
+                renderOptions();
+                return true;
+              }
+              if (event.key === "Enter" || event.key === "Tab") {
+                select(menu.items[menu.index]);
+                return true;
+              }
+              if (event.key === "Escape") {
+                dismissedFrom = menu.trigger.from;
+                close();
+                return true;
+              }
+              return false;
+            },
+            handleDOMEvents: {
+              blur: () => {
+                close();
+                return false;
+              },
+            },
+          },
+        }),
+      ];
+    },
+  });
+}
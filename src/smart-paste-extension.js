@@ -0,0 +1,415 @@
+import { Extension } from "@tiptap/core";
+import { Plugin, PluginKey } from "prosemirror-state";
+import { Fragment, Slice } from "prosemirror-model";
+import { isSingleBlockField } from "./field-constraints-toolbar.js";
+import {
+  getDefaultBoldDelimiter,
+  getDefaultItalicDelimiter,
+  getDefaultUnorderedListMarker,
+  getEditorDocumentStylePreferences,
+} from "./markdown-style-preferences.js";
+
+const smartPastePluginKey = new PluginKey("mfeSmartPaste");
+
+const NOISE_SELECTOR = [
+  "style",
+  "script",
+  "meta",
+  "link",
+  "title",
+  "xml",
+  "o\\:p",
+  "br.Apple-interchange-newline",
+].join(",");
+
+// Attributes the schema reads back from pasted HTML; everything else
+// (style, class, id, dir, Word/Docs metadata) is dropped.
+const KEPT_ATTRIBUTES = {
+  a: ["href", "title"],
+  img: ["src", "alt", "title"],
+  ol: ["start"],
+  td: ["colspan", "rowspan"],
+  th: ["colspan", "rowspan"],
+};
+
+const BLOCK_TAGS = new Set([
+  "address",
+  "blockquote",
+  "div",
+  "dl",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "hr",
+  "ol",
+  "p",
+  "pre",
+  "table",
+  "ul",
+]);
+
+const WORD_BULLET_RE = /^[·•▪●–o§-]$/;
+
+function getStyle(element, property) {
+  return String(element.style?.getPropertyValue(property) || "").toLowerCase();
+}
+
+function isBoldWeight(value) {
+  return value === "bold" || value === "bolder" || Number(value) >= 600;
+}
+
+function unwrapElement(element) {
+  element.replaceWith(...element.childNodes);
+}
+
+function removeNoise(root) {
+  root.querySelectorAll(NOISE_SELECTOR).forEach((el) => el.remove());
+  root.querySelectorAll("[style]").forEach((el) => {
+    if (/mso-list\s*:\s*ignore/i.test(el.getAttribute("style"))) el.remove();
+  });
+  const walker = root.ownerDocument.createTreeWalker(root, 128);
+  const comments = [];
+  while (walker.nextNode()) comments.push(walker.currentNode);
+  comments.forEach((comment) => comment.remove());
+}
+
+function readWordListItem(paragraph) {
+  const style = String(paragraph.getAttribute("style") || "");
+  const listMatch = style.match(/mso-list\s*:\s*[^;]*?level(\d+)/i);
+  if (!listMatch) return null;
+  const marker = Array.from(paragraph.querySelectorAll("[style]"))
+    .find((el) => /mso-list\s*:\s*ignore/i.test(el.getAttribute("style")))
+    ?.textContent.replace(/\u00a0/g, " ")
+    .trim();
+  return {
+    level: Math.max(1, Number(listMatch[1]) || 1),
+    ordered: Boolean(marker) && !WORD_BULLET_RE.test(marker),
+  };
+}
+
+/**
+ * Word exports list items as paragraphs tagged with `mso-list`; rebuild the
+ * nested ul/ol structure from consecutive ones before the styles are dropped.
+ */
+function convertWordLists(root) {
+  const doc = root.ownerDocument;
+  const paragraphs = Array.from(root.querySelectorAll("p[style]"));
+  let stack = [];
+  let lastParagraph = null;
+  paragraphs.forEach((paragraph) => {
+    const item = readWordListItem(paragraph);
+    if (!item) return;
+    if (!lastParagraph || lastParagraph.nextElementSibling !== paragraph) {
+      stack = [];
+    }
+    lastParagraph = paragraph;
+    while (stack.length > item.level) stack.pop();
+    while (stack.length < item.level) {
+      const list = doc.createElement(item.ordered ? "ol" : "ul");
+      const parentItem = stack[stack.length - 1]?.lastElementChild;
+      if (parentItem) {
+        parentItem.appendChild(list);
+      } else {
+        paragraph.before(list);
+      }
+      stack.push(list);
+    }
+    const li = doc.createElement("li");
+    li.append(...paragraph.childNodes);
+    stack[stack.length - 1].appendChild(li);
+    // The list took the paragraph's place; keep it as the sibling anchor.
+    lastParagraph = stack[0];
+    paragraph.remove();
+  });
+}
+
+function wrapWithStyleMarks(element) {
+  const doc = element.ownerDocument;
+  const tags = [];
+  if (isBoldWeight(getStyle(element, "font-weight"))) tags.push("strong");
+  if (getStyle(element, "font-style") === "italic") tags.push("em");
+  if (getStyle(element, "text-decoration").includes("line-through")) {
+    tags.push("s");
+  }
+  const verticalAlign = getStyle(element, "vertical-align");
+  if (verticalAlign === "super") tags.push("sup");
+  if (verticalAlign === "sub") tags.push("sub");
+  if (tags.length === 0) {
+    unwrapElement(element);
+    return;
+  }
+  const outer = doc.createElement(tags[0]);
+  let inner = outer;
+  tags.slice(1).forEach((tag) => {
+    const next = doc.createElement(tag);
+    inner.appendChild(next);
+    inner = next;
+  });
+  inner.append(...element.childNodes);
+  element.replaceWith(outer);
+}
+
+function hasBlockChildren(element) {
+  return Array.from(element.children).some((child) =>
+    BLOCK_TAGS.has(child.tagName.toLowerCase()),
+  );
+}
+
+function cleanElement(element) {
+  Array.from(element.children).forEach((child) => cleanElement(child));
+  const tag = element.tagName?.toLowerCase();
+  if (!tag) return;
+
+  if (tag === "b" || tag === "strong") {
+    // Google Docs wraps the whole clipboard in <b style="font-weight:normal">.
+    const weight = getStyle(element, "font-weight");
+    if (weight && !isBoldWeight(weight)) {
+      unwrapElement(element);
+      return;
+    }
+  }
+  if (tag === "span" || tag === "font") {
+    wrapWithStyleMarks(element);
+    return;
+  }
+  if (tag === "div") {
+    if (hasBlockChildren(element)) {
+      unwrapElement(element);
+      return;
+    }
+    const paragraph = element.ownerDocument.createElement("p");
+    paragraph.append(...element.childNodes);
+    element.replaceWith(paragraph);
+    return;
+  }
+
+  const kept = KEPT_ATTRIBUTES[tag] || [];
+  Array.from(element.attributes).forEach((attribute) => {
+    if (!kept.includes(attribute.name)) {
+      element.removeAttribute(attribute.name);
+    }
+  });
+}
+
+function normalizeTextNodes(root) {
+  const walker = root.ownerDocument.createTreeWalker(root, 4);
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.nodeValue.includes("\u00a0")) {
+      node.nodeValue = node.nodeValue.replace(/\u00a0/g, " ");
+    }
+  }
+  root.querySelectorAll("p").forEach((paragraph) => {
+    if (
+      paragraph.textContent.trim() === "" &&
+      !paragraph.querySelector("img,br")
+    ) {
+      paragraph.remove();
+    }
+  });
+}
+
+/**
+ * Reduces clipboard HTML from Word, Google Docs and web pages to the plain
+ * tags the editor schema understands: style-only spans become strong/em/s,
+ * nested divs collapse, and classes, styles and office metadata are dropped.
+ */
+export function cleanPastedHTML(html) {
+  if (typeof document === "undefined") return String(html || "");
+  const template = document.createElement("template");
+  template.innerHTML = String(html || "");
+  const root = template.content;
+  convertWordLists(root);
+  removeNoise(root);
+  Array.from(root.children).forEach((child) => cleanElement(child));
+  normalizeTextNodes(root);
+  return template.innerHTML;
+}
+
+function withPreferredDelimiter(mark, preferences) {
+  if (!("delimiter" in mark.attrs)) return mark;
+  const delimiter =
+    mark.type.name === "bold"
+      ? getDefaultBoldDelimiter(preferences)
+      : mark.type.name === "italic"
+        ? getDefaultItalicDelimiter(preferences)
+        : null;
+  if (!delimiter || mark.attrs.delimiter === delimiter) return mark;
+  return mark.type.create({ ...mark.attrs, delimiter });
+}
+
+function applyStylePreferences(node, preferences) {
+  const marks = node.marks.map((mark) =>
+    withPreferredDelimiter(mark, preferences),
+  );
+  if (node.isText) return node.mark(marks);
+  const attrs =
+    "bullet" in node.attrs
+      ? { ...node.attrs, bullet: getDefaultUnorderedListMarker(preferences) }
+      : node.attrs;
+  const content = [];
+  node.content.forEach((child) =>
+    content.push(applyStylePreferences(child, preferences)),
+  );
+  return node.type.create(attrs, Fragment.from(content), marks);
+}
+
+function collectInlineContent(fragment, parentType, output) {
+  fragment.forEach((node) => {
+    if (node.isText) {
+      output.push(
+        node.mark(
+          node.marks.filter((mark) => parentType.allowsMarkType(mark.type)),
+        ),
+      );
+      return;
+    }
+    if (node.isInline) {
+      if (node.type.name === "hardBreak") {
+        output.push(node.type.schema.text(" "));
+      } else if (parentType.contentMatch.matchType(node.type)) {
+        output.push(node);
+      }
+      return;
+    }
+    if (node.isTextblock && output.length > 0) {
+      output.push(node.type.schema.text(" "));
+    }
+    collectInlineContent(node.content, parentType, output);
+  });
+}
+
+/**
+ * Rewrites a pasted slice for the markdown output: content from external
+ * HTML (Word, Google Docs) gets the bold/italic delimiters and bullet
+ * markers of the markdown style preferences (`stylePreferences` holds the
+ * ones of the edited document), and single-block fields receive the pasted
+ * blocks flattened into inline content of the block being edited. Slices
+ * copied inside the editor keep their authored syntax.
+ */
+export function normalizePastedSlice(
+  slice,
+  {
+    targetType = null,
+    singleBlock = false,
+    externalHTML = false,
+    stylePreferences = null,
+  } = {},
+) {
+  let fragment = slice.content;
+  if (externalHTML) {
+    const content = [];
+    slice.content.forEach((node) =>
+      content.push(applyStylePreferences(node, stylePreferences)),
+    );
+    fragment = Fragment.from(content);
+  }
+  if (!singleBlock || !targetType?.isTextblock) {
+    return new Slice(fragment, slice.openStart, slice.openEnd);
+  }
+  const inline = [];
+  collectInlineContent(fragment, targetType, inline);
+  return new Slice(Fragment.from(inline), 0, 0);
+}
+
+/**
+ * Inserts clipboard text without any formatting. Lines become paragraphs,
+ * except in code blocks (kept verbatim) and single-block fields (joined).
+ */
+export function insertPlainTextPaste(view, text, { singleBlock = false } = {}) {
+  const { state } = view;
+  const { $from } = state.selection;
+  const value = String(text || "").replace(/\r\n?/g, "\n");
+  const tr = state.tr.setMeta("paste", true).setMeta("uiEvent", "paste");
+  if ($from.parent.type.spec.code) {
+    view.dispatch(tr.insertText(value).scrollIntoView());
+    return true;
+  }
+  const lines = value.split(/\n+/).map((line) => line.trim());
+  if (singleBlock || lines.length < 2 || !state.schema.nodes.paragraph) {
+    view.dispatch(
+      tr.insertText(lines.filter(Boolean).join(" ")).scrollIntoView(),
+    );
+    return true;
+  }
+  const paragraphType = state.schema.nodes.paragraph;
+  const paragraphs = lines.map((line) =>
+    paragraphType.create(null, line ? state.schema.text(line) : null),
+  );
+  tr.replaceSelection(new Slice(Fragment.from(paragraphs), 1, 1));
+  view.dispatch(tr.scrollIntoView());
+  return true;
+}
+
+function isPlainTextPasteShortcut(event) {
+  return (
+    (event.ctrlKey || event.metaKey) &&
+    event.shiftKey &&
+    !event.altKey &&
+    String(event.key || "").toLowerCase() === "v"
+  );
+}
+
+const MODIFIER_KEYS = new Set(["Control", "Meta", "Shift", "Alt"]);
+
+/**
+ * Paste pipeline shared by the fullscreen and inline editors. Rich HTML is
+ * cleaned before the schema parses it and the resulting slice follows the
+ * style preferences and field constraints. Mod-Shift-V pastes plain text.
+ */
+export const SmartPasteExtension = Extension.create({
+  name: "smartPaste",
+
+  addProseMirrorPlugins() {
+    const editor = this.editor;
+    let plainTextRequested = false;
+    // Set per paste by transformPastedHTML, which only runs for HTML.
+    let pastedExternalHTML = false;
+
+    return [
+      new Plugin({
+        key: smartPastePluginKey,
+        props: {
+          handleDOMEvents: {
+            keydown: (_view, event) => {
+              if (isPlainTextPasteShortcut(event)) {
+                plainTextRequested = true;
+              } else if (!MODIFIER_KEYS.has(event.key)) {
+                plainTextRequested = false;
+              }
+              return false;
+            },
+          },
+          transformPastedHTML: (html) => {
+            // ProseMirror marks its own clipboard HTML with data-pm-slice.
+            pastedExternalHTML = !/\bdata-pm-slice=/.test(String(html || ""));
+            return pastedExternalHTML ? cleanPastedHTML(html) : html;
+          },
+          transformPasted: (slice, view) => {
+            const externalHTML = pastedExternalHTML;
+            pastedExternalHTML = false;
+            return normalizePastedSlice(slice, {
+              targetType: view.state.selection.$from.parent.type,
+              singleBlock: isSingleBlockField(editor),
+              externalHTML,
+              stylePreferences: getEditorDocumentStylePreferences(editor),
+            });
+          },
+          handlePaste: (view, event, slice) => {
+            if (!plainTextRequested) return false;
+            plainTextRequested = false;
+            const text =
+              event?.clipboardData?.getData("text/plain") ??
+              slice.content.textBetween(0, slice.content.size, "\n", "\n");
+            return insertPlainTextPaste(view, text, {
+              singleBlock: isSingleBlockField(editor),
+            });
+          },
+        },
+      }),
+    ];
+  },
+});
@@ -0,0 +1,179 @@
+/** @jest-environment jsdom */
+
+import { Editor, getSchema } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import TableRow from "@tiptap/extension-table-row";
+import {
+  MarkdownTable,
+  MarkdownTableHeader,
+  MarkdownTableCell,
+  createMfeImageExtension,
+  createMfeLinkExtension,
+} from "../src/editor-tiptap-extensions.js";
+import { parseMarkdownToDoc } from "../src/editor-core.js";
+import {
+  createAccessibilityCheckExtension,
+  describeAltTextIssue,
+  findAccessibilityIssues,
+  isNonDescriptiveLinkText,
+  resolveTemplateHeadingLevel,
+} from "../src/accessibility-check-extension.js";
+
+function buildExtensions() {
+  return [
+    StarterKit.configure({ link: false }),
+    createMfeLinkExtension(),
+    createMfeImageExtension(() => "/site/images/"),
+    MarkdownTable.configure({ resizable: false }),
+    TableRow,
+    MarkdownTableHeader,
+    MarkdownTableCell,
+  ];
+}
+
+const MARKDOWN = [
+  "#### Skipped",
+  "",
+  "![IMG_2041.jpg](IMG_2041.jpg) ![team-photo](team-photo.jpg) ![The team](b.jpg)",
+  "",
+  "[Click here!](/a/) and [the **pricing** page](/pricing/) or [more](/b/)",
+  "",
+  "|  |  |",
+  "|---|---|",
+  "| a | b |",
+  "",
+  "| Name | Role |",
+  "|---|---|",
+  "| a | b |",
+].join("\n");
+
+describe("accessibility check", () => {
+  test("recognizes file-name alt text and vague link text", () => {
+    expect(describeAltTextIssue("", "a.jpg")).toBe("Image has no alt text");
+    expect(describeAltTextIssue("DSC_0042", "x.jpg")).toBe(
+      'Alt text "DSC_0042" looks like a file name',
+    );
+    expect(describeAltTextIssue("Hero", "images/hero.webp?v=2")).toBe(
+      'Alt text "Hero" looks like a file name',
+    );
+    expect(describeAltTextIssue("Our hero at work", "hero.webp")).toBe("");
+    expect(isNonDescriptiveLinkText(" Read more… ")).toBe(true);
+    expect(isNonDescriptiveLinkText("Read more about pricing")).toBe(false);
+  });
+
+  test("lists issues relative to the template heading level", () => {
+    const doc = parseMarkdownToDoc(MARKDOWN, getSchema(buildExtensions()));
+    const issues = findAccessibilityIssues(doc, { baseHeadingLevel: 2 });
+    expect(issues.map(({ rule, message }) => [rule, message])).toEqual([
+      ["heading-order", "Heading level 4 skips level 3"],
+      ["image-alt", 'Alt text "IMG_2041.jpg" looks like a file name'],
+      ["image-alt", 'Alt text "team-photo" looks like a file name'],
+      ["link-text", 'Link text "Click here!" does not describe the target'],
+      ["link-text", 'Link text "more" does not describe the target'],
+      ["table-header", "Table has no header row"],
+    ]);
+    const link = issues.find((issue) => issue.rule === "link-text");
+    expect(link.inline).toBe(true);
+    expect(doc.textBetween(link.from, link.to)).toBe("Click here!");
+    expect(
+      findAccessibilityIssues(doc, { baseHeadingLevel: 3 }).some(
+        (issue) => issue.rule === "heading-order",
+      ),
+    ).toBe(false);
+  });
+
+  test("reads the heading level the page template puts a field under", () => {
+    document.body.innerHTML = [
+      "<h1>Site</h1>",
+      "<section><h2>Team</h2><div id='field'><h4>Old</h4></div></section>",
+      "<h3>After</h3>",
+    ].join("");
+    expect(resolveTemplateHeadingLevel(document.getElementById("field"))).toBe(
+      2,
+    );
+    expect(resolveTemplateHeadingLevel(document.createElement("div"))).toBe(0);
+  });
+
+  test("decorates the issues in the editor", () => {
+    const host = document.createElement("div");
+    document.body.appendChild(host);
+    const extensions = [
+      ...buildExtensions(),
+      createAccessibilityCheckExtension(() => ({ baseHeadingLevel: 2 })),
+    ];
+    const editor = new Editor({
+      element: host,
+      extensions,
+      content: parseMarkdownToDoc(MARKDOWN, getSchema(extensions)).toJSON(),
+    });
+    const heading = host.querySelector("h4");
+    expect(heading.classList.contains("mfe-a11y-issue")).toBe(true);
+    expect(heading.getAttribute("title")).toBe("Heading level 4 skips level 3");
+    expect(
+      Array.from(
+        host.querySelectorAll(".mfe-a11y-issue--link-text"),
+        (element) => element.textContent,
+      ),
+    ).toEqual(["Click here!", "more"]);
+    expect(host.querySelectorAll("table.mfe-a11y-issue")).toHaveLength(1);
+
+    editor.commands.setContent("<h3>Fine</h3>");
+    expect(host.querySelectorAll(".mfe-a11y-issue")).toHaveLength(0);
+    editor.destroy();
+    host.remove();
+  });
+
+  test("reads the options once and rechecks only what an edit changes", () => {
+    const host = document.createElement("div");
+    document.body.appendChild(host);
+    let baseHeadingLevel = 2;
+    const getOptions = jest.fn(() => ({ baseHeadingLevel }));
+    const extensions = [
+      ...buildExtensions(),
+      createAccessibilityCheckExtension(getOptions),
+    ];
+    const editor = new Editor({
+      element: host,
+      extensions,
+      content: parseMarkdownToDoc(MARKDOWN, getSchema(extensions)).toJSON(),
+    });
+    const rules = () =>
+      Array.from(host.querySelectorAll("[data-mfe-a11y]"), (element) =>
+        element.getAttribute("data-mfe-a11y"),
+      );
+    const findText = (text) => {
+      let from = null;
+      editor.state.doc.descendants((node, pos) => {
+        if (from === null && node.isText && node.text.includes(text)) {
+          from = pos + node.text.indexOf(text);
+        }
+      });
+      return from;
+    };
+
+    const click = findText("Click here!");
+    editor.commands.insertContentAt(
+      { from: click, to: click + "Click here!".length },
+      "Pricing",
+    );
+    expect(rules()).toEqual([
+      "heading-order",
+      "image-alt",
+      "image-alt",
+      "link-text",
+      "table-header",
+    ]);
+    editor.commands.insertContentAt(findText("Skipped"), "Now ");
+    editor.commands.setTextSelection(findText("Now"));
+    editor.commands.setHeading({ level: 3 });
+    expect(rules()).not.toContain("heading-order");
+    expect(getOptions).toHaveBeenCalledTimes(1);
+
+    baseHeadingLevel = 1;
+    editor.commands.refreshAccessibilityCheck();
+    expect(getOptions).toHaveBeenCalledTimes(2);
+    expect(rules()[0]).toBe("heading-order");
+    editor.destroy();
+    host.remove();
+  });
+});
@@ -0,0 +1,110 @@
+/** @jest-environment jsdom */
+
+import { Editor, getSchema } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import { Callout } from "../src/editor-tiptap-extensions.js";
+import {
+  parseMarkdownToDoc,
+  serializeMarkdownDoc,
+  trimTrailingLineBreaks,
+} from "../src/editor-core.js";
+
+function buildExtensions() {
+  return [StarterKit, Callout];
+}
+
+function serialize(doc) {
+  return trimTrailingLineBreaks(serializeMarkdownDoc(doc));
+}
+
+function createEditor(markdown) {
+  const host = document.createElement("div");
+  document.body.appendChild(host);
+  const extensions = buildExtensions();
+  const editor = new Editor({
+    element: host,
+    extensions,
+    content: parseMarkdownToDoc(markdown, getSchema(extensions)).toJSON(),
+  });
+  return {
+    editor,
+    destroy() {
+      editor.destroy();
+      host.remove();
+    },
+  };
+}
+
+describe("callouts", () => {
+  test.each([
+    ["a note", "> [!NOTE]\n> Useful information."],
+    ["a lowercase marker", "> [!warning]\n> Mind the gap."],
+    ["a blank line after the marker", "> [!TIP]\n>\n> First.\n>\n> Second."],
+    ["a list body", "> [!IMPORTANT]\n> * one\n> * two"],
+    ["surrounding content", "Intro\n\n> [!CAUTION]\n> Careful.\n\nOutro"],
+    ["plain blockquotes", "> Just a quote."],
+  ])("roundtrips %s byte-exact", (_name, markdown) => {
+    const doc = parseMarkdownToDoc(markdown, getSchema(buildExtensions()));
+    expect(serialize(doc)).toBe(markdown);
+  });
+
+  test("parses the type and strips the marker line from the body", () => {
+    const doc = parseMarkdownToDoc(
+      "> [!note]\n> Body",
+      getSchema(buildExtensions()),
+    );
+    const callout = doc.child(0);
+
+    expect(callout.type.name).toBe("callout");
+    expect(callout.attrs).toMatchObject({ type: "NOTE", marker: "note" });
+    expect(callout.textContent).toBe("Body");
+  });
+
+  test("leaves alerts as blockquotes when the schema has no callout", () => {
+    const doc = parseMarkdownToDoc(
+      "> [!NOTE]\n> Body",
+      getSchema([StarterKit]),
+    );
+    expect(doc.child(0).type.name).toBe("blockquote");
+    expect(doc.child(0).textContent).toContain("[!NOTE]");
+  });
+
+  test("setCallout wraps the selection and switches the type", () => {
+    const { editor, destroy } = createEditor("Heads up.");
+    try {
+      editor.commands.setTextSelection(2);
+      expect(editor.commands.setCallout("warning")).toBe(true);
+      expect(serialize(editor.state.doc)).toBe("> [!WARNING]\n> Heads up.");
+
+      expect(editor.commands.setCallout("TIP")).toBe(true);
+      expect(editor.isActive("callout", { type: "TIP" })).toBe(true);
+      expect(serialize(editor.state.doc)).toBe("> [!TIP]\n> Heads up.");
+
+      expect(editor.commands.setCallout("UNKNOWN")).toBe(false);
+    } finally {
+      destroy();
+    }
+  });
+
+  test("changing the type drops the original marker casing", () => {
+    const { editor, destroy } = createEditor("> [!note]\n> Body");
+    try {
+      editor.commands.setTextSelection(3);
+      editor.commands.setCallout("CAUTION");
+      expect(serialize(editor.state.doc)).toBe("> [!CAUTION]\n> Body");
+    } finally {
+      destroy();
+    }
+  });
+
+  test("unsetCallout lifts the body out", () => {
+    const { editor, destroy } = createEditor("> [!NOTE]\n> Body");
+    try {
+      editor.commands.setTextSelection(3);
+      expect(editor.commands.unsetCallout()).toBe(true);
+      expect(serialize(editor.state.doc)).toBe("Body");
+    } finally {
+      destroy();
+    }
+  });
+});
@@ -0,0 +1,134 @@
+/** @jest-environment jsdom */
+
+import { Editor, getSchema } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import CodeBlock from "@tiptap/extension-code-block";
+import {
+  createMarkdownCodeBlockExtension,
+  getCodeBlockLanguageOptions,
+} from "../src/code-block-extension.js";
+import {
+  parseMarkdownToDoc,
+  serializeMarkdownDoc,
+  trimTrailingLineBreaks,
+} from "../src/editor-core.js";
+
+// The editors extend CodeBlockLowlight; lowlight ships as ESM only, so the
+// tests extend the plain code block and pass the query API the view uses.
+const MarkdownCodeBlock = createMarkdownCodeBlockExtension(CodeBlock);
+const lowlight = {
+  listLanguages: () => ["python", "javascript", "typescript"],
+  highlight: () => ({ children: [] }),
+  highlightAuto: () => ({ children: [] }),
+};
+
+function buildExtensions() {
+  return [
+    StarterKit.configure({ codeBlock: false }),
+    MarkdownCodeBlock.configure({ lowlight }),
+  ];
+}
+
+function serialize(doc) {
+  return trimTrailingLineBreaks(serializeMarkdownDoc(doc));
+}
+
+function createEditor(markdown) {
+  const host = document.createElement("div");
+  document.body.appendChild(host);
+  const extensions = buildExtensions();
+  const editor = new Editor({
+    element: host,
+    extensions,
+    content: parseMarkdownToDoc(markdown, getSchema(extensions)).toJSON(),
+  });
+  return {
+    editor,
+    host,
+    destroy() {
+      editor.destroy();
+      host.remove();
+    },
+  };
+}
+
+describe("code block fences", () => {
+  test.each([
+    ["backtick fences", "```js\nconst a = 1;\n```"],
+    ["tilde fences", "~~~python\nprint(1)\n~~~"],
+    ["long fences", "````\n```\nnested\n```\n````"],
+    ["info string extras", '```js title="app.js" {1,3}\nrun();\n```'],
+    ["spacing before the info string", "``` js\nrun();\n```"],
+    ["a longer closing fence", "```\ncode\n`````"],
+    ["fences inside blockquotes", "> ~~~\n> quoted\n> ~~~~"],
+  ])("roundtrips %s byte-exact", (_name, markdown) => {
+    const doc = parseMarkdownToDoc(markdown, getSchema(buildExtensions()));
+    expect(serialize(doc)).toBe(markdown);
+  });
+
+  test("stores the fence and info string on the node", () => {
+    const doc = parseMarkdownToDoc(
+      "~~~~ts  linenums\nlet a;\n~~~~~",
+      getSchema(buildExtensions()),
+    );
+    expect(doc.child(0).attrs).toMatchObject({
+      language: "ts",
+      params: "ts  linenums",
+      fence: "~~~~",
+      closingFence: "~~~~~",
+    });
+  });
+
+  test("grows the fence when the content would close it", () => {
+    const { editor, destroy } = createEditor("```\ncode\n```");
+    try {
+      editor.commands.insertContentAt(5, "\n```");
+      expect(serialize(editor.state.doc)).toBe("````\ncode\n```\n````");
+    } finally {
+      destroy();
+    }
+  });
+
+  test("changing the language keeps the fence and info extras", () => {
+    const { editor, destroy } = createEditor('~~~js title="a"\nx\n~~~');
+    try {
+      editor.commands.updateAttributes("codeBlock", { language: "ts" });
+      expect(serialize(editor.state.doc)).toBe('~~~ts title="a"\nx\n~~~');
+
+      editor.commands.updateAttributes("codeBlock", { language: null });
+      expect(serialize(editor.state.doc)).toBe("~~~\nx\n~~~");
+    } finally {
+      destroy();
+    }
+  });
+});
+
+describe("code block language dropdown", () => {
+  test("lists plain text, the known languages and unknown current ones", () => {
+    const options = getCodeBlockLanguageOptions(lowlight, "mermaid");
+    expect(options).toEqual([
+      "",
+      "mermaid",
+      "javascript",
+      "python",
+      "typescript",
+    ]);
+  });
+
+  test("sets the node language from the dropdown", () => {
+    const { editor, host, destroy } = createEditor("```\nx = 1\n```");
+    try {
+      const select = host.querySelector("select.mfe-code-block__language");
+      expect(select.value).toBe("");
+
+      select.value = "python";
+      select.dispatchEvent(new Event("change", { bubbles: true }));
+
+      expect(editor.state.doc.child(0).attrs.language).toBe("python");
+      expect(serialize(editor.state.doc)).toBe("```python\nx = 1\n```");
+      expect(host.querySelector("code").className).toBe("language-python");
+    } finally {
+      destroy();
+    }
+  });
+});
@@ -0,0 +1,149 @@
+/** @jest-environment jsdom */
+
+import {
+  collectDocumentAnchors,
+  findUnresolvedAnchorLinks,
+  slugifyHeading,
+} from "../src/document-anchors.js";
+import { openPageLinkPicker } from "../src/page-link-picker.js";
+
+const MARKDOWN = [
+  "<!-- section:hero -->",
+  "",
+  "# Welcome to *our* site",
+  "",
+  "See [the team](#team), [contact](#contact-us) and [old](#history).",
+  "",
+  "## Team",
+  "",
+  "## Team",
+  "",
+  "### Get in touch {#contact-us}",
+  "",
+  "```",
+  "# not a heading",
+  "```",
+  "",
+  "## Café `code` & more!",
+].join("\n");
+
+describe("document anchors", () => {
+  test("slugifies heading text", () => {
+    expect(slugifyHeading(" Hello, World! ")).toBe("hello-world");
+    expect(slugifyHeading("Über uns  2024")).toBe("über-uns--2024");
+  });
+
+  test("collects heading anchors with explicit ids and unique slugs", () => {
+    expect(collectDocumentAnchors(MARKDOWN)).toEqual([
+      {
+        id: "welcome-to-our-site",
+        text: "Welcome to our site",
+        level: 1,
+        explicit: false,
+      },
+      { id: "team", text: "Team", level: 2, explicit: false },
+      { id: "team-1", text: "Team", level: 2, explicit: false },
+      {
+        id: "contact-us",
+        text: "Get in touch",
+        level: 3,
+        explicit: true,
+      },
+      {
+        id: "café-code--more",
+        text: "Café code & more!",
+        level: 2,
+        explicit: false,
+      },
+    ]);
+  });
+
+  test("reports anchor links without a matching heading", () => {
+    expect(findUnresolvedAnchorLinks(MARKDOWN)).toEqual([
+      { href: "#history", text: "old" },
+    ]);
+    expect(findUnresolvedAnchorLinks("# Café\n\n[up](#café) [top](#)")).toEqual(
+      [],
+    );
+  });
+});
+
+describe("page link picker document tab", () => {
+  afterEach(() => {
+    document.querySelectorAll(".mfe-link-picker").forEach((el) => el.remove());
+    delete window.MarkdownFrontEditorConfig;
+  });
+
+  test("inserts a heading anchor from the document tab", async () => {
+    window.MarkdownFrontEditorConfig = {
+      pageId: 1,
+      adminUrl: "https://example.com/processwire/",
+    };
+    const picked = openPageLinkPicker({
+      currentHref: "#team",
+      documentMarkdown: MARKDOWN,
+    });
+
+    const tabs = Array.from(
+      document.querySelectorAll(".mfe-link-picker__tab"),
+      (tab) => [tab.textContent, tab.classList.contains("is-active")],
+    );
+    expect(tabs).toEqual([
+      ["Pages", false],
+      ["In this document", true],
+    ]);
+    const frame = document.querySelector(".mfe-link-picker__frame");
+    expect(frame.hidden).toBe(true);
+    expect(frame.getAttribute("src")).toBeNull();
+    expect(
+      document.querySelector(".mfe-link-picker__anchor-warning").textContent,
+    ).toBe("Links to missing headings:#history (old)");
+    expect(
+      document.querySelector(".mfe-link-picker__anchor.is-selected").dataset
+        .anchor,
+    ).toBe("team");
+
+    document
+      .querySelector('[data-anchor="contact-us"] .mfe-link-picker__anchor-id')
+      .click();
+    document
+      .querySelector(".mfe-link-picker__button:not([class*=secondary])")
+      .click();
+    await expect(picked).resolves.toEqual({
+      href: "#contact-us",
+      pageId: "",
+      pageLang: "",
+    });
+    expect(document.querySelector(".mfe-link-picker")).toBeNull();
+  });
+
+  test("opens only the document tab without a page picker", async () => {
+    window.MarkdownFrontEditorConfig = { pageId: 1 };
+    const picked = openPageLinkPicker({ documentMarkdown: MARKDOWN });
+    expect(document.querySelector(".mfe-link-picker__tabs")).toBeNull();
+    expect(document.querySelector(".mfe-link-picker__frame")).toBeNull();
+
+    document
+      .querySelector('[data-anchor="team-1"]')
+      .dispatchEvent(new MouseEvent("dblclick", { bubbles: true }));
+    await expect(picked).resolves.toEqual({
+      href: "#team-1",
+      pageId: "",
+      pageLang: "",
+    });
+  });
+
+  test("keeps the page picker alone without document markdown", async () => {
+    window.MarkdownFrontEditorConfig = {
+      pageId: 1,
+      adminUrl: "https://example.com/processwire/",
+    };
+    const picked = openPageLinkPicker({ currentHref: "/about/" });
+    expect(document.querySelector(".mfe-link-picker__tabs")).toBeNull();
+    expect(
+      document.querySelector(".mfe-link-picker__frame").getAttribute("src"),
+    ).toContain("page/link/?modal=1&id=1");
+    document.querySelector(".mfe-link-picker__button--secondary").click();
+    await expect(picked).resolves.toBeNull();
+  });
+});
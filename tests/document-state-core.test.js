@@ -5,6 +5,7 @@ import {
   clearDocumentState,
   listDocumentStates,
   emitStatesSavedBatch,
+  subscribeDocStateEvents,
   __testResetDocStateSeq,
 } from "../src/document-state.js";
 
@@ -253,6 +254,28 @@ describe("document-state core", () => {
     expect(batchEvent.stateIds).toEqual([state.id]);
   });
 
+  test("subscribers receive state events until they unsubscribe", () => {
+    const seen = [];
+    const unsubscribe = subscribeDocStateEvents((event) => {
+      seen.push(event.type);
+    });
+    const state = new DocumentState(payload, "en", {
+      reason: "test:open",
+      trigger: "session-open",
+    });
+    state.setDraft("changed", {
+      reason: "test:update",
+      trigger: "user-command",
+    });
+    unsubscribe();
+    state.setDraft("changed again", {
+      reason: "test:update",
+      trigger: "user-command",
+    });
+
+    expect(seen).toEqual(["STATE_OPENED", "STATE_UPDATED"]);
+  });
+
   test("document shape validation keeps marker graph under mixed line endings", () => {
     const previousConfig = globalThis.MarkdownFrontEditorConfig;
     globalThis.MarkdownFrontEditorConfig = {
@@ -290,4 +313,42 @@ describe("document-state core", () => {
 
     globalThis.MarkdownFrontEditorConfig = previousConfig;
   });
+
+  test("edits in LF and re-emits the original line endings and BOM", () => {
+    const documentPayload = {
+      pageId: "1",
+      fieldScope: "document",
+      fieldSection: "",
+      fieldSubsection: "",
+      fieldName: "document",
+      fieldId: "1:document::document",
+    };
+    const stored =
+      "\uFEFF---\r\ntitle: Home\r\n---\r\n<!-- section:hero -->\r\nHello\r\n";
+    const state = new DocumentState(documentPayload, "en", {
+      initialPersistedMarkdown: "",
+    });
+
+    state.hydrateFromServer(stored, { reason: "test:hydrate-crlf" });
+    expect(state.getTextFormat()).toEqual({ lineEnding: "\r\n", bom: true });
+    expect(state.getDraft()).toBe("<!-- section:hero -->\nHello\n");
+    expect(state.composeMarkdown()).toBe(
+      "---\ntitle: Home\n---\n<!-- section:hero -->\nHello\n",
+    );
+    expect(state.recomposeMarkdownForSave()).toBe(stored);
+
+    state.hydrateFromServer(
+      "---\ntitle: Home\n---\n<!-- section:hero -->\nHello\n",
+      { reason: "test:hydrate-normalized" },
+    );
+    expect(state.recomposeMarkdownForSave()).toBe(stored);
+
+    state.hydrateFromServer("<!-- section:hero -->\nHello\n", {
+      reason: "test:hydrate-lf",
+      textFormat: { lineEnding: "\n", bom: false },
+    });
+    expect(state.recomposeMarkdownForSave()).toBe(
+      "<!-- section:hero -->\nHello\n",
+    );
+  });
 });
@@ -1,6 +1,14 @@
 /** @jest-environment jsdom */
 
+import { Editor, getSchema } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import { NodeSelection } from "prosemirror-state";
+import { parseMarkdownToDoc } from "../src/editor-core.js";
 import { createToolbarButtons } from "../src/editor-toolbar.js";
+import {
+  FootnoteDefinition,
+  FootnoteReference,
+} from "../src/footnote-extension.js";
 
 describe("editor toolbar buttons", () => {
   test("exposes a single markdown toggle instead of separate rich/raw buttons", () => {
@@ -36,4 +44,34 @@ describe("editor toolbar buttons", () => {
 
     expect(onToggleMarkdownView).toHaveBeenCalledTimes(1);
   });
+
+  test("shows the footnote button active at a footnote reference", () => {
+    const extensions = [StarterKit, FootnoteReference, FootnoteDefinition];
+    const editor = new Editor({
+      extensions,
+      content: parseMarkdownToDoc(
+        "Planted[^1] in spring.\n\n[^1]: After the frost.",
+        getSchema(extensions),
+      ).toJSON(),
+    });
+    const footnoteButton = createToolbarButtons({
+      getEditor: () => editor,
+    }).find((button) => button.key === "footnote");
+    let reference = null;
+    editor.state.doc.descendants((node, pos) => {
+      if (node.type.name === "footnoteReference") reference = pos;
+    });
+
+    editor.commands.setTextSelection(reference + 1);
+    expect(footnoteButton.isActive()).toBe(true);
+    editor.view.dispatch(
+      editor.state.tr.setSelection(
+        NodeSelection.create(editor.state.doc, reference),
+      ),
+    );
+    expect(footnoteButton.isActive()).toBe(true);
+    editor.commands.setTextSelection(3);
+    expect(footnoteButton.isActive()).toBe(false);
+    editor.destroy();
+  });
 });
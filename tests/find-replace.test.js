@@ -0,0 +1,310 @@
+/** @jest-environment jsdom */
+
+import { TextEncoder } from "node:util";
+import { getSchema } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import { parseMarkdownToDoc } from "../src/editor-core.js";
+import {
+  expandReplacement,
+  findInMarkdown,
+  findMatchRange,
+  findTextRange,
+  groupMatchesByScope,
+  openFindReplacePanel,
+  replaceMatchesInMarkdown,
+} from "../src/find-replace.js";
+
+if (typeof global.TextEncoder === "undefined") {
+  global.TextEncoder = TextEncoder;
+}
+
+const MARKDOWN = [
+  "<!-- section:hero -->",
+  "",
+  "Farm intro for the farm",
+  "",
+  "<!-- title -->",
+  "# The Urban Farm",
+  "",
+  "<!-- intro... -->",
+  "We farm in the city. Farmers welcome.",
+  "",
+  "<!-- section:farm -->",
+  "",
+  "<!-- sub:left -->",
+  "",
+  "<!-- body -->",
+  "Farm",
+].join("\n");
+
+describe("find in markdown", () => {
+  test("finds matches outside marker lines with their scope", () => {
+    const matches = findInMarkdown(MARKDOWN, "farm", { wholeWord: true });
+    expect(
+      matches.map(({ text, scopeLabel, index, scopeIndex, line }) => [
+        text,
+        scopeLabel,
+        index,
+        scopeIndex,
+        line,
+      ]),
+    ).toEqual([
+      ["Farm", "hero", 0, 0, 3],
+      ["farm", "hero", 0, 0, 3],
+      ["Farm", "hero / title", 1, 0, 6],
+      ["farm", "hero / intro", 1, 0, 9],
+      ["Farm", "farm / left / body", 2, 0, 16],
+    ]);
+    expect(matches[4].scope).toEqual({
+      kind: "field",
+      section: "farm",
+      subsection: "left",
+      name: "body",
+    });
+    expect(matches[3].before).toBe("We ");
+    expect(matches[3].after).toBe(" in the city. Farmers welcome.");
+    expect(
+      groupMatchesByScope(matches).map((group) => [
+        group.scopeLabel,
+        group.matches.length,
+      ]),
+    ).toEqual([
+      ["hero", 2],
+      ["hero / title", 1],
+      ["hero / intro", 1],
+      ["farm / left / body", 1],
+    ]);
+  });
+
+  test("honours match case and regular expressions", () => {
+    expect(
+      findInMarkdown(MARKDOWN, "Farm", { matchCase: true }).map(
+        (match) => match.text,
+      ),
+    ).toEqual(["Farm", "Farm", "Farm", "Farm"]);
+    expect(
+      findInMarkdown(MARKDOWN, "farm(er)?s?\\b", { regex: true }).length,
+    ).toBe(6);
+    expect(() => findInMarkdown(MARKDOWN, "(", { regex: true })).toThrow();
+    expect(findInMarkdown(MARKDOWN, "")).toEqual([]);
+  });
+
+  test("expands replacement groups", () => {
+    const [match] = findInMarkdown("Ada Lovelace", "(?<first>\\w+) (\\w+)", {
+      regex: true,
+    });
+    expect(expandReplacement("$2, $<first> ($&) $$1", match)).toBe(
+      "Lovelace, Ada (Ada Lovelace) $1",
+    );
+  });
+});
+
+describe("replace in markdown", () => {
+  test("replaces every match and keeps the markers", () => {
+    const matches = findInMarkdown(MARKDOWN, "farm", { wholeWord: true });
+    expect(replaceMatchesInMarkdown(MARKDOWN, matches, "Garden")).toBe(
+      MARKDOWN.replace(/Farm intro for the farm/, "Garden intro for the Garden")
+        .replace("# The Urban Farm", "# The Urban Garden")
+        .replace("We farm", "We Garden")
+        .replace(/Farm$/, "Garden"),
+    );
+  });
+
+  test("replaces a single match with regex groups", () => {
+    const matches = findInMarkdown(MARKDOWN, "(\\w+)ers", { regex: true });
+    expect(matches.map((match) => match.text)).toEqual(["Farmers"]);
+    expect(
+      replaceMatchesInMarkdown(MARKDOWN, matches, "$1 hands", { regex: true }),
+    ).toBe(MARKDOWN.replace("Farmers", "Farm hands"));
+  });
+
+  test("keeps the blank line before a marker when a field is emptied", () => {
+    const matches = findInMarkdown(MARKDOWN, "# The Urban Farm");
+    const next = replaceMatchesInMarkdown(MARKDOWN, matches, "");
+    expect(next).toContain("<!-- title -->\n");
+    expect(next).toContain("\n<!-- intro... -->\nWe farm");
+    expect(next.match(/<!--[^>]*-->/g)).toEqual(
+      MARKDOWN.match(/<!--[^>]*-->/g),
+    );
+  });
+});
+
+test("finds the editor range of a match occurrence", () => {
+  const doc = parseMarkdownToDoc(
+    "Farm **fa**rm\\\nfarm\n\nfarm",
+    getSchema([StarterKit]),
+  );
+  const first = findTextRange(doc, "farm", 0);
+  expect(first).toEqual({ from: 6, to: 10 });
+  expect(doc.textBetween(first.from, first.to)).toBe("farm");
+  const second = findTextRange(doc, "farm", 1);
+  expect(doc.textBetween(second.from, second.to)).toBe("farm");
+  expect(doc.resolve(second.from).parent).toBe(doc.firstChild);
+  const third = findTextRange(doc, "farm", 2);
+  expect(doc.resolve(third.from).parent).toBe(doc.lastChild);
+  expect(findTextRange(doc, "farm", 3)).toBeNull();
+  expect(findTextRange(doc, "rmfa", 0)).toBeNull();
+});
+
+test("skips occurrences hidden in markup when resolving a match", () => {
+  const schema = getSchema([StarterKit]);
+  const parse = (markdown) => parseMarkdownToDoc(markdown, schema);
+  const markdown = [
+    "<!-- section:farm -->",
+    "",
+    "See [the barn](/farm/barn) near the farm and the **farm** shop.",
+  ].join("\n");
+  const matches = findInMarkdown(markdown, "farm");
+  expect(matches.map((match) => match.scopeIndex)).toEqual([0, 1, 2]);
+  const doc = parse(
+    "See [the barn](/farm/barn) near the farm and the **farm** shop.",
+  );
+  const second = findMatchRange(doc, matches[1], { markdown, parse });
+  expect(doc.textBetween(second.from - 4, second.to)).toBe("the farm");
+  expect(doc.resolve(second.from).marks()).toEqual([]);
+  const third = findMatchRange(doc, matches[2], { markdown, parse });
+  expect(
+    doc
+      .resolve(third.to)
+      .marks()
+      .map((mark) => mark.type.name),
+  ).toEqual(["bold"]);
+
+  const spanning = findInMarkdown(markdown, "the **farm**")[0];
+  const range = findMatchRange(doc, spanning, {
+    markdown,
+    parse,
+    documentScope: true,
+  });
+  expect(doc.textBetween(range.from, range.to)).toBe("the farm");
+  expect(range.to).toBe(third.to);
+});
+
+describe("find and replace panel", () => {
+  afterEach(() => {
+    document.querySelectorAll(".mfe-find-replace").forEach((el) => el.remove());
+  });
+
+  test("lists grouped matches, jumps and replaces", () => {
+    let markdown = MARKDOWN;
+    const onJump = jest.fn();
+    const onClose = jest.fn();
+    openFindReplacePanel({
+      getMarkdown: () => markdown,
+      applyMarkdown: (next) => {
+        markdown = next;
+      },
+      onJump,
+      onClose,
+      initialQuery: "Farmers",
+    });
+    const panel = document.querySelector(".mfe-find-replace");
+    expect(panel.querySelector(".mfe-find-replace__summary").textContent).toBe(
+      "1 match",
+    );
+
+    const findInput = panel.querySelector(".mfe-find-replace__find");
+    findInput.value = "farm";
+    panel.querySelector(".mfe-find-replace__whole-word").click();
+    expect(
+      Array.from(
+        panel.querySelectorAll(".mfe-find-replace__group-label"),
+        (label) => label.textContent,
+      ),
+    ).toEqual(["hero", "hero / title", "hero / intro", "farm / left / body"]);
+
+    panel.querySelectorAll(".mfe-find-replace__excerpt")[3].click();
+    expect(onJump).toHaveBeenCalledWith(
+      expect.objectContaining({ text: "farm", scopeLabel: "hero / intro" }),
+    );
+
+    panel.querySelector(".mfe-find-replace__replace").value = "Garden";
+    panel.querySelectorAll(".mfe-find-replace__replace-one")[2].click();
+    expect(markdown).toContain("# The Urban Garden");
+    expect(panel.querySelector(".mfe-find-replace__summary").textContent).toBe(
+      "4 matches",
+    );
+
+    panel.querySelector(".mfe-find-replace__replace-all").click();
+    expect(findInMarkdown(markdown, "farm", { wholeWord: true })).toEqual([]);
+    expect(markdown).toContain("<!-- section:farm -->");
+    expect(panel.querySelector(".mfe-find-replace__replace-all").disabled).toBe(
+      true,
+    );
+
+    panel.dispatchEvent(new KeyboardEvent("keydown", { key: "Escape" }));
+    expect(document.querySelector(".mfe-find-replace")).toBeNull();
+    expect(onClose).toHaveBeenCalled();
+  });
+
+  test("previews and replaces matches in every language", async () => {
+    const drafts = {
+      en: "<!-- title -->\nAcme Phone",
+      de: "<!-- title -->\nDas Acme Phone\n\n<!-- intro -->\nAcme",
+      fr: "<!-- title -->\nLe téléphone",
+    };
+    const hydrateLanguages = jest.fn(() => Promise.resolve(true));
+    const applyLanguageMarkdown = jest.fn((lang, next) => {
+      drafts[lang] = next;
+    });
+    const onJump = jest.fn();
+    openFindReplacePanel({
+      currentLang: "en",
+      getMarkdown: () => drafts.en,
+      applyMarkdown: (next) => {
+        drafts.en = next;
+      },
+      onJump,
+      getLanguageDrafts: () =>
+        Object.entries(drafts).map(([lang, markdown]) => ({ lang, markdown })),
+      hydrateLanguages,
+      applyLanguageMarkdown,
+      initialQuery: "Acme",
+    });
+    const panel = document.querySelector(".mfe-find-replace");
+    panel.querySelector(".mfe-find-replace__replace").value = "Nova";
+    panel.querySelector(".mfe-find-replace__all-languages").click();
+    expect(panel.querySelector(".mfe-find-replace__summary").textContent).toBe(
+      "Loading languages...",
+    );
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(hydrateLanguages).toHaveBeenCalledTimes(1);
+    expect(panel.querySelector(".mfe-find-replace__summary").textContent).toBe(
+      "3 matches in 2 languages",
+    );
+    expect(
+      Array.from(
+        panel.querySelectorAll(".mfe-find-replace__language-label"),
+        (label) => label.textContent,
+      ),
+    ).toEqual(["EN · 1 match", "DE · 2 matches", "FR · 0 matches"]);
+    const deExcerpts = panel.querySelectorAll(
+      '[data-lang="de"] .mfe-find-replace__excerpt',
+    );
+    expect(deExcerpts[0].textContent).toBe("Das AcmeNova Phone");
+    expect(deExcerpts[0].disabled).toBe(true);
+    panel.querySelector('[data-lang="en"] .mfe-find-replace__excerpt').click();
+    expect(onJump).toHaveBeenCalledTimes(1);
+
+    panel.querySelector(".mfe-find-replace__replace-all").click();
+    expect(drafts).toEqual({
+      en: "<!-- title -->\nNova Phone",
+      de: "<!-- title -->\nDas Nova Phone\n\n<!-- intro -->\nNova",
+      fr: "<!-- title -->\nLe téléphone",
+    });
+    expect(applyLanguageMarkdown).toHaveBeenCalledTimes(1);
+    expect(panel.querySelector(".mfe-find-replace__summary").textContent).toBe(
+      "0 matches in 0 languages",
+    );
+  });
+
+  test("reports an invalid regular expression", () => {
+    openFindReplacePanel({ getMarkdown: () => MARKDOWN, initialQuery: "(" });
+    const panel = document.querySelector(".mfe-find-replace");
+    panel.querySelector(".mfe-find-replace__regex").click();
+    expect(panel.querySelector(".mfe-find-replace__summary").textContent).toBe(
+      "Invalid regular expression",
+    );
+  });
+});
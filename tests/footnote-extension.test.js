@@ -0,0 +1,162 @@
+/** @jest-environment jsdom */
+
+import { Editor, getSchema } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import Link from "@tiptap/extension-link";
+import { TextSelection } from "prosemirror-state";
+import {
+  FootnoteReference,
+  FootnoteDefinition,
+  getNextFootnoteLabel,
+} from "../src/footnote-extension.js";
+import { SingleBlockDocumentExtension } from "../src/field-constraints-extension.js";
+import {
+  parseMarkdownToDoc,
+  serializeMarkdownDoc,
+  trimTrailingLineBreaks,
+} from "../src/editor-core.js";
+
+function buildExtensions(starterKitOptions = {}) {
+  return [
+    StarterKit.configure({ link: false, ...starterKitOptions }),
+    Link.configure({ openOnClick: false }),
+    FootnoteReference,
+    FootnoteDefinition,
+  ];
+}
+
+function roundtrip(markdown) {
+  const schema = getSchema(buildExtensions());
+  const doc = parseMarkdownToDoc(markdown, schema);
+  return { doc, output: trimTrailingLineBreaks(serializeMarkdownDoc(doc)) };
+}
+
+function createEditor(markdown, { singleBlock = false } = {}) {
+  const host = document.createElement("div");
+  document.body.appendChild(host);
+  const extensions = singleBlock
+    ? [...buildExtensions({ document: false }), SingleBlockDocumentExtension]
+    : buildExtensions();
+  const schema = getSchema(extensions);
+  const editor = new Editor({
+    element: host,
+    extensions,
+    content: parseMarkdownToDoc(markdown, schema).toJSON(),
+  });
+  return {
+    editor,
+    destroy() {
+      editor.destroy();
+      host.remove();
+    },
+  };
+}
+
+describe("footnote nodes", () => {
+  test("parses references and definitions into footnote nodes", () => {
+    const { doc } = roundtrip(
+      ["Claim[^1] and more[^note].", "", "[^1]: First.", "[^note]: Named."].join(
+        "\n",
+      ),
+    );
+
+    const types = [];
+    doc.descendants((node) => {
+      if (node.type.name.startsWith("footnote")) {
+        types.push(`${node.type.name}:${node.attrs.label}`);
+      }
+    });
+
+    expect(types).toEqual([
+      "footnoteReference:1",
+      "footnoteReference:note",
+      "footnoteDefinition:1",
+      "footnoteDefinition:note",
+    ]);
+  });
+
+  test.each([
+    ["separated definitions", "Text[^1]\n\n[^1]: One.\n\n[^2]: Two."],
+    ["consecutive definitions", "Text[^1][^2]\n\n[^1]: One.\n[^2]: Two."],
+    ["definition right after paragraph", "Text[^1]\n[^1]: One."],
+    ["continuation lines", "Text[^1]\n\n[^1]: First line\n    second line"],
+    ["lazy continuation", "Text[^1]\n\n[^1]: First line\nsecond line"],
+    ["formatted definition", "Text[^a]\n\n[^a]: Some **bold** and [a link](/x)."],
+    ["definition before heading", "[^1]: One.\n\n# Heading\n\nText[^1]"],
+    [
+      "definitions starting with block syntax",
+      "Text[^1]\n\n[^1]: - list item\n[^2]: # not heading\n[^3]: > not quote\n[^4]: 1. not list",
+    ],
+  ])("roundtrips %s byte-exact", (_name, markdown) => {
+    expect(roundtrip(markdown).output).toBe(markdown);
+  });
+
+  test("a definition ends at a blank line", () => {
+    const { doc } = roundtrip(
+      "Text[^1]\n\n[^1]: First paragraph.\n\n    Second paragraph.",
+    );
+    expect(doc.child(1).type.name).toBe("footnoteDefinition");
+    expect(doc.child(1).textContent).toBe("First paragraph.");
+    expect(doc.child(2).type.name).toBe("codeBlock");
+  });
+
+  test("definition-like text stays a paragraph without footnote nodes", () => {
+    const schema = getSchema([StarterKit]);
+    const markdown = "Text[^1]\n\n[^1]: One.";
+    const doc = parseMarkdownToDoc(markdown, schema);
+
+    expect(doc.childCount).toBe(2);
+    expect(doc.child(1).type.name).toBe("paragraph");
+    expect(trimTrailingLineBreaks(serializeMarkdownDoc(doc))).toBe(markdown);
+  });
+
+  test("getNextFootnoteLabel skips used numeric labels", () => {
+    const { doc } = roundtrip("A[^1] B[^3] C[^x]\n\n[^1]: a\n[^3]: b\n[^x]: c");
+    expect(getNextFootnoteLabel(doc)).toBe("4");
+  });
+
+  test("insertFootnote adds a reference and appends a tight definition", () => {
+    const { editor, destroy } = createEditor("Text[^1]\n\n[^1]: One.");
+    try {
+      const endOfParagraph = editor.state.doc.child(0).nodeSize - 1;
+      editor.commands.setTextSelection(endOfParagraph);
+
+      expect(editor.commands.insertFootnote()).toBe(true);
+      editor.commands.insertContent("Two.");
+
+      expect(trimTrailingLineBreaks(serializeMarkdownDoc(editor.state.doc))).toBe(
+        "Text[^1][^2]\n\n[^1]: One.\n[^2]: Two.",
+      );
+    } finally {
+      destroy();
+    }
+  });
+
+  test("insertFootnote places the first definition after a blank line", () => {
+    const { editor, destroy } = createEditor("Text");
+    try {
+      editor.view.dispatch(
+        editor.state.tr.setSelection(TextSelection.create(editor.state.doc, 5)),
+      );
+      editor.commands.insertFootnote();
+      editor.commands.insertContent("Note.");
+
+      expect(trimTrailingLineBreaks(serializeMarkdownDoc(editor.state.doc))).toBe(
+        "Text[^1]\n\n[^1]: Note.",
+      );
+    } finally {
+      destroy();
+    }
+  });
+
+  test("insertFootnote is refused in single-block fields", () => {
+    const { editor, destroy } = createEditor("Text", { singleBlock: true });
+    try {
+      editor.commands.setTextSelection(5);
+      expect(editor.commands.insertFootnote()).toBe(false);
+      expect(serializeMarkdownDoc(editor.state.doc)).not.toContain("[^");
+    } finally {
+      destroy();
+    }
+  });
+});
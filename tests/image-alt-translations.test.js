@@ -0,0 +1,121 @@
+/** @jest-environment jsdom */
+
+import { getSchema } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import { createMfeImageExtension } from "../src/editor-tiptap-extensions.js";
+import { parseMarkdownToDoc } from "../src/editor-core.js";
+import {
+  findImageOccurrencePos,
+  findMarkdownImageAlt,
+  getImageOccurrence,
+  replaceMarkdownImageAlt,
+} from "../src/image-alt-translations.js";
+import { createImagePicker } from "../src/image-picker.js";
+import { closeTopWindow } from "../src/window-manager.js";
+
+const schema = getSchema([
+  StarterKit,
+  createMfeImageExtension(() => "/site/images/"),
+]);
+
+function imagePositions(doc) {
+  const positions = [];
+  doc.descendants((node, pos) => {
+    if (node.type.name === "image") positions.push(pos);
+  });
+  return positions;
+}
+
+describe("image alt translations", () => {
+  test("identifies an image by source and occurrence", () => {
+    const doc = parseMarkdownToDoc(
+      "![One](a.jpg) ![Other](b.jpg)\n\n![Two](a.jpg)",
+      schema,
+    );
+    const [first, , third] = imagePositions(doc);
+    expect(getImageOccurrence(doc, first)).toEqual({ src: "a.jpg", index: 0 });
+    expect(getImageOccurrence(doc, third)).toEqual({ src: "a.jpg", index: 1 });
+
+    const translated = parseMarkdownToDoc(
+      "![Eins](a.jpg)\n\n![Zwei](a.jpg) ![Andere](b.jpg)",
+      schema,
+    );
+    const pos = findImageOccurrencePos(translated, { src: "a.jpg", index: 1 });
+    expect(translated.nodeAt(pos).attrs.alt).toBe("Zwei");
+    expect(
+      findImageOccurrencePos(translated, { src: "a.jpg", index: 2 }),
+    ).toBeNull();
+  });
+
+  test("reads and rewrites only the alt text in markdown", () => {
+    const markdown = [
+      "```",
+      "![Code](a.jpg)",
+      "```",
+      "",
+      "![Eins](a.jpg) and ![Zwei \\[alt\\]](<a.jpg> 'Titel')",
+    ].join("\n");
+    const second = { src: "a.jpg", index: 1 };
+    expect(findMarkdownImageAlt(markdown, second)).toBe("Zwei [alt]");
+    expect(findMarkdownImageAlt(markdown, { src: "a.jpg", index: 2 })).toBe(
+      null,
+    );
+    expect(replaceMarkdownImageAlt(markdown, second, "Neu [x]")).toBe(
+      markdown.replace("Zwei \\[alt\\]", "Neu \\[x\\]"),
+    );
+    expect(
+      replaceMarkdownImageAlt(markdown, { src: "c.jpg", index: 0 }, "x"),
+    ).toBeNull();
+  });
+});
+
+describe("image picker language alt inputs", () => {
+  afterEach(() => {
+    while (document.querySelector('[data-mfe-window="true"]')) {
+      closeTopWindow();
+    }
+    delete window.MarkdownFrontEditorConfig;
+    delete global.fetch;
+  });
+
+  test("passes the alt text of every language to onSelect", async () => {
+    window.MarkdownFrontEditorConfig = { pageId: 1 };
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      text: async () => "",
+      json: async () => ({ status: 1, images: [] }),
+    }));
+    const onSelect = jest.fn();
+    createImagePicker({
+      onSelect,
+      initialData: {
+        src: "https://example.com/a.jpg",
+        alt: "One",
+      },
+      languageAlts: [
+        { lang: "de", label: "Deutsch", alt: "Eins" },
+        { lang: "fi", label: "Suomi", alt: "" },
+      ],
+    });
+
+    const inputs = Array.from(
+      document.querySelectorAll(".mfe-picker-language-alt-input"),
+    );
+    expect(
+      Array.from(
+        document.querySelectorAll(".mfe-picker-language-alt"),
+        (label) => label.firstChild.textContent,
+      ),
+    ).toEqual(["Alt name (Deutsch):", "Alt name (Suomi):"]);
+    inputs[1].value = "Yksi";
+
+    await document.querySelector(".mfe-picker-insert-btn").onclick();
+    expect(onSelect).toHaveBeenCalledWith({
+      filename: "",
+      url: "https://example.com/a.jpg",
+      alt: "One",
+      altByLanguage: { de: "Eins", fi: "Yksi" },
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/** @jest-environment jsdom */
+
+import { Editor, getSchema } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import { createMfeImageExtension } from "../src/editor-tiptap-extensions.js";
+import {
+  parseMarkdownToDoc,
+  serializeMarkdownDoc,
+  trimTrailingLineBreaks,
+} from "../src/editor-core.js";
+
+function buildExtensions(options) {
+  return [StarterKit, createMfeImageExtension(() => "/site/images/", options)];
+}
+
+function roundtrip(markdown) {
+  const doc = parseMarkdownToDoc(markdown, getSchema(buildExtensions()));
+  return trimTrailingLineBreaks(serializeMarkdownDoc(doc));
+}
+
+function createEditor(markdown, options, editorOptions = {}) {
+  const host = document.createElement("div");
+  document.body.appendChild(host);
+  const extensions = buildExtensions(options);
+  const editor = new Editor({
+    element: host,
+    extensions,
+    content: parseMarkdownToDoc(markdown, getSchema(extensions)).toJSON(),
+    ...editorOptions,
+  });
+  return {
+    editor,
+    output: () =>
+      trimTrailingLineBreaks(serializeMarkdownDoc(editor.state.doc)),
+    destroy: () => {
+      editor.destroy();
+      host.remove();
+    },
+  };
+}
+
+describe("image titles", () => {
+  test.each([
+    ['![Alt](a.jpg "Title")'],
+    ["![Alt](a.jpg 'Title')"],
+    ["![Alt](a.jpg (Title))"],
+    ["![One](a.jpg 'First') and ![Two](b.jpg (Second))"],
+    ["![Alt](a.jpg 'It\\'s \"quoted\"')"],
+    ["![Alt](a.jpg (Note \\(draft\\)))"],
+  ])("keeps the title quoting of %s", (markdown) => {
+    expect(roundtrip(markdown)).toBe(markdown);
+  });
+
+  test("does not take the quote style from code spans", () => {
+    expect(roundtrip("`![x](y.jpg 'Title')` ![Alt](a.jpg \"Title\")")).toBe(
+      "`![x](y.jpg 'Title')` ![Alt](a.jpg \"Title\")",
+    );
+  });
+
+  test("writes new titles with double quotes", () => {
+    const { editor, output, destroy } = createEditor("![Alt](a.jpg)");
+    try {
+      editor.view.dispatch(
+        editor.state.tr.setNodeMarkup(1, undefined, {
+          ...editor.state.doc.nodeAt(1).attrs,
+          title: 'Say "hi"',
+        }),
+      );
+      expect(output()).toBe('![Alt](a.jpg "Say \\"hi\\"")');
+    } finally {
+      destroy();
+    }
+  });
+});
+
+describe("image caption node view", () => {
+  test("renders the title as a figure caption", () => {
+    const { editor, destroy } = createEditor("![Alt](a.jpg 'Sunset')");
+    try {
+      const container = editor.view.dom.querySelector(
+        ".mfe-tiptap-image-container",
+      );
+      expect(container.classList.contains("has-caption")).toBe(true);
+      expect(container.getAttribute("role")).toBe("figure");
+      expect(
+        container.querySelector(".mfe-tiptap-image-caption-input").value,
+      ).toBe("Sunset");
+      expect(container.querySelector(".mfe-tiptap-image-alt-input").value).toBe(
+        "Alt",
+      );
+    } finally {
+      destroy();
+    }
+  });
+
+  test("edits the caption and alt text in place", () => {
+    const markUserIntentToken = jest.fn();
+    const { editor, output, destroy } = createEditor(
+      "Text ![Alt](a.jpg 'Sunset')",
+      { markUserIntentToken },
+    );
+    try {
+      const container = editor.view.dom.querySelector(
+        ".mfe-tiptap-image-container",
+      );
+      const captionInput = container.querySelector(
+        ".mfe-tiptap-image-caption-input",
+      );
+      captionInput.value = "Sunset at the beach";
+      captionInput.onchange();
+      expect(markUserIntentToken).toHaveBeenCalledWith("image:title");
+      expect(output()).toBe("Text ![Alt](a.jpg 'Sunset at the beach')");
+
+      const altInput = editor.view.dom.querySelector(
+        ".mfe-tiptap-image-alt-input",
+      );
+      altInput.value = "Beach";
+      altInput.onkeydown({ key: "Enter", preventDefault: () => {} });
+      expect(output()).toBe("Text ![Beach](a.jpg 'Sunset at the beach')");
+
+      captionInput.value = "";
+      captionInput.onchange();
+      expect(output()).toBe("Text ![Beach](a.jpg)");
+      expect(container.classList.contains("has-caption")).toBe(false);
+    } finally {
+      destroy();
+    }
+  });
+
+  test("keeps the inputs read-only when the editor is not editable", () => {
+    const { editor, output, destroy } = createEditor(
+      "![Alt](a.jpg)",
+      {},
+      { editable: false },
+    );
+    try {
+      const captionInput = editor.view.dom.querySelector(
+        ".mfe-tiptap-image-caption-input",
+      );
+      expect(captionInput.readOnly).toBe(true);
+      captionInput.value = "Ignored";
+      captionInput.onchange();
+      expect(output()).toBe("![Alt](a.jpg)");
+    } finally {
+      destroy();
+    }
+  });
+});
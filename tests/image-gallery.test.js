@@ -0,0 +1,209 @@
+/** @jest-environment jsdom */
+
+import { getSchema } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import { createMfeImageExtension } from "../src/editor-tiptap-extensions.js";
+import { parseMarkdownToDoc } from "../src/editor-core.js";
+import {
+  collectImageAltTexts,
+  filterGalleryImages,
+  findVisibleIndexes,
+  layoutMasonry,
+  sortGalleryImages,
+} from "../src/image-gallery.js";
+import { createImagePicker } from "../src/image-picker.js";
+import { closeTopWindow } from "../src/window-manager.js";
+
+const IMAGES = [
+  {
+    filename: "beach.jpg",
+    path: "travel/beach.jpg",
+    width: 1200,
+    height: 800,
+    size: 900 * 1024,
+    modified: 300,
+  },
+  {
+    filename: "portrait10.png",
+    path: "portrait10.png",
+    width: 600,
+    height: 900,
+    size: 150 * 1024,
+    modified: 100,
+  },
+  {
+    filename: "portrait2.png",
+    path: "portrait2.png",
+    width: 600,
+    height: 900,
+    size: 3 * 1024 * 1024,
+    modified: 200,
+  },
+  {
+    filename: "logo.svg",
+    path: "logo.svg",
+    width: 100,
+    height: 100,
+    size: 4 * 1024,
+  },
+];
+
+const names = (images) => images.map((image) => image.filename);
+
+describe("image gallery", () => {
+  test("filters by orientation, size, extension and search terms", () => {
+    expect(
+      names(filterGalleryImages(IMAGES, { orientation: "portrait" })),
+    ).toEqual(["portrait10.png", "portrait2.png"]);
+    expect(
+      names(filterGalleryImages(IMAGES, { orientation: "square" })),
+    ).toEqual(["logo.svg"]);
+    expect(names(filterGalleryImages(IMAGES, { size: "small" }))).toEqual([
+      "portrait10.png",
+      "logo.svg",
+    ]);
+    expect(names(filterGalleryImages(IMAGES, { size: "large" }))).toEqual([
+      "portrait2.png",
+    ]);
+    expect(names(filterGalleryImages(IMAGES, { extension: "png" }))).toEqual([
+      "portrait10.png",
+      "portrait2.png",
+    ]);
+    expect(names(filterGalleryImages(IMAGES, { query: "TRAVEL" }))).toEqual([
+      "beach.jpg",
+    ]);
+  });
+
+  test("searches the alt texts the document gives an image", () => {
+    const extensions = [
+      StarterKit,
+      createMfeImageExtension(() => "/site/images/"),
+    ];
+    const doc = parseMarkdownToDoc(
+      "![Sunset over the bay](travel/beach.jpg)\n\n![Company logo](logo.svg)",
+      getSchema(extensions),
+    );
+    const altTexts = collectImageAltTexts(doc);
+    expect(altTexts.get("travel/beach.jpg")).toEqual(["Sunset over the bay"]);
+    expect(
+      names(filterGalleryImages(IMAGES, { query: "sunset bay", altTexts })),
+    ).toEqual(["beach.jpg"]);
+  });
+
+  test("sorts by name, date and size", () => {
+    expect(names(sortGalleryImages(IMAGES, "name"))).toEqual([
+      "logo.svg",
+      "portrait2.png",
+      "portrait10.png",
+      "beach.jpg",
+    ]);
+    expect(names(sortGalleryImages(IMAGES, "date"))).toEqual([
+      "beach.jpg",
+      "portrait2.png",
+      "portrait10.png",
+      "logo.svg",
+    ]);
+    expect(names(sortGalleryImages(IMAGES, "size"))).toEqual([
+      "portrait2.png",
+      "beach.jpg",
+      "portrait10.png",
+      "logo.svg",
+    ]);
+  });
+
+  test("lays out masonry columns and finds the visible slice", () => {
+    const images = Array.from({ length: 1000 }, () => ({
+      width: 400,
+      height: 300,
+    }));
+    const layout = layoutMasonry(images, { width: 416, columns: 2, gap: 16 });
+    expect(layout.positions[0]).toEqual({
+      top: 0,
+      left: 0,
+      width: 200,
+      height: 150,
+    });
+    expect(layout.positions[1].left).toBe(216);
+    expect(layout.positions[2].top).toBe(166);
+    expect(layout.height).toBe(500 * 166 - 16);
+
+    const visible = findVisibleIndexes(layout.positions, 1660, 2000);
+    expect(visible).toEqual([20, 21, 22, 23, 24, 25]);
+  });
+});
+
+describe("image picker gallery toolbar", () => {
+  beforeEach(() => {
+    window.MarkdownFrontEditorConfig = { pageId: 1 };
+    global.fetch = jest.fn(async (url) => {
+      if (String(url).includes("markdownFrontEditorToken")) {
+        return { ok: true, status: 200, text: async () => "" };
+      }
+      const images = IMAGES.map((image) => ({
+        ...image,
+        url: `/site/images/${image.path}`,
+        thumbUrl: `/thumbs/${image.filename}`,
+      }));
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({ status: 1, images }),
+      };
+    });
+  });
+
+  afterEach(() => {
+    while (document.querySelector('[data-mfe-window="true"]')) {
+      closeTopWindow();
+    }
+    delete window.MarkdownFrontEditorConfig;
+    delete global.fetch;
+  });
+
+  test("filters, sorts and counts the rendered gallery items", async () => {
+    createImagePicker({
+      onSelect: () => {},
+      imageAltTexts: new Map([["logo.svg", ["Company logo"]]]),
+    });
+    for (let i = 0; i < 5; i += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+
+    const rendered = () =>
+      Array.from(
+        document.querySelectorAll(".mfe-gallery-item img"),
+        (img) => img.alt,
+      );
+    const count = document.querySelector(".mfe-picker-gallery-count");
+    expect(rendered()).toHaveLength(4);
+    expect(count.textContent).toBe("4 images");
+    expect(
+      Array.from(
+        document.querySelectorAll('[data-filter="extension"] option'),
+        (option) => option.value,
+      ),
+    ).toEqual(["", "jpg", "png", "svg"]);
+
+    const search = document.querySelector(".mfe-picker-gallery-search");
+    search.value = "company";
+    search.dispatchEvent(new Event("input"));
+    expect(rendered()).toEqual(["logo.svg"]);
+    expect(count.textContent).toBe("1 of 4 images");
+
+    search.value = "";
+    search.dispatchEvent(new Event("input"));
+    const sort = document.querySelector(".mfe-picker-gallery-sort");
+    sort.value = "size";
+    sort.dispatchEvent(new Event("change"));
+    const orientation = document.querySelector('[data-filter="orientation"]');
+    orientation.value = "portrait";
+    orientation.dispatchEvent(new Event("change"));
+    expect(rendered().sort()).toEqual(["portrait10.png", "portrait2.png"]);
+
+    search.value = "nothing-like-this";
+    search.dispatchEvent(new Event("input"));
+    expect(document.querySelector(".mfe-picker-empty").textContent).toBe(
+      "No images match the filters.",
+    );
+  });
+});
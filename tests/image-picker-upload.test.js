@@ -0,0 +1,134 @@
+/** @jest-environment jsdom */
+
+import { createImagePicker } from "../src/image-picker.js";
+import { closeTopWindow } from "../src/window-manager.js";
+
+const EXISTING = {
+  filename: "photo.jpg",
+  path: "photo.jpg",
+  url: "/site/images/photo.jpg",
+  thumbUrl: "/thumbs/photo.jpg",
+  width: 300,
+  height: 200,
+};
+
+const UPLOADED = {
+  filename: "photo-1.jpg",
+  path: "photo-1.jpg",
+  url: "/site/images/photo-1.jpg",
+  thumbUrl: "/thumbs/photo-1.jpg",
+  width: 300,
+  height: 200,
+};
+
+function jsonResponse(data) {
+  return { ok: true, status: 200, json: async () => data };
+}
+
+function installFetch(listings) {
+  global.fetch = jest.fn(async (url, { body } = {}) => {
+    if (String(url).includes("markdownFrontEditorToken")) {
+      return {
+        ok: true,
+        status: 200,
+        text: async () => '<input type="hidden" name="TOKEN" value="abc">',
+      };
+    }
+    const action = body?.get("action");
+    if (action === "listImages") {
+      return jsonResponse({ status: 1, images: listings.shift() || [] });
+    }
+    if (action === "resolveImage") {
+      return jsonResponse({
+        status: 1,
+        url: `/site/assets/files/1/${body.get("imagePath")}`,
+      });
+    }
+    return jsonResponse({ status: 0, error: "unexpected" });
+  });
+}
+
+function chooseFiles(input, files) {
+  Object.defineProperty(input, "files", { value: files, configurable: true });
+  input.dispatchEvent(new Event("change"));
+}
+
+const flush = async () => {
+  for (let i = 0; i < 5; i += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+};
+
+describe("image picker upload zone", () => {
+  beforeEach(() => {
+    window.MarkdownFrontEditorConfig = {
+      imageBaseUrl: "/site/images/",
+      pageId: 1,
+      imageUploadExtensions: ["jpg", "png"],
+      imageUploadMaxBytes: 1024 * 1024,
+    };
+  });
+
+  afterEach(() => {
+    while (document.querySelector('[data-mfe-window="true"]')) {
+      closeTopWindow();
+    }
+    delete window.MarkdownFrontEditorConfig;
+    delete global.fetch;
+  });
+
+  test("validates, uploads and selects the new image for onSelect", async () => {
+    installFetch([[EXISTING], [EXISTING, UPLOADED]]);
+    const uploads = [];
+    const onSelect = jest.fn();
+    createImagePicker({
+      onSelect,
+      uploadImage: async (file, { onProgress }) => {
+        uploads.push(file.name);
+        onProgress(1);
+        return { filename: "photo-1.jpg", path: "photo-1.jpg", renamed: true };
+      },
+    });
+    await flush();
+
+    chooseFiles(document.querySelector(".mfe-picker-upload-input"), [
+      new File(["<svg/>"], "logo.svg", { type: "image/svg+xml" }),
+      new File(["x".repeat(1024 * 1024 + 1)], "huge.jpg", {
+        type: "image/jpeg",
+      }),
+      new File(["x"], "photo.jpg", { type: "image/jpeg" }),
+    ]);
+    await flush();
+
+    expect(uploads).toEqual(["photo.jpg"]);
+    expect(
+      Array.from(
+        document.querySelectorAll(".mfe-picker-upload-item"),
+        (item) => item.textContent,
+      ),
+    ).toEqual([
+      "logo.svg: Not a supported image type.",
+      "huge.jpg: Larger than 1 MB.",
+      "photo.jpg: uploaded as photo-1.jpg (name already taken)",
+    ]);
+
+    const selected = document.querySelector(".mfe-gallery-item.is-selected");
+    expect(selected.querySelector("img").alt).toBe("photo-1.jpg");
+    expect(
+      document.querySelector(".mfe-picker-filename-label").textContent,
+    ).toBe("image: photo-1.jpg");
+    expect(document.querySelector("#mfe-picker-alt-input").value).toBe(
+      "photo 1",
+    );
+
+    const addBtn = document.querySelector(".mfe-picker-insert-btn");
+    expect(addBtn.disabled).toBe(false);
+    await addBtn.onclick();
+
+    expect(onSelect).toHaveBeenCalledWith({
+      filename: "photo-1.jpg",
+      url: "/site/assets/files/1/photo-1.jpg",
+      alt: "photo 1",
+    });
+  });
+});
@@ -0,0 +1,199 @@
+/** @jest-environment jsdom */
+
+import { Editor, getSchema } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import { Slice } from "prosemirror-model";
+import { createMfeImageExtension } from "../src/editor-tiptap-extensions.js";
+import {
+  buildImageAltText,
+  createImageUploadExtension,
+  validateImageUploadFile,
+} from "../src/image-upload.js";
+import { destroyWindowToast } from "../src/window-manager.js";
+import {
+  parseMarkdownToDoc,
+  serializeMarkdownDoc,
+  trimTrailingLineBreaks,
+} from "../src/editor-core.js";
+
+function createDeferredUpload() {
+  const calls = [];
+  const upload = (file, { onProgress }) =>
+    new Promise((resolve, reject) => {
+      calls.push({ file, onProgress, resolve, reject });
+    });
+  return { upload, calls };
+}
+
+function createEditor(markdown, upload) {
+  const host = document.createElement("div");
+  document.body.appendChild(host);
+  const intents = [];
+  const extensions = [
+    StarterKit,
+    createMfeImageExtension(() => "/site/images/"),
+    createImageUploadExtension({
+      upload,
+      markUserIntentToken: (source) => intents.push(source),
+    }),
+  ];
+  const editor = new Editor({
+    element: host,
+    extensions,
+    content: parseMarkdownToDoc(markdown, getSchema(extensions)).toJSON(),
+  });
+  return {
+    editor,
+    intents,
+    markdown: () =>
+      trimTrailingLineBreaks(serializeMarkdownDoc(editor.state.doc)),
+    destroy() {
+      editor.destroy();
+      host.remove();
+    },
+  };
+}
+
+function imageFile(name = "summer-trip.jpg", size = 4) {
+  return new File(["x".repeat(size)], name, { type: "image/jpeg" });
+}
+
+// jsdom has no layout to find the drop point in, so `pos` stands in for it.
+function drop(editor, files, pos) {
+  editor.view.posAtCoords = () => ({ pos, inside: -1 });
+  const event = { dataTransfer: { files }, clientX: 0, clientY: 0 };
+  return editor.view.someProp("handleDrop", (handler) =>
+    handler(editor.view, event, null, false),
+  );
+}
+
+function paste(editor, files, text = "") {
+  const event = {
+    clipboardData: {
+      files,
+      getData: (type) => (type === "text/plain" ? text : ""),
+    },
+  };
+  return editor.view.someProp("handlePaste", (handler) =>
+    handler(editor.view, event, Slice.empty),
+  );
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("image upload", () => {
+  afterEach(() => {
+    destroyWindowToast();
+    delete window.MarkdownFrontEditorConfig;
+  });
+
+  test("validates type and size against the host config", () => {
+    window.MarkdownFrontEditorConfig = {
+      imageUploadExtensions: ["jpg", "png"],
+      imageUploadMaxBytes: 10,
+    };
+    expect(validateImageUploadFile(imageFile())).toBe("");
+    expect(validateImageUploadFile(imageFile("big.jpg", 11))).toMatch(
+      /Larger than/,
+    );
+    expect(
+      validateImageUploadFile(
+        new File(["<svg/>"], "logo.svg", { type: "image/svg+xml" }),
+      ),
+    ).toMatch(/Not a supported image type/);
+  });
+
+  test("derives alt text from the file name", () => {
+    expect(buildImageAltText("summer_trip-2024.JPG")).toBe("summer trip 2024");
+  });
+
+  test("inserts the uploaded image where it was dropped", async () => {
+    const { upload, calls } = createDeferredUpload();
+    const { editor, intents, markdown, destroy } = createEditor(
+      "Hello world",
+      upload,
+    );
+    try {
+      expect(drop(editor, [imageFile()], 7)).toBe(true);
+      await flush();
+
+      const placeholder = document.querySelector(
+        ".mfe-image-upload-placeholder",
+      );
+      expect(placeholder).not.toBeNull();
+      calls[0].onProgress(0.5);
+      expect(placeholder.textContent).toBe("Uploading image... 50%");
+
+      // Typing before the placeholder moves the insert position with it.
+      editor.commands.insertContentAt(1, "Oh ");
+      calls[0].resolve({
+        filename: "summer-trip-1.jpg",
+        path: "summer-trip-1.jpg",
+        url: "/site/assets/files/1/summer-trip-1.jpg",
+      });
+      await flush();
+
+      expect(markdown()).toBe(
+        "Oh Hello ![summer trip](summer-trip-1.jpg)world",
+      );
+      expect(intents).toEqual(["image-upload:insert"]);
+      expect(
+        document.querySelector(".mfe-image-upload-placeholder"),
+      ).toBeNull();
+    } finally {
+      destroy();
+    }
+  });
+
+  test("reports failures in a toast and drops the placeholder", async () => {
+    const { upload, calls } = createDeferredUpload();
+    const { editor, markdown, destroy } = createEditor("Hello", upload);
+    try {
+      expect(paste(editor, [imageFile("image.png")])).toBe(true);
+      await flush();
+      calls[0].reject(new Error("Image folder is not writable"));
+      await flush();
+
+      expect(markdown()).toBe("Hello");
+      expect(
+        document.querySelector(".mfe-image-upload-placeholder"),
+      ).toBeNull();
+      expect(document.querySelector(".mfe-toast").textContent).toBe(
+        "Image upload failed: Image folder is not writable",
+      );
+    } finally {
+      destroy();
+    }
+  });
+
+  test("marks the selection a pasted image replaces as a user edit", async () => {
+    const { upload, calls } = createDeferredUpload();
+    const { editor, intents, markdown, destroy } = createEditor(
+      "Hello world",
+      upload,
+    );
+    try {
+      editor.commands.setTextSelection({ from: 7, to: 12 });
+      expect(paste(editor, [imageFile("image.png")])).toBe(true);
+      expect(markdown()).toBe("Hello ");
+      expect(intents).toEqual(["image-upload:replace-selection"]);
+      await flush();
+      expect(calls).toHaveLength(1);
+    } finally {
+      destroy();
+    }
+  });
+
+  test("leaves pastes with text to the regular paste handling", () => {
+    const { upload, calls } = createDeferredUpload();
+    const { editor, destroy } = createEditor("Hello", upload);
+    try {
+      expect(
+        paste(editor, [imageFile("image.png")], "Copied text"),
+      ).toBeFalsy();
+      expect(calls).toHaveLength(0);
+    } finally {
+      destroy();
+    }
+  });
+});
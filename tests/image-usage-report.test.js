@@ -0,0 +1,119 @@
+/** @jest-environment jsdom */
+
+import {
+  buildImageUsageReport,
+  collectMarkdownImageReferences,
+  openImageUsageReport,
+} from "../src/image-usage-report.js";
+
+const EN = [
+  "<!-- section:hero -->",
+  "",
+  "# Welcome",
+  "",
+  "![Team photo](team.jpg)",
+  "",
+  "<!-- intro -->",
+  "",
+  'Text with ![Logo](brand/logo.png "Brand") inline.',
+  "",
+  "```",
+  "![not an image](code.jpg)",
+  "```",
+  "",
+  "<!-- section:gallery -->",
+  "",
+  "<!-- subsection:summer -->",
+  "",
+  "![Beach](beach.jpg) and ![Remote](https://example.com/x.png)",
+  "",
+  "![Gone][gone]",
+  "",
+  "[gone]: old/missing.jpg",
+].join("\n");
+
+const DE = [
+  "<!-- section:hero -->",
+  "",
+  "![Teamfoto](team.jpg)",
+  "",
+  "<!-- section:gallery -->",
+  "",
+  "<!-- subsection:summer -->",
+  "",
+  "![Strand](beach.jpg)",
+].join("\n");
+
+const IMAGES = [
+  { filename: "team.jpg", path: "team.jpg" },
+  { filename: "logo.png", path: "brand/logo.png" },
+  { filename: "beach.jpg", path: "beach.jpg" },
+  { filename: "unused.jpg", path: "archive/unused.jpg" },
+];
+
+describe("image usage report", () => {
+  test("collects markdown images with their marker scope", () => {
+    expect(collectMarkdownImageReferences(EN)).toEqual([
+      { src: "team.jpg", alt: "Team photo", scope: "hero" },
+      { src: "brand/logo.png", alt: "Logo", scope: "hero / intro" },
+      { src: "beach.jpg", alt: "Beach", scope: "gallery / summer" },
+      {
+        src: "https://example.com/x.png",
+        alt: "Remote",
+        scope: "gallery / summer",
+      },
+      { src: "old/missing.jpg", alt: "Gone", scope: "gallery / summer" },
+    ]);
+  });
+
+  test("merges languages and reports missing and unused images", () => {
+    const report = buildImageUsageReport({
+      drafts: [
+        { lang: "en", markdown: EN },
+        { lang: "de", markdown: DE },
+      ],
+      images: IMAGES,
+    });
+
+    const team = report.references.find((entry) => entry.src === "team.jpg");
+    expect(team.status).toBe("found");
+    expect(team.usages).toEqual([
+      { lang: "en", scope: "hero", alt: "Team photo" },
+      { lang: "de", scope: "hero", alt: "Teamfoto" },
+    ]);
+    expect(
+      report.references.find((entry) => entry.src.startsWith("https:")).status,
+    ).toBe("external");
+    expect(report.missing.map((entry) => entry.src)).toEqual([
+      "old/missing.jpg",
+    ]);
+    expect(report.unused.map((image) => image.path)).toEqual([
+      "archive/unused.jpg",
+    ]);
+  });
+
+  test("renders the report in a panel", async () => {
+    await openImageUsageReport({
+      getDrafts: async () => [{ lang: "en", markdown: EN }],
+      loadImages: async () => IMAGES,
+    });
+    const panel = document.querySelector(".mfe-image-usage");
+    try {
+      const headings = Array.from(
+        panel.querySelectorAll(".mfe-image-usage__heading"),
+        (heading) => heading.textContent,
+      );
+      expect(headings).toEqual([
+        "Referenced images (5)",
+        "Unused folder images (1)",
+      ]);
+      const missing = panel.querySelector(".mfe-image-usage__item.is-missing");
+      expect(missing.textContent).toBe(
+        "old/missing.jpgmissingEN: gallery / summer",
+      );
+    } finally {
+      panel.querySelector(".mfe-link-picker__button").click();
+    }
+    expect(document.querySelector(".mfe-image-usage")).toBeNull();
+  });
+});
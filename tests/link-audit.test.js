@@ -0,0 +1,173 @@
+/** @jest-environment jsdom */
+
+import { getSchema } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import { createMfeLinkExtension } from "../src/editor-tiptap-extensions.js";
+import { parseMarkdownToDoc } from "../src/editor-core.js";
+import {
+  auditDocumentLinks,
+  classifyLinkHref,
+  collectMarkdownLinks,
+  findLinkRange,
+  isBlockingLinkIssue,
+  openLinkAuditPanel,
+} from "../src/link-audit.js";
+
+const BASE_URL = "https://example.com/en/about/";
+
+const EN = [
+  "<!-- section:hero -->",
+  "",
+  "# Welcome",
+  "",
+  "[Team](/en/team/) and [Old](/en/old-page/) and [Top](#welcome).",
+  "",
+  "<!-- intro -->",
+  "",
+  "[Team again](/en/team/), [Gone](#gone), [Docs](https://docs.example.org/)",
+  "and [Moved](../moved/).",
+].join("\n");
+
+describe("link audit", () => {
+  test("collects links with document and scope occurrence", () => {
+    const links = collectMarkdownLinks(EN);
+    expect(
+      links.map(({ href, text, index, scopeIndex, scopeLabel }) => [
+        href,
+        text,
+        index,
+        scopeIndex,
+        scopeLabel,
+      ]),
+    ).toEqual([
+      ["/en/team/", "Team", 0, 0, "hero"],
+      ["/en/old-page/", "Old", 0, 0, "hero"],
+      ["#welcome", "Top", 0, 0, "hero"],
+      ["/en/team/", "Team again", 1, 0, "hero / intro"],
+      ["#gone", "Gone", 0, 0, "hero / intro"],
+      ["https://docs.example.org/", "Docs", 0, 0, "hero / intro"],
+      ["../moved/", "Moved", 0, 0, "hero / intro"],
+    ]);
+    expect(links[3].scope).toEqual({
+      kind: "field",
+      section: "hero",
+      subsection: "",
+      name: "intro",
+    });
+  });
+
+  test("classifies anchors, internal paths and external links", () => {
+    expect(classifyLinkHref("#top", BASE_URL)).toEqual({
+      kind: "anchor",
+      id: "top",
+    });
+    expect(classifyLinkHref("../moved/?x=1#y", BASE_URL)).toEqual({
+      kind: "internal",
+      path: "/en/moved/",
+    });
+    expect(classifyLinkHref("https://example.com/a/", BASE_URL).kind).toBe(
+      "internal",
+    );
+    expect(classifyLinkHref("https://other.org/", BASE_URL).kind).toBe(
+      "external",
+    );
+    expect(classifyLinkHref("mailto:team@example.com", BASE_URL).kind).toBe(
+      "external",
+    );
+    expect(classifyLinkHref("#", BASE_URL)).toBeNull();
+  });
+
+  test("reports missing anchors, missing pages and moved pages", async () => {
+    const resolvePaths = jest.fn(async () => ({
+      "/en/team/": { status: "ok" },
+      "/en/old-page/": { status: "missing" },
+      "/en/moved/": { status: "moved", url: "/en/new-home/" },
+    }));
+    const issues = await auditDocumentLinks({
+      drafts: [{ lang: "en", markdown: EN }],
+      baseUrl: BASE_URL,
+      resolvePaths,
+    });
+    expect(resolvePaths).toHaveBeenCalledWith([
+      "/en/team/",
+      "/en/old-page/",
+      "/en/moved/",
+    ]);
+    expect(
+      issues.map(({ href, reason, url }) => ({ href, reason, url })),
+    ).toEqual([
+      { href: "#gone", reason: "missing-anchor", url: undefined },
+      { href: "/en/old-page/", reason: "missing-page", url: undefined },
+      { href: "../moved/", reason: "moved", url: "/en/new-home/" },
+    ]);
+    expect(issues.map(isBlockingLinkIssue)).toEqual([true, true, false]);
+  });
+
+  test("finds the link range of an occurrence in the editor", () => {
+    const extensions = [
+      StarterKit.configure({ link: false }),
+      createMfeLinkExtension(),
+    ];
+    const doc = parseMarkdownToDoc(
+      "[a **b**](/x/) [c](/y/)\n\n[d](/x/)",
+      getSchema(extensions),
+    );
+    const first = findLinkRange(doc, "/x/", 0);
+    expect(doc.textBetween(first.from, first.to)).toBe("a b");
+    const second = findLinkRange(doc, "/x/", 1);
+    expect(doc.textBetween(second.from, second.to)).toBe("d");
+    expect(findLinkRange(doc, "/x/", 2)).toBeNull();
+  });
+
+  test("lists the issues with jump actions for the current language", () => {
+    const onJump = jest.fn();
+    const issues = [
+      {
+        href: "#gone",
+        text: "Gone",
+        lang: "en",
+        reason: "missing-anchor",
+        scopeLabel: "hero / intro",
+      },
+      {
+        href: "/de/alt/",
+        text: "",
+        lang: "de",
+        reason: "moved",
+        url: "/de/neu/",
+        scopeLabel: "hero",
+      },
+    ];
+    openLinkAuditPanel({ issues, blocking: true, currentLang: "en", onJump });
+    const panel = document.querySelector(".mfe-link-audit");
+    expect(panel.querySelector(".mfe-link-picker__header").textContent).toBe(
+      "Not saved: fix the broken links first",
+    );
+    expect(
+      Array.from(
+        panel.querySelectorAll(".mfe-link-audit__item"),
+        (item) => item.textContent,
+      ),
+    ).toEqual([
+      "#gone (Gone)Heading not found · EN: hero / introJump to link",
+      "/de/alt/Page moved: now /de/neu/ · DE: hero",
+    ]);
+    panel.querySelector(".mfe-link-audit__jump").click();
+    expect(onJump).toHaveBeenCalledWith(issues[0]);
+    expect(document.querySelector(".mfe-link-audit")).toBeNull();
+  });
+
+  test("headlines a warning by whether the save went through", () => {
+    const issues = [
+      { href: "#gone", text: "", lang: "en", reason: "missing-anchor" },
+    ];
+    const header = () =>
+      document.querySelector(".mfe-link-audit .mfe-link-picker__header")
+        .textContent;
+    const saved = openLinkAuditPanel({ issues });
+    expect(header()).toBe("Saved with broken links");
+    saved.close();
+    openLinkAuditPanel({ issues, saved: false });
+    expect(header()).toBe("Broken links");
+  });
+});
@@ -0,0 +1,170 @@
+/** @jest-environment jsdom */
+
+import { Editor, getSchema } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import { LinkDefinition } from "../src/link-reference-extension.js";
+import { createMfeLinkExtension } from "../src/editor-tiptap-extensions.js";
+import {
+  applyLinkDefinitionRows,
+  buildLinkDefinitionRows,
+  validateLinkDefinitionRows,
+} from "../src/link-definitions-panel.js";
+import {
+  parseMarkdownToDoc,
+  serializeMarkdownDoc,
+  trimTrailingLineBreaks,
+} from "../src/editor-core.js";
+
+function buildExtensions() {
+  return [
+    StarterKit.configure({ link: false }),
+    createMfeLinkExtension(),
+    LinkDefinition,
+  ];
+}
+
+function roundtrip(markdown) {
+  const doc = parseMarkdownToDoc(markdown, getSchema(buildExtensions()));
+  return { doc, output: trimTrailingLineBreaks(serializeMarkdownDoc(doc)) };
+}
+
+function createEditor(markdown) {
+  const host = document.createElement("div");
+  document.body.appendChild(host);
+  const extensions = buildExtensions();
+  const editor = new Editor({
+    element: host,
+    extensions,
+    content: parseMarkdownToDoc(markdown, getSchema(extensions)).toJSON(),
+  });
+  return {
+    editor,
+    destroy() {
+      editor.destroy();
+      host.remove();
+    },
+  };
+}
+
+function findLinkMark(doc, text) {
+  let found = null;
+  doc.descendants((node) => {
+    if (found || !node.isText || node.text !== text) return;
+    found = node.marks.find((mark) => mark.type.name === "link") || null;
+  });
+  return found;
+}
+
+describe("reference-style links", () => {
+  test("keeps the reference identity on the link mark", () => {
+    const { doc } = roundtrip(
+      'Read [the docs][docs].\n\n[docs]: https://example.com/docs "Docs"',
+    );
+    const mark = findLinkMark(doc, "the docs");
+
+    expect(mark.attrs).toMatchObject({
+      href: "https://example.com/docs",
+      title: "Docs",
+      reference: "docs",
+      referenceStyle: "full",
+      referenceHref: "https://example.com/docs",
+    });
+  });
+
+  test.each([
+    ["full references", "See [text][ref] here.\n\n[ref]: /target"],
+    ["collapsed references", "See [Ref][] here.\n\n[ref]: /target"],
+    ["shortcut references", "See [ref] here.\n\n[ref]: /target"],
+    [
+      "definitions with titles and spacing",
+      "A [one] and [two].\n\n[one]:   /one   'First'\n[two]: <https://example.com/a b>",
+    ],
+    [
+      "definitions between sections",
+      "# Intro\n\nSee [a].\n\n[a]: /a\n\n# Next\n\nSee [b][a].",
+    ],
+    ["references defined elsewhere", "See [text][elsewhere]."],
+    ["inline links next to references", "[inline](/x) and [ref]\n\n[ref]: /y"],
+  ])("roundtrips %s byte-exact", (_name, markdown) => {
+    expect(roundtrip(markdown).output).toBe(markdown);
+  });
+
+  test("shortcut without a definition stays plain text", () => {
+    const { doc } = roundtrip("Just [brackets] here.");
+    expect(findLinkMark(doc, "brackets")).toBeNull();
+  });
+
+  test("falls back to an inline link once the href changes", () => {
+    const { editor, destroy } = createEditor("See [text][ref].\n\n[ref]: /a");
+    try {
+      editor.commands.setTextSelection(6);
+      editor.chain().extendMarkRange("link").setLink({ href: "/b" }).run();
+
+      expect(trimTrailingLineBreaks(serializeMarkdownDoc(editor.state.doc))).toBe(
+        "See [text](/b).\n\n[ref]: /a",
+      );
+    } finally {
+      destroy();
+    }
+  });
+
+  test("editing the shortcut text writes a full reference", () => {
+    const { editor, destroy } = createEditor("See [my ref].\n\n[my ref]: /a");
+    try {
+      editor.commands.deleteRange({ from: 5, to: 8 });
+
+      expect(trimTrailingLineBreaks(serializeMarkdownDoc(editor.state.doc))).toBe(
+        "See [ref][my ref].\n\n[my ref]: /a",
+      );
+    } finally {
+      destroy();
+    }
+  });
+});
+
+describe("link definitions panel", () => {
+  test("lists definitions and references that are missing one", () => {
+    const { doc } = roundtrip("[a][one] [b][two]\n\n[one]: /one");
+
+    expect(buildLinkDefinitionRows(doc)).toEqual([
+      { originalLabel: "one", label: "one", href: "/one", title: "" },
+      { originalLabel: "", label: "two", href: "", title: "" },
+    ]);
+  });
+
+  test("rejects duplicate labels and empty urls", () => {
+    expect(
+      validateLinkDefinitionRows([
+        { originalLabel: "a", label: "A", href: "/a" },
+        { originalLabel: "", label: "a", href: "/b" },
+      ]),
+    ).toContain("defined twice");
+    expect(
+      validateLinkDefinitionRows([{ originalLabel: "a", label: "a", href: "" }]),
+    ).toContain("needs a URL");
+    expect(
+      validateLinkDefinitionRows([{ originalLabel: "", label: "b", href: "" }]),
+    ).toBe("");
+  });
+
+  test("applies edits, additions and removals to the scope", () => {
+    const { editor, destroy } = createEditor(
+      "[a][one] [b][two] [c][three]\n\n[one]: /one\n[three]: /three",
+    );
+    try {
+      const rows = buildLinkDefinitionRows(editor.state.doc);
+      rows[0].label = "first";
+      rows[0].href = "/first";
+      rows[1].removed = true;
+      rows[2].href = "/two";
+
+      expect(applyLinkDefinitionRows(editor, rows)).toBe(true);
+      expect(findLinkMark(editor.state.doc, "a").attrs.href).toBe("/first");
+      expect(trimTrailingLineBreaks(serializeMarkdownDoc(editor.state.doc))).toBe(
+        "[a][first] [b][two] [c][three]\n\n[first]: /first\n[two]: /two",
+      );
+    } finally {
+      destroy();
+    }
+  });
+});
@@ -0,0 +1,166 @@
+/** @jest-environment jsdom */
+
+import { Editor, getSchema } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import {
+  parseMarkdownToDoc,
+  serializeMarkdownDoc,
+} from "../src/editor-core.js";
+import { MarkdownSyntaxAttributes } from "../src/editor-tiptap-extensions.js";
+import {
+  FootnoteDefinition,
+  FootnoteReference,
+} from "../src/footnote-extension.js";
+import {
+  resolveRewrapWidth,
+  rewrapMarkdownParagraph,
+} from "../src/markdown-hard-wrap.js";
+
+const WRAPPED = [
+  "The orchard sits on the south slope of the valley, where the morning sun",
+  "reaches the trees first and the frost lifts early. We planted the first",
+  "rows of apples there in spring, and pears followed a year later along the",
+  "old stone wall.",
+].join("\n");
+
+function buildExtensions() {
+  return [StarterKit.configure({ link: false }), MarkdownSyntaxAttributes];
+}
+
+function createEditor(markdown) {
+  const editor = new Editor({ extensions: buildExtensions() });
+  editor.commands.setContent(
+    parseMarkdownToDoc(markdown, editor.schema).toJSON(),
+  );
+  return editor;
+}
+
+function replaceWord(editor, word, replacement) {
+  let from = null;
+  editor.state.doc.descendants((node, pos) => {
+    if (from !== null || !node.isText) return;
+    const index = node.text.indexOf(word);
+    if (index >= 0) from = pos + index;
+  });
+  editor.view.dispatch(
+    editor.state.tr.insertText(replacement, from, from + word.length),
+  );
+}
+
+describe("hard-wrapped paragraphs", () => {
+  afterEach(() => {
+    delete window.MarkdownFrontEditorConfig;
+  });
+
+  test("keep their lines while untouched and flow as one paragraph", () => {
+    const markdown = [
+      WRAPPED,
+      "",
+      "* a list item that is",
+      "  wrapped onto two lines",
+      "",
+      "> a quote wrapped",
+      "> onto two lines",
+    ].join("\n");
+    const doc = parseMarkdownToDoc(markdown, getSchema(buildExtensions()));
+    expect(doc.child(0).childCount).toBe(1);
+    expect(doc.child(0).textContent).toBe(WRAPPED.replace(/\n/g, " "));
+    expect(serializeMarkdownDoc(doc)).toBe(markdown);
+  });
+
+  test("rewrap only the lines around an edit", () => {
+    const editor = createEditor(WRAPPED);
+    replaceWord(editor, "apples", "heritage apples");
+    expect(serializeMarkdownDoc(editor.state.doc)).toBe(
+      [
+        "The orchard sits on the south slope of the valley, where the morning sun",
+        "reaches the trees first and the frost lifts early. We planted the first",
+        "rows of heritage apples there in spring, and pears followed a year later",
+        "along the old stone wall.",
+      ].join("\n"),
+    );
+    editor.destroy();
+  });
+
+  test("merge a short rewrapped line into the next unchanged one", () => {
+    const editor = createEditor(WRAPPED);
+    replaceWord(editor, "pears followed", "pears soon followed");
+    const before = WRAPPED.split("\n");
+    const after = serializeMarkdownDoc(editor.state.doc).split("\n");
+    expect(after).toHaveLength(before.length);
+    expect(after.filter((line, index) => line !== before[index])).toEqual([
+      "rows of apples there in spring, and pears soon followed a year later",
+      "along the old stone wall.",
+    ]);
+    editor.destroy();
+  });
+
+  test("use the configured width less the container indent", () => {
+    window.MarkdownFrontEditorConfig = { hardWrapWidth: "40" };
+    const editor = createEditor(`> ${WRAPPED.replace(/\n/g, "\n> ")}`);
+    replaceWord(
+      editor,
+      "wall.",
+      "wall my grandfather built from field stones.",
+    );
+    expect(serializeMarkdownDoc(editor.state.doc).split("\n").slice(2)).toEqual(
+      [
+        "> rows of apples there in spring, and pears followed a year later along the",
+        "> old stone wall my grandfather built",
+        "> from field stones.",
+      ],
+    );
+    editor.destroy();
+
+    window.MarkdownFrontEditorConfig = { hardWrapWidth: "0" };
+    const unwrapped = createEditor(WRAPPED);
+    replaceWord(unwrapped, "We planted", "We then planted");
+    replaceWord(unwrapped, "old stone", "old dry stone");
+    expect(serializeMarkdownDoc(unwrapped.state.doc).split("\n")).toEqual([
+      "The orchard sits on the south slope of the valley, where the morning sun",
+      "reaches the trees first and the frost lifts early. We then planted the first rows of apples there in spring, and pears followed a year later along the old dry stone wall.",
+    ]);
+    unwrapped.destroy();
+  });
+
+  test("leave soft breaks of footnote definitions alone", () => {
+    const schema = getSchema([
+      ...buildExtensions(),
+      FootnoteReference,
+      FootnoteDefinition,
+    ]);
+    const markdown = [
+      "Planted in spring[^1].",
+      "",
+      "[^1]: The first rows went in",
+      "    after the frost.",
+    ].join("\n");
+    expect(serializeMarkdownDoc(parseMarkdownToDoc(markdown, schema))).toBe(
+      markdown,
+    );
+  });
+
+  test("save a new line break as a hard break", () => {
+    const editor = createEditor("one\ntwo");
+    editor.commands.setTextSelection(4);
+    editor.commands.setHardBreak();
+    expect(serializeMarkdownDoc(editor.state.doc)).toBe("one\\\ntwo");
+    editor.destroy();
+  });
+
+  test("never start a rewrapped line with block syntax", () => {
+    expect(
+      rewrapMarkdownParagraph(
+        "alpha beta - gamma",
+        ["alpha beta", "gamma"],
+        10,
+      ),
+    ).toEqual(["alpha beta -", "gamma"]);
+    expect(
+      rewrapMarkdownParagraph("one two\\\n# three", ["one", "two"], 3),
+    ).toEqual(["one", "two\\", "# three"]);
+    expect(resolveRewrapWidth(null, ["ab", "abcd"])).toBe(4);
+    expect(resolveRewrapWidth(80, [], "  ")).toBe(78);
+    expect(resolveRewrapWidth(0, ["abc"])).toBe(0);
+  });
+});
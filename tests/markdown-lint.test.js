@@ -0,0 +1,175 @@
+/** @jest-environment jsdom */
+
+import { TextEncoder } from "node:util";
+import { getSchema } from "@tiptap/core";
+import { defaultMarkdownParser } from "prosemirror-markdown";
+import StarterKit from "@tiptap/starter-kit";
+import { parseMarkdownToDoc } from "../src/editor-core.js";
+import {
+  createMarkdownLinter,
+  filterLintIssuesToChangedLines,
+  findLintIssueRange,
+  lintMarkdown,
+  openMarkdownLintPanel,
+  resolveMarkdownLintRules,
+} from "../src/markdown-lint.js";
+
+if (typeof global.TextEncoder === "undefined") {
+  global.TextEncoder = TextEncoder;
+}
+
+const MARKDOWN = [
+  "<!-- section:hero -->",
+  "",
+  "# Welcome",
+  "",
+  "### Skipped  ",
+  "",
+  "See https://example.com/a. and [](/x/) and [Top]()",
+  "",
+  "<!-- intro -->",
+  "",
+  "# Welcome",
+  "",
+  "![](a.jpg) two  ",
+  "spaces",
+  "",
+  "```",
+  "code   ",
+  "```",
+  "",
+  "<!-- section:farm -->",
+  "",
+  "### Fine",
+  "",
+  "# Welcome",
+].join("\n");
+
+describe("markdown lint", () => {
+  test("reports each rule with its line and marker scope", () => {
+    expect(
+      lintMarkdown(MARKDOWN).map(({ rule, line, scopeLine, scopeLabel }) => [
+        rule,
+        line,
+        scopeLine,
+        scopeLabel,
+      ]),
+    ).toEqual([
+      ["trailing-spaces", 5, 3, "hero"],
+      ["heading-increment", 5, 3, "hero"],
+      ["bare-url", 7, 5, "hero"],
+      ["empty-link", 7, 5, "hero"],
+      ["empty-link", 7, 5, "hero"],
+      ["duplicate-heading", 11, 1, "hero / intro"],
+      ["image-alt", 13, 3, "hero / intro"],
+    ]);
+  });
+
+  test("describes issues and the block to jump to", () => {
+    const issues = lintMarkdown(MARKDOWN, {
+      rules: ["bare-url", "empty-link", "duplicate-heading"],
+    });
+    expect(
+      issues.map(({ message, needle, blockIndex, scopeBlockIndex }) => [
+        message,
+        needle,
+        blockIndex,
+        scopeBlockIndex,
+      ]),
+    ).toEqual([
+      ["Bare URL https://example.com/a", "https://example.com/a", 2, 2],
+      ["Link to /x/ has no text", "", 2, 2],
+      ['Link "Top" has no target', "Top", 2, 2],
+      ['Duplicate heading "Welcome"', "Welcome", 3, 0],
+    ]);
+    expect(issues[3].scope).toEqual({
+      kind: "field",
+      section: "hero",
+      subsection: "",
+      name: "intro",
+    });
+  });
+
+  test("reads enabled rules from the site config", () => {
+    expect(resolveMarkdownLintRules(undefined)).toHaveLength(6);
+    expect(resolveMarkdownLintRules("bare-url, unknown,image-alt")).toEqual([
+      "image-alt",
+      "bare-url",
+    ]);
+    expect(resolveMarkdownLintRules([])).toEqual([]);
+  });
+
+  test("only parses the runs that changed since the last pass", () => {
+    const parse = jest.spyOn(defaultMarkdownParser.tokenizer, "parse");
+    const linter = createMarkdownLinter();
+    const first = linter.lint(MARKDOWN);
+    expect(parse).toHaveBeenCalledTimes(4);
+
+    parse.mockClear();
+    const edited = MARKDOWN.replace("### Fine", "#### Fine\n\n###### Deeper");
+    const second = linter.lint(edited);
+    expect(parse).toHaveBeenCalledTimes(1);
+    expect(second.slice(0, first.length)).toEqual(first);
+    expect(second.slice(first.length).map((issue) => issue.line)).toEqual([24]);
+    parse.mockRestore();
+  });
+
+  test("keeps only the issues on lines changed since the baseline", () => {
+    const baseline = "# Title\n\n#### Old skip\n\nSee https://a.example\n";
+    const draft = `${baseline}\nSee https://b.example\n`;
+    const issues = lintMarkdown(draft);
+    expect(issues.map((issue) => issue.line)).toEqual([3, 5, 7]);
+    expect(
+      filterLintIssuesToChangedLines(issues, baseline, draft).map(
+        (issue) => issue.line,
+      ),
+    ).toEqual([7]);
+    expect(filterLintIssuesToChangedLines(issues, draft, draft)).toEqual([]);
+  });
+
+  test("finds the range of an issue inside its block", () => {
+    const doc = parseMarkdownToDoc(
+      "Top link\n\n- Top item\n\nSee Top",
+      getSchema([StarterKit]),
+    );
+    const needle = findLintIssueRange(doc, 2, "Top");
+    expect(doc.textBetween(needle.from, needle.to)).toBe("Top");
+    expect(needle.from).toBeGreaterThan(doc.child(0).nodeSize);
+    const start = findLintIssueRange(doc, 1, "");
+    expect(doc.resolve(start.from).parent.textContent).toBe("Top item");
+    expect(findLintIssueRange(doc, 3, "Top")).toBeNull();
+  });
+
+  test("lists issues by scope and updates in place", () => {
+    const onJump = jest.fn();
+    const issues = lintMarkdown(MARKDOWN, { rules: ["duplicate-heading"] });
+    const panel = openMarkdownLintPanel({
+      issues: [...issues, { ...issues[0], lang: "de" }],
+      blocking: true,
+      currentLang: "en",
+      onJump,
+    });
+    const element = document.querySelector(".mfe-lint-panel");
+    expect(element.querySelector(".mfe-lint-panel__summary").textContent).toBe(
+      "Not saved: fix 2 issues first",
+    );
+    expect(
+      Array.from(
+        element.querySelectorAll(".mfe-find-replace__group-label"),
+        (label) => label.textContent,
+      ),
+    ).toEqual(["hero / intro", "DE: hero / intro"]);
+    const buttons = element.querySelectorAll(".mfe-lint-panel__issue");
+    expect(buttons[0].textContent).toBe('Duplicate heading "Welcome"Line 11');
+    expect(buttons[1].disabled).toBe(true);
+    buttons[0].click();
+    expect(onJump).toHaveBeenCalledWith(issues[0]);
+
+    panel.update([]);
+    expect(element.querySelector(".mfe-lint-panel__summary").textContent).toBe(
+      "No issues found",
+    );
+    panel.close();
+    expect(document.querySelector(".mfe-lint-panel")).toBeNull();
+  });
+});
@@ -0,0 +1,182 @@
+/** @jest-environment jsdom */
+
+import { getSchema } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import TaskItem from "@tiptap/extension-task-item";
+import { Table } from "@tiptap/extension-table";
+import TableRow from "@tiptap/extension-table-row";
+import TableHeader from "@tiptap/extension-table-header";
+import TableCell from "@tiptap/extension-table-cell";
+import { Marker } from "../src/marker-extension.js";
+import {
+  MarkdownSyntaxAttributes,
+  MarkerAwareBold,
+  MarkerAwareBulletList,
+  MarkerAwareItalic,
+  MarkerAwareTaskList,
+} from "../src/editor-tiptap-extensions.js";
+import {
+  buildNormalizePreviewDocs,
+  diffMarkdownLines,
+  normalizeMarkdown,
+  openMarkdownNormalizePanel,
+} from "../src/markdown-normalize.js";
+import { createRawMarkdownEditor } from "../src/raw-markdown-editor.js";
+
+const schema = getSchema([
+  StarterKit.configure({
+    bold: false,
+    italic: false,
+    bulletList: false,
+    link: false,
+  }),
+  MarkerAwareBold,
+  MarkerAwareItalic,
+  MarkdownSyntaxAttributes,
+  MarkerAwareBulletList,
+  MarkerAwareTaskList,
+  TaskItem.configure({ nested: true }),
+  Table.configure({ resizable: false }),
+  TableRow,
+  TableHeader,
+  TableCell,
+  Marker,
+]);
+
+const MESSY = [
+  "---",
+  "title: Farm",
+  "---",
+  "",
+  "Some __bold__ and *italic*  ",
+  "",
+  "",
+  "",
+  "- one",
+  "* two",
+  "",
+  "1) first",
+  "",
+].join("\n");
+
+describe("markdown normalize", () => {
+  test("applies the configured style and keeps frontmatter", () => {
+    expect(
+      normalizeMarkdown(MESSY, schema, {
+        emphasisStyle: "asterisk",
+        unorderedListMarker: "-",
+      }),
+    ).toBe(
+      [
+        "---",
+        "title: Farm",
+        "---",
+        "",
+        "Some **bold** and *italic*",
+        "",
+        "- one",
+        "- two",
+        "",
+        "1) first",
+        "",
+      ].join("\n"),
+    );
+    expect(
+      normalizeMarkdown("**a** *b*\n\n- [ ] c", schema, {
+        emphasisStyle: "underscore",
+        unorderedListMarker: "+",
+      }),
+    ).toBe("__a__ _b_\n\n+ [ ] c");
+  });
+
+  test.each([
+    ["a table", "Intro\n\n| a   | b   |\n| --- | --- |\n| 1   | 2   |\n"],
+    ["a marker", "Intro\n\n<!-- section:intro -->\n"],
+  ])("keeps the single final line break of a body ending in %s", (_, body) => {
+    expect(normalizeMarkdown(body, schema)).toBe(body);
+  });
+
+  test("diffs lines and builds aligned preview documents", () => {
+    expect(diffMarkdownLines("a\nb\n\n\nc", "a\nB\n\nc")).toEqual([
+      { type: "common", line: "a" },
+      { type: "remove", line: "b" },
+      { type: "remove", line: "" },
+      { type: "add", line: "B" },
+      { type: "common", line: "" },
+      { type: "common", line: "c" },
+    ]);
+    const long = Array.from({ length: 600 }, (_, index) => `line ${index}`);
+    const ops = diffMarkdownLines(
+      ["start", ...long, "end"].join("\n"),
+      ["START", ...long, "END"].join("\n"),
+    );
+    expect(ops.map((op) => op.type)).toEqual([
+      ...Array(602).fill("remove"),
+      ...Array(602).fill("add"),
+    ]);
+    const { doc, baseDoc } = buildNormalizePreviewDocs(
+      "a\nb\n\n\nc",
+      "a\nB\n\nc",
+      schema,
+    );
+    expect(doc.childCount).toBe(4);
+    expect(doc.child(1).textContent).toBe("B");
+    expect(baseDoc.child(1).textContent).toBe("b");
+    expect(baseDoc.child(2).type.name).toBe("codeBlock");
+    expect(baseDoc.child(2).textContent).toBe("¶");
+  });
+
+  test("previews the change and applies only on confirmation", () => {
+    const onApply = jest.fn();
+    const onClose = jest.fn();
+    openMarkdownNormalizePanel({
+      before: "* one\n\n\nplain",
+      after: "- one\n\nplain",
+      onApply,
+      onClose,
+    });
+    const panel = document.querySelector(".mfe-normalize-panel");
+    expect(panel.querySelector(".mfe-find-replace__summary").textContent).toBe(
+      "2 lines change",
+    );
+    expect(
+      panel.querySelector(".mfe-snapshot-compare-inline-added").textContent,
+    ).toBe("-");
+    expect(
+      panel.querySelector(".mfe-snapshot-compare-inline-removed").textContent,
+    ).toBe("*");
+    expect(
+      panel.querySelector(".mfe-snapshot-compare-removed-block").textContent,
+    ).toBe("¶");
+
+    panel.querySelector(".mfe-normalize-panel__apply").click();
+    expect(onApply).toHaveBeenCalledWith("- one\n\nplain");
+    expect(onClose).toHaveBeenCalledTimes(1);
+    expect(document.querySelector(".mfe-normalize-panel")).toBeNull();
+
+    openMarkdownNormalizePanel({ before: "a", after: "a", onApply });
+    const unchanged = document.querySelector(".mfe-normalize-panel");
+    expect(
+      unchanged.querySelector(".mfe-normalize-panel__apply").disabled,
+    ).toBe(true);
+    unchanged.querySelector(".mfe-find-replace__close").click();
+    expect(onApply).toHaveBeenCalledTimes(1);
+  });
+
+  test("replaces raw editor text as one user edit", () => {
+    const parent = document.createElement("div");
+    document.body.appendChild(parent);
+    const onChange = jest.fn();
+    const editor = createRawMarkdownEditor({
+      parent,
+      value: "* a",
+      onChange,
+    });
+    editor.setValue("* b");
+    expect(onChange).not.toHaveBeenCalled();
+    editor.replaceValue("- b");
+    expect(onChange).toHaveBeenCalledWith("- b");
+    editor.destroy();
+    parent.remove();
+  });
+});
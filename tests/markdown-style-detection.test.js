@@ -0,0 +1,122 @@
+/** @jest-environment jsdom */
+
+import { Editor } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import { serializeMarkdownDoc } from "../src/editor-core.js";
+import { DocumentState } from "../src/document-state.js";
+import {
+  MarkerAwareBold,
+  MarkerAwareBulletList,
+  MarkerAwareItalic,
+  createDocumentStyleExtension,
+} from "../src/editor-tiptap-extensions.js";
+import {
+  detectMarkdownStylePreferences,
+  getDefaultBoldDelimiter,
+  getDefaultUnorderedListMarker,
+} from "../src/markdown-style-preferences.js";
+
+function typeText(editor, text) {
+  const { view } = editor;
+  const { from, to } = view.state.selection;
+  const handled = view.someProp("handleTextInput", (handler) =>
+    handler(view, from, to, text),
+  );
+  if (!handled) editor.commands.insertContent(text);
+}
+
+describe("per-document markdown style", () => {
+  afterEach(() => {
+    delete window.MarkdownFrontEditorConfig;
+  });
+
+  test("detects a style only when the document uses it consistently", () => {
+    expect(
+      detectMarkdownStylePreferences(
+        "__Bold__ and _italic_ `**code**`\n\n- one\n- two\n\n```\n* x\n```",
+      ),
+    ).toEqual({ emphasisStyle: "underscore", unorderedListMarker: "-" });
+    expect(
+      detectMarkdownStylePreferences("__Bold__ and *italic*\n\n- a\n\n+ b"),
+    ).toEqual({ emphasisStyle: null, unorderedListMarker: null });
+    expect(detectMarkdownStylePreferences("")).toEqual({
+      emphasisStyle: null,
+      unorderedListMarker: null,
+    });
+  });
+
+  test("document style overrides the module default field by field", () => {
+    window.MarkdownFrontEditorConfig = {
+      defaultEmphasisStyle: "underscore",
+      defaultUnorderedListMarker: "+",
+    };
+    const documentStyle = {
+      emphasisStyle: "asterisk",
+      unorderedListMarker: null,
+    };
+    expect(getDefaultBoldDelimiter(documentStyle)).toBe("**");
+    expect(getDefaultUnorderedListMarker(documentStyle)).toBe("+");
+    expect(getDefaultBoldDelimiter()).toBe("__");
+  });
+
+  test("document state detects the style of the persisted body on hydrate", () => {
+    const state = new DocumentState({ pageId: "1", fieldName: "body" }, "en", {
+      initialPersistedMarkdown: "**Bold**",
+    });
+    expect(state.getStylePreferences().emphasisStyle).toBe("asterisk");
+
+    state.hydrateFromServer("---\ntitle: x\n---\n__Bold__\n\n- a\n", {
+      reason: "test:hydrate",
+    });
+    expect(state.getStylePreferences()).toEqual({
+      emphasisStyle: "underscore",
+      unorderedListMarker: "-",
+    });
+  });
+
+  test("input rules and toolbar follow the style of their own document", () => {
+    const createEditor = (preferences, content) => {
+      const host = document.createElement("div");
+      document.body.appendChild(host);
+      return new Editor({
+        element: host,
+        extensions: [
+          StarterKit.configure({
+            bold: false,
+            italic: false,
+            bulletList: false,
+            link: false,
+          }),
+          MarkerAwareBold,
+          MarkerAwareItalic,
+          MarkerAwareBulletList,
+          createDocumentStyleExtension(() => preferences),
+        ],
+        content,
+      });
+    };
+    const editor = createEditor(
+      { emphasisStyle: "underscore", unorderedListMarker: "-" },
+      "<p>**Bold*</p><p>*</p>",
+    );
+    const other = createEditor(
+      { emphasisStyle: null, unorderedListMarker: "+" },
+      "<p>word</p>",
+    );
+    editor.commands.setTextSelection(8);
+    typeText(editor, "*");
+    editor.commands.setTextSelection(editor.state.doc.content.size - 1);
+    typeText(editor, " ");
+    typeText(editor, "item");
+    expect(serializeMarkdownDoc(editor.state.doc)).toBe("__Bold__\n\n- item");
+
+    other.commands.setTextSelection({ from: 1, to: 5 });
+    other.commands.toggleBold();
+    other.commands.toggleBulletList();
+    expect(serializeMarkdownDoc(other.state.doc)).toBe("+ **word**");
+    [editor, other].forEach((entry) => {
+      entry.options.element.remove();
+      entry.destroy();
+    });
+  });
+});
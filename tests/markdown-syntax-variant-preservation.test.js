@@ -0,0 +1,97 @@
+/** @jest-environment jsdom */
+
+import { Editor, getSchema } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import {
+  parseMarkdownToDoc,
+  serializeMarkdownDoc,
+} from "../src/editor-core.js";
+import { MarkdownSyntaxAttributes } from "../src/editor-tiptap-extensions.js";
+
+function buildExtensions() {
+  return [StarterKit.configure({ link: false }), MarkdownSyntaxAttributes];
+}
+
+function roundTrip(markdown) {
+  const doc = parseMarkdownToDoc(markdown, getSchema(buildExtensions()));
+  return serializeMarkdownDoc(doc);
+}
+
+describe("markdown syntax variant preservation", () => {
+  test("keeps setext headings and thematic break characters", () => {
+    const markdown = [
+      "Title",
+      "=====",
+      "",
+      "Sub",
+      "---",
+      "",
+      "### Deep",
+      "",
+      "* * *",
+      "",
+      "___",
+      "",
+      "> Quoted",
+      "> ------",
+    ].join("\n");
+    expect(roundTrip(markdown)).toBe(markdown);
+  });
+
+  test("keeps ordered list delimiters, start and repeated numbers", () => {
+    const markdown = [
+      "3) a",
+      "4) b",
+      "",
+      "",
+      "1. x",
+      "1. y",
+      "1. z",
+      "",
+      "Then",
+      "",
+      "9. nine",
+      "10. ten",
+    ].join("\n");
+    expect(roundTrip(markdown)).toBe(markdown);
+    const aligned = " 9. nine\n10. ten";
+    expect(roundTrip(aligned)).toBe(aligned);
+  });
+
+  test("keeps the hard break style of each line", () => {
+    const markdown = "two  \nthree   \nslash\\\nsoft\nend";
+    expect(roundTrip(markdown)).toBe(markdown);
+    expect(roundTrip("`code`  \nnext")).toBe("`code`  \nnext");
+  });
+
+  test("edited constructs keep their syntax and new ones use the default", () => {
+    const host = document.createElement("div");
+    document.body.appendChild(host);
+    const extensions = buildExtensions();
+    const editor = new Editor({
+      element: host,
+      extensions,
+      content: parseMarkdownToDoc(
+        "Title\n=====\n\n1) a\n1) b",
+        getSchema(extensions),
+      ).toJSON(),
+    });
+    editor.commands.setTextSelection(6);
+    editor.commands.insertContent(" page");
+    editor.commands.setTextSelection(editor.state.doc.content.size - 3);
+    editor.commands.splitListItem("listItem");
+    editor.commands.insertContent("c");
+    expect(serializeMarkdownDoc(editor.state.doc)).toBe(
+      "Title page\n=====\n\n1) a\n1) b\n1) c",
+    );
+
+    editor.commands.setTextSelection(2);
+    editor.commands.setHeading({ level: 3 });
+    editor.commands.insertContentAt(0, { type: "horizontalRule" });
+    expect(serializeMarkdownDoc(editor.state.doc)).toMatch(
+      /^---\n\n### Title page\n\n1\) a/,
+    );
+    editor.destroy();
+    host.remove();
+  });
+});
@@ -0,0 +1,166 @@
+/** @jest-environment jsdom */
+
+import { Editor, getSchema } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import TableRow from "@tiptap/extension-table-row";
+import {
+  MarkdownTable,
+  MarkdownTableHeader,
+  MarkdownTableCell,
+} from "../src/editor-tiptap-extensions.js";
+import {
+  parseMarkdownToDoc,
+  serializeMarkdownDoc,
+  trimTrailingLineBreaks,
+} from "../src/editor-core.js";
+
+function buildExtensions() {
+  return [
+    StarterKit,
+    MarkdownTable.configure({ resizable: false }),
+    TableRow,
+    MarkdownTableHeader,
+    MarkdownTableCell,
+  ];
+}
+
+function serialize(doc) {
+  return trimTrailingLineBreaks(serializeMarkdownDoc(doc));
+}
+
+function createEditor(markdown) {
+  const host = document.createElement("div");
+  document.body.appendChild(host);
+  const extensions = buildExtensions();
+  const editor = new Editor({
+    element: host,
+    extensions,
+    content: parseMarkdownToDoc(markdown, getSchema(extensions)).toJSON(),
+  });
+  return {
+    editor,
+    destroy() {
+      editor.destroy();
+      host.remove();
+    },
+  };
+}
+
+function findTextPos(doc, text) {
+  let found = -1;
+  doc.descendants((node, pos) => {
+    if (found >= 0 || !node.isText) return;
+    const index = node.text.indexOf(text);
+    if (index >= 0) found = pos + index;
+  });
+  return found;
+}
+
+const ALIGNED_TABLE = [
+  "| Name | Price | Stock |",
+  "|:-----|------:|:-----:|",
+  "| Pen  |  1.50 |  120  |",
+  "| Book |  9.99 |   45  |",
+].join("\n");
+
+describe("markdown table preservation", () => {
+  test.each([
+    ["aligned delimiter row", ALIGNED_TABLE],
+    ["compact table", "|a|b|\n|-|:-:|\n|1|2|"],
+    ["table without outer pipes", "a | b\n--- | ---\n1 | 2"],
+    ["formatted cells", "| **Bold** | `code` |\n| --- | --- |\n| *x* | [y](/y) |"],
+  ])("roundtrips %s byte-exact", (_name, markdown) => {
+    const doc = parseMarkdownToDoc(markdown, getSchema(buildExtensions()));
+    expect(serialize(doc)).toBe(markdown);
+  });
+
+  test("parses column alignment onto cells", () => {
+    const doc = parseMarkdownToDoc(ALIGNED_TABLE, getSchema(buildExtensions()));
+    const headerRow = doc.child(0).child(0);
+    expect(
+      [0, 1, 2].map((index) => headerRow.child(index).attrs.align),
+    ).toEqual(["left", "right", "center"]);
+  });
+
+  test("editing one cell keeps the raw source of untouched cells", () => {
+    const { editor, destroy } = createEditor(ALIGNED_TABLE);
+    try {
+      const pos = findTextPos(editor.state.doc, "Book");
+      editor.commands.insertContentAt({ from: pos, to: pos + 4 }, "Lamp");
+
+      expect(serialize(editor.state.doc)).toBe(
+        ALIGNED_TABLE.replace("| Book |", "| Lamp |"),
+      );
+    } finally {
+      destroy();
+    }
+  });
+
+  test("added rows follow the column widths and keep other rows intact", () => {
+    const { editor, destroy } = createEditor(ALIGNED_TABLE);
+    try {
+      editor.commands.setTextSelection(findTextPos(editor.state.doc, "Book"));
+      expect(editor.commands.addRowAfter()).toBe(true);
+
+      expect(serialize(editor.state.doc)).toBe(
+        `${ALIGNED_TABLE}\n|      |       |       |`,
+      );
+    } finally {
+      destroy();
+    }
+  });
+
+  test("removing a column keeps the remaining delimiter cells", () => {
+    const { editor, destroy } = createEditor(ALIGNED_TABLE);
+    try {
+      editor.commands.setTextSelection(findTextPos(editor.state.doc, "Price"));
+      expect(editor.commands.deleteColumn()).toBe(true);
+
+      expect(serialize(editor.state.doc)).toBe(
+        [
+          "| Name | Stock |",
+          "|:-----|:-----:|",
+          "| Pen  |  120  |",
+          "| Book |   45  |",
+        ].join("\n"),
+      );
+    } finally {
+      destroy();
+    }
+  });
+
+  test("setTableColumnAlignment rewrites only that delimiter cell", () => {
+    const { editor, destroy } = createEditor(ALIGNED_TABLE);
+    try {
+      editor.commands.setTextSelection(findTextPos(editor.state.doc, "1.50"));
+      expect(editor.commands.setTableColumnAlignment("center")).toBe(true);
+
+      const lines = serialize(editor.state.doc).split("\n");
+      expect(lines[1]).toBe("|:-----|:-----:|:-----:|");
+      expect(lines.filter((_, index) => index !== 1)).toEqual(
+        ALIGNED_TABLE.split("\n").filter((_, index) => index !== 1),
+      );
+      expect(editor.isActive("tableCell", { align: "center" })).toBe(true);
+    } finally {
+      destroy();
+    }
+  });
+
+  test("inserted tables serialize with canonical padding", () => {
+    const { editor, destroy } = createEditor("Intro");
+    try {
+      editor.commands.setTextSelection(6);
+      expect(
+        editor.commands.insertTable({ rows: 2, cols: 2, withHeaderRow: true }),
+      ).toBe(true);
+
+      expect(serialize(editor.state.doc)).toBe(
+        ["Intro", "", "|     |     |", "| --- | --- |", "|     |     |"].join(
+          "\n",
+        ),
+      );
+    } finally {
+      destroy();
+    }
+  });
+});
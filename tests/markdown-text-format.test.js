@@ -0,0 +1,99 @@
+/** @jest-environment jsdom */
+
+import { readDocumentConfigMarkdown } from "../src/editor-core.js";
+import {
+  applyMarkdownTextFormat,
+  applyOutboundMarkdownTextFormat,
+  decodeUriComponentOrRaw,
+  detectMarkdownTextFormat,
+  stripMarkdownTextFormat,
+} from "../src/markdown-text-utils.js";
+import { classifyReadbackMismatch } from "../src/markdown-readback-analysis.js";
+
+describe("markdown text format", () => {
+  test("detects the dominant line ending and the BOM", () => {
+    expect(detectMarkdownTextFormat("a\r\nb\r\nc\n")).toEqual({
+      lineEnding: "\r\n",
+      bom: false,
+    });
+    expect(detectMarkdownTextFormat("\uFEFFa\nb\nc\r\n")).toEqual({
+      lineEnding: "\n",
+      bom: true,
+    });
+    const crlf = { lineEnding: "\r\n", bom: true };
+    expect(detectMarkdownTextFormat("a\nb", crlf)).toEqual(crlf);
+  });
+
+  test("round-trips between the stored and the editing form", () => {
+    const stored = "\uFEFF# Title\r\n\r\nBody\r\n";
+    const format = detectMarkdownTextFormat(stored);
+    expect(stripMarkdownTextFormat(stored)).toBe("# Title\n\nBody\n");
+    expect(applyMarkdownTextFormat("# Title\n\nBody\n", format)).toBe(stored);
+    expect(applyMarkdownTextFormat(stored, { lineEnding: "\n" })).toBe(
+      "# Title\n\nBody\n",
+    );
+    expect(applyMarkdownTextFormat("", format)).toBe("");
+  });
+
+  test("gives scoped saves the line endings of a CRLF document", () => {
+    const stored =
+      "\uFEFF<!-- intro -->\r\nOld text\r\n\r\n<!-- outro -->\r\nEnd\r\n";
+    const format = detectMarkdownTextFormat(stored);
+    const fragment = applyOutboundMarkdownTextFormat(
+      "New text\nover two lines",
+      format,
+      "field",
+    );
+    expect(fragment).toBe("New text\r\nover two lines");
+    const spliced = stored.replace("Old text", fragment);
+    expect(spliced).not.toMatch(/[^\r]\n/);
+    expect(detectMarkdownTextFormat(spliced)).toEqual(format);
+    expect(applyOutboundMarkdownTextFormat("# Doc\n", format, "document")).toBe(
+      "\uFEFF# Doc\r\n",
+    );
+  });
+
+  test("classifies a readback against the document's text format", () => {
+    const sent = "<!-- section:hero -->\n# Title\n\nBody\n";
+    const crlf = `\uFEFF${sent.replace(/\n/g, "\r\n")}`;
+    const format = { lineEnding: "\r\n", bom: true };
+    expect(classifyReadbackMismatch(sent, crlf, format).className).toBe(
+      "exact",
+    );
+    // A backend that drops the BOM or folds CRLF to LF lost the format.
+    expect(
+      classifyReadbackMismatch(sent, crlf.slice(1), format).className,
+    ).not.toBe("exact");
+    expect(classifyReadbackMismatch(sent, sent, format).className).not.toBe(
+      "exact",
+    );
+    expect(classifyReadbackMismatch(sent, crlf).className).not.toBe("exact");
+    expect(
+      classifyReadbackMismatch(sent, sent.replace(/\n/g, "\r\n"), {
+        lineEnding: "\n",
+        bom: false,
+      }).className,
+    ).toBe("exact");
+    expect(
+      classifyReadbackMismatch(sent, crlf.replace("Body", "Bodies"), format)
+        .className,
+    ).not.toBe("exact");
+  });
+
+  test("reads the stored document from the page config as is", () => {
+    window.MarkdownFrontEditorConfig = {
+      documentMarkdownB64: Buffer.from("\uFEFFTitle\r\n").toString("base64"),
+    };
+    expect(readDocumentConfigMarkdown()).toBe("\uFEFFTitle\r\n");
+    window.MarkdownFrontEditorConfig = { documentMarkdownB64: "%%%" };
+    expect(() => readDocumentConfigMarkdown()).toThrow();
+    delete window.MarkdownFrontEditorConfig;
+    expect(readDocumentConfigMarkdown()).toBe("");
+  });
+
+  test("decodes URL parts and keeps text with a malformed escape", () => {
+    expect(decodeUriComponentOrRaw("caf%C3%A9%20menu")).toBe("café menu");
+    expect(decodeUriComponentOrRaw("100%-done")).toBe("100%-done");
+    expect(decodeUriComponentOrRaw(undefined)).toBe("");
+  });
+});
@@ -0,0 +1,105 @@
+/** @jest-environment jsdom */
+
+import { Editor } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import { createMfeLinkExtension } from "../src/editor-tiptap-extensions.js";
+import { createToolbarButtons } from "../src/editor-toolbar.js";
+import {
+  createSelectionBubbleMenuExtension,
+  getBubbleMenuButtons,
+  isBubbleMenuButtonDisabled,
+} from "../src/selection-bubble-menu.js";
+
+const CONFIG = "bold,italic,paragraph,|,link,unlink,code,h1";
+
+function createEditor(content) {
+  const host = document.createElement("div");
+  document.body.appendChild(host);
+  const editor = new Editor({
+    element: host,
+    extensions: [
+      StarterKit.configure({ link: false }),
+      createMfeLinkExtension(),
+      createSelectionBubbleMenuExtension({
+        getButtons: (bubbleEditor) =>
+          createToolbarButtons({ getEditor: () => bubbleEditor }),
+        getConfigButtons: () => CONFIG,
+      }),
+    ],
+    content,
+  });
+  // jsdom never reports focus on a contenteditable host.
+  editor.view.hasFocus = () => true;
+  return {
+    editor,
+    destroy() {
+      editor.destroy();
+      host.remove();
+    },
+  };
+}
+
+function getBubbleMenu() {
+  return document.querySelector(".mfe-bubble-menu");
+}
+
+describe("selection bubble menu", () => {
+  test("reuses the toolbar definitions for configured formatting keys", () => {
+    const buttons = createToolbarButtons({ getEditor: () => null });
+    expect(
+      getBubbleMenuButtons({ buttons, configButtons: CONFIG }).map(
+        (button) => button.key,
+      ),
+    ).toEqual(["bold", "italic", "link", "unlink", "code"]);
+  });
+
+  test("shows next to a focused text selection and hides when collapsed", () => {
+    const { editor, destroy } = createEditor("<p>Hello world</p>");
+    try {
+      editor.commands.setTextSelection({ from: 1, to: 6 });
+      const menu = getBubbleMenu();
+      expect(menu).not.toBeNull();
+      expect(menu.hidden).toBe(false);
+      expect(menu.querySelectorAll(".editor-toolbar-btn")).toHaveLength(5);
+
+      editor.commands.setTextSelection(3);
+      expect(menu.hidden).toBe(true);
+    } finally {
+      destroy();
+    }
+    expect(getBubbleMenu()).toBeNull();
+  });
+
+  test("applies the toolbar action to the selection", () => {
+    const { editor, destroy } = createEditor("<p>Hello world</p>");
+    try {
+      editor.commands.setTextSelection({ from: 1, to: 6 });
+      const boldButton = getBubbleMenu().querySelector(
+        'button[title="Bold (Ctrl+B)"]',
+      );
+      boldButton.dispatchEvent(new MouseEvent("mousedown", { bubbles: true }));
+
+      expect(editor.getHTML()).toBe("<p><strong>Hello</strong> world</p>");
+    } finally {
+      destroy();
+    }
+  });
+
+  test("disables formatting the schema does not allow and unlink off links", () => {
+    const { editor, destroy } = createEditor(
+      '<pre><code>const a = 1;</code></pre><p><a href="/x">link</a> text</p>',
+    );
+    try {
+      editor.commands.setTextSelection({ from: 2, to: 7 });
+      expect(isBubbleMenuButtonDisabled(editor, "bold")).toBe(true);
+      expect(isBubbleMenuButtonDisabled(editor, "unlink")).toBe(true);
+
+      const linkStart = editor.state.doc.child(0).nodeSize + 1;
+      editor.commands.setTextSelection({ from: linkStart, to: linkStart + 4 });
+      expect(isBubbleMenuButtonDisabled(editor, "bold")).toBe(false);
+      expect(isBubbleMenuButtonDisabled(editor, "unlink")).toBe(false);
+    } finally {
+      destroy();
+    }
+  });
+});
@@ -0,0 +1,188 @@
+/** @jest-environment jsdom */
+
+import { Editor } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import { MarkdownTable } from "../src/editor-tiptap-extensions.js";
+import TableRow from "@tiptap/extension-table-row";
+import TableHeader from "@tiptap/extension-table-header";
+import TableCell from "@tiptap/extension-table-cell";
+import { SingleBlockDocumentExtension } from "../src/field-constraints-extension.js";
+import { createToolbarButtons } from "../src/editor-toolbar.js";
+import {
+  createSlashCommandExtension,
+  findSlashCommandTrigger,
+  getSlashCommandItems,
+} from "../src/slash-command-menu.js";
+
+const CONFIG = "bold,paragraph,|,h1,h2,ul,table,hr,codeblock,markdown";
+
+function createEditor({ content = "<p></p>", singleBlock = false } = {}) {
+  const host = document.createElement("div");
+  document.body.appendChild(host);
+  const getItems = (query, editor) =>
+    getSlashCommandItems({
+      buttons: createToolbarButtons({ getEditor: () => editor }),
+      configButtons: CONFIG,
+      editor,
+      query,
+    });
+  const editor = new Editor({
+    element: host,
+    extensions: [
+      StarterKit.configure(singleBlock ? { document: false } : {}),
+      ...(singleBlock ? [SingleBlockDocumentExtension] : []),
+      MarkdownTable.configure({ resizable: false }),
+      TableRow,
+      TableHeader,
+      TableCell,
+      createSlashCommandExtension({ getItems }),
+    ],
+    content,
+  });
+  if (singleBlock) {
+    editor.view.dom.setAttribute("data-extra-warning", "true");
+  }
+  return {
+    editor,
+    getItems: (query) => getItems(query, editor),
+    destroy() {
+      editor.destroy();
+      host.remove();
+    },
+  };
+}
+
+function typeText(editor, text) {
+  const { from, to } = editor.state.selection;
+  const { view } = editor;
+  const handled = view.someProp("handleTextInput", (handler) =>
+    handler(view, from, to, text),
+  );
+  if (!handled) editor.commands.insertContent(text);
+}
+
+function pressKey(editor, key) {
+  const event = new KeyboardEvent("keydown", { key, bubbles: true });
+  return editor.view.someProp("handleKeyDown", (handler) =>
+    handler(editor.view, event),
+  );
+}
+
+function getMenuTitles() {
+  return Array.from(
+    document.querySelectorAll(".mfe-slash-menu .mfe-slash-menu__title"),
+  ).map((el) => el.textContent);
+}
+
+describe("slash command menu", () => {
+  afterEach(() => {
+    document.body.replaceChildren();
+  });
+
+  test("finds the trigger at a line start or after whitespace only", () => {
+    const { editor, destroy } = createEditor({ content: "<p>Intro /hea</p>" });
+    try {
+      editor.commands.setTextSelection(11);
+      expect(findSlashCommandTrigger(editor.state)).toEqual({
+        from: 7,
+        to: 11,
+        query: "hea",
+      });
+
+      editor.commands.setContent("<p>a/b</p>");
+      editor.commands.setTextSelection(4);
+      expect(findSlashCommandTrigger(editor.state)).toBeNull();
+    } finally {
+      destroy();
+    }
+  });
+
+  test("lists block actions in toolbar config order and filters by query", () => {
+    const { getItems, destroy } = createEditor();
+    try {
+      // "paragraph" is left out: the cursor already sits in one.
+      expect(getItems("").map((item) => item.key)).toEqual([
+        "h1",
+        "h2",
+        "ul",
+        "table",
+        "hr",
+        "codeblock",
+      ]);
+      expect(getItems("head").map((item) => item.key)).toEqual(["h1", "h2"]);
+      expect(getItems("list").map((item) => item.key)).toEqual(["ul"]);
+    } finally {
+      destroy();
+    }
+  });
+
+  test("leaves out actions a single-block field cannot hold", () => {
+    const { getItems, destroy } = createEditor({ singleBlock: true });
+    try {
+      const keys = getItems("").map((item) => item.key);
+      expect(keys).not.toContain("table");
+      expect(keys).not.toContain("hr");
+      expect(keys).toContain("h1");
+    } finally {
+      destroy();
+    }
+  });
+
+  test("filters with the keyboard and runs the selected action", () => {
+    const { editor, destroy } = createEditor();
+    try {
+      editor.commands.focus();
+      typeText(editor, "/head");
+      expect(getMenuTitles()).toEqual(["Heading 1", "Heading 2"]);
+
+      expect(pressKey(editor, "ArrowDown")).toBe(true);
+      expect(
+        document.querySelector(".mfe-slash-menu .is-selected").textContent,
+      ).toContain("Heading 2");
+
+      expect(pressKey(editor, "Enter")).toBe(true);
+      const firstBlock = editor.state.doc.firstChild;
+      expect(firstBlock.type.name).toBe("heading");
+      expect(firstBlock.attrs.level).toBe(2);
+      expect(firstBlock.textContent).toBe("");
+      expect(document.querySelector(".mfe-slash-menu")).toBeNull();
+    } finally {
+      destroy();
+    }
+  });
+
+  test("picks an entry with the mouse", () => {
+    const { editor, destroy } = createEditor();
+    try {
+      editor.commands.focus();
+      typeText(editor, "/code");
+      const option = document.querySelector(".mfe-slash-menu__option");
+      option.dispatchEvent(new MouseEvent("mousedown", { bubbles: true }));
+
+      expect(editor.state.doc.firstChild.type.name).toBe("codeBlock");
+      expect(document.querySelector(".mfe-slash-menu")).toBeNull();
+    } finally {
+      destroy();
+    }
+  });
+
+  test("Escape closes the menu until the trigger is typed again", () => {
+    const { editor, destroy } = createEditor();
+    try {
+      editor.commands.focus();
+      typeText(editor, "/");
+      expect(getMenuTitles().length).toBeGreaterThan(0);
+
+      expect(pressKey(editor, "Escape")).toBe(true);
+      expect(document.querySelector(".mfe-slash-menu")).toBeNull();
+      typeText(editor, "h");
+      expect(document.querySelector(".mfe-slash-menu")).toBeNull();
+
+      typeText(editor, " /");
+      expect(document.querySelector(".mfe-slash-menu")).not.toBeNull();
+      expect(pressKey(editor, "ArrowDown")).toBe(true);
+    } finally {
+      destroy();
+    }
+  });
+});
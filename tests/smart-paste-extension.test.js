@@ -0,0 +1,201 @@
+/** @jest-environment jsdom */
+
+import { Editor, getSchema } from "@tiptap/core";
+import StarterKit from "@tiptap/starter-kit";
+import {
+  MarkerAwareBold,
+  MarkerAwareBulletList,
+  MarkerAwareItalic,
+  createDocumentStyleExtension,
+} from "../src/editor-tiptap-extensions.js";
+import { SingleBlockDocumentExtension } from "../src/field-constraints-extension.js";
+import {
+  SmartPasteExtension,
+  cleanPastedHTML,
+} from "../src/smart-paste-extension.js";
+import {
+  parseMarkdownToDoc,
+  serializeMarkdownDoc,
+  trimTrailingLineBreaks,
+} from "../src/editor-core.js";
+
+function createEditor({
+  markdown = "",
+  singleBlock = false,
+  documentStyle = null,
+} = {}) {
+  const host = document.createElement("div");
+  document.body.appendChild(host);
+  const extensions = [
+    StarterKit.configure({
+      bold: false,
+      italic: false,
+      bulletList: false,
+      ...(singleBlock ? { document: false } : {}),
+    }),
+    ...(singleBlock ? [SingleBlockDocumentExtension] : []),
+    MarkerAwareBold,
+    MarkerAwareItalic,
+    MarkerAwareBulletList,
+    SmartPasteExtension,
+    createDocumentStyleExtension(() => documentStyle),
+  ];
+  const editor = new Editor({
+    element: host,
+    extensions,
+    content: parseMarkdownToDoc(markdown, getSchema(extensions)).toJSON(),
+  });
+  if (singleBlock) {
+    editor.view.dom.setAttribute("data-extra-warning", "true");
+  }
+  return {
+    editor,
+    markdown: () =>
+      trimTrailingLineBreaks(serializeMarkdownDoc(editor.state.doc)),
+    destroy() {
+      editor.destroy();
+      host.remove();
+    },
+  };
+}
+
+// jsdom has no ClipboardEvent; the view only reads clipboardData from it.
+function paste(editor, html, text = "") {
+  const event = new Event("paste");
+  event.clipboardData = {
+    getData: (type) => ({ "text/plain": text, "text/html": html })[type] || "",
+  };
+  editor.view.pasteHTML(html, event);
+}
+
+const GOOGLE_DOCS_HTML =
+  '<meta charset="utf-8"><b style="font-weight:normal;" id="docs-internal-guid-1a2b">' +
+  '<p dir="ltr" style="line-height:1.38;margin-top:0pt">' +
+  '<span style="font-size:11pt;font-family:Arial;font-weight:700;">Bold</span>' +
+  '<span style="font-size:11pt;font-family:Arial;"> and&nbsp;</span>' +
+  '<span style="font-size:11pt;font-style:italic;">italic</span></p>' +
+  '<div><div><p dir="ltr"><span style="color:#000000">Nested</span></p></div></div>' +
+  "</b>";
+
+const WORD_LIST_HTML =
+  '<p class="MsoListParagraphCxSpFirst" style="text-indent:-18pt;mso-list:l0 level1 lfo1">' +
+  '<!--[if !supportLists]--><span style="font-family:Symbol"><span style="mso-list:Ignore">·' +
+  '<span style="font:7.0pt">&nbsp;&nbsp;</span></span></span><!--[endif]-->One<o:p></o:p></p>' +
+  '<p class="MsoListParagraphCxSpMiddle" style="margin-left:72pt;mso-list:l0 level2 lfo1">' +
+  '<span style="mso-list:Ignore">1.<span>&nbsp;</span></span>Sub<o:p></o:p></p>' +
+  '<p class="MsoListParagraphCxSpLast" style="text-indent:-18pt;mso-list:l0 level1 lfo1">' +
+  '<span style="mso-list:Ignore">·<span>&nbsp;</span></span>Two<o:p></o:p></p>' +
+  '<p class="MsoNormal"><o:p>&nbsp;</o:p></p>';
+
+describe("smart paste", () => {
+  afterEach(() => {
+    delete window.MarkdownFrontEditorConfig;
+  });
+
+  test("reduces Google Docs HTML to plain schema tags", () => {
+    expect(cleanPastedHTML(GOOGLE_DOCS_HTML)).toBe(
+      "<p><strong>Bold</strong> and <em>italic</em></p><p>Nested</p>",
+    );
+  });
+
+  test("rebuilds Word list paragraphs as nested lists", () => {
+    expect(cleanPastedHTML(WORD_LIST_HTML)).toBe(
+      "<ul><li>One<ol><li>Sub</li></ol></li><li>Two</li></ul>",
+    );
+  });
+
+  test("writes pasted formatting with the preferred delimiters", () => {
+    window.MarkdownFrontEditorConfig = {
+      defaultEmphasisStyle: "underscore",
+      defaultUnorderedListMarker: "-",
+    };
+    const { editor, markdown, destroy } = createEditor();
+    try {
+      paste(
+        editor,
+        '<p><b>Bold</b> and <i>italic</i></p><ul><li><p style="color:red">Item</p></li></ul>',
+      );
+      expect(markdown()).toBe("__Bold__ and _italic_\n\n- Item");
+    } finally {
+      destroy();
+    }
+  });
+
+  test("prefers the style the edited document already uses", () => {
+    window.MarkdownFrontEditorConfig = {
+      defaultEmphasisStyle: "underscore",
+      defaultUnorderedListMarker: "-",
+    };
+    const { editor, markdown, destroy } = createEditor({
+      documentStyle: { emphasisStyle: "asterisk", unorderedListMarker: null },
+    });
+    try {
+      paste(editor, "<p><b>Bold</b></p><ul><li>Item</li></ul>");
+      expect(markdown()).toBe("**Bold**\n\n- Item");
+    } finally {
+      destroy();
+    }
+  });
+
+  test("keeps the syntax of content copied inside the editor", () => {
+    window.MarkdownFrontEditorConfig = {
+      defaultEmphasisStyle: "asterisk",
+      defaultUnorderedListMarker: "*",
+    };
+    const { editor, markdown, destroy } = createEditor({
+      markdown: "__Bold__ and _italic_\n\n- Item\n\nEnd",
+    });
+    try {
+      const html = editor.view.serializeForClipboard(
+        editor.state.doc.slice(0, editor.state.doc.child(0).nodeSize + 10),
+      ).dom.innerHTML;
+      expect(html).toContain("data-pm-slice");
+      editor.commands.setTextSelection(editor.state.doc.content.size - 1);
+      paste(editor, html);
+      expect(markdown()).toBe(
+        "__Bold__ and _italic_\n\n- Item\n\nEnd\n\n__Bold__ and _italic_\n\n- Item",
+      );
+    } finally {
+      destroy();
+    }
+  });
+
+  test("flattens pasted blocks in single-block fields", () => {
+    const { editor, markdown, destroy } = createEditor({
+      markdown: "Start end",
+      singleBlock: true,
+    });
+    try {
+      editor.commands.setTextSelection({ from: 7, to: 10 });
+      paste(
+        editor,
+        "<h1>Title</h1><ul><li><p>Body <strong>text</strong></p></li></ul>",
+      );
+      expect(editor.state.doc.childCount).toBe(1);
+      expect(markdown()).toBe("Start Title Body **text**");
+    } finally {
+      destroy();
+    }
+  });
+
+  test("Mod-Shift-V pastes plain text", () => {
+    const { editor, markdown, destroy } = createEditor();
+    try {
+      editor.view.dom.dispatchEvent(
+        new KeyboardEvent("keydown", {
+          key: "V",
+          ctrlKey: true,
+          shiftKey: true,
+          bubbles: true,
+        }),
+      );
+      paste(editor, "<h2><strong>Bold</strong></h2><p>Line</p>", "Bold\nLine");
+      expect(markdown()).toBe("Bold\n\nLine");
+
+      paste(editor, "<p><strong>Rich</strong></p>", "Rich");
+      expect(markdown()).toContain("**Rich**");
+    } finally {
+      destroy();
+    }
+  });
+});